@@ -69,11 +69,27 @@ class RegistryAcquisitionService {
    * This service does not interpret raw user queries.
    * The caller must provide a structured SearchIntent.
    *
+   * Providers declaring searchInterface "geo_context" in their
+   * capability profile are called as search(geoContext, filters)
+   * using the supplied request context.
+   *
    * @param {Object} searchIntent
+   * @param {Object} [context]
+   * @param {Object} [context.geoContext]
+   * @param {Object} [context.filters]
+   * @param {string} [context.asOf]
+   * Point-in-time search. Providers that do not declare
+   * pointInTimeQueries return an "unsupported" outcome rather than
+   * current records.
    * @returns {Promise<Object>}
    */
   async search(
-    searchIntent
+    searchIntent,
+    {
+      geoContext = null,
+      filters = {},
+      asOf = null
+    } = {}
   ) {
 
     if (
@@ -86,14 +102,51 @@ class RegistryAcquisitionService {
       );
     }
 
+    if (
+      asOf &&
+      this.getCapabilityProfile()
+        ?.pointInTimeQueries !== true
+    ) {
+
+      return {
+
+        providerStatus:
+          "unsupported",
+
+        provider:
+          this.getProviderName(),
+
+        records:
+          [],
+
+        errorType:
+          "POINT_IN_TIME_UNSUPPORTED",
+
+        errorMessage:
+          `Registry provider ${this.getProviderName()} cannot search as of ${asOf}.`
+      };
+    }
+
     let response;
 
     try {
 
       response =
-        await this.provider.search(
-          searchIntent
-        );
+        this.getSearchInterface() ===
+        "geo_context"
+          ? await this.provider.search(
+              geoContext ||
+                searchIntent.geography,
+              filters
+            )
+          : await this.provider.search(
+              searchIntent,
+              asOf
+                ? {
+                    asOf
+                  }
+                : {}
+            );
 
     } catch (error) {
 
@@ -119,6 +172,104 @@ class RegistryAcquisitionService {
       throw error;
     }
 
+    return this.validateResponse(
+      response
+    );
+  }
+
+  /**
+   * Look up registry records by registration number.
+   *
+   * Optional provider capability: providers without
+   * lookupRegistrations() report an "unsupported" outcome.
+   *
+   * @param {Array<string>} registrationIds
+   * @returns {Promise<Object>}
+   */
+  async lookupRegistrations(
+    registrationIds = []
+  ) {
+
+    if (
+      typeof this.provider.lookupRegistrations !==
+      "function"
+    ) {
+
+      return {
+
+        providerStatus:
+          "unsupported",
+
+        provider:
+          this.getProviderName(),
+
+        records:
+          [],
+
+        errorType:
+          "REGISTRATION_LOOKUP_UNSUPPORTED",
+
+        errorMessage:
+          `Registry provider ${this.getProviderName()} cannot look up registration numbers.`
+      };
+    }
+
+    let response;
+
+    try {
+
+      response =
+        await this.provider.lookupRegistrations(
+          registrationIds
+        );
+
+    } catch (error) {
+
+      console.error(
+        `[RegistryAcquisitionService] Provider lookup failed`,
+        {
+          provider:
+            this.getProviderName(),
+
+          message:
+            error?.message ||
+            "Unknown provider error"
+        }
+      );
+
+      throw error;
+    }
+
+    return this.validateResponse(
+      response
+    );
+  }
+
+  /**
+   * Apply the provider result contract to a search or lookup
+   * response.
+   *
+   * @param {Object|Array<Object>} response
+   * @returns {Object}
+   */
+  validateResponse(
+    response
+  ) {
+
+    /*
+     * Some providers return a bare record array.
+     * Wrap it so the remaining contract checks apply uniformly.
+     */
+    if (
+      Array.isArray(response)
+    ) {
+
+      response = {
+        records:
+          response
+      };
+    }
+
     /*
      * Provider response must be an object.
      */
@@ -231,6 +382,20 @@ class RegistryAcquisitionService {
     };
   }
 
+  /**
+   * Return the search call convention declared by the provider.
+   *
+   * @returns {string}
+   */
+  getSearchInterface() {
+
+    return (
+      this.getCapabilityProfile()
+        ?.searchInterface ||
+      "search_intent"
+    );
+  }
+
   /**
    * Return the configured provider name.
    *
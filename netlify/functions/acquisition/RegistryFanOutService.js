@@ -0,0 +1,352 @@
+// /acquisition/RegistryFanOutService.js
+
+const {
+  RegistryAcquisitionService
+} = require("./RegistryAcquisitionService.js");
+
+/**
+ * RegistryFanOutService
+ *
+ * Executes one structured registry search (or registration-number
+ * lookup) against every provider covering a jurisdiction and reports
+ * each provider's outcome independently.
+ *
+ * RESPONSIBILITY:
+ * - Query providers concurrently through RegistryAcquisitionService.
+ * - Preserve per-provider status, error type and records.
+ * - Fall back to the remaining providers when one is rate limited,
+ *   blocked or unavailable.
+ *
+ * DOES NOT:
+ * - Normalize registry entities.
+ * - Merge records across providers.
+ * - Perform enrichment.
+ * - Score or qualify prospects.
+ * - Write to the Evidence Ledger.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *          SearchIntent
+ *               ↓
+ *     RegistryFanOutService
+ *        ↓             ↓
+ *   Provider A     Provider B
+ *        ↓             ↓
+ *     Per-provider Registry Records
+ */
+
+const FAILED_PROVIDER_STATUSES = [
+  "unavailable",
+  "blocked",
+  "rate_limited",
+  "unsupported"
+];
+
+class RegistryFanOutService {
+
+  /**
+   * @param {Array<Object>} providers
+   * Providers implementing search(), in preference order.
+   */
+  constructor(providers) {
+
+    if (
+      !Array.isArray(providers) ||
+      providers.length === 0
+    ) {
+
+      throw new Error(
+        "RegistryFanOutService requires at least one provider."
+      );
+    }
+
+    this.services =
+      providers.map(
+        provider =>
+          new RegistryAcquisitionService(
+            provider
+          )
+      );
+  }
+
+  /**
+   * Search every configured provider.
+   *
+   * A provider exception is recorded as an "unavailable" outcome for
+   * that provider only. The aggregate status is a failure status only
+   * when no provider completed its search.
+   *
+   * @param {Object} searchIntent
+   * @param {Object} [context]
+   * @param {Object} [context.geoContext]
+   * @param {Object} [context.filters]
+   * @returns {Promise<Object>}
+   */
+  async search(
+    searchIntent,
+    context = {}
+  ) {
+
+    const settled =
+      await Promise.allSettled(
+        this.services.map(
+          service =>
+            service.search(
+              searchIntent,
+              context
+            )
+        )
+      );
+
+    return this.aggregate(
+      settled,
+      "PROVIDER_SEARCH_EXCEPTION"
+    );
+  }
+
+  /**
+   * Look up registration numbers at every configured provider.
+   *
+   * Same aggregate contract as search(). Providers without lookup
+   * support report "unsupported" and are treated as degraded.
+   *
+   * @param {Array<string>} registrationIds
+   * @returns {Promise<Object>}
+   */
+  async lookupRegistrations(
+    registrationIds = []
+  ) {
+
+    const settled =
+      await Promise.allSettled(
+        this.services.map(
+          service =>
+            service.lookupRegistrations(
+              registrationIds
+            )
+        )
+      );
+
+    return this.aggregate(
+      settled,
+      "PROVIDER_LOOKUP_EXCEPTION"
+    );
+  }
+
+  /**
+   * Combine settled per-provider outcomes, in provider order.
+   *
+   * @param {Array<Object>} settled
+   * Promise.allSettled() outcomes.
+   * @param {string} exceptionErrorType
+   * errorType recorded for a provider that threw.
+   * @returns {Object}
+   */
+  aggregate(
+    settled,
+    exceptionErrorType
+  ) {
+
+    const providerResults =
+      settled.map(
+        (outcome, index) => {
+
+          const service =
+            this.services[index];
+
+          if (
+            outcome.status ===
+            "rejected"
+          ) {
+
+            return {
+
+              provider:
+                service.getProviderName(),
+
+              providerStatus:
+                "unavailable",
+
+              httpStatus:
+                null,
+
+              errorType:
+                outcome.reason?.name ||
+                exceptionErrorType,
+
+              errorMessage:
+                outcome.reason?.message ||
+                "Unknown provider error",
+
+              records:
+                []
+            };
+          }
+
+          const response =
+            outcome.value;
+
+          return {
+
+            provider:
+              response.provider ||
+              service.getProviderName(),
+
+            providerStatus:
+              response.providerStatus,
+
+            httpStatus:
+              response.httpStatus ??
+              null,
+
+            errorType:
+              response.errorType ||
+              null,
+
+            errorMessage:
+              response.errorMessage ||
+              null,
+
+            records:
+              response.records,
+
+            // Registration numbers a lookup did not find.
+            ...(
+              Array.isArray(
+                response.missing
+              )
+                ? {
+                    missing:
+                      response.missing
+                  }
+                : {}
+            )
+          };
+        }
+      );
+
+    const completed =
+      providerResults.filter(
+        result =>
+          !FAILED_PROVIDER_STATUSES.includes(
+            result.providerStatus
+          )
+      );
+
+    const degradedProviders =
+      providerResults
+        .filter(
+          result =>
+            FAILED_PROVIDER_STATUSES.includes(
+              result.providerStatus
+            )
+        )
+        .map(
+          result => ({
+            provider:
+              result.provider,
+
+            providerStatus:
+              result.providerStatus,
+
+            errorType:
+              result.errorType
+          })
+        );
+
+    // ------------------------------------------------------------------------
+    // ALL PROVIDERS FAILED
+    //
+    // Report the preferred provider's failure so the caller sees the
+    // same status a single-provider search would have returned.
+    // ------------------------------------------------------------------------
+
+    if (
+      completed.length === 0
+    ) {
+
+      const [primary] =
+        providerResults;
+
+      return {
+
+        providerStatus:
+          primary.providerStatus,
+
+        provider:
+          primary.provider,
+
+        httpStatus:
+          primary.httpStatus,
+
+        errorType:
+          primary.errorType ||
+          "HTTP_ERROR",
+
+        providerResults,
+
+        degradedProviders,
+
+        fallbackApplied:
+          false,
+
+        records:
+          []
+      };
+    }
+
+    const records =
+      completed.flatMap(
+        result =>
+          result.records
+      );
+
+    return {
+
+      providerStatus:
+        records.length > 0
+          ? "success"
+          : "empty",
+
+      provider:
+        completed[0].provider,
+
+      httpStatus:
+        completed[0].httpStatus,
+
+      errorType:
+        null,
+
+      providerResults,
+
+      degradedProviders,
+
+      /*
+       * True when a preferred provider failed and a later provider
+       * supplied the completed search.
+       */
+      fallbackApplied:
+        degradedProviders.length > 0,
+
+      records
+    };
+  }
+
+  /**
+   * Return the underlying provider instances in preference order.
+   *
+   * @returns {Array<Object>}
+   */
+  getProviders() {
+
+    return this.services.map(
+      service =>
+        service.getProvider()
+    );
+  }
+}
+
+module.exports = {
+  RegistryFanOutService,
+  FAILED_PROVIDER_STATUSES
+};
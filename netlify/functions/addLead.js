@@ -1,5 +1,7 @@
 // netlify/functions/addLead.js
 
+const { getDefaultEntityResolver } = require("./merge/EntityResolver");
+
 let leads = []; // Temporary storage
 
 exports.handler = async function(event, context) {
@@ -25,6 +27,20 @@ exports.handler = async function(event, context) {
       status: "Prospect"
     };
 
+    // Link to the same business from the lead pipelines, if known.
+    // A resolution failure still saves the lead.
+    try {
+      const resolution = getDefaultEntityResolver().resolve(
+        [{ company: newLead.company, id: newLead.id }],
+        { source: "addLead" }
+      );
+
+      newLead.canonicalLeadId = resolution.records[0].canonicalLeadId;
+    } catch (resolutionErr) {
+      console.warn("Entity resolution failed:", resolutionErr.message);
+      newLead.canonicalLeadId = null;
+    }
+
     // Add the lead to the array
     leads.push(newLead);
 
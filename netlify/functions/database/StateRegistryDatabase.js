@@ -0,0 +1,3227 @@
+/**
+ * StateRegistryDatabase
+ *
+ * Local database abstraction for an official state business-registry
+ * bulk dataset. One database file per jurisdiction; tables are
+ * prefixed with the jurisdiction's tablePrefix (florida_entities,
+ * texas_entities, ...).
+ *
+ * RESPONSIBILITY:
+ * - Store normalized registry observations for one jurisdiction.
+ * - Query locally ingested registry records.
+ * - Bulk-upsert official registry records.
+ * - Log per-entity changes detected during upserts.
+ * - Mark entities missing from a full snapshot inactive.
+ * - Rank company-name matches with an FTS5 index over normalized
+ *   names.
+ * - Filter by county and ZIP radius through the jurisdiction's
+ *   gazetteer, when it has one. Records are placed at their ZIP
+ *   centroid.
+ * - Keep every version of each entity with valid-from / valid-to
+ *   ranges so registry facts can be queried as of a past date.
+ * - Persist ingestion checkpoints so interrupted files can resume.
+ * - Preserve dataset provenance.
+ *
+ * DOES NOT:
+ * - Fetch registries interactively.
+ * - Scrape websites.
+ * - Parse natural-language searches.
+ * - Determine industry classification.
+ * - Perform enrichment.
+ * - Score prospects.
+ * - Qualify leads.
+ * - Write to the Evidence Ledger.
+ *
+ * ARCHITECTURE:
+ *
+ * Official State Data
+ *        ↓
+ * StateRegistryIngestionService (FloridaIngestionService, ...)
+ *        ↓
+ * StateRegistryDatabase (FloridaRegistryDatabase, ...)
+ *        ↓
+ * StateRegistryProvider (OfficialFloridaProvider, ...)
+ *        ↓
+ * RegistryAcquisitionService
+ *        ↓
+ * SearchIntent
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const {
+  normalizeCompanyName,
+  normalizeCompanyNameTokens
+} = require("../source/CompanyNameNormalizer.js");
+
+const {
+  FloridaGazetteer
+} = require("../geography/FloridaGazetteer.js");
+
+const {
+  normalizeRegistryStatus
+} = require("../source/StateJurisdictions.js");
+
+/*
+ * Change types written to the <prefix>_entity_changes table.
+ */
+const ENTITY_CHANGE_TYPES = {
+  NEW: "new",
+  STATUS_CHANGED: "status_changed",
+  ADDRESS_CHANGED: "address_changed",
+  DISSOLVED: "dissolved",
+  ABSENT_FROM_SNAPSHOT: "absent_from_snapshot"
+};
+
+/*
+ * Status written for an entity a full snapshot no longer lists. Every
+ * jurisdiction's statusMap maps it to INACTIVE.
+ */
+const ABSENT_FROM_SNAPSHOT_STATUS =
+  "INACTIVE";
+
+/*
+ * Entity columns copied into the <prefix>_entity_versions table.
+ *
+ * A new version is opened when any value other than the source
+ * metadata changes.
+ */
+const VERSIONED_COLUMNS = [
+  "company_name",
+  "entity_type",
+  "status",
+  "filing_date",
+  "principal_address_line1",
+  "principal_address_line2",
+  "principal_city",
+  "principal_state",
+  "principal_zip",
+  "mailing_address_line1",
+  "mailing_address_line2",
+  "mailing_city",
+  "mailing_state",
+  "mailing_zip",
+  "registered_agent_name"
+];
+
+const VERSION_SOURCE_COLUMNS = [
+  "source_file",
+  "source_type",
+  "source_retrieved_at",
+  "record_updated_at"
+];
+
+/*
+ * Principal address columns compared for address_changed.
+ */
+const PRINCIPAL_ADDRESS_FIELDS = {
+  line1:
+    "principalAddressLine1",
+  line2:
+    "principalAddressLine2",
+  city:
+    "principalCity",
+  state:
+    "principalState",
+  zip:
+    "principalZip"
+};
+
+const TABLE_PREFIX_PATTERN =
+  /^[a-z][a-z0-9_]*$/;
+
+class StateRegistryDatabase {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.jurisdiction
+   * Jurisdiction definition from source/StateJurisdictions.js.
+   * @param {string} [options.databasePath]
+   * Defaults to the jurisdiction's databasePathEnv, then
+   * ./data/<defaultDatabaseFile>.
+   */
+  constructor({
+    jurisdiction,
+    databasePath
+  } = {}) {
+
+    if (
+      !jurisdiction ||
+      !/^[A-Z]{2}$/.test(jurisdiction.code || "") ||
+      !TABLE_PREFIX_PATTERN.test(jurisdiction.tablePrefix || "")
+    ) {
+
+      throw new Error(
+        "StateRegistryDatabase requires a jurisdiction with a two-letter code and a lowercase tablePrefix."
+      );
+    }
+
+    this.name =
+      this.constructor.name;
+
+    this.jurisdiction =
+      jurisdiction;
+
+    this.tablePrefix =
+      jurisdiction.tablePrefix;
+
+    /*
+     * Table names are interpolated into SQL. tablePrefix is validated
+     * above and never comes from request input.
+     */
+    this.tables = {
+
+      entities:
+        `${this.tablePrefix}_entities`,
+
+      versions:
+        `${this.tablePrefix}_entity_versions`,
+
+      changes:
+        `${this.tablePrefix}_entity_changes`,
+
+      fts:
+        `${this.tablePrefix}_entities_fts`
+    };
+
+    this.gazetteer =
+      typeof jurisdiction.getGazetteer === "function"
+        ? jurisdiction.getGazetteer()
+        : null;
+
+    this.databasePath =
+      databasePath ||
+      process.env[jurisdiction.databasePathEnv] ||
+      path.join(
+        process.cwd(),
+        "data",
+        jurisdiction.defaultDatabaseFile ||
+          `${this.tablePrefix}-registry.db`
+      );
+
+    const databaseDirectory =
+      path.dirname(
+        this.databasePath
+      );
+
+    fs.mkdirSync(
+      databaseDirectory,
+      {
+        recursive: true
+      }
+    );
+
+    this.db =
+      new Database(
+        this.databasePath
+      );
+
+    this.db.pragma(
+      "journal_mode = WAL"
+    );
+
+    this.db.pragma(
+      "foreign_keys = ON"
+    );
+
+    this.initializeSchema();
+
+    this.prepareStatements();
+  }
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  initializeSchema() {
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.tables.entities} (
+
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        registration_id TEXT NOT NULL UNIQUE,
+
+        company_name TEXT NOT NULL,
+
+        entity_type TEXT,
+
+        status TEXT,
+
+        filing_date TEXT,
+
+        principal_address_line1 TEXT,
+
+        principal_address_line2 TEXT,
+
+        principal_city TEXT,
+
+        principal_state TEXT,
+
+        principal_zip TEXT,
+
+        mailing_address_line1 TEXT,
+
+        mailing_address_line2 TEXT,
+
+        mailing_city TEXT,
+
+        mailing_state TEXT,
+
+        mailing_zip TEXT,
+
+        registered_agent_name TEXT,
+
+        source_file TEXT,
+
+        source_type TEXT NOT NULL
+          DEFAULT 'official_state_dataset',
+
+        source_retrieved_at TEXT,
+
+        record_updated_at TEXT,
+
+        created_at TEXT NOT NULL,
+
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_name
+      ON ${this.tables.entities}(company_name);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_status
+      ON ${this.tables.entities}(status);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_principal_city
+      ON ${this.tables.entities}(principal_city);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_principal_state
+      ON ${this.tables.entities}(principal_state);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_principal_zip
+      ON ${this.tables.entities}(principal_zip);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_mailing_city
+      ON ${this.tables.entities}(mailing_city);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_mailing_state
+      ON ${this.tables.entities}(mailing_state);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entities_mailing_zip
+      ON ${this.tables.entities}(mailing_zip);
+
+      CREATE TABLE IF NOT EXISTS ingestion_manifests (
+
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        source TEXT NOT NULL,
+
+        acquisition_type TEXT NOT NULL,
+
+        source_file TEXT NOT NULL,
+
+        source_file_sha256 TEXT,
+
+        file_size_bytes INTEGER,
+
+        retrieved_at TEXT NOT NULL,
+
+        lines_read INTEGER NOT NULL DEFAULT 0,
+
+        valid_records INTEGER NOT NULL DEFAULT 0,
+
+        rejected_records INTEGER NOT NULL DEFAULT 0,
+
+        records_ingested INTEGER NOT NULL DEFAULT 0,
+
+        execution_time_seconds REAL,
+
+        status TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_ingestion_manifests_source_file
+      ON ingestion_manifests(source_file);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_ingestion_manifests_retrieved_at
+      ON ingestion_manifests(retrieved_at);
+
+      /*
+       * One row per source file, keyed by content hash.
+       *
+       * Updated in the same transaction as each upserted batch, so
+       * last_committed_line never runs ahead of committed records.
+       */
+      CREATE TABLE IF NOT EXISTS ingestion_checkpoints (
+
+        source_file_sha256 TEXT PRIMARY KEY,
+
+        source_file TEXT NOT NULL,
+
+        acquisition_type TEXT NOT NULL,
+
+        last_committed_line INTEGER NOT NULL DEFAULT 0,
+
+        lines_read INTEGER NOT NULL DEFAULT 0,
+
+        valid_records INTEGER NOT NULL DEFAULT 0,
+
+        rejected_records INTEGER NOT NULL DEFAULT 0,
+
+        records_ingested INTEGER NOT NULL DEFAULT 0,
+
+        status TEXT NOT NULL,
+
+        started_at TEXT NOT NULL,
+
+        updated_at TEXT NOT NULL,
+
+        completed_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS ${this.tables.changes} (
+
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        registration_id TEXT NOT NULL,
+
+        change_type TEXT NOT NULL,
+
+        previous_value TEXT,
+
+        current_value TEXT,
+
+        source_file TEXT,
+
+        source_file_sha256 TEXT,
+
+        detected_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_changes_registration_id
+      ON ${this.tables.changes}(registration_id);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_changes_change_type
+      ON ${this.tables.changes}(change_type);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_changes_source_file_sha256
+      ON ${this.tables.changes}(source_file_sha256);
+
+      /*
+       * Entity versions.
+       *
+       * Exactly one version per registration_id has valid_to NULL:
+       * the one mirrored by the entities table. valid_to of a closed
+       * version equals valid_from of its successor.
+       */
+      CREATE TABLE IF NOT EXISTS ${this.tables.versions} (
+
+        version_id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        registration_id TEXT NOT NULL,
+
+        ${VERSIONED_COLUMNS.concat(VERSION_SOURCE_COLUMNS)
+          .map(column => `${column} TEXT,`)
+          .join("\n\n        ")}
+
+        valid_from TEXT NOT NULL,
+
+        valid_to TEXT,
+
+        manifest_id INTEGER
+          REFERENCES ingestion_manifests(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_versions_registration_id
+      ON ${this.tables.versions}(registration_id, valid_from);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_versions_validity
+      ON ${this.tables.versions}(valid_from, valid_to);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_${this.tablePrefix}_entity_versions_manifest_id
+      ON ${this.tables.versions}(manifest_id);
+    `);
+
+    /*
+     * Columns added after the original manifest schema.
+     */
+    this.ensureColumn(
+      "ingestion_manifests",
+      "resumed_from_line",
+      "INTEGER NOT NULL DEFAULT 0"
+    );
+
+    this.ensureColumn(
+      "ingestion_manifests",
+      "change_summary",
+      "TEXT"
+    );
+
+    this.ensureColumn(
+      "ingestion_checkpoints",
+      "manifest_id",
+      "INTEGER"
+    );
+
+    this.ensureColumn(
+      this.tables.entities,
+      "normalized_name",
+      "TEXT"
+    );
+
+    /*
+     * SHA-256 of the last ingested file that listed the entity, for
+     * full-snapshot absence detection.
+     */
+    this.ensureColumn(
+      this.tables.entities,
+      "last_seen_file_sha256",
+      "TEXT"
+    );
+
+    this.initializeNameIndex();
+
+    this.backfillEntityVersions();
+  }
+
+  /**
+   * Create the FTS5 company-name index.
+   *
+   * <prefix>_entities_fts is an external-content table over
+   * <prefix>_entities.normalized_name, kept in sync by triggers.
+   * normalized_name is produced by CompanyNameNormalizer (suffixes
+   * stripped, tokens stemmed), so the index and queries agree on
+   * "contractors" / "contracting".
+   */
+  initializeNameIndex() {
+
+    const indexExists =
+      this.db
+        .prepare(`
+          SELECT 1
+          FROM sqlite_master
+          WHERE type = 'table'
+            AND name = '${this.tables.fts}'
+        `)
+        .get();
+
+    const backfilled =
+      this.backfillNormalizedNames();
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS
+        ${this.tables.fts}
+      USING fts5(
+        normalized_name,
+        content = '${this.tables.entities}',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS
+        ${this.tables.fts}_insert
+      AFTER INSERT ON ${this.tables.entities}
+      BEGIN
+        INSERT INTO ${this.tables.fts} (
+          rowid,
+          normalized_name
+        )
+        VALUES (
+          new.id,
+          new.normalized_name
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS
+        ${this.tables.fts}_delete
+      AFTER DELETE ON ${this.tables.entities}
+      BEGIN
+        INSERT INTO ${this.tables.fts} (
+          ${this.tables.fts},
+          rowid,
+          normalized_name
+        )
+        VALUES (
+          'delete',
+          old.id,
+          old.normalized_name
+        );
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS
+        ${this.tables.fts}_update
+      AFTER UPDATE OF normalized_name ON ${this.tables.entities}
+      BEGIN
+        INSERT INTO ${this.tables.fts} (
+          ${this.tables.fts},
+          rowid,
+          normalized_name
+        )
+        VALUES (
+          'delete',
+          old.id,
+          old.normalized_name
+        );
+
+        INSERT INTO ${this.tables.fts} (
+          rowid,
+          normalized_name
+        )
+        VALUES (
+          new.id,
+          new.normalized_name
+        );
+      END;
+    `);
+
+    /*
+     * Index rows stored before the name index existed, or whose
+     * normalized names were just backfilled.
+     */
+    if (
+      !indexExists ||
+      backfilled > 0
+    ) {
+
+      this.db.exec(`
+        INSERT INTO ${this.tables.fts} (
+          ${this.tables.fts}
+        )
+        VALUES (
+          'rebuild'
+        )
+      `);
+    }
+  }
+
+  /**
+   * Fill normalized_name for rows stored before the column existed.
+   *
+   * @returns {number}
+   * Rows updated.
+   */
+  backfillNormalizedNames() {
+
+    const rows =
+      this.db
+        .prepare(`
+          SELECT id, company_name
+          FROM ${this.tables.entities}
+          WHERE normalized_name IS NULL
+        `)
+        .all();
+
+    if (
+      rows.length === 0
+    ) {
+      return 0;
+    }
+
+    const update =
+      this.db.prepare(`
+        UPDATE ${this.tables.entities}
+        SET normalized_name = @normalizedName
+        WHERE id = @id
+      `);
+
+    this.db.transaction(
+      () => {
+
+        for (
+          const row of rows
+        ) {
+
+          update.run({
+
+            id:
+              row.id,
+
+            normalizedName:
+              normalizeCompanyName(
+                row.company_name
+              )
+          });
+        }
+      }
+    )();
+
+    return rows.length;
+  }
+
+  /**
+   * Open a first version for entities stored before version tracking
+   * existed.
+   *
+   * Runs only while the version table is empty. valid_from is the
+   * row's updated_at: earlier values were never recorded.
+   */
+  backfillEntityVersions() {
+
+    const hasVersions =
+      this.db
+        .prepare(
+          `SELECT 1 FROM ${this.tables.versions} LIMIT 1`
+        )
+        .get();
+
+    if (hasVersions) {
+      return;
+    }
+
+    const columns =
+      VERSIONED_COLUMNS.concat(
+        VERSION_SOURCE_COLUMNS
+      );
+
+    this.db.exec(`
+      INSERT INTO ${this.tables.versions} (
+        registration_id,
+        ${columns.join(", ")},
+        valid_from,
+        valid_to,
+        manifest_id
+      )
+      SELECT
+        registration_id,
+        ${columns.join(", ")},
+        updated_at,
+        NULL,
+        NULL
+      FROM ${this.tables.entities}
+    `);
+  }
+
+  /**
+   * Add a column to an existing table when an older database file
+   * predates it.
+   *
+   * @param {string} table
+   * @param {string} column
+   * @param {string} definition
+   */
+  ensureColumn(
+    table,
+    column,
+    definition
+  ) {
+
+    const exists =
+      this.db
+        .prepare(
+          `PRAGMA table_info(${table})`
+        )
+        .all()
+        .some(
+          info =>
+            info.name === column
+        );
+
+    if (!exists) {
+
+      this.db.exec(
+        `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`
+      );
+    }
+  }
+
+  // ==========================================================================
+  // PREPARED STATEMENTS
+  // ==========================================================================
+
+  prepareStatements() {
+
+    this.upsertStatement =
+      this.db.prepare(`
+        INSERT INTO ${this.tables.entities} (
+
+          registration_id,
+          company_name,
+          normalized_name,
+          entity_type,
+          status,
+          filing_date,
+
+          principal_address_line1,
+          principal_address_line2,
+          principal_city,
+          principal_state,
+          principal_zip,
+
+          mailing_address_line1,
+          mailing_address_line2,
+          mailing_city,
+          mailing_state,
+          mailing_zip,
+
+          registered_agent_name,
+
+          source_file,
+          source_type,
+          source_retrieved_at,
+          record_updated_at,
+
+          created_at,
+          updated_at
+
+        )
+
+        VALUES (
+
+          @registrationId,
+          @companyName,
+          @normalizedName,
+          @entityType,
+          @status,
+          @filingDate,
+
+          @principalAddressLine1,
+          @principalAddressLine2,
+          @principalCity,
+          @principalState,
+          @principalZip,
+
+          @mailingAddressLine1,
+          @mailingAddressLine2,
+          @mailingCity,
+          @mailingState,
+          @mailingZip,
+
+          @registeredAgentName,
+
+          @sourceFile,
+          @sourceType,
+          @sourceRetrievedAt,
+          @recordUpdatedAt,
+
+          @createdAt,
+          @updatedAt
+
+        )
+
+        ON CONFLICT(registration_id)
+        DO UPDATE SET
+
+          company_name =
+            excluded.company_name,
+
+          normalized_name =
+            excluded.normalized_name,
+
+          entity_type =
+            excluded.entity_type,
+
+          status =
+            excluded.status,
+
+          filing_date =
+            excluded.filing_date,
+
+          principal_address_line1 =
+            excluded.principal_address_line1,
+
+          principal_address_line2 =
+            excluded.principal_address_line2,
+
+          principal_city =
+            excluded.principal_city,
+
+          principal_state =
+            excluded.principal_state,
+
+          principal_zip =
+            excluded.principal_zip,
+
+          mailing_address_line1 =
+            excluded.mailing_address_line1,
+
+          mailing_address_line2 =
+            excluded.mailing_address_line2,
+
+          mailing_city =
+            excluded.mailing_city,
+
+          mailing_state =
+            excluded.mailing_state,
+
+          mailing_zip =
+            excluded.mailing_zip,
+
+          registered_agent_name =
+            excluded.registered_agent_name,
+
+          source_file =
+            excluded.source_file,
+
+          source_type =
+            excluded.source_type,
+
+          source_retrieved_at =
+            excluded.source_retrieved_at,
+
+          record_updated_at =
+            excluded.record_updated_at,
+
+          updated_at =
+            excluded.updated_at
+      `);
+
+    this.selectEntityStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM ${this.tables.entities}
+        WHERE registration_id = ?
+      `);
+
+    this.openVersionStatement =
+      this.db.prepare(`
+        INSERT INTO ${this.tables.versions} (
+          registration_id,
+          ${VERSIONED_COLUMNS.concat(VERSION_SOURCE_COLUMNS).join(", ")},
+          valid_from,
+          valid_to,
+          manifest_id
+        )
+        VALUES (
+          @registration_id,
+          ${VERSIONED_COLUMNS.concat(VERSION_SOURCE_COLUMNS)
+            .map(column => `@${column}`)
+            .join(", ")},
+          @validFrom,
+          NULL,
+          @manifestId
+        )
+      `);
+
+    this.closeVersionStatement =
+      this.db.prepare(`
+        UPDATE ${this.tables.versions}
+        SET valid_to = @validTo
+        WHERE registration_id = @registrationId
+          AND valid_to IS NULL
+      `);
+
+    this.markSeenStatement =
+      this.db.prepare(`
+        UPDATE ${this.tables.entities}
+        SET last_seen_file_sha256 = @sourceFileSha256
+        WHERE registration_id = @registrationId
+      `);
+
+    this.unseenEntitiesStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM ${this.tables.entities}
+        WHERE last_seen_file_sha256 IS NULL
+          OR last_seen_file_sha256 != ?
+      `);
+
+    this.deactivateEntityStatement =
+      this.db.prepare(`
+        UPDATE ${this.tables.entities}
+        SET
+          status = @status,
+          updated_at = @updatedAt
+        WHERE registration_id = @registrationId
+      `);
+
+    this.entityHistoryStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM ${this.tables.versions}
+        WHERE registration_id = ?
+        ORDER BY valid_from ASC, version_id ASC
+      `);
+
+    this.insertChangeStatement =
+      this.db.prepare(`
+        INSERT INTO ${this.tables.changes} (
+
+          registration_id,
+          change_type,
+          previous_value,
+          current_value,
+          source_file,
+          source_file_sha256,
+          detected_at
+
+        )
+
+        VALUES (
+
+          @registrationId,
+          @changeType,
+          @previousValue,
+          @currentValue,
+          @sourceFile,
+          @sourceFileSha256,
+          @detectedAt
+
+        )
+      `);
+
+    this.upsertBatchTransaction =
+      this.db.transaction(
+        (records, changeSource = {}) => {
+
+          let affected =
+            0;
+
+          const changeCounts = {};
+
+          for (
+            const record of records
+          ) {
+
+            const databaseRecord =
+              this.toDatabaseRecord(
+                record
+              );
+
+            const existingRow =
+              this.selectEntityStatement.get(
+                databaseRecord.registrationId
+              );
+
+            const changes =
+              this.detectChanges(
+                existingRow,
+                databaseRecord
+              );
+
+            for (
+              const change of changes
+            ) {
+
+              this.insertChangeStatement.run({
+
+                registrationId:
+                  databaseRecord.registrationId,
+
+                changeType:
+                  change.changeType,
+
+                previousValue:
+                  change.previousValue === null
+                    ? null
+                    : JSON.stringify(
+                        change.previousValue
+                      ),
+
+                currentValue:
+                  change.currentValue === null
+                    ? null
+                    : JSON.stringify(
+                        change.currentValue
+                      ),
+
+                sourceFile:
+                  changeSource.sourceFile ||
+                  databaseRecord.sourceFile,
+
+                sourceFileSha256:
+                  changeSource.sourceFileSha256 ||
+                  null,
+
+                detectedAt:
+                  databaseRecord.updatedAt
+              });
+
+              changeCounts[change.changeType] =
+                (changeCounts[change.changeType] || 0) + 1;
+            }
+
+            this.writeVersion(
+              existingRow,
+              databaseRecord,
+              changeSource.manifestId ||
+                null
+            );
+
+            this.upsertStatement.run(
+              databaseRecord
+            );
+
+            if (changeSource.sourceFileSha256) {
+
+              this.markSeenStatement.run({
+
+                registrationId:
+                  databaseRecord.registrationId,
+
+                sourceFileSha256:
+                  changeSource.sourceFileSha256
+              });
+            }
+
+            affected++;
+          }
+
+          return {
+            affected,
+            changeCounts
+          };
+        }
+      );
+
+    this.beginCheckpointStatement =
+      this.db.prepare(`
+        INSERT INTO ingestion_checkpoints (
+
+          source_file_sha256,
+          source_file,
+          acquisition_type,
+          status,
+          started_at,
+          updated_at
+
+        )
+
+        VALUES (
+
+          @sourceFileSha256,
+          @sourceFile,
+          @acquisitionType,
+          'in_progress',
+          @now,
+          @now
+
+        )
+
+        ON CONFLICT(source_file_sha256)
+        DO NOTHING
+      `);
+
+    this.selectCheckpointStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM ingestion_checkpoints
+        WHERE source_file_sha256 = ?
+      `);
+
+    this.advanceCheckpointStatement =
+      this.db.prepare(`
+        UPDATE ingestion_checkpoints
+        SET
+          last_committed_line = @lastCommittedLine,
+          lines_read = @linesRead,
+          valid_records = @validRecords,
+          rejected_records = @rejectedRecords,
+          records_ingested = records_ingested + @recordsIngested,
+          updated_at = @now
+        WHERE source_file_sha256 = @sourceFileSha256
+      `);
+
+    this.restartCheckpointStatement =
+      this.db.prepare(`
+        UPDATE ingestion_checkpoints
+        SET
+          acquisition_type = @acquisitionType,
+          last_committed_line = 0,
+          lines_read = 0,
+          valid_records = 0,
+          rejected_records = 0,
+          records_ingested = 0,
+          status = 'in_progress',
+          started_at = @now,
+          updated_at = @now,
+          completed_at = NULL,
+          manifest_id = NULL
+        WHERE source_file_sha256 = @sourceFileSha256
+      `);
+
+    this.linkCheckpointManifestStatement =
+      this.db.prepare(`
+        UPDATE ingestion_checkpoints
+        SET manifest_id = @manifestId
+        WHERE source_file_sha256 = @sourceFileSha256
+      `);
+
+    this.completeCheckpointStatement =
+      this.db.prepare(`
+        UPDATE ingestion_checkpoints
+        SET
+          status = 'completed',
+          updated_at = @now,
+          completed_at = @now
+        WHERE source_file_sha256 = @sourceFileSha256
+      `);
+
+    /*
+     * Upsert one batch and advance its file checkpoint atomically.
+     */
+    this.checkpointedBatchTransaction =
+      this.db.transaction(
+        (records, checkpoint) => {
+
+          const result =
+            this.upsertBatchTransaction(
+              records,
+              checkpoint
+            );
+
+          this.advanceCheckpointStatement.run({
+
+            sourceFileSha256:
+              checkpoint.sourceFileSha256,
+
+            lastCommittedLine:
+              checkpoint.lastCommittedLine,
+
+            linesRead:
+              checkpoint.linesRead,
+
+            validRecords:
+              checkpoint.validRecords,
+
+            rejectedRecords:
+              checkpoint.rejectedRecords,
+
+            recordsIngested:
+              result.affected,
+
+            now:
+              new Date().toISOString()
+          });
+
+          return result;
+        }
+      );
+
+    this.changeSummaryStatement =
+      this.db.prepare(`
+        SELECT
+          change_type,
+          COUNT(*) AS change_count
+        FROM ${this.tables.changes}
+        WHERE source_file_sha256 = ?
+        GROUP BY change_type
+      `);
+
+    this.entityChangesStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM ${this.tables.changes}
+        WHERE registration_id = ?
+        ORDER BY id ASC
+      `);
+
+    this.recordManifestStatement =
+      this.db.prepare(`
+        INSERT INTO ingestion_manifests (
+
+          source,
+          acquisition_type,
+          source_file,
+          source_file_sha256,
+          file_size_bytes,
+          retrieved_at,
+          lines_read,
+          valid_records,
+          rejected_records,
+          records_ingested,
+          execution_time_seconds,
+          status,
+          resumed_from_line,
+          change_summary
+
+        )
+
+        VALUES (
+
+          @source,
+          @acquisitionType,
+          @sourceFile,
+          @sourceFileSha256,
+          @fileSizeBytes,
+          @retrievedAt,
+          @linesRead,
+          @validRecords,
+          @rejectedRecords,
+          @recordsIngested,
+          @executionTimeSeconds,
+          @status,
+          @resumedFromLine,
+          @changeSummary
+
+        )
+      `);
+
+    this.updateManifestStatement =
+      this.db.prepare(`
+        UPDATE ingestion_manifests
+        SET
+          source = @source,
+          acquisition_type = @acquisitionType,
+          source_file = @sourceFile,
+          source_file_sha256 = @sourceFileSha256,
+          file_size_bytes = @fileSizeBytes,
+          retrieved_at = @retrievedAt,
+          lines_read = @linesRead,
+          valid_records = @validRecords,
+          rejected_records = @rejectedRecords,
+          records_ingested = @recordsIngested,
+          execution_time_seconds = @executionTimeSeconds,
+          status = @status,
+          resumed_from_line = @resumedFromLine,
+          change_summary = @changeSummary
+        WHERE id = @manifestId
+      `);
+  }
+
+  // ==========================================================================
+  // SEARCH
+  // ==========================================================================
+
+  /**
+   * Search ingested registry records.
+   *
+   * @param {Object} searchIntent
+   * @param {Object} [options]
+   * @param {string} [options.asOf]
+   * ISO-8601 timestamp. When set, entity versions valid at that moment
+   * are searched instead of the current rows.
+   * @returns {Promise<Array<Object>>}
+   */
+  async search(
+    searchIntent,
+    {
+      asOf = null
+    } = {}
+  ) {
+
+    if (
+      !searchIntent ||
+      typeof searchIntent !== "object" ||
+      Array.isArray(searchIntent)
+    ) {
+
+      throw new Error(
+        `${this.name}.search requires a SearchIntent.`
+      );
+    }
+
+    const geography =
+      searchIntent.geography || {};
+
+    const industry =
+      searchIntent.industry || {};
+
+    const state =
+      String(
+        geography.state || ""
+      )
+        .trim()
+        .toUpperCase();
+
+    if (
+      state !== this.jurisdiction.code
+    ) {
+      return [];
+    }
+
+    const limit =
+      Math.min(
+        Math.max(
+          Number.parseInt(
+            searchIntent.limit,
+            10
+          ) || 10,
+          1
+        ),
+        50
+      );
+
+    const conditions = [
+
+      `(
+        UPPER(principal_state) = @state
+        OR
+        UPPER(mailing_state) = @state
+      )`
+
+    ];
+
+    const parameters = {
+      state
+    };
+
+    // ------------------------------------------------------------------------
+    // POINT IN TIME
+    // ------------------------------------------------------------------------
+
+    let sourceTable =
+      this.tables.entities;
+
+    let versionColumns =
+      "";
+
+    if (asOf) {
+
+      const asOfDate =
+        new Date(asOf);
+
+      if (
+        Number.isNaN(
+          asOfDate.getTime()
+        )
+      ) {
+
+        throw new Error(
+          `${this.name}.search received an invalid asOf value: ${asOf}`
+        );
+      }
+
+      sourceTable =
+        this.tables.versions;
+
+      versionColumns = `,
+
+        version_id,
+        valid_from,
+        valid_to,
+        manifest_id`;
+
+      conditions.push(`
+        (
+          valid_from <= @asOf
+          AND
+          (
+            valid_to IS NULL
+            OR
+            valid_to > @asOf
+          )
+        )
+      `);
+
+      parameters.asOf =
+        asOfDate.toISOString();
+    }
+
+    // ------------------------------------------------------------------------
+    // CITY
+    //
+    // Registry rows spell the same city several ways
+    // ("ST. PETERSBURG", "SAINT PETERSBURG").
+    // ------------------------------------------------------------------------
+
+    if (
+      geography.city
+    ) {
+
+      conditions.push(`
+        (
+          LOWER(TRIM(principal_city)) IN (
+            SELECT value FROM json_each(@cityVariants)
+          )
+
+          OR
+
+          LOWER(TRIM(mailing_city)) IN (
+            SELECT value FROM json_each(@cityVariants)
+          )
+        )
+      `);
+
+      parameters.cityVariants =
+        JSON.stringify(
+          FloridaGazetteer.nameVariants(
+            geography.city
+          )
+        );
+    }
+
+    // ------------------------------------------------------------------------
+    // COUNTY / RADIUS
+    //
+    // Registry rows carry no county or coordinates. Both filters
+    // resolve to a set of ZIP codes through the gazetteer. County only
+    // filters when it is the finest area given; a parsed city or ZIP
+    // carries its county for context.
+    // ------------------------------------------------------------------------
+
+    const radius =
+      this.resolveRadius(
+        geography
+      );
+
+    let areaZips =
+      null;
+
+    const countyOnly =
+      Boolean(
+        geography.county &&
+        !geography.city &&
+        !geography.zip
+      );
+
+    if (
+      (radius || countyOnly) &&
+      !this.gazetteer
+    ) {
+
+      throw new Error(
+        `${this.name} cannot filter by county or radius: no ${this.jurisdiction.name} gazetteer is configured.`
+      );
+    }
+
+    if (radius) {
+
+      areaZips =
+        this.gazetteer
+          .zipsWithinRadius(
+            radius.centroid,
+            radius.radiusMiles
+          )
+          .map(
+            entry =>
+              entry.zip
+          );
+
+    } else if (
+      countyOnly
+    ) {
+
+      areaZips =
+        this.gazetteer
+          .zipsForCounty(
+            geography.county
+          );
+    }
+
+    if (areaZips) {
+
+      conditions.push(`
+        (
+          SUBSTR(
+            TRIM(principal_zip),
+            1,
+            5
+          ) IN (
+            SELECT value FROM json_each(@areaZips)
+          )
+
+          OR
+
+          SUBSTR(
+            TRIM(mailing_zip),
+            1,
+            5
+          ) IN (
+            SELECT value FROM json_each(@areaZips)
+          )
+        )
+      `);
+
+      parameters.areaZips =
+        JSON.stringify(
+          areaZips
+        );
+    }
+
+    // ------------------------------------------------------------------------
+    // ZIP
+    // ------------------------------------------------------------------------
+
+    if (
+      geography.zip
+    ) {
+
+      const normalizedZip =
+        String(
+          geography.zip
+        )
+          .trim()
+          .split("-")[0];
+
+      conditions.push(`
+        (
+          SUBSTR(
+            TRIM(principal_zip),
+            1,
+            5
+          ) = @zip
+
+          OR
+
+          SUBSTR(
+            TRIM(mailing_zip),
+            1,
+            5
+          ) = @zip
+        )
+      `);
+
+      parameters.zip =
+        normalizedZip;
+    }
+
+    // ------------------------------------------------------------------------
+    // INDUSTRY DISCOVERY
+    //
+    // IMPORTANT:
+    //
+    // This is a registry-name search only.
+    // It does NOT establish industry classification.
+    // ------------------------------------------------------------------------
+
+    const industryTerms = [
+
+      industry.canonical,
+
+      ...(Array.isArray(
+        industry.keywords
+      )
+        ? industry.keywords
+        : [])
+
+    ]
+      .map(
+        value =>
+          String(
+            value || ""
+          )
+            .trim()
+            .toLowerCase()
+      )
+      .filter(Boolean);
+
+    const uniqueIndustryTerms =
+      [
+        ...new Set(
+          industryTerms
+        )
+      ].slice(0, 10);
+
+    /*
+     * Current rows are searched through the ranked FTS5 name index.
+     * Entity versions are not indexed, so asOf searches keep the
+     * substring match on company_name.
+     */
+    const nameQuery =
+      asOf
+        ? null
+        : this.buildNameQuery(
+            uniqueIndustryTerms
+          );
+
+    if (nameQuery) {
+
+      sourceTable = `
+        ${this.tables.fts}
+        JOIN ${this.tables.entities}
+          ON ${this.tables.entities}.id = ${this.tables.fts}.rowid
+      `;
+
+      conditions.push(`
+        ${this.tables.fts} MATCH @nameQuery
+      `);
+
+      parameters.nameQuery =
+        nameQuery.expression;
+
+    } else if (
+      uniqueIndustryTerms.length > 0
+    ) {
+
+      const industryConditions = [];
+
+      uniqueIndustryTerms
+        .forEach(
+          (term, index) => {
+
+            const parameterName =
+              `industryTerm${index}`;
+
+            industryConditions.push(
+              `
+                LOWER(company_name)
+                LIKE @${parameterName}
+              `
+            );
+
+            parameters[
+              parameterName
+            ] =
+              `%${term}%`;
+          }
+        );
+
+      conditions.push(`
+        (
+          ${industryConditions.join(
+            " OR "
+          )}
+        )
+      `);
+    }
+
+    // ------------------------------------------------------------------------
+    // QUERY
+    // ------------------------------------------------------------------------
+
+    const sql = `
+
+      SELECT
+
+        registration_id,
+        company_name,
+        entity_type,
+        status,
+        filing_date,
+
+        principal_address_line1,
+        principal_address_line2,
+        principal_city,
+        principal_state,
+        principal_zip,
+
+        mailing_address_line1,
+        mailing_address_line2,
+        mailing_city,
+        mailing_state,
+        mailing_zip,
+
+        registered_agent_name,
+
+        source_file,
+        source_type,
+        source_retrieved_at,
+        record_updated_at${versionColumns}${
+          nameQuery
+            ? `,
+
+        ${this.tables.entities}.normalized_name,
+        bm25(${this.tables.fts}) AS match_rank`
+            : ""
+        }
+
+      FROM ${sourceTable}
+
+      WHERE
+        ${conditions.join(" AND ")}
+
+      ORDER BY
+        ${nameQuery ? "match_rank ASC," : ""}
+        company_name ASC
+
+      LIMIT @limit
+
+    `;
+
+    parameters.limit =
+      limit;
+
+    const rows =
+      this.db
+        .prepare(sql)
+        .all(
+          parameters
+        );
+
+    const withGeoMatch =
+      record =>
+        radius
+          ? {
+              ...record,
+
+              geoMatch:
+                this.describeGeoMatch(
+                  record,
+                  radius
+                )
+            }
+          : record;
+
+    if (!nameQuery) {
+
+      return rows.map(
+        row =>
+          withGeoMatch(
+            this.normalizeRecord(
+              row
+            )
+          )
+      );
+    }
+
+    /*
+     * bm25() is lower-is-better and unbounded. Report its negation as
+     * the score, plus the score relative to the best match returned.
+     */
+    const bestScore =
+      rows.length > 0
+        ? -rows[0].match_rank
+        : 0;
+
+    return rows.map(
+      row =>
+        withGeoMatch({
+
+          ...this.normalizeRecord(
+            row
+          ),
+
+          nameMatch:
+            this.describeNameMatch(
+              row,
+              nameQuery,
+              bestScore
+            )
+        })
+    );
+  }
+
+  // ==========================================================================
+  // GEOGRAPHY
+  // ==========================================================================
+
+  /**
+   * Radius constraint from SearchIntent geography, or null.
+   *
+   * @param {Object} geography
+   * @returns {Object|null} { radiusMiles, centroid, center }
+   */
+  resolveRadius(geography) {
+
+    const radiusMiles =
+      Number(
+        geography.radiusMiles
+      );
+
+    if (
+      !geography.radiusMiles ||
+      !Number.isFinite(radiusMiles) ||
+      radiusMiles <= 0 ||
+      !Number.isFinite(geography.centroid?.lat) ||
+      !Number.isFinite(geography.centroid?.lon)
+    ) {
+      return null;
+    }
+
+    return {
+      radiusMiles,
+
+      centroid:
+        geography.centroid,
+
+      center:
+        geography.center ||
+        null
+    };
+  }
+
+  /**
+   * Describe why a record satisfied a radius search: the nearer of its
+   * principal and mailing ZIP centroids.
+   *
+   * @param {Object} record
+   * @param {Object} radius
+   * @returns {Object|null}
+   */
+  describeGeoMatch(
+    record,
+    radius
+  ) {
+
+    const gazetteer =
+      this.gazetteer;
+
+    const candidates = [
+
+      {
+        basis:
+          "principal_zip",
+
+        zip:
+          record.principalAddress.zip
+      },
+
+      {
+        basis:
+          "mailing_zip",
+
+        zip:
+          record.mailingAddress.zip
+      }
+
+    ]
+      .map(
+        candidate => ({
+          ...candidate,
+
+          distanceMiles:
+            candidate.zip
+              ? gazetteer.distanceToZip(
+                  radius.centroid,
+                  candidate.zip
+                )
+              : null
+        })
+      )
+      .filter(
+        candidate =>
+          candidate.distanceMiles !== null &&
+          candidate.distanceMiles <= radius.radiusMiles
+      )
+      .sort(
+        (a, b) =>
+          a.distanceMiles - b.distanceMiles
+      );
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return {
+
+      method:
+        "zip_centroid_radius",
+
+      basis:
+        candidates[0].basis,
+
+      zip:
+        String(
+          candidates[0].zip
+        )
+          .trim()
+          .split("-")[0],
+
+      distanceMiles:
+        Number(
+          candidates[0].distanceMiles.toFixed(2)
+        ),
+
+      radiusMiles:
+        radius.radiusMiles,
+
+      center:
+        radius.center,
+
+      gazetteerVersion:
+        gazetteer.version
+    };
+  }
+
+  // ==========================================================================
+  // NAME MATCHING
+  // ==========================================================================
+
+  /**
+   * Build an FTS5 MATCH expression from search terms.
+   *
+   * Each term is normalized like indexed names. Single-token terms
+   * become prefix queries (roof*); multi-token terms become prefix
+   * phrase queries ("solar contract" *). Terms are OR-ed.
+   *
+   * @param {Array<string>} terms
+   * @returns {Object|null}
+   * { expression, terms: [{ term, tokens }] }, or null when no term
+   * yields a token.
+   */
+  buildNameQuery(terms) {
+
+    const normalizedTerms =
+      terms
+        .map(
+          term => ({
+            term,
+
+            tokens:
+              normalizeCompanyNameTokens(
+                term
+              )
+          })
+        )
+        .filter(
+          item =>
+            item.tokens.length > 0
+        );
+
+    if (
+      normalizedTerms.length === 0
+    ) {
+      return null;
+    }
+
+    /*
+     * Tokens are [a-z0-9] only, so quoting needs no escaping.
+     */
+    const expression =
+      normalizedTerms
+        .map(
+          ({ tokens }) =>
+            tokens.length === 1
+              ? `${tokens[0]}*`
+              : `"${tokens.join(" ")}" *`
+        )
+        .join(" OR ");
+
+    return {
+
+      expression,
+
+      terms:
+        normalizedTerms
+    };
+  }
+
+  describeNameMatch(
+    row,
+    nameQuery,
+    bestScore
+  ) {
+
+    const score =
+      -row.match_rank;
+
+    const nameTokens =
+      String(
+        row.normalized_name || ""
+      ).split(" ");
+
+    const matchedTerms =
+      nameQuery.terms
+        .filter(
+          ({ tokens }) =>
+            tokens.every(
+              token =>
+                nameTokens.some(
+                  nameToken =>
+                    nameToken.startsWith(
+                      token
+                    )
+                )
+            )
+        )
+        .map(
+          ({ term }) =>
+            term
+        );
+
+    return {
+
+      method:
+        "fts5_bm25",
+
+      query:
+        nameQuery.expression,
+
+      matchedTerms,
+
+      normalizedName:
+        row.normalized_name ||
+        null,
+
+      score:
+        Number(
+          score.toPrecision(6)
+        ),
+
+      relativeScore:
+        bestScore > 0
+          ? Number(
+              (score / bestScore).toFixed(4)
+            )
+          : null
+    };
+  }
+
+  // ==========================================================================
+  // NORMALIZATION
+  // ==========================================================================
+
+  normalizeRecord(row) {
+
+    return {
+
+      registrationId:
+        row.registration_id ||
+        null,
+
+      companyName:
+        row.company_name ||
+        null,
+
+      entityType:
+        row.entity_type ||
+        null,
+
+      status:
+        row.status ||
+        "UNKNOWN",
+
+      formationDate:
+        row.filing_date ||
+        null,
+
+      principalAddress: {
+
+        line1:
+          row.principal_address_line1 ||
+          null,
+
+        line2:
+          row.principal_address_line2 ||
+          null,
+
+        city:
+          row.principal_city ||
+          null,
+
+        state:
+          row.principal_state ||
+          null,
+
+        zip:
+          row.principal_zip ||
+          null
+      },
+
+      mailingAddress: {
+
+        line1:
+          row.mailing_address_line1 ||
+          null,
+
+        line2:
+          row.mailing_address_line2 ||
+          null,
+
+        city:
+          row.mailing_city ||
+          null,
+
+        state:
+          row.mailing_state ||
+          null,
+
+        zip:
+          row.mailing_zip ||
+          null
+      },
+
+      registeredAgent:
+        row.registered_agent_name ||
+        null,
+
+      source: {
+
+        file:
+          row.source_file ||
+          null,
+
+        sourceType:
+          row.source_type ||
+          "official_state_dataset",
+
+        retrievedAt:
+          row.source_retrieved_at ||
+          null,
+
+        recordUpdatedAt:
+          row.record_updated_at ||
+          null
+      },
+
+      /*
+       * Present for rows read from the entity versions table.
+       */
+      ...(row.version_id
+        ? {
+            version: {
+
+              versionId:
+                row.version_id,
+
+              validFrom:
+                row.valid_from,
+
+              validTo:
+                row.valid_to ||
+                null,
+
+              manifestId:
+                row.manifest_id ||
+                null
+            }
+          }
+        : {})
+    };
+  }
+
+  // ==========================================================================
+  // UPSERT
+  // ==========================================================================
+
+  upsertRecord(record) {
+
+    if (
+      !record ||
+      !record.registrationId ||
+      !record.companyName
+    ) {
+
+      throw new Error(
+        `${this.jurisdiction.name} registry record requires registrationId and companyName.`
+      );
+    }
+
+    /*
+     * Routed through the batch transaction so single upserts are
+     * change-logged and versioned too.
+     */
+    this.upsertBatchTransaction([
+      record
+    ]);
+  }
+
+  // ==========================================================================
+  // BULK UPSERT
+  // ==========================================================================
+
+  upsertBatch(records) {
+
+    if (
+      !Array.isArray(records)
+    ) {
+
+      throw new Error(
+        `${this.name}.upsertBatch requires an array.`
+      );
+    }
+
+    if (
+      records.length === 0
+    ) {
+      return 0;
+    }
+
+    for (
+      const record of records
+    ) {
+
+      if (
+        !record ||
+        !record.registrationId ||
+        !record.companyName
+      ) {
+
+        throw new Error(
+          `${this.jurisdiction.name} registry batch contains a record without registrationId or companyName.`
+        );
+      }
+    }
+
+    return this.upsertBatchTransaction(
+      records
+    ).affected;
+  }
+
+  /**
+   * Upsert one ingestion batch and advance the file checkpoint in the
+   * same transaction.
+   *
+   * @param {Array<Object>} records
+   * @param {Object} checkpoint
+   * @param {string} checkpoint.sourceFileSha256
+   * @param {string} [checkpoint.sourceFile]
+   * @param {number} checkpoint.lastCommittedLine
+   * Last source line covered by this batch, 1-indexed.
+   * @param {number} checkpoint.linesRead
+   * @param {number} checkpoint.validRecords
+   * @param {number} checkpoint.rejectedRecords
+   * @returns {Object}
+   * { recordsIngested, changeCounts }
+   */
+  ingestBatch(
+    records,
+    checkpoint
+  ) {
+
+    if (
+      !Array.isArray(records)
+    ) {
+
+      throw new Error(
+        `${this.name}.ingestBatch requires an array.`
+      );
+    }
+
+    if (
+      !checkpoint?.sourceFileSha256
+    ) {
+
+      throw new Error(
+        `${this.name}.ingestBatch requires a checkpoint with sourceFileSha256.`
+      );
+    }
+
+    for (
+      const record of records
+    ) {
+
+      if (
+        !record ||
+        !record.registrationId ||
+        !record.companyName
+      ) {
+
+        throw new Error(
+          `${this.jurisdiction.name} registry batch contains a record without registrationId or companyName.`
+        );
+      }
+    }
+
+    const result =
+      this.checkpointedBatchTransaction(
+        records,
+        checkpoint
+      );
+
+    return {
+
+      recordsIngested:
+        result.affected,
+
+      changeCounts:
+        result.changeCounts
+    };
+  }
+
+  // ==========================================================================
+  // FULL-SNAPSHOT ABSENCE
+  // ==========================================================================
+
+  /**
+   * Mark entities that a completed full snapshot did not list inactive.
+   *
+   * Each deactivation is logged as "absent_from_snapshot" against the
+   * snapshot file and opens a new entity version, so asOf searches
+   * after the snapshot no longer return the entity as active. Entities
+   * already inactive or dissolved are left as they are, which makes
+   * re-running the same snapshot a no-op.
+   *
+   * @param {Object} snapshot
+   * @param {string} snapshot.sourceFileSha256
+   * @param {string} [snapshot.sourceFile]
+   * @param {number} [snapshot.manifestId]
+   * @returns {number}
+   * Entities deactivated.
+   */
+  deactivateUnseenEntities({
+    sourceFileSha256,
+    sourceFile = null,
+    manifestId = null
+  } = {}) {
+
+    if (!sourceFileSha256) {
+
+      throw new Error(
+        `${this.name}.deactivateUnseenEntities requires sourceFileSha256.`
+      );
+    }
+
+    return this.db.transaction(
+      () => {
+
+        const now =
+          new Date().toISOString();
+
+        let deactivated =
+          0;
+
+        for (
+          const row
+          of this.unseenEntitiesStatement.all(
+            sourceFileSha256
+          )
+        ) {
+
+          const currentStatus =
+            normalizeComparable(
+              row.status
+            );
+
+          if (
+            normalizeRegistryStatus(
+              this.jurisdiction,
+              currentStatus
+            ) === ABSENT_FROM_SNAPSHOT_STATUS ||
+            this.jurisdiction.dissolvedStatusPattern.test(
+              currentStatus || ""
+            )
+          ) {
+            continue;
+          }
+
+          const databaseRecord = {};
+
+          for (
+            const column
+            of VERSIONED_COLUMNS.concat(
+              VERSION_SOURCE_COLUMNS
+            )
+          ) {
+
+            databaseRecord[
+              toPropertyName(column)
+            ] =
+              row[column] ??
+              null;
+          }
+
+          databaseRecord.registrationId =
+            row.registration_id;
+
+          databaseRecord.status =
+            ABSENT_FROM_SNAPSHOT_STATUS;
+
+          databaseRecord.updatedAt =
+            now;
+
+          this.insertChangeStatement.run({
+
+            registrationId:
+              row.registration_id,
+
+            changeType:
+              ENTITY_CHANGE_TYPES.ABSENT_FROM_SNAPSHOT,
+
+            previousValue:
+              row.status === null
+                ? null
+                : JSON.stringify(
+                    row.status
+                  ),
+
+            currentValue:
+              JSON.stringify(
+                ABSENT_FROM_SNAPSHOT_STATUS
+              ),
+
+            sourceFile,
+
+            sourceFileSha256,
+
+            detectedAt:
+              now
+          });
+
+          this.writeVersion(
+            row,
+            databaseRecord,
+            manifestId
+          );
+
+          this.deactivateEntityStatement.run({
+
+            registrationId:
+              row.registration_id,
+
+            status:
+              ABSENT_FROM_SNAPSHOT_STATUS,
+
+            updatedAt:
+              now
+          });
+
+          deactivated++;
+        }
+
+        return deactivated;
+      }
+    )();
+  }
+
+  // ==========================================================================
+  // ENTITY VERSIONS
+  // ==========================================================================
+
+  /**
+   * Open a new entity version when the incoming record differs from
+   * the stored row, closing the previous one.
+   *
+   * Versions carry transaction time: valid_from is when this database
+   * learned the values, so an asOf query returns exactly what a search
+   * at that moment returned.
+   *
+   * @param {Object|null} existingRow
+   * @param {Object} databaseRecord
+   * @param {number|null} manifestId
+   * @returns {boolean}
+   * True when a version was opened.
+   */
+  writeVersion(
+    existingRow,
+    databaseRecord,
+    manifestId
+  ) {
+
+    const versionRow = {};
+
+    for (
+      const column
+      of VERSIONED_COLUMNS.concat(
+        VERSION_SOURCE_COLUMNS
+      )
+    ) {
+
+      versionRow[column] =
+        databaseRecord[
+          toPropertyName(column)
+        ] ??
+        null;
+    }
+
+    if (
+      existingRow &&
+      VERSIONED_COLUMNS.every(
+        column =>
+          (existingRow[column] ?? null) ===
+          versionRow[column]
+      )
+    ) {
+      return false;
+    }
+
+    const validFrom =
+      databaseRecord.updatedAt;
+
+    this.closeVersionStatement.run({
+
+      registrationId:
+        databaseRecord.registrationId,
+
+      validTo:
+        validFrom
+    });
+
+    this.openVersionStatement.run({
+
+      ...versionRow,
+
+      registration_id:
+        databaseRecord.registrationId,
+
+      validFrom,
+
+      manifestId
+    });
+
+    return true;
+  }
+
+  /**
+   * Return the current record for one registration number.
+   *
+   * @param {string} registrationId
+   * @returns {Object|null}
+   * Normalized record, or null for an unseen registrationId.
+   */
+  getEntity(registrationId) {
+
+    const row =
+      this.selectEntityStatement.get(
+        String(
+          registrationId || ""
+        ).trim()
+      );
+
+    return row
+      ? this.normalizeRecord(
+          row
+        )
+      : null;
+  }
+
+  /**
+   * Return every stored version of one entity, oldest first.
+   *
+   * @param {string} registrationId
+   * @returns {Array<Object>}
+   */
+  getEntityHistory(registrationId) {
+
+    return this.entityHistoryStatement
+      .all(
+        String(
+          registrationId || ""
+        ).trim()
+      )
+      .map(
+        row =>
+          this.normalizeRecord(
+            row
+          )
+      );
+  }
+
+  // ==========================================================================
+  // CHANGE DETECTION
+  // ==========================================================================
+
+  /**
+   * Compare an incoming database record with the stored row.
+   *
+   * A status transition into a dissolved status is logged as
+   * "dissolved" rather than "status_changed".
+   *
+   * @param {Object|null} existingRow
+   * Current entities row, or null for an unseen registrationId.
+   * @param {Object} databaseRecord
+   * Output of toDatabaseRecord().
+   * @returns {Array<Object>}
+   */
+  detectChanges(
+    existingRow,
+    databaseRecord
+  ) {
+
+    if (!existingRow) {
+
+      return [
+        {
+          changeType:
+            ENTITY_CHANGE_TYPES.NEW,
+
+          previousValue:
+            null,
+
+          currentValue: {
+
+            companyName:
+              databaseRecord.companyName,
+
+            status:
+              databaseRecord.status
+          }
+        }
+      ];
+    }
+
+    const changes = [];
+
+    const previousStatus =
+      normalizeComparable(
+        existingRow.status
+      );
+
+    const currentStatus =
+      normalizeComparable(
+        databaseRecord.status
+      );
+
+    if (
+      previousStatus !==
+      currentStatus
+    ) {
+
+      const dissolved =
+        this.jurisdiction.dissolvedStatusPattern.test(
+          currentStatus || ""
+        ) &&
+        !this.jurisdiction.dissolvedStatusPattern.test(
+          previousStatus || ""
+        );
+
+      changes.push({
+
+        changeType:
+          dissolved
+            ? ENTITY_CHANGE_TYPES.DISSOLVED
+            : ENTITY_CHANGE_TYPES.STATUS_CHANGED,
+
+        previousValue:
+          existingRow.status ||
+          null,
+
+        currentValue:
+          databaseRecord.status ||
+          null
+      });
+    }
+
+    const previousAddress = {};
+    const currentAddress = {};
+
+    for (
+      const [part, key]
+      of Object.entries(PRINCIPAL_ADDRESS_FIELDS)
+    ) {
+
+      previousAddress[part] =
+        existingRow[
+          toColumnName(key)
+        ] ||
+        null;
+
+      currentAddress[part] =
+        databaseRecord[key] ||
+        null;
+    }
+
+    const addressChanged =
+      Object.keys(
+        PRINCIPAL_ADDRESS_FIELDS
+      ).some(
+        part =>
+          normalizeComparable(
+            previousAddress[part]
+          ) !==
+          normalizeComparable(
+            currentAddress[part]
+          )
+      );
+
+    if (addressChanged) {
+
+      changes.push({
+
+        changeType:
+          ENTITY_CHANGE_TYPES.ADDRESS_CHANGED,
+
+        previousValue:
+          previousAddress,
+
+        currentValue:
+          currentAddress
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Return the change log for one entity, oldest first.
+   *
+   * @param {string} registrationId
+   * @returns {Array<Object>}
+   */
+  getEntityChanges(registrationId) {
+
+    return this.entityChangesStatement
+      .all(
+        String(
+          registrationId || ""
+        ).trim()
+      )
+      .map(
+        row => ({
+
+          registrationId:
+            row.registration_id,
+
+          changeType:
+            row.change_type,
+
+          previousValue:
+            row.previous_value
+              ? JSON.parse(
+                  row.previous_value
+                )
+              : null,
+
+          currentValue:
+            row.current_value
+              ? JSON.parse(
+                  row.current_value
+                )
+              : null,
+
+          sourceFile:
+            row.source_file ||
+            null,
+
+          sourceFileSha256:
+            row.source_file_sha256 ||
+            null,
+
+          detectedAt:
+            row.detected_at
+        })
+      );
+  }
+
+  /**
+   * Count logged changes per type for one source file.
+   *
+   * Counted from the change log so the summary stays correct across
+   * resumed ingestion runs.
+   *
+   * @param {string} sourceFileSha256
+   * @returns {Object}
+   */
+  getChangeSummary(sourceFileSha256) {
+
+    const summary = {};
+
+    for (
+      const changeType
+      of Object.values(ENTITY_CHANGE_TYPES)
+    ) {
+
+      summary[changeType] =
+        0;
+    }
+
+    for (
+      const row
+      of this.changeSummaryStatement.all(
+        sourceFileSha256
+      )
+    ) {
+
+      summary[row.change_type] =
+        row.change_count;
+    }
+
+    return summary;
+  }
+
+  // ==========================================================================
+  // INGESTION CHECKPOINTS
+  // ==========================================================================
+
+  /**
+   * Return the checkpoint for a source file, or null.
+   *
+   * @param {string} sourceFileSha256
+   * @returns {Object|null}
+   */
+  getIngestionCheckpoint(sourceFileSha256) {
+
+    const row =
+      this.selectCheckpointStatement.get(
+        sourceFileSha256
+      );
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+
+      sourceFileSha256:
+        row.source_file_sha256,
+
+      sourceFile:
+        row.source_file,
+
+      acquisitionType:
+        row.acquisition_type,
+
+      lastCommittedLine:
+        row.last_committed_line,
+
+      linesRead:
+        row.lines_read,
+
+      validRecords:
+        row.valid_records,
+
+      rejectedRecords:
+        row.rejected_records,
+
+      recordsIngested:
+        row.records_ingested,
+
+      status:
+        row.status,
+
+      startedAt:
+        row.started_at,
+
+      updatedAt:
+        row.updated_at,
+
+      completedAt:
+        row.completed_at ||
+        null,
+
+      manifestId:
+        row.manifest_id ||
+        null
+    };
+  }
+
+  /**
+   * Create the checkpoint for a source file if it does not exist.
+   *
+   * @param {Object} params
+   * @param {string} params.sourceFileSha256
+   * @param {string} params.sourceFile
+   * @param {string} params.acquisitionType
+   * @param {boolean} [params.restart]
+   * Reset an existing checkpoint to line 0.
+   * @returns {Object}
+   */
+  beginIngestionCheckpoint({
+    sourceFileSha256,
+    sourceFile,
+    acquisitionType,
+    restart = false
+  }) {
+
+    const now =
+      new Date().toISOString();
+
+    this.beginCheckpointStatement.run({
+      sourceFileSha256,
+      sourceFile,
+      acquisitionType,
+      now
+    });
+
+    if (restart) {
+
+      this.restartCheckpointStatement.run({
+        sourceFileSha256,
+        acquisitionType,
+        now
+      });
+    }
+
+    const checkpoint =
+      this.getIngestionCheckpoint(
+        sourceFileSha256
+      );
+
+    /*
+     * Versions written by this run are keyed to an in-progress
+     * manifest, completed by recordIngestionManifest().
+     */
+    if (
+      checkpoint.status === "in_progress" &&
+      !checkpoint.manifestId
+    ) {
+
+      const manifestId =
+        this.recordIngestionManifest({
+          acquisitionType,
+          sourceFile,
+          sourceFileSha256,
+          retrievedAt:
+            now,
+          status:
+            "in_progress"
+        });
+
+      this.linkCheckpointManifestStatement.run({
+        sourceFileSha256,
+        manifestId
+      });
+
+      checkpoint.manifestId =
+        manifestId;
+    }
+
+    return checkpoint;
+  }
+
+  completeIngestionCheckpoint(sourceFileSha256) {
+
+    this.completeCheckpointStatement.run({
+
+      sourceFileSha256,
+
+      now:
+        new Date().toISOString()
+    });
+
+    return this.getIngestionCheckpoint(
+      sourceFileSha256
+    );
+  }
+
+  // ==========================================================================
+  // DATABASE MAPPING
+  // ==========================================================================
+
+  toDatabaseRecord(record) {
+
+    const now =
+      new Date().toISOString();
+
+    return {
+
+      registrationId:
+        record.registrationId,
+
+      companyName:
+        record.companyName,
+
+      normalizedName:
+        normalizeCompanyName(
+          record.companyName
+        ),
+
+      entityType:
+        record.entityType ||
+        null,
+
+      status:
+        record.status ||
+        null,
+
+      filingDate:
+        record.formationDate ||
+        null,
+
+      principalAddressLine1:
+        record.principalAddress?.line1 ||
+        null,
+
+      principalAddressLine2:
+        record.principalAddress?.line2 ||
+        null,
+
+      principalCity:
+        record.principalAddress?.city ||
+        null,
+
+      principalState:
+        record.principalAddress?.state ||
+        this.jurisdiction.code,
+
+      principalZip:
+        record.principalAddress?.zip ||
+        null,
+
+      mailingAddressLine1:
+        record.mailingAddress?.line1 ||
+        null,
+
+      mailingAddressLine2:
+        record.mailingAddress?.line2 ||
+        null,
+
+      mailingCity:
+        record.mailingAddress?.city ||
+        null,
+
+      mailingState:
+        record.mailingAddress?.state ||
+        this.jurisdiction.code,
+
+      mailingZip:
+        record.mailingAddress?.zip ||
+        null,
+
+      registeredAgentName:
+        record.registeredAgent ||
+        null,
+
+      sourceFile:
+        record.source?.file ||
+        null,
+
+      sourceType:
+        record.source?.sourceType ||
+        "official_state_dataset",
+
+      sourceRetrievedAt:
+        record.source?.retrievedAt ||
+        now,
+
+      recordUpdatedAt:
+        record.source?.recordUpdatedAt ||
+        now,
+
+      createdAt:
+        now,
+
+      updatedAt:
+        now
+    };
+  }
+
+  // ==========================================================================
+  // INGESTION MANIFEST
+  // ==========================================================================
+
+  /**
+   * Insert an ingestion manifest, or complete the in-progress manifest
+   * named by manifest.manifestId.
+   *
+   * @param {Object} manifest
+   * @returns {number}
+   * Manifest id.
+   */
+  recordIngestionManifest(
+    manifest
+  ) {
+
+    if (
+      !manifest ||
+      typeof manifest !== "object"
+    ) {
+
+      throw new Error(
+        "recordIngestionManifest requires a manifest object."
+      );
+    }
+
+    const parameters = {
+
+      source:
+        manifest.source ||
+        this.jurisdiction.sourceName,
+
+      acquisitionType:
+        manifest.acquisitionType ||
+        "unknown",
+
+      sourceFile:
+        manifest.sourceFile ||
+        "unknown",
+
+      sourceFileSha256:
+        manifest.sourceFileSha256 ||
+        null,
+
+      fileSizeBytes:
+        Number(
+          manifest.fileSizeBytes
+        ) || null,
+
+      retrievedAt:
+        manifest.retrievedAt ||
+        new Date().toISOString(),
+
+      linesRead:
+        Number(
+          manifest.linesRead
+        ) || 0,
+
+      validRecords:
+        Number(
+          manifest.validRecords
+        ) || 0,
+
+      rejectedRecords:
+        Number(
+          manifest.rejectedRecords
+        ) || 0,
+
+      recordsIngested:
+        Number(
+          manifest.recordsIngested
+        ) || 0,
+
+      executionTimeSeconds:
+        Number(
+          manifest.executionTimeSeconds
+        ) || 0,
+
+      status:
+        manifest.status ||
+        "unknown",
+
+      resumedFromLine:
+        Number(
+          manifest.resumedFromLine
+        ) || 0,
+
+      changeSummary:
+        manifest.changeSummary
+          ? JSON.stringify(
+              manifest.changeSummary
+            )
+          : null
+    };
+
+    if (manifest.manifestId) {
+
+      this.updateManifestStatement.run({
+
+        ...parameters,
+
+        manifestId:
+          manifest.manifestId
+      });
+
+      return manifest.manifestId;
+    }
+
+    return Number(
+      this.recordManifestStatement
+        .run(parameters)
+        .lastInsertRowid
+    );
+  }
+
+  // ==========================================================================
+  // CLOSE
+  // ==========================================================================
+
+  close() {
+
+    if (
+      this.db &&
+      this.db.open
+    ) {
+
+      this.db.close();
+    }
+  }
+}
+
+function normalizeComparable(value) {
+
+  const normalized =
+    String(
+      value ?? ""
+    )
+      .replace(/\s+/g, " ")
+      .trim()
+      .toUpperCase();
+
+  return normalized || null;
+}
+
+/*
+ * principal_address_line1 -> principalAddressLine1
+ */
+function toPropertyName(column) {
+
+  return column.replace(
+    /_([a-z0-9])/g,
+    (match, character) =>
+      character.toUpperCase()
+  );
+}
+
+/*
+ * principalAddressLine1 -> principal_address_line1
+ */
+function toColumnName(key) {
+
+  return key.replace(
+    /[A-Z]/g,
+    character =>
+      `_${character.toLowerCase()}`
+  );
+}
+
+module.exports = {
+  StateRegistryDatabase,
+  ENTITY_CHANGE_TYPES
+};
@@ -0,0 +1,45 @@
+/**
+ * TexasRegistryDatabase
+ *
+ * Local database for the Texas Comptroller's Active Franchise Tax
+ * Permit Holders dataset.
+ *
+ * Binds StateRegistryDatabase to the Texas jurisdiction: texas_*
+ * tables, TEXAS_REGISTRY_DB_PATH and Right to Transact Business
+ * status codes. No Texas gazetteer is bundled, so searches support
+ * state, city and ZIP but not county or radius filters.
+ */
+
+const {
+  StateRegistryDatabase,
+  ENTITY_CHANGE_TYPES
+} = require("./StateRegistryDatabase.js");
+
+const {
+  TEXAS
+} = require("../source/StateJurisdictions.js");
+
+class TexasRegistryDatabase
+  extends StateRegistryDatabase {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.databasePath]
+   */
+  constructor({
+    databasePath
+  } = {}) {
+
+    super({
+      jurisdiction:
+        TEXAS,
+
+      databasePath
+    });
+  }
+}
+
+module.exports = {
+  TexasRegistryDatabase,
+  ENTITY_CHANGE_TYPES
+};
@@ -0,0 +1,509 @@
+// /discovery/WebsiteDiscoveryService.js
+
+const {
+  GoogleDiscoveryProvider
+} = require("../providers/GoogleDiscoveryProvider.js");
+
+const {
+  normalizeCompanyNameTokens,
+  tokenize
+} = require("../source/CompanyNameNormalizer.js");
+
+/**
+ * WebsiteDiscoveryService
+ *
+ * Finds the likely website of a registry entity and scores how well
+ * each search result matches the registered name.
+ *
+ * RESPONSIBILITY:
+ * - Build one discovery query per entity (name + city + state).
+ * - Score every candidate's domain and title against the registered
+ *   company name.
+ * - Select the best candidate at or above the match threshold.
+ *
+ * DOES NOT:
+ * - Fetch or crawl candidate websites.
+ * - Treat a discovered website as registry evidence.
+ * - Write to the Evidence Ledger. The pipeline records the query and
+ *   scores so the ledger stays the single writer.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *   Merged Registry Entity
+ *            ↓
+ *   WebsiteDiscoveryService (GoogleDiscoveryProvider)
+ *            ↓
+ *   candidateInfo → Enrichment
+ */
+
+/*
+ * Default minimum match score for a candidate to reach enrichment.
+ *
+ * A domain that is exactly the name clears it alone; a domain that
+ * also carries other words ("abcroofingsupply") needs a title naming
+ * the business; a generic industry domain does not clear it.
+ */
+const DEFAULT_MATCH_THRESHOLD =
+  0.6;
+
+const DOMAIN_WEIGHT =
+  0.6;
+
+const NAME_WEIGHT =
+  0.4;
+
+/*
+ * Domains that spell the initials ("abr.com" for A B Roofing) are
+ * credited this domain score.
+ */
+const ACRONYM_DOMAIN_SCORE =
+  0.7;
+
+/*
+ * Name tokens too common to identify a business by themselves.
+ */
+const NON_DISTINCTIVE_TOKENS = new Set([
+  "a",
+  "and",
+  "of",
+  "the"
+]);
+
+/**
+ * Distinctive normalized tokens of a company or result name.
+ *
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function distinctiveTokens(name) {
+
+  return normalizeCompanyNameTokens(
+    name
+  ).filter(
+    token =>
+      !NON_DISTINCTIVE_TOKENS.has(token)
+  );
+}
+
+/**
+ * Registrable label of a domain: "www.alamo-plumbing.com" ->
+ * "alamoplumbing".
+ *
+ * @param {string} domain
+ * @returns {string}
+ */
+function domainLabel(domain) {
+
+  const labels =
+    String(
+      domain || ""
+    )
+      .toLowerCase()
+      .replace(/^www\./, "")
+      .split(".")
+      .filter(Boolean);
+
+  const label =
+    labels.length >= 2
+      ? labels[labels.length - 2]
+      : labels[0] || "";
+
+  return label.replace(/[^a-z0-9]/g, "");
+}
+
+class WebsiteDiscoveryService {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider]
+   * Discovery provider implementing discoverCandidates() and
+   * buildSearchQuery(). Defaults to GoogleDiscoveryProvider.
+   * @param {number} [options.matchThreshold]
+   * @param {number} [options.maxResults]
+   */
+  constructor({
+    provider = new GoogleDiscoveryProvider(),
+    matchThreshold = DEFAULT_MATCH_THRESHOLD,
+    maxResults = 5
+  } = {}) {
+
+    if (
+      !provider ||
+      typeof provider.discoverCandidates !== "function"
+    ) {
+
+      throw new Error(
+        "WebsiteDiscoveryService requires a provider implementing discoverCandidates()."
+      );
+    }
+
+    if (
+      !Number.isFinite(matchThreshold) ||
+      matchThreshold <= 0 ||
+      matchThreshold > 1
+    ) {
+
+      throw new Error(
+        "matchThreshold must be a number greater than 0 and at most 1."
+      );
+    }
+
+    this.name =
+      "WebsiteDiscoveryService";
+
+    this.provider =
+      provider;
+
+    this.matchThreshold =
+      matchThreshold;
+
+    this.maxResults =
+      maxResults;
+  }
+
+  // ==========================================================================
+  // DISCOVERY
+  // ==========================================================================
+
+  /**
+   * Discover the website of one registry entity.
+   *
+   * status:
+   * - "registry_website": the entity already carries a website; no
+   *   search is run.
+   * - "unconfigured": the provider has no credentials; no search is run.
+   * - "no_candidates": the search returned nothing usable.
+   * - "below_threshold": no candidate scored at or above the threshold.
+   * - "matched": `selected` holds the best candidate.
+   *
+   * `query` is set whenever a search ran.
+   *
+   * @param {Object} entity
+   * Normalized registry entity.
+   * @returns {Promise<Object>}
+   */
+  async discoverWebsite(entity = {}) {
+
+    const result = {
+
+      provider:
+        this.provider.name ||
+        null,
+
+      status:
+        null,
+
+      query:
+        null,
+
+      threshold:
+        this.matchThreshold,
+
+      candidates:
+        [],
+
+      selected:
+        null,
+
+      discoveredAt:
+        new Date().toISOString()
+    };
+
+    if (entity.website) {
+
+      result.status =
+        "registry_website";
+
+      return result;
+    }
+
+    if (
+      typeof this.provider.hasCredentials === "function" &&
+      !this.provider.hasCredentials()
+    ) {
+
+      result.status =
+        "unconfigured";
+
+      return result;
+    }
+
+    const location =
+      entity.location ||
+      entity.principalAddress ||
+      {};
+
+    const geoContext = {
+
+      city:
+        location.city ||
+        null,
+
+      state:
+        location.state ||
+        entity.jurisdiction ||
+        null
+    };
+
+    result.query =
+      typeof this.provider.buildSearchQuery === "function"
+        ? this.provider.buildSearchQuery(
+            entity.companyName,
+            geoContext
+          )
+        : entity.companyName;
+
+    const candidates =
+      await this.provider.discoverCandidates(
+        entity.companyName,
+        geoContext,
+        {
+          limit:
+            this.maxResults
+        }
+      );
+
+    result.candidates =
+      (
+        Array.isArray(candidates)
+          ? candidates
+          : []
+      )
+        .map(
+          candidate => ({
+            ...candidate,
+
+            match:
+              this.scoreCandidate(
+                entity.companyName,
+                candidate
+              )
+          })
+        )
+        .sort(
+          (a, b) =>
+            b.match.score - a.match.score ||
+            (a.discoveryIndex ?? 0) - (b.discoveryIndex ?? 0)
+        );
+
+    if (result.candidates.length === 0) {
+
+      result.status =
+        "no_candidates";
+
+      return result;
+    }
+
+    const [best] =
+      result.candidates;
+
+    if (
+      best.match.score >=
+      this.matchThreshold
+    ) {
+
+      result.status =
+        "matched";
+
+      result.selected =
+        best;
+
+    } else {
+
+      result.status =
+        "below_threshold";
+    }
+
+    return result;
+  }
+
+  // ==========================================================================
+  // NAME / DOMAIN MATCH
+  // ==========================================================================
+
+  /**
+   * Score a search result against the registered company name.
+   *
+   * - domainScore: share of the name's characters spelled out in the
+   *   domain label (stems, so "plumbing" covers "plumb"), times the
+   *   share of the label the name accounts for. "roofingpros-nyc" is
+   *   a weaker match for Roofing Pros LLC than "roofingpros".
+   * - nameScore: share of the name's tokens present in the result
+   *   title.
+   *
+   * Directory listings (Yelp, BBB, ...) are pages about the business,
+   * not its website, and always score 0.
+   *
+   * @param {string} companyName
+   * @param {Object} candidate
+   * @returns {Object}
+   */
+  scoreCandidate(
+    companyName,
+    candidate = {}
+  ) {
+
+    if (
+      candidate.resultType ===
+      "directory"
+    ) {
+
+      return {
+        score:
+          0,
+
+        domainScore:
+          0,
+
+        nameScore:
+          0,
+
+        basis:
+          "directory_listing"
+      };
+    }
+
+    const nameTokens =
+      distinctiveTokens(
+        companyName
+      );
+
+    if (nameTokens.length === 0) {
+
+      return {
+        score:
+          0,
+
+        domainScore:
+          0,
+
+        nameScore:
+          0,
+
+        basis:
+          "no_distinctive_name_tokens"
+      };
+    }
+
+    const label =
+      domainLabel(
+        candidate.candidateDomain
+      );
+
+    const totalLength =
+      nameTokens.reduce(
+        (sum, token) =>
+          sum + token.length,
+        0
+      );
+
+    const coveredLength =
+      nameTokens
+        .filter(
+          token =>
+            label.includes(token)
+        )
+        .reduce(
+          (sum, token) =>
+            sum + token.length,
+          0
+        );
+
+    /*
+     * Label characters left once the name's words and stems are taken
+     * out ("nyc", "supply"). Single letters are skipped so "a" does not
+     * consume the label.
+     */
+    const unaccountedLabel =
+      [
+        ...tokenize(companyName),
+        ...nameTokens
+      ]
+        .filter(
+          token =>
+            token.length > 1
+        )
+        .sort(
+          (a, b) =>
+            b.length - a.length
+        )
+        .reduce(
+          (rest, token) =>
+            rest.split(token).join(""),
+          label
+        );
+
+    const labelShare =
+      label.length > 0
+        ? (label.length - unaccountedLabel.length) / label.length
+        : 0;
+
+    const tokenDomainScore =
+      (coveredLength / totalLength) *
+      labelShare;
+
+    const initials =
+      nameTokens
+        .map(
+          token => token[0]
+        )
+        .join("");
+
+    const acronymMatch =
+      nameTokens.length >= 2 &&
+      label === initials;
+
+    const domainScore =
+      Math.max(
+        tokenDomainScore,
+        acronymMatch
+          ? ACRONYM_DOMAIN_SCORE
+          : 0
+      );
+
+    const titleTokens =
+      new Set(
+        distinctiveTokens(
+          candidate.candidateName
+        )
+      );
+
+    const nameScore =
+      nameTokens.filter(
+        token =>
+          titleTokens.has(token)
+      ).length /
+      nameTokens.length;
+
+    return {
+      score:
+        Number(
+          (
+            DOMAIN_WEIGHT * domainScore +
+            NAME_WEIGHT * nameScore
+          ).toFixed(3)
+        ),
+
+      domainScore:
+        Number(
+          domainScore.toFixed(3)
+        ),
+
+      nameScore:
+        Number(
+          nameScore.toFixed(3)
+        ),
+
+      basis:
+        acronymMatch &&
+        tokenDomainScore < ACRONYM_DOMAIN_SCORE
+          ? "domain_acronym"
+          : "name_domain_tokens"
+    };
+  }
+}
+
+module.exports = {
+  WebsiteDiscoveryService,
+  DEFAULT_MATCH_THRESHOLD
+};
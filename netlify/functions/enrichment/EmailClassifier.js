@@ -0,0 +1,472 @@
+const dns = require("dns");
+
+/**
+ * EmailClassifier
+ *
+ * Decides what an extracted email address actually is.
+ *
+ * RESPONSIBILITY:
+ * - Reject strings that only look like addresses: asset filenames
+ *   ("logo@2x.png"), placeholders ("your@email.com", "jane.doe@example.org")
+ *   and error-tracking or site-builder system addresses.
+ * - Tag role accounts (info@, sales@), no-reply senders and free-mail
+ *   or ISP mailboxes.
+ * - Compare the address domain with the discovered website.
+ * - Check whether the domain accepts mail (MX lookup) through a
+ *   pluggable resolver.
+ *
+ * DOES NOT:
+ * - Probe mailboxes (no SMTP conversation). A domain that accepts
+ *   mail says nothing about one mailbox.
+ * - Decide who reads a mailbox.
+ *
+ * RESOLVER INTERFACE:
+ *
+ *   { async resolveMx(domain) -> [{ exchange, priority }] }
+ *
+ * dns.promises.Resolver satisfies it; an in-memory stub keeps lookups
+ * offline. Errors carry DNS codes (ENOTFOUND, ENODATA, ...).
+ */
+
+const DEFAULT_MX_TIMEOUT_MS = 2000;
+
+/*
+ * Address "domains" that are really file extensions.
+ */
+const ASSET_EXTENSIONS = new Set([
+  "png", "jpg", "jpeg", "gif", "svg", "webp", "avif", "ico", "bmp",
+  "tif", "tiff", "css", "js", "mjs", "json", "map", "mp4", "webm",
+  "mov", "mp3", "woff", "woff2", "ttf", "eot", "otf", "pdf"
+]);
+
+/*
+ * Domains whose addresses are system identifiers, not mailboxes.
+ */
+const SYSTEM_DOMAINS = [
+  "sentry.io",
+  "sentry-next.wixpress.com",
+  "wixpress.com",
+  "sentry.wixpress.com"
+];
+
+const PLACEHOLDER_DOMAINS = new Set([
+  "example.com",
+  "example.org",
+  "example.net",
+  "domain.com",
+  "yourdomain.com",
+  "yourcompany.com",
+  "yoursite.com",
+  "yourwebsite.com",
+  "mysite.com",
+  "company.com",
+  "website.com"
+]);
+
+/*
+ * Template text that is never a real mailbox, on any domain.
+ */
+const PLACEHOLDER_LOCAL_PARTS = new Set([
+  "your",
+  "youremail",
+  "yourname",
+  "your.name",
+  "username",
+  "someone",
+  "firstname",
+  "firstname.lastname",
+  "first.last"
+]);
+
+/*
+ * Sample names that are real mailboxes elsewhere (jane.doe@gmail.com).
+ * Only placeholders on example and test domains.
+ */
+const SAMPLE_LOCAL_PARTS = new Set([
+  "name",
+  "email",
+  "user",
+  "john.doe",
+  "johndoe",
+  "jane.doe",
+  "janedoe"
+]);
+
+/*
+ * RFC 2606 reserved names and example./test. hosts.
+ */
+const SAMPLE_DOMAIN_PATTERN =
+  /(?:^|\.)(?:example|test|invalid|localhost)$|^(?:example|test|testing|sample|demo)\./;
+
+const ROLE_LOCAL_PARTS = new Set([
+  "info", "information", "sales", "contact", "contactus", "hello", "hi",
+  "office", "admin", "administrator", "support", "service", "services",
+  "customerservice", "customercare", "billing", "accounts", "accounting",
+  "ar", "ap", "invoices", "help", "team", "jobs", "careers", "hr",
+  "hiring", "recruiting", "marketing", "press", "media", "pr",
+  "enquiries", "inquiries", "enquiry", "inquiry", "booking", "bookings",
+  "reservations", "appointments", "schedule", "scheduling", "orders",
+  "estimates", "quotes", "dispatch", "general", "mail", "frontdesk",
+  "reception", "webmaster", "hostmaster", "postmaster", "abuse",
+  "privacy", "legal", "compliance", "security"
+]);
+
+const NO_REPLY_PATTERN =
+  /^(no-?reply|do-?not-?reply|donotreply|noreply-.*|bounce[s]?|mailer-daemon)$/;
+
+/*
+ * Free-mail and ISP mailbox domains.
+ */
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "ymail.com",
+  "rocketmail.com", "hotmail.com", "outlook.com", "live.com", "msn.com",
+  "aol.com", "icloud.com", "me.com", "mac.com", "protonmail.com",
+  "proton.me", "pm.me", "gmx.com", "gmx.net", "mail.com", "email.com",
+  "zoho.com", "zohomail.com", "yandex.com", "tutanota.com",
+  "fastmail.com", "hey.com", "comcast.net", "att.net", "sbcglobal.net",
+  "bellsouth.net", "verizon.net", "cox.net", "charter.net",
+  "earthlink.net", "optonline.net", "frontier.com", "windstream.net",
+  "juno.com", "netzero.net", "centurylink.net", "embarqmail.com",
+  "tampabay.rr.com", "twc.com", "roadrunner.com"
+]);
+
+const ADDRESS_PATTERN =
+  /^[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+class EmailClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.resolver]
+   * MX resolver (see RESOLVER INTERFACE). null skips MX lookups; every
+   * domain is then reported as "not_checked".
+   * @param {number} [options.mxTimeoutMs]
+   */
+  constructor({
+    resolver = createDnsResolver(),
+    mxTimeoutMs = DEFAULT_MX_TIMEOUT_MS
+  } = {}) {
+    this.name = "EmailClassifier";
+
+    this.resolver = resolver;
+
+    this.mxTimeoutMs = mxTimeoutMs;
+
+    /*
+     * domain -> Promise<mx result>. The classifier lives as long as its
+     * EnrichmentEngine (one pipeline run).
+     */
+    this.mxCache = new Map();
+  }
+
+  // ==========================================================================
+  // SYNTAX AND FALSE POSITIVES
+  // ==========================================================================
+
+  /**
+   * Lowercased address without "mailto:" or trailing punctuation, or
+   * null when it is not an address.
+   *
+   * @param {string} value
+   * @returns {string|null}
+   */
+  static normalize(value) {
+    if (!value) {
+      return null;
+    }
+
+    const address =
+      String(value)
+        .trim()
+        .replace(/^mailto:/i, "")
+        .split("?")[0]
+        .replace(/[.,;:]+$/, "")
+        .toLowerCase();
+
+    return ADDRESS_PATTERN.test(address)
+      ? address
+      : null;
+  }
+
+  /**
+   * Why a syntactically valid address is not a real mailbox, or null.
+   *
+   * @param {string} address
+   * Normalized address.
+   * @returns {"asset_filename"|"placeholder"|"system_address"|null}
+   */
+  static rejectionReason(address) {
+    const [localPart, domain] = address.split("@");
+    const extension = domain.split(".").pop();
+
+    if (ASSET_EXTENSIONS.has(extension) || /^\d+(\.\d+)?x\./.test(domain)) {
+      return "asset_filename";
+    }
+
+    if (
+      PLACEHOLDER_DOMAINS.has(domain) ||
+      PLACEHOLDER_LOCAL_PARTS.has(localPart) ||
+      (SAMPLE_LOCAL_PARTS.has(localPart) && SAMPLE_DOMAIN_PATTERN.test(domain))
+    ) {
+      return "placeholder";
+    }
+
+    if (SYSTEM_DOMAINS.some(system => domain === system || domain.endsWith(`.${system}`))) {
+      return "system_address";
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalized address when it is worth keeping, otherwise null.
+   * Providers use this at extraction time.
+   *
+   * @param {string} value
+   * @returns {string|null}
+   */
+  static accept(value) {
+    const address = EmailClassifier.normalize(value);
+
+    return address && !EmailClassifier.rejectionReason(address)
+      ? address
+      : null;
+  }
+
+  // ==========================================================================
+  // CLASSIFICATION
+  // ==========================================================================
+
+  /**
+   * Classify one address without network access.
+   *
+   * @param {string} value
+   * @param {Object} [options]
+   * @param {string|null} [options.website]
+   * Discovered website URL, for domain alignment.
+   * @returns {Object}
+   * { address, localPart, domain, rejected, rejectedReason, role,
+   *   noReply, freeMail, domainAlignment }
+   */
+  classify(value, { website = null } = {}) {
+    const address = EmailClassifier.normalize(value);
+
+    if (!address) {
+      return {
+        address: null,
+        localPart: null,
+        domain: null,
+        rejected: true,
+        rejectedReason: "invalid_syntax",
+        role: false,
+        noReply: false,
+        freeMail: false,
+        domainAlignment: "unknown"
+      };
+    }
+
+    const [localPart, domain] = address.split("@");
+    const baseLocalPart = localPart.split("+")[0];
+    const rejectedReason = EmailClassifier.rejectionReason(address);
+    const noReply = NO_REPLY_PATTERN.test(baseLocalPart);
+
+    return {
+      address,
+      localPart,
+      domain,
+      rejected: Boolean(rejectedReason),
+      rejectedReason,
+      role: noReply || ROLE_LOCAL_PARTS.has(baseLocalPart.replace(/[._-]/g, "")),
+      noReply,
+      freeMail: FREE_MAIL_DOMAINS.has(domain),
+      domainAlignment: domainAlignment(domain, website)
+    };
+  }
+
+  /**
+   * Classify email observations and check their domains' MX records.
+   *
+   * Rejected addresses are dropped. Every kept observation gains a
+   * `classification` with `mx` ({ status, hosts }) and `deliverable`
+   * (true, false, or null when unknown).
+   *
+   * Never throws; lookup failures are reported per domain.
+   *
+   * @param {Array<Object|string>} emails
+   * [{ value, ... }] or address strings.
+   * @param {Object} [options]
+   * @param {string|null} [options.website]
+   * @param {number} [options.deadlineAt]
+   * Epoch ms after which no lookup starts or is awaited.
+   * @returns {Promise<Array<Object>>}
+   */
+  async classifyAll(emails = [], { website = null, deadlineAt = Infinity } = {}) {
+    const classified =
+      emails
+        .map(email => {
+          const observation =
+            typeof email === "string"
+              ? { value: email }
+              : email;
+
+          return {
+            observation,
+            classification: this.classify(observation?.value, { website })
+          };
+        })
+        .filter(({ classification }) => !classification.rejected);
+
+    const domains =
+      [...new Set(classified.map(({ classification }) => classification.domain))];
+
+    const mxByDomain =
+      new Map(
+        await Promise.all(
+          domains.map(async domain => [domain, await this.lookupMx(domain, deadlineAt)])
+        )
+      );
+
+    return classified.map(({ observation, classification }) => {
+      const mx = mxByDomain.get(classification.domain);
+
+      return {
+        ...observation,
+        value: classification.address,
+        classification: {
+          ...classification,
+          mx,
+          deliverable: MX_DELIVERABILITY[mx.status]
+        }
+      };
+    });
+  }
+
+  // ==========================================================================
+  // MX LOOKUP
+  // ==========================================================================
+
+  /**
+   * @param {string} domain
+   * @param {number} [deadlineAt]
+   * @returns {Promise<Object>}
+   * { status: "mx_found" | "null_mx" | "no_mx" | "no_domain" |
+   *   "lookup_failed" | "timeout" | "not_checked", hosts }
+   */
+  async lookupMx(domain, deadlineAt = Infinity) {
+    const remainingMs =
+      Math.min(this.mxTimeoutMs, deadlineAt - Date.now());
+
+    if (!this.resolver || remainingMs <= 0) {
+      return { status: "not_checked", hosts: [] };
+    }
+
+    if (!this.mxCache.has(domain)) {
+      this.mxCache.set(domain, this._resolveMx(domain));
+    }
+
+    let timeoutId;
+
+    const timeout =
+      new Promise(resolve => {
+        timeoutId =
+          setTimeout(() => resolve({ status: "timeout", hosts: [] }), remainingMs);
+      });
+
+    try {
+      return await Promise.race([this.mxCache.get(domain), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async _resolveMx(domain) {
+    try {
+      const records =
+        (await this.resolver.resolveMx(domain)) || [];
+
+      const hosts =
+        records
+          .filter(record => record && typeof record.exchange === "string")
+          .sort((a, b) => a.priority - b.priority)
+          .map(record => record.exchange.replace(/\.$/, "").toLowerCase());
+
+      if (hosts.length === 0) {
+        return { status: "no_mx", hosts: [] };
+      }
+
+      // RFC 7505: a single empty exchange means "accepts no mail".
+      if (hosts.length === 1 && hosts[0] === "") {
+        return { status: "null_mx", hosts: [] };
+      }
+
+      return { status: "mx_found", hosts: hosts.filter(Boolean) };
+
+    } catch (error) {
+      if (error?.code === "ENOTFOUND" || error?.code === "NXDOMAIN") {
+        return { status: "no_domain", hosts: [] };
+      }
+
+      if (error?.code === "ENODATA") {
+        return { status: "no_mx", hosts: [] };
+      }
+
+      return {
+        status: "lookup_failed",
+        hosts: [],
+        error: error?.code || error?.message || "MX lookup failed"
+      };
+    }
+  }
+}
+
+/*
+ * Whether a domain in each MX state can receive mail. A domain without
+ * MX records may still accept mail on its A record (RFC 5321 implicit
+ * MX), so "no_mx" stays unknown.
+ */
+const MX_DELIVERABILITY = {
+  mx_found: true,
+  null_mx: false,
+  no_domain: false,
+  no_mx: null,
+  lookup_failed: null,
+  timeout: null,
+  not_checked: null
+};
+
+/**
+ * "aligned" when the email domain is the website's host or a parent or
+ * subdomain of it, "unaligned" when it is not, "unknown" without a
+ * website.
+ */
+function domainAlignment(domain, website) {
+  let host;
+
+  try {
+    host =
+      website
+        ? new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`)
+            .hostname.toLowerCase().replace(/^www\./, "")
+        : null;
+  } catch {
+    host = null;
+  }
+
+  if (!host) {
+    return "unknown";
+  }
+
+  return domain === host || domain.endsWith(`.${host}`) || host.endsWith(`.${domain}`)
+    ? "aligned"
+    : "unaligned";
+}
+
+function createDnsResolver() {
+  return new dns.promises.Resolver({
+    timeout: DEFAULT_MX_TIMEOUT_MS,
+    tries: 1
+  });
+}
+
+module.exports = {
+  EmailClassifier
+};
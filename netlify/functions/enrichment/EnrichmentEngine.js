@@ -0,0 +1,940 @@
+/**
+ * EnrichmentEngine
+ *
+ * Runs registered secondary enrichment providers for a verified
+ * entity and merges their observations into one result schema.
+ *
+ * IMPORTANT:
+ * Enrichment observations are NOT equivalent to registry facts.
+ *
+ * The engine:
+ * - Does not establish legal existence.
+ * - Does not fabricate contact information.
+ * - Does not assign qualification scores.
+ * - Does not treat missing data as negative evidence.
+ *
+ * RESPONSIBILITY:
+ * - Keep a registry of enrichment providers, each with its own
+ *   timeout and call budget.
+ * - Run providers concurrently under one shared deadline.
+ * - Isolate provider failures so one provider cannot discard
+ *   another's observations.
+ * - Return the enrichment result consumed by runLeadPipeline and
+ *   QualificationEngine.
+ *
+ * PROVIDER INTERFACE:
+ *
+ *   {
+ *     name: "WebsiteReconProvider",
+ *     key: "websiteRecon",         // providerResults key
+ *     requiresWebsite: true,       // skipped when no website is known
+ *     providesWebsite: false,      // may supply the website target
+ *     async enrich({ entity, candidateInfo, website, timeoutMs, signal })
+ *   }
+ *
+ * enrich() resolves to a provider observation:
+ *
+ *   {
+ *     status: "success" | "no_data" | "failed",
+ *     website, websiteObservation, emails, phones, contacts,
+ *     digitalSignals, observations, error: { code, message }
+ *   }
+ *
+ * Providers that supply a website run first; website-dependent
+ * providers then run against it with whatever time remains. Merged
+ * emails are then classified (EmailClassifier) within the same
+ * deadline.
+ *
+ * RESULT SCHEMA (ENRICHMENT_SCHEMA_VERSION):
+ *
+ *   {
+ *     schemaVersion, status, website, websiteObservation,
+ *     businessPhone, emails, phones, contacts, digitalSignals,
+ *     observations, providerResults, errors, enrichedAt, durationMs
+ *   }
+ *
+ * status:
+ * - "complete": a provider succeeded and observations were collected.
+ * - "partial": some providers failed, but something was observed or
+ *   another provider succeeded.
+ * - "failed": every attempted provider failed.
+ * - "empty": providers ran cleanly and observed nothing.
+ */
+
+const {
+  WebsiteReconProvider
+} = require("./websiterecon.js");
+
+const {
+  ContactSearchProvider
+} = require("./contactSearch.js");
+
+const {
+  EmailClassifier
+} = require("./EmailClassifier.js");
+
+const {
+  phoneKey
+} = require("../source/PhoneNumberNormalizer.js");
+
+const ENRICHMENT_SCHEMA_VERSION =
+  "enrichment-v2";
+
+const DEFAULT_DEADLINE_MS =
+  12000;
+
+const DEFAULT_PROVIDER_TIMEOUT_MS =
+  8000;
+
+class EnrichmentEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.deadlineMs]
+   * Shared deadline for one enrich() call, across all providers.
+   * @param {number} [options.defaultTimeoutMs]
+   * Per-provider timeout when register() is not given one.
+   * @param {EmailClassifier|null} [options.emailClassifier]
+   * Classifies merged emails. null leaves them unclassified.
+   */
+  constructor({
+    deadlineMs = DEFAULT_DEADLINE_MS,
+    defaultTimeoutMs = DEFAULT_PROVIDER_TIMEOUT_MS,
+    emailClassifier = null
+  } = {}) {
+    this.name =
+      "EnrichmentEngine";
+
+    this.deadlineMs =
+      deadlineMs;
+
+    this.defaultTimeoutMs =
+      defaultTimeoutMs;
+
+    this.emailClassifier =
+      emailClassifier;
+
+    this.providers = [];
+  }
+
+  // ==========================================================================
+  // PROVIDER REGISTRY
+  // ==========================================================================
+
+  /**
+   * Register an enrichment provider.
+   *
+   * @param {Object} provider
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs]
+   * @param {number} [options.maxCalls]
+   * Calls allowed over this engine's lifetime (one pipeline run for
+   * the default engine). Further entities skip the provider with
+   * BUDGET_EXHAUSTED.
+   * @returns {EnrichmentEngine}
+   */
+  register(
+    provider,
+    {
+      timeoutMs = this.defaultTimeoutMs,
+      maxCalls = Infinity
+    } = {}
+  ) {
+    if (
+      !provider ||
+      typeof provider.enrich !== "function"
+    ) {
+      throw new Error(
+        "EnrichmentEngine providers must implement enrich()."
+      );
+    }
+
+    const key =
+      provider.key ||
+      provider.name;
+
+    if (!key) {
+      throw new Error(
+        "EnrichmentEngine providers must declare a name or key."
+      );
+    }
+
+    if (
+      this.providers.some(
+        entry => entry.key === key
+      )
+    ) {
+      throw new Error(
+        `Enrichment provider already registered: ${key}`
+      );
+    }
+
+    if (
+      !Number.isFinite(timeoutMs) ||
+      timeoutMs <= 0
+    ) {
+      throw new Error(
+        `Enrichment provider ${key} requires a positive timeoutMs.`
+      );
+    }
+
+    this.providers.push({
+      provider,
+      key,
+      timeoutMs,
+      maxCalls,
+      callsUsed: 0
+    });
+
+    return this;
+  }
+
+  listProviders() {
+    return this.providers.map(
+      entry => ({
+        provider:
+          entry.provider.name ||
+          entry.key,
+
+        key:
+          entry.key,
+
+        timeoutMs:
+          entry.timeoutMs,
+
+        maxCalls:
+          Number.isFinite(entry.maxCalls)
+            ? entry.maxCalls
+            : null,
+
+        callsUsed:
+          entry.callsUsed
+      })
+    );
+  }
+
+  // ==========================================================================
+  // ENRICHMENT
+  // ==========================================================================
+
+  /**
+   * Enrich a verified entity.
+   *
+   * @param {Object} entity
+   * @param {Object|null} candidateInfo
+   * Discovery candidate selected for the entity, if any.
+   * @returns {Promise<Object>}
+   */
+  async enrich(
+    entity,
+    candidateInfo = null
+  ) {
+    const startedAt =
+      Date.now();
+
+    const deadlineAt =
+      startedAt + this.deadlineMs;
+
+    const result =
+      createEmptyResult(
+        new Date(startedAt).toISOString()
+      );
+
+    result.website =
+      normalizeWebsite(
+        entity?.website ||
+        candidateInfo?.formattedUrl ||
+        candidateInfo?.website ||
+        candidateInfo?.displayLink ||
+        null
+      );
+
+    /*
+     * Providers that can supply the website run first, and only when
+     * no website is known yet.
+     */
+    const websiteSuppliers =
+      this.providers.filter(
+        entry =>
+          entry.provider.providesWebsite &&
+          !entry.provider.requiresWebsite
+      );
+
+    if (
+      !result.website &&
+      websiteSuppliers.length > 0
+    ) {
+      await this.runPhase(
+        websiteSuppliers,
+        entity,
+        candidateInfo,
+        result,
+        deadlineAt
+      );
+    }
+
+    await this.runPhase(
+      this.providers.filter(
+        entry =>
+          !result.providerResults[entry.key] &&
+          (
+            !entry.provider.requiresWebsite ||
+            result.website
+          )
+      ),
+      entity,
+      candidateInfo,
+      result,
+      deadlineAt
+    );
+
+    /*
+     * Website-dependent providers with no website to work on.
+     *
+     * This is NOT an error. A business without a discovered website is
+     * an enrichment limitation, not proof that no website exists.
+     */
+    for (
+      const entry of this.providers
+    ) {
+      if (!result.providerResults[entry.key]) {
+        result.providerResults[entry.key] = {
+          provider:
+            entry.provider.name ||
+            entry.key,
+          status: "skipped",
+          code: "NO_PUBLIC_WEBSITE",
+          durationMs: 0
+        };
+      }
+    }
+
+    consolidate(result);
+
+    /*
+     * Drops false-positive addresses and tags role, free-mail, domain
+     * alignment and MX deliverability. Lookups stop at the deadline.
+     */
+    if (
+      this.emailClassifier &&
+      result.emails.length > 0
+    ) {
+      result.emails =
+        await this.emailClassifier.classifyAll(
+          result.emails,
+          {
+            website:
+              result.website,
+            deadlineAt
+          }
+        );
+    }
+
+    result.status =
+      determineStatus(result);
+
+    result.durationMs =
+      Date.now() - startedAt;
+
+    return result;
+  }
+
+  /**
+   * Run a set of providers concurrently and merge their observations
+   * in registration order.
+   */
+  async runPhase(
+    entries,
+    entity,
+    candidateInfo,
+    result,
+    deadlineAt
+  ) {
+    const ordered =
+      this.providers.filter(
+        entry => entries.includes(entry)
+      );
+
+    const outcomes =
+      await Promise.all(
+        ordered.map(
+          entry =>
+            this.runProvider(
+              entry,
+              {
+                entity,
+                candidateInfo,
+                website:
+                  result.website
+              },
+              deadlineAt
+            )
+        )
+      );
+
+    ordered.forEach(
+      (entry, index) =>
+        mergeOutcome(
+          result,
+          entry,
+          outcomes[index]
+        )
+    );
+  }
+
+  /**
+   * Run one provider inside its budget, its timeout and the shared
+   * deadline. Never throws.
+   */
+  async runProvider(
+    entry,
+    context,
+    deadlineAt
+  ) {
+    const startedAt =
+      Date.now();
+
+    if (
+      entry.callsUsed >=
+      entry.maxCalls
+    ) {
+      return {
+        status: "skipped",
+        error: {
+          code: "BUDGET_EXHAUSTED",
+          message:
+            `${entry.key} call budget of ${entry.maxCalls} is exhausted.`
+        },
+        durationMs: 0
+      };
+    }
+
+    const timeoutMs =
+      Math.min(
+        entry.timeoutMs,
+        deadlineAt - startedAt
+      );
+
+    if (timeoutMs <= 0) {
+      return {
+        status: "skipped",
+        error: {
+          code: "DEADLINE_EXCEEDED",
+          message:
+            "Enrichment deadline reached before the provider could run."
+        },
+        durationMs: 0
+      };
+    }
+
+    entry.callsUsed++;
+
+    const controller =
+      new AbortController();
+
+    let timeoutId;
+
+    const timeout =
+      new Promise(
+        (_, reject) => {
+          timeoutId =
+            setTimeout(() => {
+              controller.abort();
+
+              const error =
+                new Error(
+                  `${entry.key} exceeded ${timeoutMs}ms timeout.`
+                );
+
+              error.code =
+                "ENRICHMENT_TIMEOUT";
+
+              reject(error);
+            }, timeoutMs);
+        }
+      );
+
+    try {
+      const outcome =
+        await Promise.race([
+          entry.provider.enrich({
+            ...context,
+            timeoutMs,
+            signal:
+              controller.signal
+          }),
+          timeout
+        ]);
+
+      return {
+        ...(outcome || { status: "no_data" }),
+        durationMs:
+          Date.now() - startedAt
+      };
+
+    } catch (error) {
+      return {
+        status: "failed",
+        error: {
+          code:
+            error.code ||
+            "PROVIDER_EXCEPTION",
+          message:
+            error.message ||
+            `${entry.key} failed.`
+        },
+        durationMs:
+          Date.now() - startedAt
+      };
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Result for an enrichment stage that could not run at all.
+   *
+   * @param {Error} error
+   * @returns {Object}
+   */
+  static failedResult(error) {
+    const result =
+      createEmptyResult(
+        new Date().toISOString()
+      );
+
+    result.status = "failed";
+
+    result.errors.push({
+      stage: "enrichment",
+      provider: "EnrichmentEngine",
+      code:
+        error?.code ||
+        "ENRICHMENT_EXCEPTION",
+      message:
+        error?.message ||
+        "Enrichment failed."
+    });
+
+    return result;
+  }
+}
+
+// ============================================================================
+// RESULT ASSEMBLY
+// ============================================================================
+
+function createEmptyResult(enrichedAt) {
+  return {
+    schemaVersion: ENRICHMENT_SCHEMA_VERSION,
+
+    status: "empty",
+
+    website: null,
+
+    websiteObservation: null,
+
+    businessPhone: null,
+
+    emails: [],
+
+    phones: [],
+
+    contacts: [],
+
+    digitalSignals: [],
+
+    observations: [],
+
+    providerResults: {},
+
+    errors: [],
+
+    enrichedAt,
+
+    durationMs: null
+  };
+}
+
+function mergeOutcome(
+  result,
+  entry,
+  outcome
+) {
+  const providerName =
+    entry.provider.name ||
+    entry.key;
+
+  result.providerResults[entry.key] = {
+    provider: providerName,
+    status: outcome.status,
+    code:
+      outcome.error?.code ||
+      null,
+    durationMs:
+      outcome.durationMs
+  };
+
+  /*
+   * Skips (budget, deadline, no website, not configured) are recorded
+   * in providerResults only; they are not failures.
+   */
+  if (
+    outcome.status === "failed" &&
+    outcome.error
+  ) {
+    result.errors.push({
+      stage: entry.key,
+      provider: providerName,
+      code: outcome.error.code,
+      message: outcome.error.message
+    });
+  }
+
+  if (
+    outcome.status === "failed" ||
+    outcome.status === "skipped"
+  ) {
+    return;
+  }
+
+  if (
+    !result.website &&
+    outcome.website
+  ) {
+    result.website =
+      normalizeWebsite(
+        outcome.website
+      );
+  }
+
+  if (
+    !result.websiteObservation &&
+    outcome.websiteObservation
+  ) {
+    result.websiteObservation =
+      outcome.websiteObservation;
+  }
+
+  result.emails.push(
+    ...normalizeContactValues(
+      outcome.emails,
+      entry.key
+    )
+  );
+
+  result.phones.push(
+    ...normalizeContactValues(
+      outcome.phones,
+      entry.key
+    )
+  );
+
+  if (Array.isArray(outcome.contacts)) {
+    result.contacts.push(
+      ...outcome.contacts
+    );
+  }
+
+  if (Array.isArray(outcome.digitalSignals)) {
+    result.digitalSignals.push(
+      ...outcome.digitalSignals
+    );
+  }
+
+  if (Array.isArray(outcome.observations)) {
+    result.observations.push(
+      ...outcome.observations.map(
+        observation => ({
+          provider: providerName,
+          ...observation
+        })
+      )
+    );
+  }
+}
+
+function consolidate(result) {
+  result.emails =
+    dedupeContactValues(
+      result.emails
+    );
+
+  result.phones =
+    dedupeContactValues(
+      result.phones,
+      phoneKey
+    );
+
+  result.contacts =
+    dedupeContacts(
+      result.contacts
+    );
+
+  result.digitalSignals =
+    dedupeSignals(
+      result.digitalSignals
+    );
+
+  result.businessPhone =
+    result.phones[0]?.value ||
+    null;
+}
+
+function determineStatus(result) {
+  const attempted =
+    Object.values(
+      result.providerResults
+    ).filter(
+      providerResult =>
+        providerResult.status !== "skipped"
+    );
+
+  const hasSuccessfulProvider =
+    attempted.some(
+      providerResult =>
+        providerResult.status === "success"
+    );
+
+  const hasData =
+    Boolean(result.website) ||
+    result.emails.length > 0 ||
+    result.phones.length > 0 ||
+    result.contacts.length > 0 ||
+    result.digitalSignals.length > 0;
+
+  if (
+    attempted.length > 0 &&
+    attempted.every(
+      providerResult =>
+        providerResult.status === "failed"
+    )
+  ) {
+    return "failed";
+  }
+
+  if (
+    hasSuccessfulProvider &&
+    hasData
+  ) {
+    return result.errors.length > 0
+      ? "partial"
+      : "complete";
+  }
+
+  if (result.errors.length > 0) {
+    return "partial";
+  }
+
+  return "empty";
+}
+
+// ============================================================================
+// VALUE NORMALIZATION
+// ============================================================================
+
+/**
+ * Normalize provider contact values into predictable objects.
+ */
+function normalizeContactValues(
+  values,
+  source
+) {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+
+  return values
+    .filter(Boolean)
+    .map(value => {
+      if (
+        typeof value === "string"
+      ) {
+        return {
+          value:
+            value.trim(),
+          source
+        };
+      }
+
+      return {
+        ...value,
+        value:
+          String(
+            value.value || ""
+          ).trim(),
+        source:
+          value.source ||
+          source
+      };
+    })
+    .filter(
+      item => Boolean(item.value)
+    );
+}
+
+/**
+ * Deduplicate email / phone observations. Phones key on E.164
+ * (phoneKey) so one number in several formats is kept once.
+ */
+function dedupeContactValues(
+  values,
+  keyOf = item =>
+    String(
+      item?.value || ""
+    )
+      .toLowerCase()
+      .replace(
+        /[\s().-]/g,
+        ""
+      )
+) {
+  const seen =
+    new Set();
+
+  return values.filter(
+    item => {
+      const key =
+        keyOf(item);
+
+      if (
+        !key ||
+        seen.has(key)
+      ) {
+        return false;
+      }
+
+      seen.add(key);
+
+      return true;
+    }
+  );
+}
+
+/**
+ * Deduplicate contact records.
+ */
+function dedupeContacts(contacts) {
+  const seen =
+    new Set();
+
+  return contacts.filter(
+    contact => {
+      const key =
+        [
+          contact?.name,
+          contact?.email,
+          contact?.phone
+        ]
+          .filter(Boolean)
+          .join("|")
+          .toLowerCase();
+
+      if (
+        !key ||
+        seen.has(key)
+      ) {
+        return false;
+      }
+
+      seen.add(key);
+
+      return true;
+    }
+  );
+}
+
+/**
+ * Deduplicate digital signals, plain strings or { code, message }.
+ */
+function dedupeSignals(signals) {
+  const seen =
+    new Set();
+
+  return signals.filter(
+    signal => {
+      const key =
+        typeof signal === "object" && signal !== null
+          ? `${signal.code}|${signal.message}`
+          : String(signal);
+
+      if (seen.has(key)) {
+        return false;
+      }
+
+      seen.add(key);
+
+      return true;
+    }
+  );
+}
+
+/**
+ * Normalize a website URL. Bare domains are read as https.
+ */
+function normalizeWebsite(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url =
+      new URL(
+        /^https?:\/\//i.test(value)
+          ? value
+          : `https://${value}`
+      );
+
+    if (
+      url.protocol !== "http:" &&
+      url.protocol !== "https:"
+    ) {
+      return null;
+    }
+
+    return url.toString();
+
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// DEFAULT ENGINE
+// ============================================================================
+
+/**
+ * Engine with every built-in enrichment provider registered.
+ *
+ * Budgets are per engine, so callers create one engine per pipeline
+ * run.
+ *
+ * @param {Object} [options]
+ * Passed to the EnrichmentEngine constructor.
+ * @returns {EnrichmentEngine}
+ */
+function createDefaultEnrichmentEngine(options = {}) {
+  return new EnrichmentEngine({
+    emailClassifier:
+      new EmailClassifier(),
+    ...options
+  })
+    .register(
+      new WebsiteReconProvider(),
+      {
+        timeoutMs: 8000
+      }
+    )
+    .register(
+      new ContactSearchProvider(),
+      {
+        timeoutMs: 5000
+      }
+    );
+}
+
+module.exports = {
+  EnrichmentEngine,
+  createDefaultEnrichmentEngine,
+  ENRICHMENT_SCHEMA_VERSION
+};
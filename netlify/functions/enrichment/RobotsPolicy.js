@@ -0,0 +1,275 @@
+/**
+ * RobotsPolicy
+ *
+ * robots.txt rules for one origin, as they apply to this crawler.
+ *
+ * RESPONSIBILITY:
+ * - Parse robots.txt groups, Allow / Disallow rules, Crawl-delay and
+ *   Sitemap lines.
+ * - Select the group for our product token, falling back to "*".
+ * - Answer whether a path may be fetched (RFC 9309: the longest
+ *   matching rule wins, Allow wins ties).
+ *
+ * DOES NOT:
+ * - Fetch robots.txt. WebsiteCrawler decides what an unreachable or
+ *   missing file means.
+ */
+
+class RobotsPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.rules]
+   * [{ allow: boolean, pattern: string }]
+   * @param {number|null} [options.crawlDelayMs]
+   * @param {Array<string>} [options.sitemaps]
+   */
+  constructor({
+    rules = [],
+    crawlDelayMs = null,
+    sitemaps = []
+  } = {}) {
+    this.rules =
+      rules.map(rule => ({
+        ...rule,
+        matcher:
+          compilePattern(rule.pattern)
+      }));
+
+    this.crawlDelayMs =
+      crawlDelayMs;
+
+    this.sitemaps =
+      sitemaps;
+  }
+
+  /**
+   * Parse a robots.txt body.
+   *
+   * @param {string} text
+   * @param {string} userAgent
+   * Full User-Agent header; its product token ("RyGuyLabs-LeadEngine")
+   * selects the group.
+   * @returns {RobotsPolicy}
+   */
+  static parse(text, userAgent) {
+    const productToken =
+      String(userAgent || "")
+        .split("/")[0]
+        .trim()
+        .toLowerCase();
+
+    const groups = [];
+    const sitemaps = [];
+
+    let current = null;
+    let lastWasAgent = false;
+
+    for (
+      const rawLine of String(text || "").split(/\r?\n/)
+    ) {
+      const line =
+        rawLine.replace(/#.*$/, "").trim();
+
+      const separator =
+        line.indexOf(":");
+
+      if (separator === -1) {
+        continue;
+      }
+
+      const field =
+        line.slice(0, separator).trim().toLowerCase();
+
+      const value =
+        line.slice(separator + 1).trim();
+
+      if (field === "sitemap") {
+        if (value) {
+          sitemaps.push(value);
+        }
+
+        continue;
+      }
+
+      if (field === "user-agent") {
+        if (!lastWasAgent || !current) {
+          current = {
+            agents: [],
+            rules: [],
+            crawlDelaySeconds: null
+          };
+
+          groups.push(current);
+        }
+
+        /*
+         * An empty User-agent names no crawler (RFC 9309). Its group
+         * is kept so the rules that follow apply to nobody.
+         */
+        if (value) {
+          current.agents.push(value.toLowerCase());
+        }
+
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (!current) {
+        continue;
+      }
+
+      if (
+        field === "allow" ||
+        field === "disallow"
+      ) {
+        /*
+         * An empty Disallow allows everything; it adds no rule.
+         */
+        if (value) {
+          current.rules.push({
+            allow: field === "allow",
+            pattern: value
+          });
+        }
+      } else if (field === "crawl-delay") {
+        const seconds =
+          Number(value);
+
+        if (
+          Number.isFinite(seconds) &&
+          seconds >= 0
+        ) {
+          current.crawlDelaySeconds = seconds;
+        }
+      }
+    }
+
+    const specific =
+      groups.filter(group =>
+        group.agents.some(agent =>
+          agent !== "*" &&
+          productToken &&
+          productToken.startsWith(agent)
+        )
+      );
+
+    const applicable =
+      specific.length > 0
+        ? specific
+        : groups.filter(group =>
+            group.agents.includes("*")
+          );
+
+    const delays =
+      applicable
+        .map(group => group.crawlDelaySeconds)
+        .filter(seconds => seconds !== null);
+
+    return new RobotsPolicy({
+      rules:
+        applicable.flatMap(group => group.rules),
+
+      crawlDelayMs:
+        delays.length > 0
+          ? Math.max(...delays) * 1000
+          : null,
+
+      sitemaps
+    });
+  }
+
+  /**
+   * Policy for an origin without robots.txt (4xx).
+   */
+  static allowAll() {
+    return new RobotsPolicy();
+  }
+
+  /**
+   * Policy for an origin whose robots.txt could not be retrieved
+   * (5xx or network failure).
+   */
+  static disallowAll() {
+    return new RobotsPolicy({
+      rules: [
+        {
+          allow: false,
+          pattern: "/"
+        }
+      ]
+    });
+  }
+
+  /**
+   * @param {string} url
+   * Absolute URL or path (with query string).
+   * @returns {boolean}
+   */
+  isAllowed(url) {
+    let path;
+
+    try {
+      const parsed =
+        new URL(url, "http://robots.invalid");
+
+      path =
+        parsed.pathname + parsed.search;
+    } catch {
+      return false;
+    }
+
+    if (path === "/robots.txt") {
+      return true;
+    }
+
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (!rule.matcher.test(path)) {
+        continue;
+      }
+
+      if (
+        !best ||
+        rule.pattern.length > best.pattern.length ||
+        (
+          rule.pattern.length === best.pattern.length &&
+          rule.allow
+        )
+      ) {
+        best = rule;
+      }
+    }
+
+    return best
+      ? best.allow
+      : true;
+  }
+}
+
+/**
+ * robots.txt path pattern to a prefix regex: "*" matches any run of
+ * characters and a trailing "$" anchors the end.
+ */
+function compilePattern(pattern) {
+  const anchored =
+    pattern.endsWith("$");
+
+  const body =
+    (anchored ? pattern.slice(0, -1) : pattern)
+      .split("*")
+      .map(part =>
+        part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      )
+      .join(".*");
+
+  return new RegExp(
+    `^${body}${anchored ? "$" : ""}`
+  );
+}
+
+module.exports = {
+  RobotsPolicy
+};
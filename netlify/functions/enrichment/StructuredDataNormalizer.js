@@ -0,0 +1,1067 @@
+const {
+  GeographicValidator
+} = require("../validation/GeographicValidator.js");
+
+const {
+  normalizeCompanyName,
+  normalizeCompanyNameTokens
+} = require("../source/CompanyNameNormalizer.js");
+
+const {
+  getStateJurisdiction
+} = require("../source/StateJurisdictions.js");
+
+const {
+  parsePhoneNumber,
+  phoneKey
+} = require("../source/PhoneNumberNormalizer.js");
+
+/**
+ * StructuredDataNormalizer
+ *
+ * Turns the structured data a business publishes about itself into
+ * canonical business facts, and checks those facts against the
+ * registry record.
+ *
+ * RESPONSIBILITY:
+ * - Read schema.org JSON-LD, schema.org microdata and OpenGraph
+ *   (including business:contact_data) from crawled pages.
+ * - Map Organization / LocalBusiness (and subtypes) into canonical
+ *   fields: legalName, address, geo, telephone, openingHours, sameAs,
+ *   founders and areaServed, each with the page and format it came
+ *   from.
+ * - Cross-check name, address, geo, founders and areaServed against
+ *   the registry entity, so the website can be tied to the registered
+ *   company with evidence.
+ *
+ * DOES NOT:
+ * - Treat self-published facts as registry evidence. A website can
+ *   corroborate the registry; it cannot override it.
+ * - Fetch pages.
+ *
+ * SOURCE PRECEDENCE (per field): JSON-LD, then microdata, then
+ * OpenGraph. Within a format, specific LocalBusiness types win over
+ * a plain Organization.
+ */
+
+const FORMAT_PRIORITY = [
+  "json-ld",
+  "microdata",
+  "opengraph"
+];
+
+/*
+ * Types that describe something other than the business itself.
+ */
+const NON_BUSINESS_TYPES = new Set([
+  "WebSite",
+  "WebPage",
+  "BreadcrumbList",
+  "ListItem",
+  "SearchAction",
+  "ImageObject",
+  "VideoObject",
+  "Person",
+  "PostalAddress",
+  "GeoCoordinates",
+  "OpeningHoursSpecification",
+  "Review",
+  "AggregateRating",
+  "Rating",
+  "Offer",
+  "Product",
+  "Article",
+  "BlogPosting",
+  "FAQPage",
+  "Question",
+  "Answer",
+  "Event",
+  "ContactPoint"
+]);
+
+const GENERIC_BUSINESS_TYPES = new Set([
+  "Organization",
+  "Corporation",
+  "Thing"
+]);
+
+/*
+ * Site geo within this distance of the registry ZIP centroid agrees.
+ */
+const GEO_AGREEMENT_MILES = 25;
+
+const DAY_NAMES = {
+  mo: "Monday",
+  tu: "Tuesday",
+  we: "Wednesday",
+  th: "Thursday",
+  fr: "Friday",
+  sa: "Saturday",
+  su: "Sunday"
+};
+
+const DAY_ORDER = Object.values(DAY_NAMES);
+
+const SOCIAL_NETWORKS = [
+  { network: "facebook", pattern: /(^|\.)facebook\.com$|(^|\.)fb\.com$/ },
+  { network: "instagram", pattern: /(^|\.)instagram\.com$/ },
+  { network: "linkedin", pattern: /(^|\.)linkedin\.com$/ },
+  { network: "x", pattern: /(^|\.)(twitter|x)\.com$/ },
+  { network: "youtube", pattern: /(^|\.)youtube\.com$|(^|\.)youtu\.be$/ },
+  { network: "tiktok", pattern: /(^|\.)tiktok\.com$/ },
+  { network: "pinterest", pattern: /(^|\.)pinterest\.com$/ },
+  { network: "yelp", pattern: /(^|\.)yelp\.com$/ },
+  { network: "google_business", pattern: /^(maps\.google\.com|g\.page|goo\.gl|maps\.app\.goo\.gl)$|(^|\.)google\.com$/ },
+  { network: "nextdoor", pattern: /(^|\.)nextdoor\.com$/ },
+  { network: "bbb", pattern: /(^|\.)bbb\.org$/ },
+  { network: "houzz", pattern: /(^|\.)houzz\.com$/ },
+  { network: "angi", pattern: /(^|\.)(angi|angieslist)\.com$/ }
+];
+
+/*
+ * US state names to USPS codes, for addressRegion values that spell
+ * the state out.
+ */
+const US_STATE_CODES = {
+  alabama: "AL", alaska: "AK", arizona: "AZ", arkansas: "AR",
+  california: "CA", colorado: "CO", connecticut: "CT", delaware: "DE",
+  "district of columbia": "DC", florida: "FL", georgia: "GA",
+  hawaii: "HI", idaho: "ID", illinois: "IL", indiana: "IN", iowa: "IA",
+  kansas: "KS", kentucky: "KY", louisiana: "LA", maine: "ME",
+  maryland: "MD", massachusetts: "MA", michigan: "MI", minnesota: "MN",
+  mississippi: "MS", missouri: "MO", montana: "MT", nebraska: "NE",
+  nevada: "NV", "new hampshire": "NH", "new jersey": "NJ",
+  "new mexico": "NM", "new york": "NY", "north carolina": "NC",
+  "north dakota": "ND", ohio: "OH", oklahoma: "OK", oregon: "OR",
+  pennsylvania: "PA", "rhode island": "RI", "south carolina": "SC",
+  "south dakota": "SD", tennessee: "TN", texas: "TX", utah: "UT",
+  vermont: "VT", virginia: "VA", washington: "WA",
+  "west virginia": "WV", wisconsin: "WI", wyoming: "WY"
+};
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link",
+  "meta", "source", "track", "wbr"
+]);
+
+class StructuredDataNormalizer {
+  constructor() {
+    this.name = "StructuredDataNormalizer";
+  }
+
+  // ==========================================================================
+  // NORMALIZATION
+  // ==========================================================================
+
+  /**
+   * Canonical business facts from crawled pages.
+   *
+   * Every field is null (or empty) when no page published it.
+   * `sources` names the page URL, format and schema.org type behind
+   * each populated field.
+   *
+   * @param {Array<Object>} pages
+   * [{ finalUrl, html }]
+   * @returns {Object}
+   */
+  normalize(pages = []) {
+    const candidates = [];
+
+    for (const page of pages) {
+      const url = page.finalUrl || page.url;
+      const html = page.html || "";
+
+      for (const item of extractJsonLdItems(html)) {
+        candidates.push({ item, format: "json-ld", sourceUrl: url });
+      }
+
+      for (const item of extractMicrodataItems(html)) {
+        candidates.push({ item, format: "microdata", sourceUrl: url });
+      }
+
+      const openGraph = extractOpenGraphItem(html);
+
+      if (openGraph) {
+        candidates.push({ item: openGraph, format: "opengraph", sourceUrl: url });
+      }
+    }
+
+    const businesses =
+      candidates
+        .filter(candidate => isBusinessItem(candidate.item))
+        .map((candidate, index) => ({ ...candidate, index }))
+        .sort((a, b) =>
+          FORMAT_PRIORITY.indexOf(a.format) - FORMAT_PRIORITY.indexOf(b.format) ||
+          typeRank(a.item) - typeRank(b.item) ||
+          a.index - b.index
+        );
+
+    const facts = {
+      legalName: null,
+      name: null,
+      address: null,
+      geo: null,
+      telephone: [],
+      email: [],
+      url: null,
+      openingHours: [],
+      sameAs: [],
+      founders: [],
+      areaServed: [],
+      sources: {},
+      itemCount: businesses.length
+    };
+
+    const fieldReaders = {
+      legalName: item => firstText(item.legalName),
+      name: item => firstText(item.name),
+      address: item => normalizeAddress(first(item.address)),
+      geo: item => normalizeGeo(first(item.geo)),
+      telephone: item => normalizeTelephones(item.telephone),
+      email: item => texts(item.email).map(value => value.replace(/^mailto:/i, "").toLowerCase()),
+      url: item => firstText(item.url),
+      openingHours: item => normalizeOpeningHours(item.openingHours, item.openingHoursSpecification),
+      sameAs: item => normalizeSameAs(item.sameAs),
+      founders: item => texts(item.founder).concat(texts(item.founders)),
+      areaServed: item => normalizeAreaServed(item.areaServed)
+    };
+
+    for (const [field, read] of Object.entries(fieldReaders)) {
+      for (const business of businesses) {
+        const value = read(business.item);
+
+        if (
+          value === null ||
+          value === undefined ||
+          (Array.isArray(value) && value.length === 0)
+        ) {
+          continue;
+        }
+
+        facts[field] =
+          Array.isArray(value)
+            ? [...new Map(value.map(entry => [JSON.stringify(entry), entry])).values()]
+            : value;
+
+        facts.sources[field] = {
+          sourceUrl: business.sourceUrl,
+          format: business.format,
+          type: itemTypes(business.item)[0] || null
+        };
+
+        break;
+      }
+    }
+
+    return facts;
+  }
+
+  // ==========================================================================
+  // REGISTRY CROSS-CHECK
+  // ==========================================================================
+
+  /**
+   * Compare site facts with the registry entity.
+   *
+   * Each check is "agrees", "partial", "disagrees" or "not_comparable",
+   * with the site value, the registry value and the page the site value
+   * came from.
+   *
+   * tie:
+   * - "strong": name and address agree, nothing else disagrees.
+   * - "partial": something agrees, nothing disagrees.
+   * - "conflict": name or address disagrees.
+   * - "none": nothing could be compared.
+   *
+   * @param {Object} facts
+   * Result of normalize().
+   * @param {Object} entity
+   * Normalized registry entity.
+   * @returns {Object}
+   */
+  crossCheck(facts, entity = {}) {
+    const checks = [
+      checkName(facts, entity),
+      checkAddress(facts, entity),
+      checkGeo(facts, entity),
+      checkFounders(facts, entity),
+      checkAreaServed(facts, entity)
+    ].filter(Boolean);
+
+    const byField =
+      Object.fromEntries(checks.map(check => [check.field, check.status]));
+
+    let tie = "none";
+
+    if (
+      byField.name === "disagrees" ||
+      byField.address === "disagrees"
+    ) {
+      tie = "conflict";
+    } else if (
+      byField.name === "agrees" &&
+      byField.address === "agrees"
+    ) {
+      tie = "strong";
+    } else if (
+      checks.some(check =>
+        check.status === "agrees" || check.status === "partial"
+      )
+    ) {
+      tie = "partial";
+    }
+
+    return {
+      tie,
+      checks
+    };
+  }
+}
+
+// ============================================================================
+// CROSS-CHECKS
+// ============================================================================
+
+function check(field, status, basis, facts, siteValue, registryValue) {
+  return {
+    field,
+    status,
+    basis,
+    siteValue,
+    registryValue,
+    sourceUrl: facts.sources[field]?.sourceUrl || null
+  };
+}
+
+/**
+ * legalName when the site publishes one, otherwise the display name.
+ */
+function checkName(facts, entity) {
+  const field = facts.legalName ? "legalName" : "name";
+  const siteName = facts[field];
+
+  if (!siteName || !entity.companyName) {
+    return null;
+  }
+
+  const result =
+    (status, basis) => ({
+      ...check("name", status, basis, facts, siteName, entity.companyName),
+      sourceUrl: facts.sources[field]?.sourceUrl || null,
+      siteField: field
+    });
+
+  if (normalizeCompanyName(siteName) === normalizeCompanyName(entity.companyName)) {
+    return result("agrees", "normalized_name_equal");
+  }
+
+  const siteTokens = new Set(normalizeCompanyNameTokens(siteName));
+  const registryTokens = normalizeCompanyNameTokens(entity.companyName);
+
+  const shared =
+    registryTokens.filter(token => siteTokens.has(token)).length;
+
+  const overlap =
+    shared / Math.max(registryTokens.length, siteTokens.size, 1);
+
+  return overlap >= 0.5
+    ? result("partial", "name_token_overlap")
+    : result("disagrees", "names_differ");
+}
+
+/**
+ * Read the site address as a target geography and test it against the
+ * registry addresses with GeographicValidator, from ZIP down to state.
+ */
+function checkAddress(facts, entity) {
+  const site = facts.address;
+
+  if (!site || !site.state) {
+    return null;
+  }
+
+  const registryAddresses = {
+    principalAddress: entity.principalAddress || entity.location || null,
+    mailingAddress: entity.mailingAddress || null
+  };
+
+  if (!registryAddresses.principalAddress && !registryAddresses.mailingAddress) {
+    return null;
+  }
+
+  const attempts = [
+    { status: "agrees", target: { state: site.state, city: site.city, zip: site.zip }, usable: site.city && site.zip },
+    { status: "agrees", target: { state: site.state, city: site.city }, usable: site.city && !site.zip },
+    { status: "partial", target: { state: site.state, city: site.city }, usable: site.city && site.zip },
+    { status: "partial", target: { state: site.state }, usable: true, stateOnly: true }
+  ];
+
+  for (const attempt of attempts) {
+    if (!attempt.usable) {
+      continue;
+    }
+
+    const validation =
+      GeographicValidator.validate(attempt.target, registryAddresses);
+
+    if (validation.matched) {
+      const basis =
+        attempt.stateOnly
+          ? validation.basis.replace(/_address$/, "_state")
+          : validation.basis;
+
+      return check("address", attempt.status, basis, facts, site, validation.observed);
+    }
+  }
+
+  return check("address", "disagrees", "GEOGRAPHIC_MISMATCH", facts, site, registryAddresses.principalAddress || registryAddresses.mailingAddress);
+}
+
+function checkGeo(facts, entity) {
+  const zip =
+    entity.principalAddress?.zip ||
+    entity.location?.zip ||
+    null;
+
+  const gazetteer =
+    getStateJurisdiction(entity.jurisdiction)?.getGazetteer?.();
+
+  if (!facts.geo || !zip || !gazetteer) {
+    return null;
+  }
+
+  const distanceMiles =
+    gazetteer.distanceToZip(
+      { lat: facts.geo.latitude, lon: facts.geo.longitude },
+      zip
+    );
+
+  if (distanceMiles === null) {
+    return null;
+  }
+
+  return {
+    ...check(
+      "geo",
+      distanceMiles <= GEO_AGREEMENT_MILES ? "agrees" : "disagrees",
+      "registry_zip_centroid_distance",
+      facts,
+      facts.geo,
+      { zip }
+    ),
+    distanceMiles: Number(distanceMiles.toFixed(2))
+  };
+}
+
+/**
+ * Registry files carry no officers, so founders can only be matched to
+ * the registered agent. A mismatch proves nothing.
+ */
+function checkFounders(facts, entity) {
+  if (facts.founders.length === 0 || !entity.registeredAgent) {
+    return null;
+  }
+
+  const agent = personKey(entity.registeredAgent);
+
+  const match =
+    facts.founders.find(founder => personKey(founder) === agent);
+
+  return match
+    ? check("founders", "agrees", "founder_is_registered_agent", facts, match, entity.registeredAgent)
+    : check("founders", "not_comparable", "registry_lists_no_officers", facts, facts.founders, entity.registeredAgent);
+}
+
+function checkAreaServed(facts, entity) {
+  const city = entity.location?.city || entity.principalAddress?.city || null;
+  const state = entity.jurisdiction || entity.location?.state || null;
+  const jurisdictionName = getStateJurisdiction(state)?.name || null;
+
+  if (facts.areaServed.length === 0 || (!city && !state)) {
+    return null;
+  }
+
+  const served =
+    facts.areaServed
+      .map(area => String(area.name || "").toLowerCase())
+      .filter(Boolean);
+
+  const mentions =
+    value =>
+      value &&
+      served.some(name =>
+        name === value.toLowerCase() ||
+        name.startsWith(`${value.toLowerCase()},`) ||
+        name.includes(` ${value.toLowerCase()}`)
+      );
+
+  if (mentions(city)) {
+    return check("areaServed", "agrees", "serves_registry_city", facts, facts.areaServed, city);
+  }
+
+  if (mentions(jurisdictionName) || mentions(state)) {
+    return check("areaServed", "partial", "serves_registry_state", facts, facts.areaServed, state);
+  }
+
+  return check("areaServed", "not_comparable", "service_area_elsewhere", facts, facts.areaServed, city || state);
+}
+
+function personKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(token => token.length > 1)
+    .sort()
+    .join(" ");
+}
+
+// ============================================================================
+// FIELD NORMALIZATION
+// ============================================================================
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function firstText(value) {
+  return texts(value)[0] || null;
+}
+
+function texts(value) {
+  return (Array.isArray(value) ? value : [value])
+    .map(entry =>
+      entry && typeof entry === "object"
+        ? entry["@value"] ?? entry.name ?? null
+        : entry
+    )
+    .filter(entry => entry !== null && entry !== undefined && String(entry).trim())
+    .map(entry => String(entry).replace(/\s+/g, " ").trim());
+}
+
+/**
+ * Valid numbers as E.164 (with " ext. N"), one per phoneKey.
+ */
+function normalizeTelephones(value) {
+  const numbers = new Map();
+
+  for (const text of texts(value)) {
+    const parsed = parsePhoneNumber(text.replace(/^tel:/i, ""));
+
+    if (parsed.valid && !numbers.has(phoneKey(parsed))) {
+      numbers.set(
+        phoneKey(parsed),
+        parsed.extension ? `${parsed.e164} ext. ${parsed.extension}` : parsed.e164
+      );
+    }
+  }
+
+  return [...numbers.values()];
+}
+
+function normalizeAddress(address) {
+  if (!address) {
+    return null;
+  }
+
+  if (typeof address === "string") {
+    return parseAddressText(address);
+  }
+
+  const region = firstText(address.addressRegion);
+
+  const normalized = {
+    line1: firstText(address.streetAddress),
+    city: firstText(address.addressLocality),
+    state: normalizeState(region),
+    zip: firstText(address.postalCode),
+    country: firstText(address.addressCountry)
+  };
+
+  return normalized.line1 || normalized.city || normalized.state || normalized.zip
+    ? normalized
+    : null;
+}
+
+/**
+ * "123 Main St, Tampa, FL 33602" -> address fields. Anything else is
+ * kept as line1 only.
+ */
+function parseAddressText(text) {
+  const cleaned = text.replace(/\s+/g, " ").trim();
+
+  const match =
+    /^(.*?),\s*([^,]+),\s*([A-Za-z .]+?)\s+(\d{5})(?:-\d{4})?(?:,\s*(?:USA|US|United States))?$/i.exec(cleaned);
+
+  if (!match) {
+    return {
+      line1: cleaned,
+      city: null,
+      state: null,
+      zip: null,
+      country: null
+    };
+  }
+
+  return {
+    line1: match[1].trim(),
+    city: match[2].trim(),
+    state: normalizeState(match[3]),
+    zip: match[4],
+    country: null
+  };
+}
+
+function normalizeState(value) {
+  if (!value) {
+    return null;
+  }
+
+  const trimmed = String(value).replace(/\./g, "").trim();
+
+  if (/^[A-Za-z]{2}$/.test(trimmed)) {
+    return trimmed.toUpperCase();
+  }
+
+  return US_STATE_CODES[trimmed.toLowerCase()] || null;
+}
+
+function normalizeGeo(geo) {
+  if (!geo || typeof geo !== "object") {
+    return null;
+  }
+
+  const latitude = Number(first(geo.latitude));
+  const longitude = Number(first(geo.longitude));
+
+  if (
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+
+  return {
+    latitude,
+    longitude
+  };
+}
+
+/**
+ * openingHours strings ("Mo-Fr 08:00-17:00") and
+ * OpeningHoursSpecification objects -> [{ days, opens, closes }].
+ */
+function normalizeOpeningHours(openingHours, specifications) {
+  const hours = [];
+
+  for (const entry of texts(openingHours)) {
+    for (const part of entry.split(/\s*[;,]\s*(?=[A-Za-z])/)) {
+      const match =
+        /^([A-Za-z,\s-]+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(part.trim());
+
+      if (match) {
+        hours.push({
+          days: expandDays(match[1]),
+          opens: match[2],
+          closes: match[3]
+        });
+      }
+    }
+  }
+
+  for (const specification of Array.isArray(specifications) ? specifications : [specifications]) {
+    if (!specification || typeof specification !== "object") {
+      continue;
+    }
+
+    const days =
+      texts(specification.dayOfWeek)
+        .map(day => day.replace(/^https?:\/\/schema\.org\//i, ""))
+        .map(day => DAY_ORDER.find(name => name.toLowerCase() === day.toLowerCase()))
+        .filter(Boolean);
+
+    const opens = firstText(specification.opens);
+    const closes = firstText(specification.closes);
+
+    if (days.length > 0 && opens && closes) {
+      hours.push({
+        days,
+        opens: opens.slice(0, 5),
+        closes: closes.slice(0, 5)
+      });
+    }
+  }
+
+  return hours;
+}
+
+function expandDays(text) {
+  const days = [];
+
+  for (const part of text.split(",")) {
+    const [from, to] =
+      part.trim().split("-").map(day => day.trim().slice(0, 2).toLowerCase());
+
+    const start = DAY_ORDER.indexOf(DAY_NAMES[from]);
+
+    if (start === -1) {
+      continue;
+    }
+
+    const end = to ? DAY_ORDER.indexOf(DAY_NAMES[to]) : start;
+
+    // "Fr-Mo" wraps through the weekend.
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.push(DAY_ORDER[i]);
+
+      if (i === end || end === -1) {
+        break;
+      }
+    }
+  }
+
+  return [...new Set(days)];
+}
+
+function normalizeSameAs(sameAs) {
+  return texts(sameAs)
+    .map(url => {
+      let hostname;
+
+      try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+      } catch {
+        return null;
+      }
+
+      return {
+        url,
+        network:
+          SOCIAL_NETWORKS.find(({ pattern }) => pattern.test(hostname))?.network ||
+          "other"
+      };
+    })
+    .filter(Boolean);
+}
+
+function normalizeAreaServed(areaServed) {
+  return (Array.isArray(areaServed) ? areaServed : [areaServed])
+    .filter(Boolean)
+    .map(area => {
+      if (typeof area !== "object") {
+        return { name: String(area).trim(), type: null };
+      }
+
+      const type = itemTypes(area)[0] || null;
+
+      if (type === "GeoCircle") {
+        const midpoint = normalizeGeo(first(area.geoMidpoint));
+
+        return {
+          name: null,
+          type,
+          midpoint,
+          radius: firstText(area.geoRadius)
+        };
+      }
+
+      return {
+        name: firstText(area.name),
+        type
+      };
+    })
+    .filter(area => area.name || area.type === "GeoCircle");
+}
+
+// ============================================================================
+// ITEM SELECTION
+// ============================================================================
+
+function itemTypes(item) {
+  return texts(item?.["@type"] ?? item?.type)
+    .map(type => type.replace(/^https?:\/\/schema\.org\//i, ""));
+}
+
+function isBusinessItem(item) {
+  const types = itemTypes(item);
+
+  if (types.length === 0 || types.every(type => NON_BUSINESS_TYPES.has(type))) {
+    return false;
+  }
+
+  return Boolean(
+    item.name ||
+    item.legalName ||
+    item.address ||
+    item.telephone
+  );
+}
+
+/**
+ * 0 for specific business types (Plumber, LocalBusiness, ...), 1 for
+ * Organization / Corporation.
+ */
+function typeRank(item) {
+  return itemTypes(item).some(type => !GENERIC_BUSINESS_TYPES.has(type))
+    ? 0
+    : 1;
+}
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+/**
+ * Every typed object in the page's JSON-LD, flattening @graph and
+ * nested arrays. Nested business objects (a WebPage's publisher, ...)
+ * are included.
+ */
+function extractJsonLdItems(html) {
+  const items = [];
+  const regex = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(match[1].trim());
+    } catch {
+      continue;
+    }
+
+    collectTypedObjects(parsed, items, 0);
+  }
+
+  return items;
+}
+
+function collectTypedObjects(value, items, depth) {
+  if (!value || typeof value !== "object" || depth > 6) {
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach(entry => collectTypedObjects(entry, items, depth + 1));
+    return;
+  }
+
+  if (value["@type"]) {
+    items.push(value);
+  }
+
+  for (const [key, nested] of Object.entries(value)) {
+    if (key !== "@context") {
+      collectTypedObjects(nested, items, depth + 1);
+    }
+  }
+}
+
+/**
+ * schema.org microdata items as JSON-LD-shaped objects.
+ *
+ * A small tag scanner, not an HTML parser: it tracks open elements to
+ * attach itemprop values to the nearest itemscope.
+ */
+function extractMicrodataItems(html) {
+  if (!/\bitemscope\b/i.test(html)) {
+    return [];
+  }
+
+  const source =
+    html
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "");
+
+  const items = [];
+  const stack = [];
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g;
+
+  let lastIndex = 0;
+  let match;
+
+  const currentItem =
+    () => [...stack].reverse().find(element => element.item)?.item || null;
+
+  const appendText =
+    text => {
+      for (const element of stack) {
+        if (element.collectText) {
+          element.text += text;
+        }
+      }
+    };
+
+  const closeElement =
+    element => {
+      if (element.item) {
+        const parent = element.parentItem;
+
+        if (element.itemprop && parent) {
+          addProperty(parent, element.itemprop, element.item);
+        } else {
+          items.push(element.item);
+        }
+      } else if (element.itemprop && element.ownerItem) {
+        addProperty(
+          element.ownerItem,
+          element.itemprop,
+          element.value ?? decodeEntities(element.text.replace(/\s+/g, " ").trim())
+        );
+      }
+    };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    appendText(source.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closing, rawName, attributes, selfClosing] = match;
+    const tagName = rawName.toLowerCase();
+
+    if (closing) {
+      const openIndex =
+        stack.map(element => element.tagName).lastIndexOf(tagName);
+
+      if (openIndex !== -1) {
+        for (const element of stack.splice(openIndex).reverse()) {
+          closeElement(element);
+        }
+      }
+
+      continue;
+    }
+
+    const attrs = parseAttributes(attributes);
+    const ownerItem = currentItem();
+
+    const element = {
+      tagName,
+      itemprop: attrs.itemprop || null,
+      ownerItem,
+      parentItem: ownerItem,
+      item: null,
+      value: null,
+      text: "",
+      collectText: false
+    };
+
+    if ("itemscope" in attrs) {
+      element.item = {
+        "@type": (attrs.itemtype || "").split(/\s+/).filter(Boolean)
+      };
+    } else if (element.itemprop) {
+      element.value =
+        attrs.content ??
+        attrs.datetime ??
+        (["a", "link", "area"].includes(tagName) ? attrs.href : undefined) ??
+        (["img", "audio", "video", "source", "embed", "iframe"].includes(tagName) ? attrs.src : undefined) ??
+        null;
+
+      element.collectText = element.value === null;
+    }
+
+    if (VOID_ELEMENTS.has(tagName) || selfClosing) {
+      closeElement(element);
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  for (const element of stack.reverse()) {
+    closeElement(element);
+  }
+
+  return items;
+}
+
+function addProperty(item, names, value) {
+  for (const name of names.split(/\s+/).filter(Boolean)) {
+    if (item[name] === undefined) {
+      item[name] = value;
+    } else {
+      item[name] = [].concat(item[name], value);
+    }
+  }
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const regex = /([a-zA-Z_:][\w:.-]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] =
+      decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+
+  return attributes;
+}
+
+/**
+ * OpenGraph site identity and business:contact_data as one
+ * Organization-shaped item, or null when the page has neither.
+ */
+function extractOpenGraphItem(html) {
+  const properties = {};
+  const regex = /<meta\b[^>]*>/gi;
+
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    const attrs = parseAttributes(match[0].slice(5, -1));
+    const property = attrs.property || attrs.name;
+
+    if (
+      property &&
+      /^(og|business):/i.test(property) &&
+      attrs.content !== undefined &&
+      properties[property.toLowerCase()] === undefined
+    ) {
+      properties[property.toLowerCase()] = attrs.content;
+    }
+  }
+
+  const contact = key => properties[`business:contact_data:${key}`] || null;
+
+  const address = {
+    streetAddress: contact("street_address"),
+    addressLocality: contact("locality"),
+    addressRegion: contact("region"),
+    postalCode: contact("postal_code"),
+    addressCountry: contact("country_name")
+  };
+
+  const hasAddress = Object.values(address).some(Boolean);
+
+  const item = {
+    "@type": "Organization",
+    name: properties["og:site_name"] || null,
+    url: properties["og:url"] || null,
+    telephone: contact("phone_number"),
+    email: contact("email"),
+    address: hasAddress ? address : null
+  };
+
+  return item.name || item.telephone || hasAddress
+    ? item
+    : null;
+}
+
+function decodeEntities(value) {
+  return String(value)
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, " ");
+}
+
+module.exports = {
+  StructuredDataNormalizer
+};
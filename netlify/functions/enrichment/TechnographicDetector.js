@@ -0,0 +1,402 @@
+/**
+ * TechnographicDetector
+ *
+ * Identifies the technology behind a website from its crawled pages,
+ * using the versioned fingerprint library in
+ * data/technographic-fingerprints.json.
+ *
+ * RESPONSIBILITY:
+ * - Match fingerprints against page markup, script sources, meta tags
+ *   and response headers.
+ * - Report each detected technology once, with its category, the
+ *   version where the site exposes one, and the evidence (page URL and
+ *   snippet) behind the detection.
+ * - Derive signals qualification can cite: missing booking, chat or
+ *   ad tracking on the crawled pages, and outdated or deprecated
+ *   software.
+ *
+ * DOES NOT:
+ * - Fetch pages (WebsiteCrawler does).
+ * - Execute scripts. Technology injected client-side only at runtime
+ *   is not visible here, so an absence signal is scoped to the crawled
+ *   pages, never to the business.
+ * - Score anything.
+ */
+
+const MAX_EVIDENCE_PER_DETECTION = 3;
+
+const SNIPPET_CONTEXT_CHARS = 40;
+
+const PATTERN_SOURCES = [
+  "html",
+  "script",
+  "meta",
+  "header"
+];
+
+/*
+ * Categories whose absence from every crawled page is reported.
+ */
+const ABSENCE_SIGNALS = [
+  {
+    category: "booking",
+    code: "NO_ONLINE_BOOKING",
+    description: "online booking or scheduling widget"
+  },
+  {
+    category: "chat",
+    code: "NO_CHAT_WIDGET",
+    description: "chat widget"
+  },
+  {
+    category: "ad_pixel",
+    code: "NO_AD_PIXEL",
+    description: "advertising pixel"
+  },
+  {
+    category: "analytics",
+    code: "WEAK_ANALYTICS_SIGNAL",
+    description: "analytics or tag manager"
+  }
+];
+
+class TechnographicDetector {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.library]
+   * Parsed technographic-fingerprints.json.
+   */
+  constructor({
+    library = require("./data/technographic-fingerprints.json")
+  } = {}) {
+    this.name = "TechnographicDetector";
+
+    this.version = library.version;
+
+    this.categories = library.categories || {};
+
+    this.fingerprints =
+      library.fingerprints.map(fingerprint => ({
+        ...fingerprint,
+        patterns:
+          fingerprint.patterns.map(pattern =>
+            compilePattern(fingerprint, pattern)
+          )
+      }));
+  }
+
+  // ==========================================================================
+  // DETECTION
+  // ==========================================================================
+
+  /**
+   * Detect technologies across crawled pages.
+   *
+   * @param {Array<Object>} pages
+   * [{ finalUrl, html, headers }]
+   * @returns {Array<Object>}
+   * [{ id, name, category, version, outdated, deprecated, evidence }]
+   */
+  detect(pages = []) {
+    const sources =
+      pages.map(page => ({
+        url: page.finalUrl || page.url,
+        html: page.html || "",
+        scripts: extractScriptSources(page.html || ""),
+        meta: extractMetaTags(page.html || ""),
+        headers: page.headers || {}
+      }));
+
+    const detections = [];
+
+    for (const fingerprint of this.fingerprints) {
+      const evidence = [];
+      let version = null;
+
+      for (const pattern of fingerprint.patterns) {
+        for (const source of sources) {
+          const match =
+            matchPattern(pattern, source);
+
+          if (!match) {
+            continue;
+          }
+
+          if (
+            version === null &&
+            pattern.version &&
+            match.captures[pattern.version]
+          ) {
+            version = match.captures[pattern.version];
+          }
+
+          if (evidence.length < MAX_EVIDENCE_PER_DETECTION) {
+            evidence.push({
+              source: pattern.source,
+              ...(pattern.name ? { name: pattern.name } : {}),
+              sourceUrl: source.url,
+              snippet: match.snippet
+            });
+          }
+        }
+      }
+
+      if (evidence.length === 0) {
+        continue;
+      }
+
+      detections.push({
+        id: fingerprint.id,
+        name: fingerprint.name,
+        category: fingerprint.category,
+        version,
+        outdated:
+          fingerprint.outdatedBelow && version
+            ? compareVersions(version, fingerprint.outdatedBelow) < 0
+            : null,
+        outdatedBelow: fingerprint.outdatedBelow || null,
+        deprecated: Boolean(fingerprint.deprecatedSince),
+        deprecatedSince: fingerprint.deprecatedSince || null,
+        note: fingerprint.note || null,
+        evidence
+      });
+    }
+
+    return detections;
+  }
+
+  // ==========================================================================
+  // SIGNALS
+  // ==========================================================================
+
+  /**
+   * Qualification-ready signals from detections.
+   *
+   * @param {Array<Object>} detections
+   * @param {Array<string>} pageUrls
+   * URLs of the crawled pages the detections were drawn from.
+   * @returns {Array<Object>}
+   * [{ code, message, evidence }]
+   */
+  deriveSignals(detections, pageUrls = []) {
+    const signals = [];
+
+    const detectedCategories =
+      new Set(detections.map(detection => detection.category));
+
+    const pageCount =
+      pageUrls.length;
+
+    for (const absence of ABSENCE_SIGNALS) {
+      if (
+        pageCount === 0 ||
+        detectedCategories.has(absence.category)
+      ) {
+        continue;
+      }
+
+      signals.push({
+        code: absence.code,
+        message:
+          `No ${absence.description} detected on ${pageCount} crawled page${pageCount === 1 ? "" : "s"}.`,
+        evidence:
+          pageUrls.map(url => ({
+            source: "crawl",
+            sourceUrl: url
+          }))
+      });
+    }
+
+    for (const detection of detections) {
+      if (detection.outdated) {
+        signals.push({
+          code: `OUTDATED_${detection.category.toUpperCase()}`,
+          message:
+            `${detection.name} ${detection.version} is older than ${detection.outdatedBelow}.` +
+            (detection.note ? ` ${detection.note}` : ""),
+          technology: detection.id,
+          evidence: detection.evidence
+        });
+      }
+
+      if (detection.deprecated) {
+        signals.push({
+          code: "DEPRECATED_TECHNOLOGY",
+          message:
+            `${detection.name} is still installed; it was deprecated on ${detection.deprecatedSince}.` +
+            (detection.note ? ` ${detection.note}` : ""),
+          technology: detection.id,
+          evidence: detection.evidence
+        });
+      }
+    }
+
+    return signals;
+  }
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+function compilePattern(fingerprint, pattern) {
+  if (!PATTERN_SOURCES.includes(pattern.source)) {
+    throw new Error(
+      `Fingerprint ${fingerprint.id} has an unknown pattern source: ${pattern.source}`
+    );
+  }
+
+  if (
+    (pattern.source === "meta" || pattern.source === "header") &&
+    !pattern.name
+  ) {
+    throw new Error(
+      `Fingerprint ${fingerprint.id} ${pattern.source} patterns require a name.`
+    );
+  }
+
+  return {
+    source: pattern.source,
+    name: pattern.name ? pattern.name.toLowerCase() : null,
+    version: pattern.version || null,
+    regex: new RegExp(pattern.match, "i")
+  };
+}
+
+/**
+ * @returns {{ captures: Array<string>, snippet: string }|null}
+ */
+function matchPattern(pattern, source) {
+  if (pattern.source === "html") {
+    const match = pattern.regex.exec(source.html);
+
+    return match
+      ? {
+          captures: match,
+          snippet: snippetAround(source.html, match.index, match[0].length)
+        }
+      : null;
+  }
+
+  if (pattern.source === "script") {
+    for (const src of source.scripts) {
+      const match = pattern.regex.exec(src);
+
+      if (match) {
+        return {
+          captures: match,
+          snippet: `<script src="${src}">`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  if (pattern.source === "meta") {
+    const content = source.meta[pattern.name];
+
+    if (content === undefined) {
+      return null;
+    }
+
+    const match = pattern.regex.exec(content);
+
+    return match
+      ? {
+          captures: match,
+          snippet: `<meta name="${pattern.name}" content="${content}">`
+        }
+      : null;
+  }
+
+  const value = source.headers[pattern.name];
+
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const match = pattern.regex.exec(String(value));
+
+  return match
+    ? {
+        captures: match,
+        snippet: `${pattern.name}: ${value}`
+      }
+    : null;
+}
+
+function extractScriptSources(html) {
+  const sources = [];
+  const regex = /<script\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/gi;
+
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    sources.push(match[1]);
+  }
+
+  return sources;
+}
+
+/**
+ * First content of each named <meta> tag, keyed by lowercase name.
+ */
+function extractMetaTags(html) {
+  const meta = {};
+  const regex = /<meta\b[^>]*>/gi;
+
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    const tag = match[0];
+
+    const name =
+      /\bname\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1];
+
+    const content =
+      /\bcontent\s*=\s*["']([^"']*)["']/i.exec(tag)?.[1];
+
+    if (
+      name &&
+      content !== undefined &&
+      meta[name.toLowerCase()] === undefined
+    ) {
+      meta[name.toLowerCase()] = content;
+    }
+  }
+
+  return meta;
+}
+
+function snippetAround(text, index, length) {
+  const start = Math.max(0, index - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT_CHARS);
+
+  return text
+    .slice(start, end)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Compare dotted numeric versions ("4.9.8" < "6.0").
+ */
+function compareVersions(a, b) {
+  const left = String(a).split(".").map(part => parseInt(part, 10) || 0);
+  const right = String(b).split(".").map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+module.exports = {
+  TechnographicDetector
+};
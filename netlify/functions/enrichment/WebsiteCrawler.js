@@ -0,0 +1,769 @@
+const { RobotsPolicy } = require("./RobotsPolicy");
+
+/**
+ * WebsiteCrawler
+ *
+ * Bounded, same-origin crawl of a business website for the pages that
+ * usually carry contact details (/contact, /about, /team, ...).
+ *
+ * RESPONSIBILITY:
+ * - Honor robots.txt rules and Crawl-delay for our user agent.
+ * - Discover contact-like pages from the start page's internal links
+ *   and, when links are not enough, from the sitemap.
+ * - Cap pages and downloaded bytes per domain.
+ * - Return every fetched page with its exact URL so observations can
+ *   be attributed to the page they came from.
+ *
+ * DOES NOT:
+ * - Extract emails, phones or signals (WebsiteReconProvider does).
+ * - Leave the start page's origin, or follow sitemap indexes.
+ * - Validate the start URL. Callers pass a URL that already passed
+ *   their SSRF checks; staying same-origin keeps every later request
+ *   on that host.
+ *
+ * robots.txt outcomes (RFC 9309):
+ * - 2xx: rules apply.
+ * - 4xx: no restrictions.
+ * - 5xx: the whole site is treated as disallowed.
+ * - Network failure: the host is unreachable and the crawl fails.
+ */
+
+const DEFAULT_USER_AGENT =
+  "RyGuyLabs-LeadEngine/2.0 (+public-business-recon)";
+
+const DEFAULT_MAX_PAGES = 5;
+
+const DEFAULT_MAX_BYTES_PER_DOMAIN = 4_000_000;
+
+const DEFAULT_MAX_PAGE_BYTES = 2_000_000;
+
+const MAX_ROBOTS_BYTES = 500_000;
+
+const MAX_SITEMAP_BYTES = 1_000_000;
+
+/*
+ * Crawl-delays above this stop the crawl after the start page rather
+ * than stalling enrichment.
+ */
+const DEFAULT_MAX_CRAWL_DELAY_MS = 2000;
+
+/*
+ * Contact-like pages, lowest rank first.
+ */
+const CONTACT_PAGE_PATTERNS = [
+  {
+    rank: 1,
+    pattern: /contact|get-in-touch|reach-us/i
+  },
+  {
+    rank: 2,
+    pattern: /about|who-we-are|our-company/i
+  },
+  {
+    rank: 2,
+    pattern: /team|staff|people|leadership|management/i
+  },
+  {
+    rank: 3,
+    pattern: /locations?\b|offices?\b|directions/i
+  }
+];
+
+const NON_HTML_EXTENSION =
+  /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|mp4|mp3|css|js|xml)$/i;
+
+class WebsiteCrawler {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.userAgent]
+   * @param {number} [options.maxPages]
+   * Pages fetched per domain, the start page included.
+   * @param {number} [options.maxBytesPerDomain]
+   * Bytes downloaded per domain across robots.txt, sitemap and pages.
+   * @param {number} [options.maxPageBytes]
+   * @param {number} [options.maxCrawlDelayMs]
+   */
+  constructor(options = {}) {
+    this.name = "WebsiteCrawler";
+
+    this.userAgent =
+      options.userAgent || DEFAULT_USER_AGENT;
+
+    this.maxPages =
+      options.maxPages || DEFAULT_MAX_PAGES;
+
+    this.maxBytesPerDomain =
+      options.maxBytesPerDomain || DEFAULT_MAX_BYTES_PER_DOMAIN;
+
+    this.maxPageBytes =
+      options.maxPageBytes || DEFAULT_MAX_PAGE_BYTES;
+
+    this.maxCrawlDelayMs =
+      options.maxCrawlDelayMs ?? DEFAULT_MAX_CRAWL_DELAY_MS;
+  }
+
+  /**
+   * Crawl a website from its start URL.
+   *
+   * status:
+   * - "success": the start page was fetched; `pages` starts with it.
+   * - "disallowed": robots.txt forbids the start page.
+   * - "failed": the start page could not be fetched.
+   *
+   * Aborting `signal` while the start page loads rejects with an
+   * AbortError; later aborts end the crawl with the pages fetched so
+   * far. No request after the start page begins past `deadlineAt`.
+   *
+   * @param {string} startUrl
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {number} [options.deadlineAt]
+   * Epoch milliseconds.
+   * @returns {Promise<Object>}
+   */
+  async crawl(startUrl, { signal, deadlineAt = Infinity } = {}) {
+    const state = {
+      signal,
+      deadlineAt,
+      bytesFetched: 0,
+      lastRequestAt: null,
+      crawlDelayMs: 0
+    };
+
+    const result = {
+      status: "success",
+      startUrl,
+      robots: null,
+      pages: [],
+      skipped: [],
+      bytesFetched: 0,
+      error: null,
+      httpStatus: null
+    };
+
+    let origin = new URL(startUrl).origin;
+    let robots = await this._loadRobots(origin, state);
+
+    result.robots = robots.summary;
+
+    if (robots.summary.status === "fetch_failed") {
+      return this._finish(result, state, {
+        status: "failed",
+        error: robots.summary.error
+      });
+    }
+
+    if (!robots.policy.isAllowed(startUrl)) {
+      return this._finish(result, state, {
+        status: "disallowed",
+        error:
+          robots.summary.status === "unreachable"
+            ? "robots.txt could not be retrieved; the site is treated as disallowed"
+            : "robots.txt disallows the start page"
+      });
+    }
+
+    const startPage =
+      await this._fetchPage(
+        startUrl,
+        "start",
+        state,
+        this.maxPageBytes
+      );
+
+    if (startPage.error) {
+      return this._finish(result, state, {
+        status: "failed",
+        error: startPage.error,
+        httpStatus: startPage.httpStatus || null
+      });
+    }
+
+    result.pages.push(startPage);
+
+    /*
+     * The start page may redirect (http -> https, apex -> www). The
+     * crawl continues on the origin it landed on, under that origin's
+     * robots.txt.
+     */
+    const siteOrigin =
+      new URL(startPage.finalUrl).origin;
+
+    try {
+      if (siteOrigin !== origin) {
+        origin = siteOrigin;
+        robots = await this._loadRobots(origin, state);
+        result.robots = robots.summary;
+      }
+
+      await this._crawlContactPages(
+        result,
+        startUrl,
+        startPage,
+        origin,
+        robots.policy,
+        state
+      );
+    } catch (error) {
+      if (
+        error.name !== "AbortError" &&
+        error.name !== "DeadlineError"
+      ) {
+        throw error;
+      }
+
+      result.skipped.push({
+        url: origin,
+        reason: "time_budget"
+      });
+    }
+
+    return this._finish(result, state);
+  }
+
+  /**
+   * Fetch contact-like pages after the start page, within the page,
+   * byte and robots limits.
+   */
+  async _crawlContactPages(
+    result,
+    startUrl,
+    startPage,
+    origin,
+    policy,
+    state
+  ) {
+    if (result.pages.length >= this.maxPages) {
+      return;
+    }
+
+    if ((policy.crawlDelayMs || 0) > this.maxCrawlDelayMs) {
+      result.skipped.push({
+        url: origin,
+        reason: "crawl_delay_exceeds_limit"
+      });
+
+      return;
+    }
+
+    const queued = new Set([
+      stripHash(startUrl),
+      stripHash(startPage.finalUrl)
+    ]);
+
+    let candidates =
+      this._rankCandidates(
+        this._extractLinks(startPage, origin),
+        queued
+      );
+
+    if (candidates.length < this.maxPages - 1) {
+      const sitemapUrls =
+        await this._loadSitemapUrls(origin, policy, state);
+
+      candidates =
+        candidates.concat(
+          this._rankCandidates(
+            sitemapUrls.map(url => ({
+              url,
+              text: "",
+              discoveredVia: "sitemap"
+            })),
+            new Set([
+              ...queued,
+              ...candidates.map(candidate => candidate.url)
+            ])
+          )
+        );
+    }
+
+    for (const candidate of candidates) {
+      if (result.pages.length >= this.maxPages) {
+        break;
+      }
+
+      if (!policy.isAllowed(candidate.url)) {
+        result.skipped.push({
+          url: candidate.url,
+          reason: "robots_disallowed"
+        });
+
+        continue;
+      }
+
+      const remainingBytes =
+        this.maxBytesPerDomain - state.bytesFetched;
+
+      if (remainingBytes <= 0) {
+        result.skipped.push({
+          url: candidate.url,
+          reason: "domain_byte_cap"
+        });
+
+        break;
+      }
+
+      const page =
+        await this._fetchPage(
+          candidate.url,
+          candidate.discoveredVia,
+          state,
+          Math.min(this.maxPageBytes, remainingBytes)
+        );
+
+      if (page.error) {
+        result.skipped.push({
+          url: candidate.url,
+          reason: page.reason || "fetch_failed"
+        });
+
+        continue;
+      }
+
+      if (new URL(page.finalUrl).origin !== origin) {
+        result.skipped.push({
+          url: candidate.url,
+          reason: "redirected_off_origin"
+        });
+
+        continue;
+      }
+
+      if (!/html/i.test(page.contentType || "")) {
+        result.skipped.push({
+          url: candidate.url,
+          reason: "not_html"
+        });
+
+        continue;
+      }
+
+      result.pages.push(page);
+    }
+  }
+
+  // ==========================================================================
+  // ROBOTS / SITEMAP
+  // ==========================================================================
+
+  async _loadRobots(origin, state) {
+    const url = `${origin}/robots.txt`;
+
+    const response =
+      await this._fetchText(
+        url,
+        state,
+        Math.min(
+          MAX_ROBOTS_BYTES,
+          this.maxBytesPerDomain - state.bytesFetched
+        ),
+        { robotsRequest: true }
+      );
+
+    let policy;
+    let status;
+
+    if (response.error) {
+      policy = RobotsPolicy.disallowAll();
+      status = "fetch_failed";
+    } else if (response.httpStatus >= 500) {
+      policy = RobotsPolicy.disallowAll();
+      status = "unreachable";
+    } else if (response.httpStatus >= 400) {
+      policy = RobotsPolicy.allowAll();
+      status = "not_found";
+    } else if (response.truncated) {
+      /*
+       * Oversized files are read up to the limit, as RFC 9309 allows.
+       */
+      policy = RobotsPolicy.parse(response.text, this.userAgent);
+      status = "truncated";
+    } else {
+      policy = RobotsPolicy.parse(response.text, this.userAgent);
+      status = "loaded";
+    }
+
+    state.crawlDelayMs =
+      policy.crawlDelayMs || 0;
+
+    return {
+      policy,
+      summary: {
+        url,
+        status,
+        crawlDelayMs: policy.crawlDelayMs,
+        sitemaps: policy.sitemaps,
+        error: response.error || null
+      }
+    };
+  }
+
+  /**
+   * Same-origin page URLs from the first usable sitemap. Sitemap
+   * indexes are not followed.
+   */
+  async _loadSitemapUrls(origin, policy, state) {
+    const sitemapUrl =
+      policy.sitemaps.find(url => sameOrigin(url, origin)) ||
+      `${origin}/sitemap.xml`;
+
+    if (!policy.isAllowed(sitemapUrl)) {
+      return [];
+    }
+
+    const remainingBytes =
+      this.maxBytesPerDomain - state.bytesFetched;
+
+    if (remainingBytes <= 0) {
+      return [];
+    }
+
+    const response =
+      await this._fetchText(
+        sitemapUrl,
+        state,
+        Math.min(MAX_SITEMAP_BYTES, remainingBytes)
+      );
+
+    if (
+      response.error ||
+      response.httpStatus >= 400 ||
+      /<sitemapindex/i.test(response.text)
+    ) {
+      return [];
+    }
+
+    const urls = [];
+    const regex = /<loc>\s*([^<\s]+)\s*<\/loc>/gi;
+
+    let match;
+
+    while ((match = regex.exec(response.text)) !== null) {
+      const url =
+        decodeXmlEntities(match[1]);
+
+      if (sameOrigin(url, origin)) {
+        urls.push(stripHash(url));
+      }
+    }
+
+    return urls;
+  }
+
+  // ==========================================================================
+  // LINK DISCOVERY
+  // ==========================================================================
+
+  _extractLinks(page, origin) {
+    const links = [];
+    const regex =
+      /<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+
+    let match;
+
+    while ((match = regex.exec(page.html)) !== null) {
+      let url;
+
+      try {
+        url = new URL(
+          decodeXmlEntities(match[1].trim()),
+          page.finalUrl
+        );
+      } catch {
+        continue;
+      }
+
+      if (url.origin !== origin) {
+        continue;
+      }
+
+      links.push({
+        url: stripHash(url.toString()),
+        text:
+          match[2]
+            .replace(/<[^>]+>/g, " ")
+            .replace(/\s+/g, " ")
+            .trim(),
+        discoveredVia: "link"
+      });
+    }
+
+    return links;
+  }
+
+  /**
+   * Keep contact-like, HTML-looking, not-yet-queued URLs, best rank
+   * first and discovery order within a rank.
+   */
+  _rankCandidates(links, queued) {
+    const seen = new Set(queued);
+    const ranked = [];
+
+    links.forEach((link, index) => {
+      if (seen.has(link.url)) {
+        return;
+      }
+
+      const { pathname } = new URL(link.url);
+
+      if (NON_HTML_EXTENSION.test(pathname)) {
+        return;
+      }
+
+      const match =
+        CONTACT_PAGE_PATTERNS.find(({ pattern }) =>
+          pattern.test(pathname) ||
+          pattern.test(link.text.replace(/\s+/g, "-"))
+        );
+
+      if (!match) {
+        return;
+      }
+
+      seen.add(link.url);
+
+      ranked.push({
+        ...link,
+        rank: match.rank,
+        index
+      });
+    });
+
+    return ranked
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ url, discoveredVia }) => ({ url, discoveredVia }));
+  }
+
+  // ==========================================================================
+  // FETCHING
+  // ==========================================================================
+
+  async _fetchPage(url, discoveredVia, state, byteLimit) {
+    const response =
+      await this._fetchText(url, state, byteLimit);
+
+    if (response.error) {
+      return response;
+    }
+
+    if (response.httpStatus < 200 || response.httpStatus >= 300) {
+      return {
+        error: `HTTP Failure ${response.httpStatus}`,
+        reason: "http_error",
+        httpStatus: response.httpStatus
+      };
+    }
+
+    if (response.truncated) {
+      return {
+        error: "Downloaded HTML exceeds maximum allowed size",
+        reason:
+          byteLimit < this.maxPageBytes
+            ? "domain_byte_cap"
+            : "page_too_large",
+        httpStatus: response.httpStatus
+      };
+    }
+
+    return {
+      url,
+      finalUrl: response.finalUrl,
+      httpStatus: response.httpStatus,
+      contentType: response.contentType,
+      headers: response.headers,
+      html: response.text,
+      bytes: response.bytes,
+      fetchedAt: response.fetchedAt,
+      discoveredVia
+    };
+  }
+
+  /**
+   * GET a URL, reading at most byteLimit bytes. Network failures are
+   * returned, aborts thrown.
+   *
+   * Requests after the start page wait out the crawl-delay and may not
+   * begin past the deadline. A robots.txt request does not delay the
+   * request that follows it.
+   */
+  async _fetchText(url, state, byteLimit, { robotsRequest = false } = {}) {
+    if (state.lastRequestAt !== null) {
+      if (
+        state.lastRequestAt + state.crawlDelayMs >=
+        state.deadlineAt
+      ) {
+        const error = new Error("Crawl time budget exhausted.");
+        error.name = "DeadlineError";
+        throw error;
+      }
+
+      await this._awaitCrawlDelay(state);
+    }
+
+    if (!robotsRequest) {
+      state.lastRequestAt = Date.now();
+    }
+
+    let response;
+
+    try {
+      response =
+        await fetch(url, {
+          method: "GET",
+          redirect: "follow",
+          headers: {
+            "User-Agent": this.userAgent
+          },
+          signal: state.signal
+        });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw error;
+      }
+
+      return {
+        error: `Request failed: ${error.message}`,
+        reason: "fetch_failed"
+      };
+    }
+
+    const body =
+      await readLimited(response, byteLimit);
+
+    state.bytesFetched += body.bytes;
+
+    return {
+      finalUrl: response.url || url,
+      httpStatus: response.status,
+      contentType: response.headers.get("content-type") || null,
+      headers: Object.fromEntries(response.headers),
+      fetchedAt: new Date().toISOString(),
+      ...body
+    };
+  }
+
+  async _awaitCrawlDelay(state) {
+    if (!state.crawlDelayMs) {
+      return;
+    }
+
+    const waitMs =
+      state.lastRequestAt + state.crawlDelayMs - Date.now();
+
+    if (waitMs <= 0) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      if (state.signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const timeoutId =
+        setTimeout(resolve, waitMs);
+
+      state.signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timeoutId);
+          reject(abortError());
+        },
+        { once: true }
+      );
+    });
+  }
+
+  _finish(result, state, overrides = {}) {
+    return {
+      ...result,
+      ...overrides,
+      bytesFetched: state.bytesFetched
+    };
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Read a response body up to byteLimit bytes. Reading stops at the
+ * limit, so an oversized body is never downloaded in full; `text` then
+ * holds the bytes read before it.
+ */
+async function readLimited(response, byteLimit) {
+  if (!response.body) {
+    const text = await response.text();
+    const bytes = Buffer.byteLength(text, "utf8");
+
+    return bytes > byteLimit
+      ? { text: "", bytes, truncated: true }
+      : { text, bytes, truncated: false };
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+
+  let bytes = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      break;
+    }
+
+    bytes += value.byteLength;
+
+    if (bytes > byteLimit) {
+      await reader.cancel().catch(() => {});
+
+      return {
+        text: Buffer.concat(chunks).toString("utf8"),
+        bytes,
+        truncated: true
+      };
+    }
+
+    chunks.push(Buffer.from(value));
+  }
+
+  return {
+    text: Buffer.concat(chunks).toString("utf8"),
+    bytes,
+    truncated: false
+  };
+}
+
+function sameOrigin(url, origin) {
+  try {
+    return new URL(url).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+function stripHash(url) {
+  return url.split("#")[0];
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'");
+}
+
+function abortError() {
+  const error = new Error("The crawl was aborted.");
+  error.name = "AbortError";
+  return error;
+}
+
+module.exports = {
+  WebsiteCrawler,
+  DEFAULT_USER_AGENT
+};
@@ -11,6 +11,14 @@
  * - Paid providers can be added later without changing the pipeline.
  */
 
+const { EmailClassifier } = require("./EmailClassifier");
+const {
+  extractPhoneNumbers,
+  parsePhoneNumber,
+  phoneKey,
+  phoneObservationFields
+} = require("../source/PhoneNumberNormalizer.js");
+
 const DEFAULT_TIMEOUT_MS = 5000;
 
 function normalizeLocation(location) {
@@ -34,12 +42,17 @@ function normalizeLocation(location) {
 }
 
 function normalizePhone(phone) {
-  if (!phone) return null;
+  const parsed =
+    typeof phone === "object" && phone !== null
+      ? phone
+      : parsePhoneNumber(phone);
 
-  const value = String(phone).trim();
+  if (!parsed.valid) {
+    return null;
+  }
 
   return {
-    value,
+    ...phoneObservationFields(parsed),
     source: "public_contact_search",
     confidence: "medium",
     verified: false
@@ -47,11 +60,9 @@ function normalizePhone(phone) {
 }
 
 function normalizeEmail(email) {
-  if (!email) return null;
+  const value = EmailClassifier.accept(email);
 
-  const value = String(email).trim().toLowerCase();
-
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+  if (!value) {
     return null;
   }
 
@@ -143,6 +154,12 @@ async function contactSearch(companyName, location, options = {}) {
     controller.abort();
   }, options.timeoutMs || DEFAULT_TIMEOUT_MS);
 
+  /*
+   * Callers with their own deadline (EnrichmentEngine) can cancel the
+   * request early.
+   */
+  options.signal?.addEventListener("abort", () => controller.abort());
+
   try {
     const response = await fetch(url, {
       method: "GET",
@@ -197,16 +214,11 @@ async function contactSearch(companyName, location, options = {}) {
       /*
        * Phone extraction.
        */
-      const foundPhones =
-        text.match(
-          /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}/g
-        ) || [];
-
-      for (const phone of foundPhones) {
+      for (const phone of extractPhoneNumbers(text)) {
         const normalized = normalizePhone(phone);
 
-        if (normalized) {
-          phones.set(normalized.value, normalized);
+        if (normalized && !phones.has(phoneKey(phone))) {
+          phones.set(phoneKey(phone), normalized);
         }
       }
 
@@ -271,4 +283,66 @@ async function contactSearch(companyName, location, options = {}) {
   }
 }
 
-module.exports = { contactSearch };
+/**
+ * EnrichmentEngine provider over contactSearch().
+ *
+ * Does not need a website: publicly indexed contact information can
+ * exist even when the company website is unreachable.
+ */
+class ContactSearchProvider {
+  constructor() {
+    this.name = "ContactSearchProvider";
+    this.key = "contactSearch";
+    this.requiresWebsite = false;
+    this.providesWebsite = false;
+  }
+
+  async enrich({ entity, timeoutMs, signal } = {}) {
+    const data = await contactSearch(
+      entity?.companyName,
+      entity?.location,
+      { timeoutMs, signal }
+    );
+
+    const configurationError = data.errors.find(
+      error => error.stage === "configuration" || error.stage === "validation"
+    );
+
+    if (configurationError) {
+      return {
+        status: "skipped",
+        error: {
+          code: "NOT_CONFIGURED",
+          message: configurationError.message
+        }
+      };
+    }
+
+    if (data.status === "failed") {
+      return {
+        status: "failed",
+        error: {
+          code: "CONTACT_SEARCH_FAILED",
+          message: data.errors[0]?.message || "Contact search failed."
+        }
+      };
+    }
+
+    return {
+      status:
+        data.emails.length > 0 || data.phones.length > 0
+          ? "success"
+          : "no_data",
+      emails: data.emails,
+      phones: data.phones,
+      observations: data.observations.map(observation => ({
+        ...observation,
+        observedAt: data.searchedAt,
+        observationType: "contact_enrichment",
+        linkedInCompanyUrl: data.linkedInCompanyUrl
+      }))
+    };
+  }
+}
+
+module.exports = { contactSearch, ContactSearchProvider };
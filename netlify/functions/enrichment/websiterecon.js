@@ -10,18 +10,76 @@
  * - Every observation retains source context.
  */
 
+const { WebsiteCrawler } = require("./WebsiteCrawler");
+
+const {
+  TechnographicDetector
+} = require("./TechnographicDetector");
+
+const {
+  StructuredDataNormalizer
+} = require("./StructuredDataNormalizer");
+
+const {
+  EmailClassifier
+} = require("./EmailClassifier");
+
+const {
+  extractPhoneNumbers,
+  phoneKey,
+  phoneObservationFields
+} = require("../source/PhoneNumberNormalizer.js");
+
+/*
+ * Share of the recon timeout in which new page requests may start.
+ */
+const CRAWL_TIME_SHARE = 0.8;
+
 class WebsiteReconProvider {
   constructor(options = {}) {
     this.name = "WebsiteReconProvider";
 
-    this.timeoutMs =
-      options.timeoutMs || 5000;
+    this.key = "websiteRecon";
+
+    this.requiresWebsite = true;
 
-    this.maxHtmlBytes =
-      options.maxHtmlBytes || 2_000_000;
+    this.providesWebsite = false;
+
+    this.timeoutMs =
+      options.timeoutMs || 8000;
+
+    this.crawler =
+      options.crawler ||
+      new WebsiteCrawler({
+        maxPages: options.maxPages,
+        maxBytesPerDomain: options.maxBytesPerDomain,
+        maxPageBytes: options.maxHtmlBytes,
+        maxCrawlDelayMs: options.maxCrawlDelayMs
+      });
+
+    this.technographicDetector =
+      options.technographicDetector ||
+      new TechnographicDetector();
+
+    this.structuredDataNormalizer =
+      options.structuredDataNormalizer ||
+      new StructuredDataNormalizer();
   }
 
-  async reconWebsite(targetUrl) {
+  /**
+   * Observe a website: the target page plus the contact-like pages a
+   * bounded, robots.txt-compliant crawl reaches (see WebsiteCrawler).
+   *
+   * status is "success", "failed", or "disallowed" when robots.txt
+   * forbids the target page.
+   *
+   * @param {string} targetUrl
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs]
+   * @param {AbortSignal} [options.signal]
+   * Cancels the request early (EnrichmentEngine deadline).
+   */
+  async reconWebsite(targetUrl, options = {}) {
     if (!targetUrl || typeof targetUrl !== "string") {
       return this._emptyObservation(
         "Invalid or missing URL"
@@ -40,82 +98,118 @@ class WebsiteReconProvider {
     const startedAt = Date.now();
     const controller = new AbortController();
 
+    const timeoutMs =
+      options.timeoutMs || this.timeoutMs;
+
     const timeoutId = setTimeout(
       () => controller.abort(),
-      this.timeoutMs
+      timeoutMs
     );
 
-    try {
-      const response = await fetch(
-        normalizedUrl,
-        {
-          method: "GET",
-          redirect: "follow",
-          headers: {
-            "User-Agent":
-              "RyGuyLabs-LeadEngine/2.0 (+public-business-recon)"
-          },
-          signal: controller.signal
-        }
-      );
-
-      if (!response.ok) {
-        return this._emptyObservation(
-          `HTTP Failure ${response.status}`,
-          normalizedUrl
-        );
-      }
+    options.signal?.addEventListener(
+      "abort",
+      () => controller.abort()
+    );
 
+    try {
       /*
-       * Avoid processing unexpectedly enormous responses.
+       * Stop starting new page requests once most of the time budget
+       * is spent, so the pages already fetched are still returned.
        */
-      const contentLength =
-        Number(
-          response.headers.get("content-length")
-        ) || 0;
-
-      if (
-        contentLength > this.maxHtmlBytes
-      ) {
-        return this._emptyObservation(
-          "Response exceeds maximum allowed size",
-          normalizedUrl
+      const crawl =
+        await this.crawler.crawl(
+          normalizedUrl,
+          {
+            signal: controller.signal,
+            deadlineAt:
+              startedAt +
+              timeoutMs * CRAWL_TIME_SHARE
+          }
         );
-      }
-
-      const html =
-        await response.text();
 
-      if (
-        Buffer.byteLength(html, "utf8") >
-        this.maxHtmlBytes
-      ) {
-        return this._emptyObservation(
-          "Downloaded HTML exceeds maximum allowed size",
-          normalizedUrl
-        );
+      if (crawl.status !== "success") {
+        return {
+          ...this._emptyObservation(
+            crawl.error,
+            normalizedUrl,
+            crawl.status
+          ),
+          robots: crawl.robots
+        };
       }
 
+      const [startPage] =
+        crawl.pages;
+
       /*
-       * Extract observations.
+       * Extract observations page by page so every email and phone
+       * keeps the exact URL it was read from.
        */
-      const emails =
-        this._extractEmails(html);
-
-      const phones =
-        this._extractPhones(html);
-
-      const title =
-        this._extractTitle(html);
+      const emails = new Map();
+      const phones = new Map();
+      const structuredData = [];
+
+      const pages =
+        crawl.pages.map(page => {
+          const pageEmails =
+            this._extractEmails(page.html);
+
+          const pagePhones =
+            this._extractPhones(page.html);
+
+          for (const value of pageEmails) {
+            if (!emails.has(value)) {
+              emails.set(
+                value,
+                this._contactObservation(value, page)
+              );
+            }
+          }
+
+          for (const phone of pagePhones) {
+            if (!phones.has(phoneKey(phone))) {
+              phones.set(
+                phoneKey(phone),
+                {
+                  ...this._contactObservation(phone.e164, page),
+                  ...phoneObservationFields(phone)
+                }
+              );
+            }
+          }
+
+          structuredData.push(
+            ...this._extractStructuredData(page.html)
+          );
+
+          return {
+            url: page.finalUrl,
+            httpStatus: page.httpStatus,
+            discoveredVia: page.discoveredVia,
+            fetchedAt: page.fetchedAt,
+            bytes: page.bytes,
+            emailCount: pageEmails.length,
+            phoneCount: pagePhones.length
+          };
+        });
+
+      const technographics =
+        this.technographicDetector.detect(
+          crawl.pages
+        );
 
-      const structuredData =
-        this._extractStructuredData(html);
+      const businessFacts =
+        this.structuredDataNormalizer.normalize(
+          crawl.pages
+        );
 
       const signals =
         this._detectDigitalSignals(
-          html,
-          emails,
-          phones
+          startPage,
+          pages.map(page => page.url),
+          technographics,
+          [...emails.keys()],
+          [...phones.keys()]
         );
 
       return {
@@ -126,7 +220,7 @@ class WebsiteReconProvider {
         observedUrl: normalizedUrl,
 
         finalUrl:
-          response.url || normalizedUrl,
+          startPage.finalUrl,
 
         observedAt:
           new Date().toISOString(),
@@ -135,44 +229,42 @@ class WebsiteReconProvider {
           Date.now() - startedAt,
 
         httpStatus:
-          response.status,
+          startPage.httpStatus,
 
         contentType:
-          response.headers.get("content-type") || null,
-
-        metaTitle: title,
-
-        emails: emails.map(
-          value => ({
-            value,
-            source: "website_recon",
-            sourceUrl: normalizedUrl,
-            confidence: "medium",
-            verified: false
-          })
-        ),
-
-        phones: phones.map(
-          value => ({
-            value,
-            source: "website_recon",
-            sourceUrl: normalizedUrl,
-            confidence: "medium",
-            verified: false
-          })
-        ),
+          startPage.contentType,
+
+        metaTitle:
+          this._extractTitle(startPage.html),
+
+        emails: [...emails.values()],
+
+        phones: [...phones.values()],
 
         structuredData,
 
         digitalSignals: signals,
 
+        technographics,
+
+        businessFacts,
+
+        pages,
+
+        robots: crawl.robots,
+
+        skippedPages: crawl.skipped,
+
+        bytesFetched: crawl.bytesFetched,
+
         error: null
       };
 
     } catch (error) {
 
       return this._emptyObservation(
-        error.name === "AbortError"
+        error.name === "AbortError" ||
+        error.name === "DeadlineError"
           ? "Website reconnaissance timed out"
           : `Recon execution failed: ${error.message}`,
         normalizedUrl
@@ -183,6 +275,100 @@ class WebsiteReconProvider {
     }
   }
 
+  /**
+   * EnrichmentEngine provider interface.
+   */
+  async enrich({ entity, website, timeoutMs, signal } = {}) {
+    const recon =
+      await this.reconWebsite(
+        website,
+        {
+          timeoutMs,
+          signal
+        }
+      );
+
+    if (recon.status === "disallowed") {
+      return {
+        status: "skipped",
+        websiteObservation:
+          this._websiteObservation(recon),
+        error: {
+          code: "ROBOTS_DISALLOWED",
+          message: recon.error
+        }
+      };
+    }
+
+    if (recon.status !== "success") {
+      return {
+        status: "failed",
+        websiteObservation:
+          this._websiteObservation(recon),
+        error: {
+          code: "RECON_FAILED",
+          message:
+            recon.error ||
+            "Website reconnaissance failed."
+        }
+      };
+    }
+
+    const websiteObservation =
+      this._websiteObservation(recon);
+
+    if (recon.businessFacts && entity) {
+      websiteObservation.registryCrossCheck =
+        this.structuredDataNormalizer.crossCheck(
+          recon.businessFacts,
+          entity
+        );
+    }
+
+    return {
+      status: "success",
+
+      websiteObservation,
+
+      emails: recon.emails,
+
+      phones: recon.phones,
+
+      digitalSignals:
+        recon.digitalSignals,
+
+      observations:
+        recon.pages.map(page => ({
+          sourceUrl: page.url,
+          observedAt: page.fetchedAt,
+          observationType:
+            "website_reconnaissance",
+          discoveredVia:
+            page.discoveredVia
+        }))
+    };
+  }
+
+  _websiteObservation(recon) {
+    return {
+      observedUrl: recon.observedUrl,
+      finalUrl: recon.finalUrl,
+      httpStatus: recon.httpStatus,
+      contentType: recon.contentType,
+      metaTitle: recon.metaTitle,
+      structuredData: recon.structuredData,
+      technographics: recon.technographics || [],
+      businessFacts: recon.businessFacts || null,
+      registryCrossCheck: null,
+      pages: recon.pages || [],
+      skippedPages: recon.skippedPages || [],
+      robots: recon.robots || null,
+      observedAt: recon.observedAt,
+      status: recon.status,
+      error: recon.error
+    };
+  }
+
   _normalizeUrl(value) {
     let url;
 
@@ -244,6 +430,10 @@ class WebsiteReconProvider {
     return url.toString();
   }
 
+  /**
+   * Addresses in the page, without asset filenames, placeholders and
+   * system addresses (see EmailClassifier.accept).
+   */
   _extractEmails(html) {
     const matches =
       html.match(
@@ -253,36 +443,27 @@ class WebsiteReconProvider {
     return [
       ...new Set(
         matches
-          .map(
-            email =>
-              email
-                .trim()
-                .toLowerCase()
-          )
-          .filter(
-            email =>
-              !email.endsWith(".png") &&
-              !email.endsWith(".jpg") &&
-              !email.endsWith(".jpeg") &&
-              !email.includes("wixpress")
-          )
+          .map(EmailClassifier.accept)
+          .filter(Boolean)
       )
     ];
   }
 
+  /**
+   * Valid North American numbers in the page (PhoneNumberNormalizer),
+   * one per E.164 value and extension.
+   *
+   * Script and style bodies are skipped: their digit runs are
+   * timestamps, IDs and coordinates. JSON-LD blocks are kept, since
+   * they carry the business's published telephone.
+   */
   _extractPhones(html) {
-    const matches =
-      html.match(
-        /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}/g
-      ) || [];
-
-    return [
-      ...new Set(
-        matches.map(
-          phone => phone.trim()
-        )
+    return extractPhoneNumbers(
+      html.replace(
+        /<(script|style)\b(?![^>]*application\/ld\+json)[\s\S]*?<\/\1\s*>/gi,
+        " "
       )
-    ];
+    );
   }
 
   _extractTitle(html) {
@@ -324,15 +505,21 @@ class WebsiteReconProvider {
     return results;
   }
 
+  /**
+   * Digital signals as { code, message, evidence }. Technology signals
+   * come from TechnographicDetector; the rest are page-level checks.
+   */
   _detectDigitalSignals(
-    html,
+    startPage,
+    pageUrls,
+    technographics,
     emails,
     phones
   ) {
     const signals = [];
 
     const lowerHtml =
-      html.toLowerCase();
+      startPage.html.toLowerCase();
 
     if (
       !lowerHtml.includes(
@@ -342,42 +529,67 @@ class WebsiteReconProvider {
         "name='viewport'"
       )
     ) {
-      signals.push(
-        "WEAK_MOBILE_SIGNAL: No viewport metadata detected."
-      );
+      signals.push({
+        code: "WEAK_MOBILE_SIGNAL",
+        message: "No viewport metadata detected.",
+        evidence: [
+          {
+            source: "html",
+            sourceUrl: startPage.finalUrl
+          }
+        ]
+      });
     }
 
-    if (
-      !lowerHtml.includes("gtag") &&
-      !lowerHtml.includes("google-analytics") &&
-      !lowerHtml.includes("analytics")
-    ) {
-      signals.push(
-        "WEAK_ANALYTICS_SIGNAL: No common analytics marker detected."
-      );
-    }
+    signals.push(
+      ...this.technographicDetector.deriveSignals(
+        technographics,
+        pageUrls
+      )
+    );
+
+    const crawlEvidence =
+      pageUrls.map(url => ({
+        source: "crawl",
+        sourceUrl: url
+      }));
 
     if (emails.length === 0) {
-      signals.push(
-        "MISSING_PUBLIC_EMAIL: No public email observed."
-      );
+      signals.push({
+        code: "MISSING_PUBLIC_EMAIL",
+        message: "No public email observed.",
+        evidence: crawlEvidence
+      });
     }
 
     if (phones.length === 0) {
-      signals.push(
-        "MISSING_PUBLIC_PHONE: No public phone observed."
-      );
+      signals.push({
+        code: "MISSING_PUBLIC_PHONE",
+        message: "No public phone observed.",
+        evidence: crawlEvidence
+      });
     }
 
     return signals;
   }
 
+  _contactObservation(value, page) {
+    return {
+      value,
+      source: "website_recon",
+      sourceUrl: page.finalUrl,
+      confidence: "medium",
+      verified: false
+    };
+  }
+
   _emptyObservation(
     errorMessage,
-    observedUrl = null
+    observedUrl = null,
+    status = "failed"
   ) {
     return {
-      status: "failed",
+      status,
       provider: this.name,
       observedUrl,
       finalUrl: null,
@@ -391,6 +603,11 @@ class WebsiteReconProvider {
       phones: [],
       structuredData: [],
       digitalSignals: [],
+      technographics: [],
+      businessFacts: null,
+      pages: [],
+      skippedPages: [],
+      bytesFetched: 0,
       error: errorMessage
     };
   }
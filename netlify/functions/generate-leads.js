@@ -1,6 +1,8 @@
-const { validatePhase1Signal, scorePhase2, generatePhase3, authorizePhase4 } = require('./pipeline-implementation');
+const { validatePhase1Signal, scorePhase2, generateAuthorizedDraft } = require('./pipeline-implementation');
 const { GoogleGenAI, Type } = require('@google/genai');
 const { URL } = require('url');
+const { parsePhoneNumber } = require('./source/PhoneNumberNormalizer');
+const { collapseResolvedRecords, getDefaultEntityResolver } = require('./merge/EntityResolver');
 
 const API_KEY =
   process.env.LEAD_QUALIFIER_API_KEY ||
@@ -8,9 +10,22 @@ const API_KEY =
 
 const ALLOWED_ORIGIN = 'https://www.ryguylabs.com';
 
-const GLOBAL_TIMEOUT_MS = 8000; 
-const RESPONSE_RESERVE_MS = 1500;
+// Netlify stops a synchronous function at 10 s.
+const GLOBAL_TIMEOUT_MS = 9000;
+const RESPONSE_RESERVE_MS = 1000;
+// The end of the deadline belongs to Phase 3 drafting: research and
+// synthesis stop this long before the response reserve.
+const DRAFT_RESERVE_MS = 3500;
 const MAX_LEADS_ALLOWED = 8;
+// Each lead may take up to three draft calls; at most this many leads
+// draft at once.
+const DRAFT_CONCURRENCY = 2;
+// A draft call (a short JSON completion, no search) needs at least
+// this much of the request budget to start.
+const MIN_DRAFT_BUDGET_MS = 1500;
+// Synthesis is skipped when less than this is left of the research
+// window; leads keep their default rationale and pitch.
+const MIN_SYNTHESIS_BUDGET_MS = 1000;
 
 const INTERNAL_LEAD_SCHEMA = {
   type: Type.OBJECT,
@@ -509,28 +524,31 @@ function sanitizePhone(phone) {
     return 'N/A';
   }
 
-  const clean =
-    phone.trim();
-
-  const digitsOnly =
-    clean.replace(/\D/g, '');
+  const parsed =
+    parsePhoneNumber(phone);
 
-  if (
-    digitsOnly.length < 10 ||
-    digitsOnly.length > 15
-  ) {
-    return 'N/A';
+  if (parsed.valid) {
+    return parsed.extension
+      ? `${parsed.e164} ext. ${parsed.extension}`
+      : parsed.e164;
   }
 
+  /*
+   * Numbers outside North America keep their published form.
+   */
+  const digitsOnly =
+    phone.replace(/\D/g, '');
+
   if (
-    /^(\d)\1+$/.test(
-      digitsOnly
-    )
+    parsed.rejectedReason === 'not_north_american' &&
+    digitsOnly.length >= 8 &&
+    digitsOnly.length <= 15 &&
+    !/^(\d)\1+$/.test(digitsOnly)
   ) {
-    return 'N/A';
+    return phone.trim();
   }
 
-  return clean;
+  return 'N/A';
 }
 
 
@@ -833,6 +851,19 @@ function calculateConfidence({
 }
 
 
+/* PHASE 4 ENTAILMENT                                                          */
+
+// No NLI service is deployed with this function. Reporting the failure
+// makes Phase 4 fail closed (MANUAL_REVIEW_REQUIRED), so no draft is
+// authorized on an entailment check that never ran.
+function unavailableNliEvaluator() {
+  return {
+    success: false,
+    error: 'No NLI evaluator is configured for lead generation.'
+  };
+}
+
+
 /* MODEL DEADLINE                                                              */
 
 function remainingTime(deadline) {
@@ -919,6 +950,7 @@ exports.handler = async function (
 ) {
   const startTime = Date.now();
   const deadline = startTime + GLOBAL_TIMEOUT_MS;
+  const researchDeadline = deadline - RESPONSE_RESERVE_MS - DRAFT_RESERVE_MS;
 
   const requestId =
     context?.awsRequestId ||
@@ -1421,8 +1453,7 @@ console.log(
 /* MODEL TIME BUDGET                                                     */
 
 const availableForModel =
-  remainingTime(deadline) -
-  RESPONSE_RESERVE_MS;
+  remainingTime(researchDeadline);
 
 if (availableForModel < 3000) {
   throw clientError(
@@ -1502,7 +1533,7 @@ const response = await generateWithDeadline(
       tools: [{ googleSearch: {} }]
     }
   },
-  6500 
+  Math.min(6500, remainingTime(researchDeadline))
 );
 
       const candidate = response?.candidates?.[0];
@@ -1556,6 +1587,11 @@ const response = await generateWithDeadline(
   const executeStage2Synthesis = async (candidates) => {
     if (!candidates || candidates.length === 0) return [];
 
+    if (remainingTime(researchDeadline) < MIN_SYNTHESIS_BUDGET_MS) {
+      console.warn(`[REQ-${requestId}] Stage 2 synthesis skipped: research window spent.`);
+      return [];
+    }
+
     const synthesisPrompt = `
 You are a senior sales intelligence strategist. Analyze these verified leads retrieved from web searches.
 
@@ -1595,7 +1631,7 @@ OUTPUT ONLY VALID JSON:
             // NO googleSearch tool = Instant 2-second execution
           }
         },
-        8000 
+        remainingTime(researchDeadline)
       );
 
       const responseText = typeof response?.text === 'string' ? response.text.trim() : '';
@@ -1890,15 +1926,6 @@ OUTPUT ONLY VALID JSON:
     });
   }
 
-  /* FINAL RESPONSE                                                       */
-
-  console.log(
-    `[REQ-${requestId}] Completed in ` +
-    `${Date.now() - startTime}ms. ` +
-    `Returning ${processedLeads.length} leads ` +
-    `across ${queryVectors.length} parallel vectors.`
-  );
-
   /* --- ZERO-TRUST AUTHORIZATION GATE --- */
   const DEFAULT_CONFIG = {
     configVersion: 'v1.0-life-insurance',
@@ -1907,7 +1934,44 @@ OUTPUT ONLY VALID JSON:
     typeMultipliers: { regulatory_filing: 1.2, personnel_change: 1.0, scale_metric: 1.1 }
   };
 
-  const authorizedLeads = processedLeads.map(lead => {
+  // Phase 3 drafts with the same model, in DRAFT_RESERVE_MS plus
+  // whatever research left unused; a draft that cannot start or times
+  // out leaves the lead unverified.
+  const draftBudget = () => remainingTime(deadline) - RESPONSE_RESERVE_MS;
+
+  const draftModelClient = {
+    modelId: 'gemini-2.5-flash',
+    generate: async ({ systemInstruction, prompt, temperature }) => {
+      if (draftBudget() < MIN_DRAFT_BUDGET_MS) {
+        throw clientError(504, 'Draft budget exhausted.');
+      }
+
+      const response = await generateWithDeadline(
+        ai,
+        {
+          model: 'gemini-2.5-flash',
+          contents: prompt,
+          config: { systemInstruction, temperature, responseMimeType: 'application/json' }
+        },
+        draftBudget()
+      );
+
+      return typeof response?.text === 'string' ? response.text : '';
+    }
+  };
+
+  const unverified = (lead, reason) => ({
+    ...lead,
+    verificationStatus: 'UNVERIFIED',
+    unverifiedReason: reason,
+    outreachDraft: null
+  });
+
+  const authorizeLead = async lead => {
+    if (draftBudget() < MIN_DRAFT_BUDGET_MS) {
+      return unverified(lead, 'DRAFT_BUDGET_EXHAUSTED');
+    }
+
     try {
       const p1 = validatePhase1Signal({
         sourceUrl: lead.signalSourceUrl,
@@ -1917,7 +1981,7 @@ OUTPUT ONLY VALID JSON:
         jurisdiction: 'US'
       });
 
-      if (!p1.valid || !p1.record) return lead;
+      if (!p1.valid || !p1.record) return unverified(lead, 'SIGNAL_INVALID');
 
       const p2 = scorePhase2(p1.record, new Date().toISOString(), DEFAULT_CONFIG);
 
@@ -1940,38 +2004,99 @@ OUTPUT ONLY VALID JSON:
         generationPolicy: { permittedClaimTypes: ['PROSPECT_FACT', 'OFFER_CLAIM'], maxSentenceCount: 3, channel: 'email' }
       };
 
-      const p3 = generatePhase3(p3Input);
       const authContext = {
         lockedPhase1Record: p1.record,
         lockedPhase2Lead: p2,
         lockedOfferCapabilities: p3Input.offerProfile.permittedCapabilities,
-        nliEvaluator: () => ({ success: true, score: 0.95 })
+        lockedChannel: p3Input.generationPolicy.channel,
+        nliEvaluator: unavailableNliEvaluator
       };
 
-      const decision = authorizePhase4(p3, authContext);
+      const { envelope, decision, attempts } = await generateAuthorizedDraft(p3Input, authContext, { modelClient: draftModelClient });
+
+      // Every attempt returned unusable output.
+      if (!decision) return unverified(lead, 'NO_VALID_DRAFT');
+
+      if (decision.rejectionSummary?.primaryReasonCode === 'NLI_SERVICE_FAILURE') {
+        return unverified(lead, 'NLI_UNAVAILABLE');
+      }
 
       return {
         ...lead,
         verificationStatus: decision.status,
+        outreachDraft: decision.status === 'AUTHORIZED'
+          ? { draftId: envelope.draft.draftId, subjectLine: envelope.draft.subjectLine || null, bodyText: envelope.draft.bodyText }
+          : null,
         auditTrail: {
           signalHash: p1.record.signalRecordHash,
           leadId: p2.leadId,
-          tier: p2.qualificationTier
+          tier: p2.qualificationTier,
+          draftAttempts: attempts
         }
       };
     } catch (gateErr) {
-      // Fallback cleanly to standard processed lead if authorization context is missing fields
-      return lead;
+      // A draft call that timed out or found the budget spent.
+      if (gateErr?.statusCode === 504) return unverified(lead, 'DRAFT_BUDGET_EXHAUSTED');
+
+      console.warn(`[REQ-${requestId}] Authorization gate failed:`, gateErr?.message);
+      return unverified(lead, 'AUTHORIZATION_ERROR');
     }
-  });
+  };
+
+  // Bounded worker pool, in lead order.
+  const authorizedLeads = new Array(processedLeads.length);
+  let nextLead = 0;
+
+  await Promise.all(
+    Array.from({ length: Math.min(DRAFT_CONCURRENCY, processedLeads.length) }, async () => {
+      while (nextLead < processedLeads.length) {
+        const index = nextLead++;
+        authorizedLeads[index] = await authorizeLead(processedLeads[index]);
+      }
+    })
+  );
+
+  /* --- ENTITY RESOLUTION --- */
+  // Canonical lead ids shared with the registry pipeline and addLead.
+  // A failure leaves the leads unresolved rather than failing the request.
+  let resolvedLeads = authorizedLeads;
+
+  try {
+    const resolution = getDefaultEntityResolver().resolve(
+      authorizedLeads.map(lead => ({
+        companyName: lead.companyName,
+        phoneNumber: lead.phoneNumber,
+        // A website derived from the signal URL may be a news or directory
+        // page about the business rather than its own domain.
+        website:
+          extractDomain(lead.website) !== extractDomain(lead.signalSourceUrl)
+            ? lead.website
+            : null
+      })),
+      { source: 'generate-leads' }
+    );
+
+    resolvedLeads = collapseResolvedRecords(authorizedLeads, resolution);
+  } catch (resolutionErr) {
+    console.warn(`[REQ-${requestId}] Entity resolution failed:`, resolutionErr?.message);
+  }
+
+  /* FINAL RESPONSE                                                       */
+
+  console.log(
+    `[REQ-${requestId}] Completed in ` +
+    `${Date.now() - startTime}ms. ` +
+    `Returning ${resolvedLeads.length} leads ` +
+    `across ${queryVectors.length} parallel vectors.`
+  );
 
   return {
     statusCode: 200,
     headers,
     body: JSON.stringify({
       message: 'Leads generated successfully.',
-      leads: authorizedLeads,
-      data: authorizedLeads
+      leads: resolvedLeads,
+      data: resolvedLeads
     })
   };
 
@@ -0,0 +1,576 @@
+// /geography/FloridaGazetteer.js
+
+/**
+ * FloridaGazetteer
+ *
+ * Offline lookup over the bundled Florida gazetteer
+ * (geography/data/florida-gazetteer.json).
+ *
+ * RESPONSIBILITY:
+ * - Resolve Florida city, county and ZIP names to centroids.
+ * - Find city and county mentions in free text.
+ * - Produce the ZIP codes inside a county or a radius.
+ * - Compare place names across spelling variants
+ *   ("St. Petersburg" / "Saint Petersburg", "Ft Myers" / "Fort Myers").
+ *
+ * DOES NOT:
+ * - Geocode street addresses.
+ * - Call external geocoding APIs.
+ * - Cover jurisdictions other than Florida.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ * IntentParser
+ * FloridaRegistryDatabase
+ * GeographicValidator
+ *        ↓
+ * FloridaGazetteer
+ *        ↓
+ * florida-gazetteer.json
+ *
+ * Distances are great-circle miles between centroids. A record is
+ * placed at its ZIP centroid, so radius matches are accurate to
+ * roughly the size of a ZIP code.
+ */
+
+const EARTH_RADIUS_MILES =
+  3958.8;
+
+// Abbreviations expanded before place names are compared.
+const PLACE_NAME_ABBREVIATIONS = {
+  st:
+    "saint",
+
+  ste:
+    "sainte",
+
+  ft:
+    "fort",
+
+  pt:
+    "port",
+
+  mt:
+    "mount"
+};
+
+/**
+ * Comparison key for a place name.
+ *
+ * "St. Petersburg", "SAINT PETERSBURG" and "st petersburg" all map to
+ * "saint petersburg". "Fort McCoy" and "Fort Mc Coy" both map to
+ * "fort mccoy".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePlaceName(name) {
+
+  return String(
+    name || ""
+  )
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[.'’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+    .map(
+      token =>
+        PLACE_NAME_ABBREVIATIONS[token] ||
+        token
+    )
+    .join(" ")
+    .replace(/\bmc (?=[a-z])/g, "mc");
+}
+
+/**
+ * Great-circle distance between two { lat, lon } points.
+ *
+ * @param {{lat: number, lon: number}} from
+ * @param {{lat: number, lon: number}} to
+ * @returns {number} Miles
+ */
+function haversineMiles(
+  from,
+  to
+) {
+
+  const toRadians =
+    degrees =>
+      degrees * Math.PI / 180;
+
+  const deltaLat =
+    toRadians(
+      to.lat - from.lat
+    );
+
+  const deltaLon =
+    toRadians(
+      to.lon - from.lon
+    );
+
+  const a =
+    Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(deltaLon / 2) ** 2;
+
+  return (
+    2 *
+    EARTH_RADIUS_MILES *
+    Math.asin(
+      Math.min(
+        1,
+        Math.sqrt(a)
+      )
+    )
+  );
+}
+
+class FloridaGazetteer {
+
+  /**
+   * @param {Object} [data]
+   * Parsed gazetteer JSON. Defaults to the bundled file.
+   */
+  constructor(
+    data = require("./data/florida-gazetteer.json")
+  ) {
+
+    this.name =
+      "FloridaGazetteer";
+
+    this.version =
+      data.version;
+
+    this.source =
+      data.source;
+
+    this.counties =
+      new Map();
+
+    this.cities =
+      new Map();
+
+    this.zips =
+      new Map();
+
+    for (
+      const [name, county] of
+        Object.entries(data.counties)
+    ) {
+
+      this.counties.set(
+        normalizePlaceName(name),
+        {
+          name,
+
+          fips:
+            county.fips,
+
+          centroid: {
+            lat:
+              county.lat,
+
+            lon:
+              county.lon
+          }
+        }
+      );
+    }
+
+    for (
+      const [name, city] of
+        Object.entries(data.cities)
+    ) {
+
+      this.cities.set(
+        normalizePlaceName(name),
+        {
+          name,
+
+          counties:
+            [...city.counties],
+
+          // Postal cities that span counties have no single county.
+          county:
+            city.counties.length === 1
+              ? city.counties[0]
+              : null,
+
+          centroid: {
+            lat:
+              city.lat,
+
+            lon:
+              city.lon
+          }
+        }
+      );
+    }
+
+    for (
+      const [zip, entry] of
+        Object.entries(data.zips)
+    ) {
+
+      this.zips.set(
+        zip,
+        {
+          zip,
+
+          city:
+            entry.city,
+
+          county:
+            entry.county,
+
+          centroid: {
+            lat:
+              entry.lat,
+
+            lon:
+              entry.lon
+          }
+        }
+      );
+    }
+
+    // Longest names first so "Fort Myers Beach" wins over "Fort Myers".
+    this.cityKeysByLength =
+      [...this.cities.keys()]
+        .sort(
+          (a, b) =>
+            b.length - a.length
+        );
+  }
+
+  // ==========================================================================
+  // LOOKUP
+  // ==========================================================================
+
+  /**
+   * @param {string} name
+   * "Hillsborough", "Hillsborough County" or "St Johns".
+   * @returns {Object|null} { name, fips, centroid }
+   */
+  findCounty(name) {
+
+    const key =
+      normalizePlaceName(name)
+        .replace(/ county$/, "");
+
+    return this.counties.get(key) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} { name, county, counties, centroid }
+   */
+  findCity(name) {
+
+    return (
+      this.cities.get(
+        normalizePlaceName(name)
+      ) ||
+      null
+    );
+  }
+
+  /**
+   * @param {string|number} zip
+   * Five-digit or ZIP+4.
+   * @returns {Object|null} { zip, city, county, centroid }
+   */
+  findZip(zip) {
+
+    const normalizedZip =
+      String(
+        zip ?? ""
+      )
+        .trim()
+        .split("-")[0];
+
+    return this.zips.get(normalizedZip) || null;
+  }
+
+  /**
+   * Find the longest city name mentioned in free text.
+   *
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  findCityInText(text) {
+
+    const haystack =
+      ` ${normalizePlaceName(text)} `;
+
+    for (
+      const key of
+        this.cityKeysByLength
+    ) {
+
+      if (
+        haystack.includes(
+          ` ${key} `
+        )
+      ) {
+        return this.cities.get(key);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find an explicit "<name> county" mention in free text.
+   *
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  findCountyInText(text) {
+
+    const haystack =
+      ` ${normalizePlaceName(text)} `;
+
+    let best =
+      null;
+
+    for (
+      const [key, county] of
+        this.counties
+    ) {
+
+      if (
+        haystack.includes(
+          ` ${key} county `
+        ) &&
+        (
+          !best ||
+          key.length > normalizePlaceName(best.name).length
+        )
+      ) {
+        best = county;
+      }
+    }
+
+    return best;
+  }
+
+  // ==========================================================================
+  // AREAS
+  // ==========================================================================
+
+  /**
+   * ZIP codes whose centroid lies within radiusMiles of a point,
+   * nearest first.
+   *
+   * @param {{lat: number, lon: number}} centroid
+   * @param {number} radiusMiles
+   * @returns {Array<{zip: string, distanceMiles: number}>}
+   */
+  zipsWithinRadius(
+    centroid,
+    radiusMiles
+  ) {
+
+    const matches = [];
+
+    for (
+      const entry of
+        this.zips.values()
+    ) {
+
+      const distanceMiles =
+        haversineMiles(
+          centroid,
+          entry.centroid
+        );
+
+      if (
+        distanceMiles <= radiusMiles
+      ) {
+
+        matches.push({
+          zip:
+            entry.zip,
+
+          distanceMiles
+        });
+      }
+    }
+
+    return matches.sort(
+      (a, b) =>
+        a.distanceMiles - b.distanceMiles
+    );
+  }
+
+  /**
+   * @param {string} countyName
+   * @returns {Array<string>}
+   */
+  zipsForCounty(countyName) {
+
+    const county =
+      this.findCounty(countyName);
+
+    if (!county) {
+      return [];
+    }
+
+    return [...this.zips.values()]
+      .filter(
+        entry =>
+          entry.county === county.name
+      )
+      .map(
+        entry =>
+          entry.zip
+      );
+  }
+
+  /**
+   * Distance from a point to a ZIP centroid.
+   *
+   * @param {{lat: number, lon: number}} centroid
+   * @param {string|number} zip
+   * @returns {number|null} Miles, or null for an unknown ZIP.
+   */
+  distanceToZip(
+    centroid,
+    zip
+  ) {
+
+    const entry =
+      this.findZip(zip);
+
+    return entry
+      ? haversineMiles(
+          centroid,
+          entry.centroid
+        )
+      : null;
+  }
+
+  // ==========================================================================
+  // NAME VARIANTS
+  // ==========================================================================
+
+  /**
+   * Lowercase spellings a registry row may use for a place name.
+   *
+   * "Saint Petersburg" -> ["saint petersburg", "st petersburg",
+   * "st. petersburg"].
+   *
+   * @param {string} name
+   * @returns {Array<string>}
+   */
+  static nameVariants(name) {
+
+    const canonical =
+      normalizePlaceName(name);
+
+    if (!canonical) {
+      return [];
+    }
+
+    let variants = [
+      canonical
+    ];
+
+    for (
+      const [abbreviation, expansion] of
+        Object.entries(PLACE_NAME_ABBREVIATIONS)
+    ) {
+
+      const pattern =
+        new RegExp(
+          `\\b${expansion}\\b`,
+          "g"
+        );
+
+      variants = variants.flatMap(
+        variant =>
+          variant.match(pattern)
+            ? [
+                variant,
+                variant.replace(pattern, abbreviation),
+                variant.replace(pattern, `${abbreviation}.`)
+              ]
+            : [variant]
+      );
+    }
+
+    // Registry rows may split "McCoy" as "Mc Coy".
+    variants = variants.flatMap(
+      variant =>
+        /\bmc(?=[a-z])/.test(variant)
+          ? [
+              variant,
+              variant.replace(/\bmc(?=[a-z])/g, "mc ")
+            ]
+          : [variant]
+    );
+
+    variants.push(
+      String(name)
+        .trim()
+        .toLowerCase()
+    );
+
+    return [
+      ...new Set(
+        variants
+      )
+    ];
+  }
+
+  /**
+   * True when two place names refer to the same place.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  static samePlace(
+    a,
+    b
+  ) {
+
+    return (
+      Boolean(a) &&
+      Boolean(b) &&
+      normalizePlaceName(a) === normalizePlaceName(b)
+    );
+  }
+}
+
+let sharedGazetteer =
+  null;
+
+/**
+ * Shared instance over the bundled gazetteer, loaded on first use.
+ *
+ * @returns {FloridaGazetteer}
+ */
+function getFloridaGazetteer() {
+
+  if (!sharedGazetteer) {
+
+    sharedGazetteer =
+      new FloridaGazetteer();
+  }
+
+  return sharedGazetteer;
+}
+
+module.exports = {
+  FloridaGazetteer,
+  getFloridaGazetteer,
+  haversineMiles,
+  normalizePlaceName
+};
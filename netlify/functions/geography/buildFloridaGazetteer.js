@@ -0,0 +1,717 @@
+// /geography/buildFloridaGazetteer.js
+
+/**
+ * Builds geography/data/florida-gazetteer.json from a GeoNames
+ * postal-code export and an optional populated-places file.
+ *
+ * Usage:
+ *
+ *   node geography/buildFloridaGazetteer.js <path-to-US.txt> [<places-file>]
+ *
+ * US.txt is the tab-separated United States file from
+ * https://download.geonames.org/export/zip/ (CC BY 4.0).
+ *
+ * The places file adds municipalities that have no USPS postal name
+ * of their own (Doral, Weston, Cutler Bay). Two formats are read:
+ *
+ * - The Census Bureau Gazetteer places file
+ *   (https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html,
+ *   public domain). County is taken from the nearest ZIP centroid.
+ * - The GeoNames populated-places JSON published as the "cities.json"
+ *   npm package (CC BY 4.0). County is taken from the admin2 FIPS
+ *   code.
+ *
+ * RESPONSIBILITY:
+ * - Keep Florida rows only.
+ * - Record one centroid per ZIP code.
+ * - Drop ZIP rows whose county disagrees with the rest of their city
+ *   or lies far outside that county.
+ * - Derive city and county centroids as the mean of their ZIP
+ *   centroids.
+ * - Add populated places missing from the postal names, at their own
+ *   centroid.
+ * - Normalize county names to Florida's official spelling.
+ *
+ * DOES NOT:
+ * - Run at request time. The generated JSON is bundled.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalizePlaceName } = require("./FloridaGazetteer.js");
+
+const OUTPUT_PATH =
+  path.join(
+    __dirname,
+    "data",
+    "florida-gazetteer.json"
+  );
+
+/*
+ * GeoNames spells some county names differently from the Florida
+ * Department of State.
+ */
+const COUNTY_NAME_CORRECTIONS = {
+  "Saint Johns": "St. Johns",
+  "Saint Lucie": "St. Lucie",
+  "Desoto": "DeSoto"
+};
+
+const FLORIDA_STATE_FIPS = "12";
+
+// Census place names carry their legal/statistical area description
+// ("Doral city", "Kendall CDP").
+const CENSUS_PLACE_SUFFIX_PATTERN =
+  /\s+(?:city|town|village|CDP)$/;
+
+const PLACES_SOURCES = {
+
+  census: {
+    name:
+      "U.S. Census Bureau Gazetteer places",
+
+    url:
+      "https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html",
+
+    license:
+      "Public domain"
+  },
+
+  geonames: {
+    name:
+      "GeoNames populated places (cities.json)",
+
+    url:
+      "https://download.geonames.org/export/dump/",
+
+    license:
+      "CC BY 4.0"
+  }
+};
+
+/*
+ * How far (in degrees) a ZIP point may sit outside the box around its
+ * county's other ZIP points. ZIP points are interior to their areas,
+ * so the box is smaller than the county itself.
+ */
+const COUNTY_BOUNDS_MARGIN_DEGREES = 0.5;
+
+// A county needs this many other ZIPs before its box is trusted.
+const MIN_COUNTY_BOUNDS_ZIPS = 3;
+
+const POSTAL_NOTES =
+  "ZIP centroids are GeoNames points. City and county centroids are " +
+  "the mean of their ZIP centroids. Cities are USPS postal place names. " +
+  "ZIP rows in a minority county for their city, or outside their " +
+  "county's extent, are dropped as GeoNames errors.";
+
+const PLACES_NOTES =
+  "Populated places without their own postal name (Doral, Weston) are " +
+  "added from the places source at their own centroid, with one county.";
+
+function round(value) {
+
+  return Number(
+    value.toFixed(4)
+  );
+}
+
+function meanCentroid(points) {
+
+  return {
+
+    lat:
+      round(
+        points.reduce(
+          (sum, point) =>
+            sum + point.lat,
+          0
+        ) / points.length
+      ),
+
+    lon:
+      round(
+        points.reduce(
+          (sum, point) =>
+            sum + point.lon,
+          0
+        ) / points.length
+      )
+  };
+}
+
+function squaredDistance(from, to) {
+
+  return (
+    (from.lat - to.lat) ** 2 +
+    (from.lon - to.lon) ** 2
+  );
+}
+
+/**
+ * Find ZIP rows that GeoNames assigns to the wrong county or city.
+ *
+ * A ZIP is dropped when its county is not the majority county among
+ * its city's ZIPs (33112 "Miami" in Putnam, Kennedy Space Center ZIPs
+ * named Orlando), or when its point falls outside the box around its
+ * county's other ZIPs. Cities split evenly between counties have no
+ * majority and are left to the box check.
+ *
+ * @param {Object<string, Object>} zips
+ * ZIP code to { city, county, lat, lon }.
+ * @returns {Array<string>}
+ * Dropped ZIP codes, sorted.
+ */
+function findInconsistentZips(zips) {
+
+  const dropped = new Set();
+
+  const zipsByCity = {};
+
+  for (
+    const [zip, entry] of Object.entries(zips)
+  ) {
+    (zipsByCity[entry.city] ||= []).push(zip);
+  }
+
+  for (
+    const cityZips of Object.values(zipsByCity)
+  ) {
+
+    const countyCounts = {};
+
+    for (
+      const zip of cityZips
+    ) {
+      countyCounts[zips[zip].county] =
+        (countyCounts[zips[zip].county] || 0) + 1;
+    }
+
+    const majorityCounty =
+      Object.keys(countyCounts).find(
+        county =>
+          countyCounts[county] * 2 > cityZips.length
+      );
+
+    if (!majorityCounty) {
+      continue;
+    }
+
+    for (
+      const zip of cityZips
+    ) {
+
+      if (zips[zip].county !== majorityCounty) {
+        dropped.add(zip);
+      }
+    }
+  }
+
+  const zipsByCounty = {};
+
+  for (
+    const [zip, entry] of Object.entries(zips)
+  ) {
+
+    if (!dropped.has(zip)) {
+      (zipsByCounty[entry.county] ||= []).push(zip);
+    }
+  }
+
+  for (
+    const countyZips of Object.values(zipsByCounty)
+  ) {
+
+    for (
+      const zip of countyZips
+    ) {
+
+      const others =
+        countyZips
+          .filter(other => other !== zip)
+          .map(other => zips[other]);
+
+      if (others.length < MIN_COUNTY_BOUNDS_ZIPS) {
+        continue;
+      }
+
+      const lats =
+        others.map(entry => entry.lat);
+
+      const lons =
+        others.map(entry => entry.lon);
+
+      const { lat, lon } =
+        zips[zip];
+
+      if (
+        lat < Math.min(...lats) - COUNTY_BOUNDS_MARGIN_DEGREES ||
+        lat > Math.max(...lats) + COUNTY_BOUNDS_MARGIN_DEGREES ||
+        lon < Math.min(...lons) - COUNTY_BOUNDS_MARGIN_DEGREES ||
+        lon > Math.max(...lons) + COUNTY_BOUNDS_MARGIN_DEGREES
+      ) {
+        dropped.add(zip);
+      }
+    }
+  }
+
+  return [...dropped].sort();
+}
+
+/**
+ * Read Florida places from a Census Gazetteer places file or a
+ * GeoNames cities.json file.
+ *
+ * @returns {{format: string, places: Array<Object>}}
+ * Places are { name, lat, lon, countyFips }. countyFips is null for
+ * Census rows.
+ */
+function readPlaces(placesPath) {
+
+  const text =
+    fs.readFileSync(
+      placesPath,
+      "utf8"
+    );
+
+  if (
+    text.trimStart().startsWith("[")
+  ) {
+
+    return {
+      format:
+        "geonames",
+
+      places:
+        JSON.parse(text)
+          .filter(
+            place =>
+              place.country === "US" &&
+              place.admin1 === "FL" &&
+              !/\(historical\)/i.test(place.name)
+          )
+          .map(
+            place => ({
+              name:
+                place.name,
+
+              lat:
+                Number.parseFloat(place.lat),
+
+              lon:
+                Number.parseFloat(place.lng),
+
+              countyFips:
+                place.admin2
+                  ? `${FLORIDA_STATE_FIPS}${place.admin2}`
+                  : null
+            })
+          )
+    };
+  }
+
+  const [header, ...rows] =
+    text
+      .split(/\r?\n/)
+      .filter(Boolean);
+
+  const columns =
+    header
+      .split("\t")
+      .map(column => column.trim());
+
+  const column =
+    name =>
+      columns.indexOf(name);
+
+  if (
+    column("USPS") < 0 ||
+    column("NAME") < 0 ||
+    column("INTPTLAT") < 0 ||
+    column("INTPTLONG") < 0
+  ) {
+
+    throw new Error(
+      `Unrecognized places file: ${placesPath}`
+    );
+  }
+
+  return {
+    format:
+      "census",
+
+    places:
+      rows
+        .map(row => row.split("\t"))
+        .filter(
+          fields =>
+            fields[column("USPS")] === "FL"
+        )
+        .map(
+          fields => ({
+            name:
+              fields[column("NAME")]
+                .trim()
+                .replace(CENSUS_PLACE_SUFFIX_PATTERN, ""),
+
+            lat:
+              Number.parseFloat(fields[column("INTPTLAT")]),
+
+            lon:
+              Number.parseFloat(fields[column("INTPTLONG")]),
+
+            countyFips:
+              null
+          })
+        )
+  };
+}
+
+/**
+ * Add places whose names are not already postal city names.
+ *
+ * Existing postal cities are left as they are; a place only fills a
+ * gap. Returns the number of places added.
+ */
+function addPlaces(
+  gazetteer,
+  placesPath
+) {
+
+  const {
+    format,
+    places
+  } = readPlaces(placesPath);
+
+  const countiesByFips =
+    new Map(
+      Object.entries(gazetteer.counties)
+        .map(
+          ([name, county]) =>
+            [county.fips, name]
+        )
+    );
+
+  const zipEntries =
+    Object.values(gazetteer.zips);
+
+  const nearestZipCounty =
+    point =>
+      zipEntries.reduce(
+        (best, entry) =>
+          !best ||
+          squaredDistance(point, entry) < squaredDistance(point, best)
+            ? entry
+            : best,
+        null
+      ).county;
+
+  const knownNames =
+    new Set(
+      Object.keys(gazetteer.cities)
+        .map(normalizePlaceName)
+    );
+
+  let added = 0;
+
+  for (
+    const place of places
+  ) {
+
+    const key =
+      normalizePlaceName(place.name);
+
+    if (
+      !key ||
+      knownNames.has(key) ||
+      !Number.isFinite(place.lat) ||
+      !Number.isFinite(place.lon)
+    ) {
+      continue;
+    }
+
+    const county =
+      place.countyFips
+        ? countiesByFips.get(place.countyFips)
+        : nearestZipCounty(place);
+
+    if (!county) {
+      continue;
+    }
+
+    knownNames.add(key);
+
+    gazetteer.cities[place.name] = {
+      counties:
+        [county],
+
+      lat:
+        round(place.lat),
+
+      lon:
+        round(place.lon)
+    };
+
+    added++;
+  }
+
+  gazetteer.cities =
+    Object.fromEntries(
+      Object.keys(gazetteer.cities)
+        .sort()
+        .map(
+          name =>
+            [name, gazetteer.cities[name]]
+        )
+    );
+
+  gazetteer.source.places =
+    PLACES_SOURCES[format];
+
+  gazetteer.source.notes =
+    POSTAL_NOTES +
+    " " +
+    PLACES_NOTES;
+
+  return added;
+}
+
+function build(
+  sourcePath,
+  placesPath = null
+) {
+
+  const zips = {};
+
+  const lines =
+    fs.readFileSync(
+      sourcePath,
+      "utf8"
+    ).split(/\r?\n/);
+
+  for (
+    const line of lines
+  ) {
+
+    const [
+      ,
+      zip,
+      placeName,
+      ,
+      stateCode,
+      countyName,
+      countyCode,
+      ,
+      ,
+      latitude,
+      longitude
+    ] = line.split("\t");
+
+    if (
+      stateCode !== "FL" ||
+      !/^\d{5}$/.test(zip || "")
+    ) {
+      continue;
+    }
+
+    const lat =
+      Number.parseFloat(latitude);
+
+    const lon =
+      Number.parseFloat(longitude);
+
+    if (
+      !Number.isFinite(lat) ||
+      !Number.isFinite(lon)
+    ) {
+      continue;
+    }
+
+    const county =
+      COUNTY_NAME_CORRECTIONS[countyName] ||
+      countyName;
+
+    zips[zip] = {
+      city:
+        placeName,
+
+      county,
+
+      countyFips:
+        countyCode
+          ? `${FLORIDA_STATE_FIPS}${countyCode}`
+          : null,
+
+      lat:
+        round(lat),
+
+      lon:
+        round(lon)
+    };
+  }
+
+  for (
+    const zip of findInconsistentZips(zips)
+  ) {
+    delete zips[zip];
+  }
+
+  const countyPoints = {};
+  const cityPoints = {};
+
+  for (
+    const entry of Object.values(zips)
+  ) {
+
+    (countyPoints[entry.county] ||= {
+      fips:
+        entry.countyFips,
+      points:
+        []
+    }).points.push(entry);
+
+    (cityPoints[entry.city] ||= {
+      counties:
+        new Set(),
+      points:
+        []
+    });
+
+    cityPoints[entry.city].counties.add(
+      entry.county
+    );
+
+    cityPoints[entry.city].points.push(
+      entry
+    );
+  }
+
+  const sortedKeys =
+    object =>
+      Object.keys(object).sort();
+
+  const counties = {};
+
+  for (
+    const name of sortedKeys(countyPoints)
+  ) {
+
+    counties[name] = {
+      fips:
+        countyPoints[name].fips,
+
+      ...meanCentroid(
+        countyPoints[name].points
+      )
+    };
+  }
+
+  const cities = {};
+
+  for (
+    const name of sortedKeys(cityPoints)
+  ) {
+
+    cities[name] = {
+      counties:
+        [
+          ...cityPoints[name].counties
+        ].sort(),
+
+      ...meanCentroid(
+        cityPoints[name].points
+      )
+    };
+  }
+
+  const sortedZips = {};
+
+  for (
+    const zip of sortedKeys(zips)
+  ) {
+
+    const {
+      countyFips,
+      ...entry
+    } = zips[zip];
+
+    sortedZips[zip] =
+      entry;
+  }
+
+  const gazetteer = {
+
+    version:
+      "florida-gazetteer-v1",
+
+    source: {
+
+      name:
+        "GeoNames postal codes (United States)",
+
+      url:
+        "https://download.geonames.org/export/zip/",
+
+      license:
+        "CC BY 4.0",
+
+      notes:
+        POSTAL_NOTES
+    },
+
+    counties,
+
+    cities,
+
+    zips:
+      sortedZips
+  };
+
+  if (placesPath) {
+
+    addPlaces(
+      gazetteer,
+      placesPath
+    );
+  }
+
+  return gazetteer;
+}
+
+if (require.main === module) {
+
+  const [sourcePath, placesPath] =
+    process.argv.slice(2);
+
+  if (!sourcePath) {
+
+    console.error(
+      "Usage: node geography/buildFloridaGazetteer.js <path-to-US.txt> [<places-file>]"
+    );
+
+    process.exit(1);
+  }
+
+  const gazetteer =
+    build(
+      sourcePath,
+      placesPath || null
+    );
+
+  fs.writeFileSync(
+    OUTPUT_PATH,
+    JSON.stringify(gazetteer) + "\n"
+  );
+
+  console.log(
+    `[buildFloridaGazetteer] ${Object.keys(gazetteer.counties).length} counties, ` +
+    `${Object.keys(gazetteer.cities).length} cities, ` +
+    `${Object.keys(gazetteer.zips).length} ZIP codes written to ${OUTPUT_PATH}`
+  );
+}
+
+module.exports = {
+  build,
+  addPlaces,
+  findInconsistentZips
+};
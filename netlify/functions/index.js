@@ -3,6 +3,7 @@ const admin = require("firebase-admin");
 const crypto = require("crypto");
 
 const { runLeadPipeline } = require("./pipeline/runLeadPipeline.js");
+const { getDefaultLeadJobService } = require("./jobs/LeadJobService.js");
 
 if (!admin.apps.length) {
   const serviceAccount = JSON.parse(
@@ -186,10 +187,28 @@ function normalizePipelineInput(params = {}) {
     industry: searchKeyword
   };
 
+  // Optional explicit registry provider override.
+  // The pipeline validates it against the resolved geography.
+  const provider =
+    typeof params.provider === "string" &&
+    params.provider.trim()
+      ? params.provider.trim()
+      : null;
+
+  // Optional scoring profile name, e.g. "web-design-agency".
+  // The pipeline resolves it against the scoring profile registry.
+  const scoringProfile =
+    typeof params.scoringProfile === "string" &&
+    params.scoringProfile.trim()
+      ? params.scoringProfile.trim()
+      : null;
+
   return {
     queryInput: searchKeyword,
     geoContext,
-    filters
+    filters,
+    provider,
+    scoringProfile
   };
 }
 
@@ -221,10 +240,206 @@ async function executeCorePipeline(
       normalizedInput.geoContext,
 
     filters:
-      normalizedInput.filters
+      normalizedInput.filters,
+
+    provider:
+      normalizedInput.provider,
+
+    scoringProfile:
+      normalizedInput.scoringProfile
   });
 }
 
+// ============================================================================
+// JOB EXECUTION BRIDGE
+// ============================================================================
+//
+// Batch requests carry action "submitJob" or "getJob":
+//
+// { action: "submitJob", searches: [{ query, geoContext, filters }],
+//   registrationIds: [...], geoContext, provider, scoringProfile,
+//   concurrency }
+//
+// { action: "getJob", jobId }
+//
+// Both run one time-boxed slice of the job and return its snapshot,
+// so clients poll getJob until status is "completed". The slice is
+// what the transport's synchronous limit leaves after the request so
+// far and the response.
+//
+// Like executeCorePipeline, this only normalizes transport input.
+// ============================================================================
+
+const JOB_ACTIONS = [
+  "submitJob",
+  "getJob"
+];
+
+// Synchronous request limits: Netlify functions, and the Firebase
+// callable's default timeout.
+const JOB_TRANSPORT_TIMEOUTS_MS = {
+  netlify: 10000,
+  firebase: 60000
+};
+
+const JOB_RESPONSE_RESERVE_MS = 1500;
+
+/**
+ * Time a job slice may take on a transport.
+ *
+ * @param {string} transport
+ * @param {number} receivedAt
+ * When the request arrived (epoch milliseconds).
+ * @param {Object|null} [context]
+ * Lambda-style context; its getRemainingTimeInMillis() is preferred
+ * when present.
+ * @returns {number}
+ */
+function jobTimeBudgetMs(
+  transport,
+  receivedAt,
+  context = null
+) {
+  const remainingMs =
+    typeof context?.getRemainingTimeInMillis === "function"
+      ? context.getRemainingTimeInMillis()
+      : JOB_TRANSPORT_TIMEOUTS_MS[transport] -
+        (Date.now() - receivedAt);
+
+  return Math.max(
+    remainingMs - JOB_RESPONSE_RESERVE_MS,
+    0
+  );
+}
+
+function isJobAction(params = {}) {
+  return JOB_ACTIONS.includes(
+    params?.action
+  );
+}
+
+async function executeJobAction(
+  params = {},
+  ownerId = null,
+  {
+    timeBudgetMs
+  } = {}
+) {
+  const jobService =
+    getDefaultLeadJobService();
+
+  if (params.action === "getJob") {
+
+    // Advances an unfinished job; returns a finished one as stored.
+    return await jobService.runJob(
+      params.jobId,
+      {
+        ownerId,
+        timeBudgetMs
+      }
+    );
+  }
+
+  const searches =
+    Array.isArray(params.searches)
+      ? params.searches
+      : [];
+
+  const items =
+    searches.map(search => {
+
+      const hasQuery =
+        search &&
+        (
+          search.queryInput ||
+          search.query ||
+          search.filters?.industry
+        );
+
+      // LeadJobService rejects items without a query.
+      if (!hasQuery) {
+        return search;
+      }
+
+      const normalizedInput =
+        normalizePipelineInput(search);
+
+      return {
+        geoContext:
+          normalizedInput.geoContext,
+
+        filters:
+          normalizedInput.filters
+      };
+    });
+
+  if (
+    Array.isArray(params.registrationIds) &&
+    params.registrationIds.length > 0
+  ) {
+
+    items.push({
+      geoContext:
+        params.geoContext || {
+          states: ["FL"]
+        },
+
+      registrationIds:
+        params.registrationIds
+    });
+  }
+
+  const { provider, scoringProfile } =
+    normalizePipelineInput({
+      query:
+        "batch",
+
+      provider:
+        params.provider,
+
+      scoringProfile:
+        params.scoringProfile
+    });
+
+  const job =
+    jobService.submitJob({
+      items,
+      provider,
+      scoringProfile,
+
+      concurrency:
+        params.concurrency,
+
+      ownerId
+    });
+
+  return await jobService.runJob(
+    job.jobId,
+    {
+      ownerId,
+      timeBudgetMs
+    }
+  );
+}
+
+/**
+ * Job errors caused by the request rather than the engine.
+ */
+const JOB_REQUEST_ERRORS = {
+  JOB_NOT_FOUND: {
+    callableCode: "not-found",
+    statusCode: 404
+  },
+  INVALID_JOB_REQUEST: {
+    callableCode: "invalid-argument",
+    statusCode: 400
+  },
+  UNKNOWN_SCORING_PROFILE: {
+    callableCode: "invalid-argument",
+    statusCode: 400
+  }
+};
+
 // ============================================================================
 // FIREBASE CUSTOM TOKEN
 // ============================================================================
@@ -326,6 +541,9 @@ exports.processLeadPipeline =
   functions.https.onCall(
     async (data, context) => {
 
+      const receivedAt =
+        Date.now();
+
       const requestId =
         crypto.randomUUID();
 
@@ -363,6 +581,95 @@ exports.processLeadPipeline =
         );
       }
 
+      if (isJobAction(data)) {
+
+        try {
+
+          const job =
+            await executeJobAction(
+              data,
+              context.auth.uid,
+              {
+                timeBudgetMs:
+                  jobTimeBudgetMs(
+                    "firebase",
+                    receivedAt
+                  )
+              }
+            );
+
+          console.log(
+            "[PIPELINE JOB REQUEST SUCCESS]",
+            {
+              requestId,
+              uid:
+                context.auth.uid,
+
+              action:
+                data.action,
+
+              jobId:
+                job.jobId,
+
+              status:
+                job.status
+            }
+          );
+
+          return {
+            ...job,
+            requestId
+          };
+
+        } catch (error) {
+
+          const requestError =
+            JOB_REQUEST_ERRORS[error.code];
+
+          console.error(
+            "[PIPELINE JOB REQUEST FAILURE]",
+            {
+              requestId,
+
+              uid:
+                context.auth.uid,
+
+              action:
+                data.action,
+
+              message:
+                error.message,
+
+              error:
+                error.code ||
+                null
+            }
+          );
+
+          if (requestError) {
+
+            throw new functions.https.HttpsError(
+              requestError.callableCode,
+              error.message,
+              {
+                requestId,
+
+                error:
+                  error.code
+              }
+            );
+          }
+
+          throw new functions.https.HttpsError(
+            "internal",
+            "Lead Engine job execution failed.",
+            {
+              requestId
+            }
+          );
+        }
+      }
+
       try {
 
         const result =
@@ -375,7 +682,13 @@ exports.processLeadPipeline =
               data?.geoContext,
 
             filters:
-              data?.filters
+              data?.filters,
+
+            provider:
+              data?.provider,
+
+            scoringProfile:
+              data?.scoringProfile
           });
 
         console.log(
@@ -450,6 +763,9 @@ exports.processLeadPipeline =
 exports.handler =
   async (event, context) => {
 
+    const receivedAt =
+      Date.now();
+
     const requestId =
       crypto.randomUUID();
 
@@ -779,6 +1095,102 @@ console.log(
       );
 
 
+      // ----------------------------------------------------------------------
+      // BATCH JOBS
+      // ----------------------------------------------------------------------
+
+      if (isJobAction(body)) {
+
+        try {
+
+          const job =
+            await executeJobAction(
+              body,
+              uid,
+              {
+                timeBudgetMs:
+                  jobTimeBudgetMs(
+                    "netlify",
+                    receivedAt,
+                    context
+                  )
+              }
+            );
+
+          console.log(
+            "[NETLIFY JOB SUCCESS]",
+            {
+              requestId,
+
+              uid,
+
+              action:
+                body.action,
+
+              jobId:
+                job.jobId,
+
+              status:
+                job.status
+            }
+          );
+
+          return {
+            statusCode: 200,
+
+            headers,
+
+            body:
+              JSON.stringify({
+                ...job,
+                requestId
+              })
+          };
+
+        } catch (jobError) {
+
+          const requestError =
+            JOB_REQUEST_ERRORS[jobError.code];
+
+          if (!requestError) {
+            throw jobError;
+          }
+
+          console.warn(
+            "[NETLIFY JOB REQUEST REJECTED]",
+            {
+              requestId,
+
+              uid,
+
+              error:
+                jobError.code,
+
+              message:
+                jobError.message
+            }
+          );
+
+          return {
+            statusCode:
+              requestError.statusCode,
+
+            headers,
+
+            body:
+              JSON.stringify({
+                error:
+                  jobError.code,
+
+                message:
+                  jobError.message,
+
+                requestId
+              })
+          };
+        }
+      }
+
       const rawQuery =
         body.query ||
         body.queryInput ||
@@ -794,7 +1206,13 @@ console.log(
             body.geoContext,
 
           filters:
-            body.filters
+            body.filters,
+
+          provider:
+            body.provider,
+
+          scoringProfile:
+            body.scoringProfile
         });
 
       console.log(
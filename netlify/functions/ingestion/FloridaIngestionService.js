@@ -1,7 +1,14 @@
-const fs = require("fs");
-const readline = require("readline");
-const path = require("path");
-const crypto = require("crypto");
+const {
+  StateRegistryIngestionService
+} = require("./StateRegistryIngestionService.js");
+
+const {
+  FixedWidthRecordFormat
+} = require("./RegistryRecordFormats.js");
+
+const {
+  FLORIDA
+} = require("../source/StateJurisdictions.js");
 
 /**
  * FloridaIngestionService
@@ -10,12 +17,11 @@ const crypto = require("crypto");
  * registry files into the local corporate-registry database.
  *
  * RESPONSIBILITY:
- * - Read official registry files.
- * - Parse fixed-width records.
- * - Normalize whitespace.
- * - Validate minimum record integrity.
- * - Bulk upsert records into the registry database.
- * - Produce an auditable ingestion manifest.
+ * - Define the Division of Corporations fixed-width layout.
+ * - Map parsed records to the registry database record shape.
+ *
+ * File reading, checkpointing, batching and the ingestion manifest
+ * live in StateRegistryIngestionService.
  *
  * DOES NOT:
  * - Search the registry.
@@ -30,11 +36,11 @@ const crypto = require("crypto");
  *
  * Florida Official Data Files
  *          ↓
- * FloridaIngestionService
+ * FloridaIngestionService (StateRegistryIngestionService)
  *          ↓
- * FloridaRegistryDatabase
+ * FloridaRegistryDatabase (StateRegistryDatabase)
  *          ↓
- * OfficialFloridaProvider
+ * OfficialFloridaProvider (StateRegistryProvider)
  *          ↓
  * RegistryAcquisitionService
  */
@@ -113,7 +119,8 @@ const FLORIDA_FIXED_WIDTH_SCHEMA = {
   }
 };
 
-class FloridaIngestionService {
+class FloridaIngestionService
+  extends StateRegistryIngestionService {
 
   /**
    * @param {Object} options
@@ -127,17 +134,44 @@ class FloridaIngestionService {
     minimumRecordLength = 380
   } = {}) {
 
-    if (
-      !database ||
-      typeof database.upsertBatch !== "function"
-    ) {
-
-      throw new Error(
-        "FloridaIngestionService requires a database with upsertBatch()."
-      );
-    }
-
-    this.database = database;
+    super({
+
+      database,
+
+      jurisdiction:
+        FLORIDA,
+
+      format:
+        new FixedWidthRecordFormat({
+          schema:
+            schemaSpec,
+          minimumRecordLength
+        }),
+
+      identityFields: [
+        "documentNumber",
+        "entityName"
+      ],
+
+      upperCaseFields: [
+        "principalState",
+        "mailingState"
+      ],
+
+      acquisitionTypes: [
+        "daily_delta",
+        "quarterly_master"
+      ],
+
+      /*
+       * The quarterly master file is a complete extract of the
+       * registry, so entities missing from it are marked inactive.
+       * Daily deltas list only the day's filings.
+       */
+      fullSnapshotTypes: [
+        "quarterly_master"
+      ]
+    });
 
     this.schemaSpec =
       schemaSpec;
@@ -147,385 +181,94 @@ class FloridaIngestionService {
   }
 
   // ==========================================================================
-  // FIELD NORMALIZATION
-  // ==========================================================================
-
-  normalizeValue(value) {
-
-    if (
-      value === null ||
-      value === undefined
-    ) {
-      return null;
-    }
-
-    const normalized =
-      String(value)
-        .replace(/\s+/g, " ")
-        .trim();
-
-    return normalized || null;
-  }
-
-  // ==========================================================================
-  // FIXED-WIDTH PARSING
-  // ==========================================================================
-
-  parseLine(line) {
-
-    if (
-      typeof line !== "string" ||
-      !line.trim()
-    ) {
-      return null;
-    }
-
-    /*
-     * A fixed-width record shorter than the expected schema is
-     * potentially truncated or malformed.
-     *
-     * Do NOT silently construct a partial authoritative record.
-     */
-    if (
-      line.length <
-      this.minimumRecordLength
-    ) {
-      return null;
-    }
-
-    const record = {};
-
-    for (
-      const [field, definition]
-      of Object.entries(this.schemaSpec)
-    ) {
-
-      const {
-        start,
-        end
-      } = definition;
-
-      if (
-        !Number.isInteger(start) ||
-        !Number.isInteger(end) ||
-        start < 0 ||
-        end <= start
-      ) {
-
-        throw new Error(
-          `Invalid fixed-width schema definition for field "${field}".`
-        );
-      }
-
-      const rawValue =
-        line.substring(
-          start,
-          end
-        );
-
-      record[field] =
-        this.normalizeValue(
-          rawValue
-        );
-    }
-
-    /*
-     * These fields establish the minimum identity
-     * required for an authoritative corporate record.
-     */
-    if (
-      !record.documentNumber ||
-      !record.entityName
-    ) {
-      return null;
-    }
-
-    /*
-     * Normalize known jurisdiction data.
-     */
-    if (
-      record.principalState
-    ) {
-      record.principalState =
-        record.principalState
-          .toUpperCase();
-    }
-
-    if (
-      record.mailingState
-    ) {
-      record.mailingState =
-        record.mailingState
-          .toUpperCase();
-    }
-
-    /*
-     * Preserve the original YYYYMMDD value unless
-     * the database layer explicitly requires a Date.
-     *
-     * We do not reinterpret official source values here.
-     */
-    return record;
-  }
-
-  // ==========================================================================
-  // FILE HASH
-  // ==========================================================================
-
-  async calculateFileHash(filePath) {
-
-    return new Promise(
-      (resolve, reject) => {
-
-        const hash =
-          crypto.createHash("sha256");
-
-        const stream =
-          fs.createReadStream(
-            filePath
-          );
-
-        stream.on(
-          "data",
-          chunk => hash.update(chunk)
-        );
-
-        stream.on(
-          "error",
-          reject
-        );
-
-        stream.on(
-          "end",
-          () => {
-            resolve(
-              hash.digest("hex")
-            );
-          }
-        );
-      }
-    );
-  }
-
-  // ==========================================================================
-  // FILE INGESTION
+  // DATABASE RECORD MAPPING
   // ==========================================================================
 
-  async processFile(
-    filePath,
+  /**
+   * Map a parsed fixed-width record to the record shape accepted by
+   * FloridaRegistryDatabase.upsertBatch().
+   *
+   * @param {Object} parsed
+   * Output of parseLine().
+   * @param {Object} source
+   * @param {string} source.file
+   * @param {string} source.retrievedAt
+   * @returns {Object}
+   */
+  toRegistryRecord(
+    parsed,
     {
-      batchSize = 2500,
-      acquisitionType = "daily_delta"
-    } = {}
-  ) {
-
-    if (
-      typeof filePath !== "string" ||
-      !filePath.trim()
-    ) {
-
-      throw new Error(
-        "FloridaIngestionService requires a valid file path."
-      );
-    }
-
-    if (
-      !fs.existsSync(filePath)
-    ) {
-
-      throw new Error(
-        `Target file does not exist: ${filePath}`
-      );
+      file,
+      retrievedAt
     }
+  ) {
 
-    if (
-      !Number.isInteger(batchSize) ||
-      batchSize < 1
-    ) {
-
-      throw new Error(
-        "batchSize must be a positive integer."
-      );
-    }
+    return {
 
-    const allowedAcquisitionTypes = [
-      "quarterly_master",
-      "daily_delta"
-    ];
+      registrationId:
+        parsed.documentNumber,
 
-    if (
-      !allowedAcquisitionTypes.includes(
-        acquisitionType
-      )
-    ) {
+      companyName:
+        parsed.entityName,
 
-      throw new Error(
-        `Unsupported acquisitionType: ${acquisitionType}`
-      );
-    }
+      entityType:
+        null,
 
-    const startTime =
-      Date.now();
+      status:
+        parsed.status,
 
-    const absolutePath =
-      path.resolve(filePath);
+      formationDate:
+        parsed.filingDate,
 
-    const fileStats =
-      fs.statSync(
-        absolutePath
-      );
+      principalAddress: {
 
-    const fileHash =
-      await this.calculateFileHash(
-        absolutePath
-      );
+        line1:
+          parsed.principalAddress,
 
-    const fileStream =
-      fs.createReadStream(
-        absolutePath
-      );
+        line2:
+          null,
 
-    const rl =
-      readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-      });
+        city:
+          parsed.principalCity,
 
-    let batch = [];
+        state:
+          parsed.principalState,
 
-    let linesRead = 0;
-    let validRecords = 0;
-    let rejectedRecords = 0;
-    let recordsIngested = 0;
+        zip:
+          parsed.principalZip
+      },
 
-    for await (
-      const line of rl
-    ) {
+      mailingAddress: {
 
-      linesRead++;
+        line1:
+          parsed.mailingAddress,
 
-      const record =
-        this.parseLine(
-          line
-        );
+        line2:
+          null,
 
-      if (!record) {
+        city:
+          parsed.mailingCity,
 
-        rejectedRecords++;
+        state:
+          parsed.mailingState,
 
-        continue;
-      }
+        zip:
+          parsed.mailingZip
+      },
 
-      validRecords++;
+      registeredAgent:
+        null,
 
-      batch.push(
-        record
-      );
+      source: {
 
-      if (
-        batch.length >=
-        batchSize
-      ) {
+        file,
 
-        const insertedCount =
-          await this.database.upsertBatch(
-            batch
-          );
+        sourceType:
+          "official_state_dataset",
 
-        recordsIngested +=
-          Number(insertedCount) || 0;
-
-        batch = [];
+        retrievedAt
       }
-    }
-
-    // ------------------------------------------------------------------------
-    // FINAL BATCH
-    // ------------------------------------------------------------------------
-
-    if (
-      batch.length > 0
-    ) {
-
-      const insertedCount =
-        await this.database.upsertBatch(
-          batch
-        );
-
-      recordsIngested +=
-        Number(insertedCount) || 0;
-    }
-
-    const executionTimeSeconds =
-      Number(
-        (
-          (Date.now() - startTime) /
-          1000
-        ).toFixed(2)
-      );
-
-    // ==========================================================================
-    // INGESTION MANIFEST
-    // ==========================================================================
-
-    const manifest = {
-
-      source:
-        "Florida Division of Corporations",
-
-      acquisitionType,
-
-      sourceFile:
-        path.basename(
-          absolutePath
-        ),
-
-      sourcePath:
-        absolutePath,
-
-      fileSizeBytes:
-        fileStats.size,
-
-      sourceFileSha256:
-        fileHash,
-
-      retrievedAt:
-        new Date().toISOString(),
-
-      linesRead,
-
-      validRecords,
-
-      rejectedRecords,
-
-      recordsIngested,
-
-      executionTimeSeconds,
-
-      status:
-        "success"
     };
-
-    /*
-     * Manifest recording is intentionally separate from
-     * prospect-level evidence.
-     *
-     * This records the provenance of the dataset ingestion
-     * itself.
-     */
-    if (
-      typeof this.database
-        .recordIngestionManifest ===
-      "function"
-    ) {
-
-      await this.database
-        .recordIngestionManifest(
-          manifest
-        );
-    }
-
-    return manifest;
   }
 }
 
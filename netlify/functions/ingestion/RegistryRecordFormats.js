@@ -0,0 +1,345 @@
+/**
+ * RegistryRecordFormats
+ *
+ * Line-oriented record formats for state registry bulk files.
+ *
+ * RESPONSIBILITY:
+ * - Split one source line into named raw field values.
+ * - Reject lines that cannot be read as a complete record.
+ *
+ * DOES NOT:
+ * - Normalize values.
+ * - Map fields to the registry database record shape.
+ * - Decide which fields establish record identity.
+ *
+ * Both formats read one record per line so ingestion checkpoints can
+ * resume at a line number. CSV fields containing line breaks are not
+ * supported; such lines are rejected as malformed.
+ *
+ * FORMAT INTERFACE:
+ *
+ * - hasHeader: boolean. When true, readHeader(line) receives line 1
+ *   before any record, including on resumed runs.
+ * - parse(line): { field: rawValue } or null for a malformed line.
+ */
+
+// ============================================================================
+// FIXED WIDTH
+// ============================================================================
+
+class FixedWidthRecordFormat {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.schema
+   * { field: { start, end } }. 0-indexed; `end` is exclusive, matching
+   * String.prototype.substring().
+   * @param {number} [options.minimumRecordLength]
+   */
+  constructor({
+    schema,
+    minimumRecordLength = 0
+  } = {}) {
+
+    if (
+      !schema ||
+      typeof schema !== "object"
+    ) {
+
+      throw new Error(
+        "FixedWidthRecordFormat requires a schema."
+      );
+    }
+
+    this.schema =
+      schema;
+
+    this.minimumRecordLength =
+      minimumRecordLength;
+
+    this.hasHeader =
+      false;
+  }
+
+  parse(line) {
+
+    if (
+      typeof line !== "string" ||
+      !line.trim()
+    ) {
+      return null;
+    }
+
+    /*
+     * A fixed-width record shorter than the expected schema is
+     * potentially truncated or malformed.
+     *
+     * Do NOT silently construct a partial authoritative record.
+     */
+    if (
+      line.length <
+      this.minimumRecordLength
+    ) {
+      return null;
+    }
+
+    const record = {};
+
+    for (
+      const [field, definition]
+      of Object.entries(this.schema)
+    ) {
+
+      const {
+        start,
+        end
+      } = definition;
+
+      if (
+        !Number.isInteger(start) ||
+        !Number.isInteger(end) ||
+        start < 0 ||
+        end <= start
+      ) {
+
+        throw new Error(
+          `Invalid fixed-width schema definition for field "${field}".`
+        );
+      }
+
+      record[field] =
+        line.substring(
+          start,
+          end
+        );
+    }
+
+    return record;
+  }
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/*
+ * "Taxpayer Zip Code" -> "taxpayer_zip_code"
+ */
+function normalizeHeaderName(name) {
+
+  return String(
+    name || ""
+  )
+    .replace(/^\uFEFF/, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Split one CSV line (RFC 4180 quoting, "" escapes).
+ *
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {Array<string>|null} null when a quoted field is unterminated.
+ */
+function splitCsvLine(
+  line,
+  delimiter
+) {
+
+  const cells = [];
+
+  let current = "";
+  let quoted = false;
+
+  for (
+    let index = 0;
+    index < line.length;
+    index++
+  ) {
+
+    const character =
+      line[index];
+
+    if (quoted) {
+
+      if (character !== "\"") {
+        current += character;
+      } else if (line[index + 1] === "\"") {
+        current += "\"";
+        index++;
+      } else {
+        quoted = false;
+      }
+
+      continue;
+    }
+
+    if (character === "\"") {
+      quoted = true;
+    } else if (character === delimiter) {
+      cells.push(current);
+      current = "";
+    } else {
+      current += character;
+    }
+  }
+
+  if (quoted) {
+    return null;
+  }
+
+  cells.push(current);
+
+  return cells;
+}
+
+class CsvRecordFormat {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.columns
+   * { field: [headerName, ...] }. Header names are compared after
+   * normalization ("Taxpayer Name" == "taxpayer_name"); the first
+   * alias present in the file is used.
+   * @param {Array<string>} [options.requiredFields]
+   * Fields whose column must exist in the header.
+   * @param {string} [options.delimiter]
+   */
+  constructor({
+    columns,
+    requiredFields = [],
+    delimiter = ","
+  } = {}) {
+
+    if (
+      !columns ||
+      typeof columns !== "object"
+    ) {
+
+      throw new Error(
+        "CsvRecordFormat requires a column mapping."
+      );
+    }
+
+    this.columns =
+      columns;
+
+    this.requiredFields =
+      requiredFields;
+
+    this.delimiter =
+      delimiter;
+
+    this.hasHeader =
+      true;
+
+    this.columnIndexes =
+      null;
+  }
+
+  /**
+   * Resolve field positions from the header line.
+   *
+   * Throws when a required column is missing: the whole file is the
+   * wrong format, not one bad record.
+   */
+  readHeader(line) {
+
+    const headerCells =
+      splitCsvLine(
+        String(line || ""),
+        this.delimiter
+      ) || [];
+
+    const headerNames =
+      headerCells.map(
+        normalizeHeaderName
+      );
+
+    this.columnIndexes = {};
+
+    for (
+      const [field, aliases] of
+        Object.entries(this.columns)
+    ) {
+
+      const index =
+        aliases
+          .map(
+            alias =>
+              headerNames.indexOf(
+                normalizeHeaderName(alias)
+              )
+          )
+          .find(
+            position =>
+              position >= 0
+          );
+
+      if (index !== undefined) {
+        this.columnIndexes[field] = index;
+      }
+    }
+
+    const missing =
+      this.requiredFields.filter(
+        field =>
+          this.columnIndexes[field] === undefined
+      );
+
+    if (missing.length > 0) {
+
+      throw new Error(
+        `CSV header is missing required columns for: ${missing.join(", ")}.`
+      );
+    }
+  }
+
+  parse(line) {
+
+    if (!this.columnIndexes) {
+
+      throw new Error(
+        "CsvRecordFormat.parse() called before readHeader()."
+      );
+    }
+
+    if (
+      typeof line !== "string" ||
+      !line.trim()
+    ) {
+      return null;
+    }
+
+    const cells =
+      splitCsvLine(
+        line,
+        this.delimiter
+      );
+
+    if (!cells) {
+      return null;
+    }
+
+    const record = {};
+
+    for (
+      const [field, index] of
+        Object.entries(this.columnIndexes)
+    ) {
+
+      record[field] =
+        cells[index] ?? null;
+    }
+
+    return record;
+  }
+}
+
+module.exports = {
+  FixedWidthRecordFormat,
+  CsvRecordFormat,
+  splitCsvLine
+};
@@ -0,0 +1,772 @@
+const fs = require("fs");
+const readline = require("readline");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * StateRegistryIngestionService
+ *
+ * Ingests official state registry bulk files into a local
+ * StateRegistryDatabase.
+ *
+ * RESPONSIBILITY:
+ * - Read official registry files line by line.
+ * - Parse records through a pluggable record format (fixed-width,
+ *   CSV).
+ * - Normalize whitespace.
+ * - Validate minimum record integrity.
+ * - Bulk upsert records into the registry database.
+ * - After a full snapshot, mark entities the snapshot no longer
+ *   lists inactive.
+ * - Checkpoint committed line offsets so an interrupted file resumes
+ *   where it stopped.
+ * - Produce an auditable ingestion manifest, including the entity
+ *   change summary.
+ *
+ * DOES NOT:
+ * - Know any state's file layout. Subclasses supply the record
+ *   format, identity fields and toRegistryRecord() mapping.
+ * - Normalize registry status codes. Raw statuses are stored as
+ *   published; StateRegistryProvider maps them per jurisdiction.
+ * - Search the registry.
+ * - Write prospect-level Evidence Ledger observations.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ * State Official Data Files
+ *          ↓
+ * StateRegistryIngestionService (FloridaIngestionService, TexasIngestionService)
+ *          ↓
+ * StateRegistryDatabase
+ *          ↓
+ * StateRegistryProvider
+ *          ↓
+ * RegistryAcquisitionService
+ */
+
+class StateRegistryIngestionService {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.database
+   * @param {Object} options.jurisdiction
+   * Entry from source/StateJurisdictions.js.
+   * @param {Object} options.format
+   * Record format from ingestion/RegistryRecordFormats.js.
+   * @param {Array<string>} options.identityFields
+   * Parsed fields that must be present for a record to be accepted.
+   * @param {Array<string>} [options.upperCaseFields]
+   * Parsed fields upper-cased after normalization (state codes).
+   * @param {Array<string>} options.acquisitionTypes
+   * Accepted acquisitionType values; the first is the default.
+   * @param {Array<string>} [options.fullSnapshotTypes]
+   * Acquisition types whose files list every current entity. An entity
+   * missing from such a file is no longer registered.
+   */
+  constructor({
+    database,
+    jurisdiction,
+    format,
+    identityFields,
+    upperCaseFields = [],
+    acquisitionTypes,
+    fullSnapshotTypes = []
+  } = {}) {
+
+    this.name =
+      this.constructor.name;
+
+    if (
+      !database ||
+      typeof database.upsertBatch !== "function"
+    ) {
+
+      throw new Error(
+        `${this.name} requires a database with upsertBatch().`
+      );
+    }
+
+    if (!jurisdiction?.code) {
+
+      throw new Error(
+        `${this.name} requires a jurisdiction.`
+      );
+    }
+
+    if (
+      !format ||
+      typeof format.parse !== "function"
+    ) {
+
+      throw new Error(
+        `${this.name} requires a record format with parse().`
+      );
+    }
+
+    if (
+      !Array.isArray(identityFields) ||
+      identityFields.length === 0
+    ) {
+
+      throw new Error(
+        `${this.name} requires at least one identity field.`
+      );
+    }
+
+    if (
+      !Array.isArray(acquisitionTypes) ||
+      acquisitionTypes.length === 0
+    ) {
+
+      throw new Error(
+        `${this.name} requires at least one acquisition type.`
+      );
+    }
+
+    const unknownSnapshotType =
+      fullSnapshotTypes.find(
+        type =>
+          !acquisitionTypes.includes(type)
+      );
+
+    if (unknownSnapshotType) {
+
+      throw new Error(
+        `${this.name} full snapshot type ${unknownSnapshotType} is not an acquisition type.`
+      );
+    }
+
+    this.database = database;
+
+    this.jurisdiction =
+      jurisdiction;
+
+    this.format =
+      format;
+
+    this.identityFields =
+      identityFields;
+
+    this.upperCaseFields =
+      upperCaseFields;
+
+    this.acquisitionTypes =
+      acquisitionTypes;
+
+    this.fullSnapshotTypes =
+      fullSnapshotTypes;
+  }
+
+  // ==========================================================================
+  // FIELD NORMALIZATION
+  // ==========================================================================
+
+  normalizeValue(value) {
+
+    if (
+      value === null ||
+      value === undefined
+    ) {
+      return null;
+    }
+
+    const normalized =
+      String(value)
+        .replace(/\s+/g, " ")
+        .trim();
+
+    return normalized || null;
+  }
+
+  // ==========================================================================
+  // RECORD PARSING
+  // ==========================================================================
+
+  parseLine(line) {
+
+    const rawRecord =
+      this.format.parse(
+        line
+      );
+
+    if (!rawRecord) {
+      return null;
+    }
+
+    const record = {};
+
+    for (
+      const [field, rawValue]
+      of Object.entries(rawRecord)
+    ) {
+
+      record[field] =
+        this.normalizeValue(
+          rawValue
+        );
+    }
+
+    /*
+     * These fields establish the minimum identity
+     * required for an authoritative corporate record.
+     */
+    if (
+      this.identityFields.some(
+        field => !record[field]
+      )
+    ) {
+      return null;
+    }
+
+    /*
+     * Normalize known jurisdiction data.
+     */
+    for (
+      const field of this.upperCaseFields
+    ) {
+
+      if (record[field]) {
+
+        record[field] =
+          record[field]
+            .toUpperCase();
+      }
+    }
+
+    /*
+     * Preserve original date and status values.
+     *
+     * We do not reinterpret official source values here.
+     */
+    return record;
+  }
+
+  // ==========================================================================
+  // DATABASE RECORD MAPPING
+  // ==========================================================================
+
+  /**
+   * Map a parsed record to the record shape accepted by
+   * StateRegistryDatabase.upsertBatch().
+   *
+   * Implemented by each state's subclass.
+   *
+   * @param {Object} parsed
+   * Output of parseLine().
+   * @param {Object} source
+   * @param {string} source.file
+   * @param {string} source.retrievedAt
+   * @returns {Object}
+   */
+  toRegistryRecord() {
+
+    throw new Error(
+      `${this.name} must implement toRegistryRecord().`
+    );
+  }
+
+  // ==========================================================================
+  // FILE HASH
+  // ==========================================================================
+
+  async calculateFileHash(filePath) {
+
+    return new Promise(
+      (resolve, reject) => {
+
+        const hash =
+          crypto.createHash("sha256");
+
+        const stream =
+          fs.createReadStream(
+            filePath
+          );
+
+        stream.on(
+          "data",
+          chunk => hash.update(chunk)
+        );
+
+        stream.on(
+          "error",
+          reject
+        );
+
+        stream.on(
+          "end",
+          () => {
+            resolve(
+              hash.digest("hex")
+            );
+          }
+        );
+      }
+    );
+  }
+
+  // ==========================================================================
+  // FILE INGESTION
+  // ==========================================================================
+
+  /**
+   * Ingest one registry file.
+   *
+   * When the database supports checkpoints, each batch commits together
+   * with the last source line it covers. Re-running the same file (same
+   * SHA-256) after a crash resumes after that line; re-running a file
+   * that already completed returns its checkpoint without re-ingesting.
+   *
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {number} [options.batchSize]
+   * @param {string} [options.acquisitionType]
+   * @param {boolean} [options.resume]
+   * Set false to discard an existing checkpoint and start at line 1.
+   * @returns {Promise<Object>}
+   * Ingestion manifest.
+   */
+  async processFile(
+    filePath,
+    {
+      batchSize = 2500,
+      acquisitionType = this.acquisitionTypes[0],
+      resume = true
+    } = {}
+  ) {
+
+    if (
+      typeof filePath !== "string" ||
+      !filePath.trim()
+    ) {
+
+      throw new Error(
+        `${this.name} requires a valid file path.`
+      );
+    }
+
+    if (
+      !fs.existsSync(filePath)
+    ) {
+
+      throw new Error(
+        `Target file does not exist: ${filePath}`
+      );
+    }
+
+    if (
+      !Number.isInteger(batchSize) ||
+      batchSize < 1
+    ) {
+
+      throw new Error(
+        "batchSize must be a positive integer."
+      );
+    }
+
+    if (
+      !this.acquisitionTypes.includes(
+        acquisitionType
+      )
+    ) {
+
+      throw new Error(
+        `Unsupported acquisitionType: ${acquisitionType}`
+      );
+    }
+
+    const startTime =
+      Date.now();
+
+    const absolutePath =
+      path.resolve(filePath);
+
+    const sourceFile =
+      path.basename(
+        absolutePath
+      );
+
+    const retrievedAt =
+      new Date().toISOString();
+
+    const fileStats =
+      fs.statSync(
+        absolutePath
+      );
+
+    const fileHash =
+      await this.calculateFileHash(
+        absolutePath
+      );
+
+    // ------------------------------------------------------------------------
+    // CHECKPOINT
+    // ------------------------------------------------------------------------
+
+    const checkpointing =
+      typeof this.database.ingestBatch ===
+        "function" &&
+      typeof this.database.beginIngestionCheckpoint ===
+        "function";
+
+    const checkpoint =
+      checkpointing
+        ? await this.database.beginIngestionCheckpoint({
+            sourceFileSha256:
+              fileHash,
+            sourceFile,
+            acquisitionType,
+            restart:
+              !resume
+          })
+        : null;
+
+    if (
+      checkpoint?.status ===
+      "completed"
+    ) {
+
+      return {
+
+        source:
+          this.jurisdiction.sourceName,
+
+        acquisitionType:
+          checkpoint.acquisitionType,
+
+        sourceFile,
+
+        sourcePath:
+          absolutePath,
+
+        fileSizeBytes:
+          fileStats.size,
+
+        sourceFileSha256:
+          fileHash,
+
+        retrievedAt:
+          checkpoint.completedAt,
+
+        linesRead:
+          checkpoint.linesRead,
+
+        validRecords:
+          checkpoint.validRecords,
+
+        rejectedRecords:
+          checkpoint.rejectedRecords,
+
+        recordsIngested:
+          checkpoint.recordsIngested,
+
+        resumedFromLine:
+          checkpoint.lastCommittedLine,
+
+        executionTimeSeconds:
+          0,
+
+        status:
+          "already_ingested"
+      };
+    }
+
+    const resumedFromLine =
+      checkpoint?.lastCommittedLine ||
+      0;
+
+    const fileStream =
+      fs.createReadStream(
+        absolutePath
+      );
+
+    const rl =
+      readline.createInterface({
+        input: fileStream,
+        crlfDelay: Infinity
+      });
+
+    let batch = [];
+
+    let lineNumber = 0;
+    let committedLine = resumedFromLine;
+
+    /*
+     * Counters continue from the checkpoint so a resumed manifest
+     * describes the whole file.
+     */
+    let linesRead =
+      checkpoint?.linesRead || 0;
+
+    let validRecords =
+      checkpoint?.validRecords || 0;
+
+    let rejectedRecords =
+      checkpoint?.rejectedRecords || 0;
+
+    let recordsIngested =
+      checkpoint?.recordsIngested || 0;
+
+    const flush =
+      async () => {
+
+        if (checkpointing) {
+
+          const result =
+            await this.database.ingestBatch(
+              batch,
+              {
+                sourceFileSha256:
+                  fileHash,
+
+                sourceFile,
+
+                manifestId:
+                  checkpoint.manifestId,
+
+                lastCommittedLine:
+                  lineNumber,
+
+                linesRead,
+
+                validRecords,
+
+                rejectedRecords
+              }
+            );
+
+          recordsIngested +=
+            Number(result?.recordsIngested) || 0;
+
+        } else {
+
+          const insertedCount =
+            await this.database.upsertBatch(
+              batch
+            );
+
+          recordsIngested +=
+            Number(insertedCount) || 0;
+        }
+
+        committedLine =
+          lineNumber;
+
+        batch = [];
+      };
+
+    for await (
+      const line of rl
+    ) {
+
+      lineNumber++;
+
+      /*
+       * The header describes the columns, not a record. It is read on
+       * every run, including resumed ones.
+       */
+      if (
+        lineNumber === 1 &&
+        this.format.hasHeader
+      ) {
+
+        this.format.readHeader(
+          line
+        );
+
+        continue;
+      }
+
+      /*
+       * Lines up to the checkpoint were committed by an earlier run.
+       */
+      if (
+        lineNumber <=
+        resumedFromLine
+      ) {
+        continue;
+      }
+
+      linesRead++;
+
+      const record =
+        this.parseLine(
+          line
+        );
+
+      if (!record) {
+
+        rejectedRecords++;
+
+        continue;
+      }
+
+      validRecords++;
+
+      batch.push(
+        this.toRegistryRecord(
+          record,
+          {
+            file:
+              sourceFile,
+            retrievedAt
+          }
+        )
+      );
+
+      if (
+        batch.length >=
+        batchSize
+      ) {
+
+        await flush();
+      }
+    }
+
+    // ------------------------------------------------------------------------
+    // FINAL BATCH
+    //
+    // Flushed even when empty while checkpointing, so trailing rejected
+    // lines are committed to the checkpoint.
+    // ------------------------------------------------------------------------
+
+    if (
+      batch.length > 0 ||
+      (
+        checkpointing &&
+        lineNumber > committedLine
+      )
+    ) {
+
+      await flush();
+    }
+
+    // ------------------------------------------------------------------------
+    // FULL-SNAPSHOT ABSENCE
+    //
+    // Runs before the checkpoint completes, so a crash here re-runs it on
+    // resume. Needs checkpointing: entities are marked seen per file hash
+    // inside ingestBatch().
+    // ------------------------------------------------------------------------
+
+    const entitiesDeactivated =
+      checkpointing &&
+      this.fullSnapshotTypes.includes(
+        acquisitionType
+      ) &&
+      typeof this.database.deactivateUnseenEntities ===
+        "function"
+        ? await this.database.deactivateUnseenEntities({
+            sourceFileSha256:
+              fileHash,
+            sourceFile,
+            manifestId:
+              checkpoint.manifestId
+          })
+        : null;
+
+    if (checkpointing) {
+
+      await this.database.completeIngestionCheckpoint(
+        fileHash
+      );
+    }
+
+    const executionTimeSeconds =
+      Number(
+        (
+          (Date.now() - startTime) /
+          1000
+        ).toFixed(2)
+      );
+
+    // ==========================================================================
+    // INGESTION MANIFEST
+    // ==========================================================================
+
+    const manifest = {
+
+      /*
+       * Completes the in-progress manifest that versions written
+       * during this ingestion are keyed to.
+       */
+      manifestId:
+        checkpoint?.manifestId ||
+        null,
+
+      source:
+        this.jurisdiction.sourceName,
+
+      acquisitionType,
+
+      sourceFile,
+
+      sourcePath:
+        absolutePath,
+
+      fileSizeBytes:
+        fileStats.size,
+
+      sourceFileSha256:
+        fileHash,
+
+      retrievedAt,
+
+      linesRead,
+
+      validRecords,
+
+      rejectedRecords,
+
+      recordsIngested,
+
+      resumedFromLine,
+
+      entitiesDeactivated,
+
+      changeSummary:
+        typeof this.database.getChangeSummary ===
+        "function"
+          ? await this.database.getChangeSummary(
+              fileHash
+            )
+          : null,
+
+      executionTimeSeconds,
+
+      status:
+        "success"
+    };
+
+    /*
+     * Manifest recording is intentionally separate from
+     * prospect-level evidence.
+     *
+     * This records the provenance of the dataset ingestion
+     * itself.
+     */
+    if (
+      typeof this.database
+        .recordIngestionManifest ===
+      "function"
+    ) {
+
+      const manifestId =
+        await this.database
+          .recordIngestionManifest(
+            manifest
+          );
+
+      if (manifestId) {
+
+        manifest.manifestId =
+          manifestId;
+      }
+    }
+
+    return manifest;
+  }
+}
+
+module.exports = {
+  StateRegistryIngestionService
+};
@@ -0,0 +1,239 @@
+const {
+  StateRegistryIngestionService
+} = require("./StateRegistryIngestionService.js");
+
+const {
+  CsvRecordFormat
+} = require("./RegistryRecordFormats.js");
+
+const {
+  TEXAS
+} = require("../source/StateJurisdictions.js");
+
+/**
+ * TexasIngestionService
+ *
+ * Ingests the Texas Comptroller "Active Franchise Tax Permit Holders"
+ * CSV export into the local Texas registry database.
+ *
+ * RESPONSIBILITY:
+ * - Define the CSV column mapping for the permit holder file.
+ * - Map parsed records to the registry database record shape.
+ *
+ * File reading, checkpointing, batching and the ingestion manifest
+ * live in StateRegistryIngestionService.
+ *
+ * DOES NOT:
+ * - Search the registry.
+ * - Query the Comptroller or Secretary of State online.
+ * - Write prospect-level Evidence Ledger observations.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ * Texas Comptroller Data Files
+ *          ↓
+ * TexasIngestionService (StateRegistryIngestionService)
+ *          ↓
+ * TexasRegistryDatabase (StateRegistryDatabase)
+ *          ↓
+ * OfficialTexasProvider (StateRegistryProvider)
+ *          ↓
+ * RegistryAcquisitionService
+ */
+
+/**
+ * IMPORTANT:
+ *
+ * Header names follow the Comptroller's published export. Columns are
+ * located by header, so column order may change between exports; a
+ * renamed column must be added as an alias here rather than guessed.
+ *
+ * The file carries one address per taxpayer. It is stored as the
+ * principal address; there is no separate mailing address.
+ */
+const TEXAS_CSV_COLUMNS = {
+
+  taxpayerNumber: [
+    "Taxpayer Number"
+  ],
+
+  taxpayerName: [
+    "Taxpayer Name"
+  ],
+
+  taxpayerAddress: [
+    "Taxpayer Address"
+  ],
+
+  taxpayerCity: [
+    "Taxpayer City"
+  ],
+
+  taxpayerState: [
+    "Taxpayer State"
+  ],
+
+  taxpayerZip: [
+    "Taxpayer Zip Code",
+    "Taxpayer Zip"
+  ],
+
+  organizationType: [
+    "Taxpayer Organizational Type"
+  ],
+
+  charterDate: [
+    "SOS Charter Date",
+    "Responsibility Beginning Date"
+  ],
+
+  rightToTransactBusiness: [
+    "Right to Transact Business Code",
+    "SOS Status Code"
+  ]
+};
+
+class TexasIngestionService
+  extends StateRegistryIngestionService {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.database
+   * @param {Object} [options.columns]
+   * @param {string} [options.delimiter]
+   */
+  constructor({
+    database,
+    columns = TEXAS_CSV_COLUMNS,
+    delimiter = ","
+  } = {}) {
+
+    super({
+
+      database,
+
+      jurisdiction:
+        TEXAS,
+
+      format:
+        new CsvRecordFormat({
+          columns,
+          delimiter,
+          requiredFields: [
+            "taxpayerNumber",
+            "taxpayerName"
+          ]
+        }),
+
+      identityFields: [
+        "taxpayerNumber",
+        "taxpayerName"
+      ],
+
+      upperCaseFields: [
+        "taxpayerState"
+      ],
+
+      /*
+       * The Comptroller publishes full snapshots of current permit
+       * holders, not deltas. Permit holders missing from a newer
+       * snapshot are marked inactive.
+       */
+      acquisitionTypes: [
+        "full_snapshot"
+      ],
+
+      fullSnapshotTypes: [
+        "full_snapshot"
+      ]
+    });
+  }
+
+  // ==========================================================================
+  // DATABASE RECORD MAPPING
+  // ==========================================================================
+
+  /**
+   * Map a parsed CSV record to the record shape accepted by
+   * TexasRegistryDatabase.upsertBatch().
+   *
+   * @param {Object} parsed
+   * Output of parseLine().
+   * @param {Object} source
+   * @param {string} source.file
+   * @param {string} source.retrievedAt
+   * @returns {Object}
+   */
+  toRegistryRecord(
+    parsed,
+    {
+      file,
+      retrievedAt
+    }
+  ) {
+
+    return {
+
+      registrationId:
+        parsed.taxpayerNumber,
+
+      companyName:
+        parsed.taxpayerName,
+
+      entityType:
+        parsed.organizationType ||
+        null,
+
+      status:
+        parsed.rightToTransactBusiness ||
+        null,
+
+      formationDate:
+        parsed.charterDate ||
+        null,
+
+      principalAddress: {
+
+        line1:
+          parsed.taxpayerAddress ||
+          null,
+
+        line2:
+          null,
+
+        city:
+          parsed.taxpayerCity ||
+          null,
+
+        state:
+          parsed.taxpayerState ||
+          null,
+
+        zip:
+          parsed.taxpayerZip ||
+          null
+      },
+
+      mailingAddress:
+        null,
+
+      registeredAgent:
+        null,
+
+      source: {
+
+        file,
+
+        sourceType:
+          "official_state_dataset",
+
+        retrievedAt
+      }
+    };
+  }
+}
+
+module.exports = {
+  TexasIngestionService,
+  TEXAS_CSV_COLUMNS
+};
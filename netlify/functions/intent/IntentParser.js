@@ -1,4 +1,32 @@
 const { createSearchIntent } = require("./SearchIntent.js");
+const { getFloridaGazetteer } = require("../geography/FloridaGazetteer.js");
+const { getIndustryTaxonomy } = require("../taxonomy/IndustryTaxonomy.js");
+const { FLORIDA, STATE_JURISDICTIONS } = require("../source/StateJurisdictions.js");
+
+// "within 25 miles of Tampa", "within 10 mi of 33602",
+// "within 30 miles from Pinellas County".
+const RADIUS_PATTERN =
+  /\bwithin\s+(\d+(?:\.\d+)?)\s*(?:mi|mile|miles)\b\.?\s+(?:of|from|around)\s+(.+)$/;
+
+const FLORIDA_ZIP_PATTERN =
+  FLORIDA.zipPattern;
+
+// Registry states other than Florida. Florida stays the default when a
+// search names no state.
+const OTHER_STATE_JURISDICTIONS =
+  Object.values(STATE_JURISDICTIONS)
+    .filter(
+      jurisdiction =>
+        jurisdiction.code !== FLORIDA.code
+    );
+
+// Words that can precede "FL" without naming a city: "in the state of
+// Florida", "in South Florida".
+const FLORIDA_REGION_PATTERN =
+  /^(?:the\s+)?(?:state(?:\s+of)?|(?:north|south|central|east|west)(?:ern)?(?:\s+(?:central|east|west))?)$/;
+
+const MAX_RADIUS_MILES =
+  250;
 
 /**
  * IntentParser
@@ -9,8 +37,12 @@ const { createSearchIntent } = require("./SearchIntent.js");
  * RESPONSIBILITY:
  * - Parse industry terminology.
  * - Parse supported geographic terminology.
- * - Resolve known industry aliases.
- * - Resolve known Florida cities/counties.
+ * - Rank industry matches from the NAICS-based taxonomy.
+ * - Resolve Florida cities, counties and ZIP codes through the
+ *   bundled gazetteer.
+ * - Resolve other registry states (Texas) by state, "in <city>, TX"
+ *   and ZIP code.
+ * - Parse radius searches ("within 25 miles of Tampa").
  * - Produce a validated SearchIntent.
  *
  * DOES NOT:
@@ -32,191 +64,25 @@ class IntentParser {
     // ------------------------------------------------------------------------
     // INDUSTRY VOCABULARY
     //
-    // This is intentionally explicit and deterministic.
-    // Expand this registry as RyGuyLabs adds industries.
+    // Loaded from the versioned taxonomy files in /taxonomy/data.
+    // Add industries by editing industry-concepts.json.
     // ------------------------------------------------------------------------
 
-    this.industryDefinitions = [
-
-      {
-        canonical:
-          "solar contractor",
-
-        keywords: [
-          "solar",
-          "solar contractor",
-          "solar contractors",
-          "solar installation",
-          "solar installer",
-          "solar installers",
-          "solar energy",
-          "photovoltaic",
-          "photovoltaic contractor",
-          "pv contractor",
-          "pv installer"
-        ],
-
-        classifications: [
-          "238210"
-        ]
-      },
-
-      {
-        canonical:
-          "electrical contractor",
-
-        keywords: [
-          "electrician",
-          "electricians",
-          "electrical contractor",
-          "electrical contractors",
-          "electrical company",
-          "electrical companies",
-          "electric contractor"
-        ],
-
-        classifications: [
-          "238210"
-        ]
-      },
-
-      {
-        canonical:
-          "plumbing contractor",
-
-        keywords: [
-          "plumber",
-          "plumbers",
-          "plumbing",
-          "plumbing contractor",
-          "plumbing contractors",
-          "plumbing company",
-          "plumbing companies"
-        ],
-
-        classifications: [
-          "238220"
-        ]
-      },
-
-      {
-        canonical:
-          "hvac contractor",
-
-        keywords: [
-          "hvac",
-          "hvac contractor",
-          "hvac contractors",
-          "air conditioning contractor",
-          "ac contractor",
-          "heating contractor",
-          "cooling contractor"
-        ],
-
-        classifications: [
-          "238220"
-        ]
-      }
-
-    ];
+    this.taxonomy =
+      getIndustryTaxonomy();
 
     // ------------------------------------------------------------------------
-    // COMMON FLORIDA CITY / COUNTY RESOLUTION
+    // FLORIDA GEOGRAPHY
     //
-    // This can later move into a dedicated geography dictionary.
+    // Every Florida city, county and ZIP resolves through the bundled
+    // gazetteer.
     // ------------------------------------------------------------------------
 
-    this.floridaGeographies = {
-
-      tampa: {
-        city:
-          "Tampa",
-
-        county:
-          "Hillsborough",
-
-        state:
-          "FL"
-      },
-
-      "st. petersburg": {
-        city:
-          "St. Petersburg",
-
-        county:
-          "Pinellas",
-
-        state:
-          "FL"
-      },
-
-      "st petersburg": {
-        city:
-          "St. Petersburg",
-
-        county:
-          "Pinellas",
+    this.gazetteer =
+      getFloridaGazetteer();
 
-        state:
-          "FL"
-      },
-
-      orlando: {
-        city:
-          "Orlando",
-
-        county:
-          "Orange",
-
-        state:
-          "FL"
-      },
-
-      miami: {
-        city:
-          "Miami",
-
-        county:
-          "Miami-Dade",
-
-        state:
-          "FL"
-      },
-
-      jacksonville: {
-        city:
-          "Jacksonville",
-
-        county:
-          "Duval",
-
-        state:
-          "FL"
-      },
-
-      tallahassee: {
-        city:
-          "Tallahassee",
-
-        county:
-          "Leon",
-
-        state:
-          "FL"
-      },
-
-      fort_lauderdale: {
-        city:
-          "Fort Lauderdale",
-
-        county:
-          "Broward",
-
-        state:
-          "FL"
-      }
-
-    };
+    this.maxRadiusMiles =
+      MAX_RADIUS_MILES;
   }
 
   /**
@@ -251,11 +117,15 @@ class IntentParser {
     // INDUSTRY
     // ------------------------------------------------------------------------
 
-    const industry =
+    const industryMatches =
       this.resolveIndustry(
         normalizedInput
       );
 
+    const industry =
+      industryMatches[0] ||
+      null;
+
     if (!industry) {
 
       throw new Error(
@@ -269,7 +139,8 @@ class IntentParser {
 
     const geography =
       this.resolveGeography(
-        normalizedInput
+        normalizedInput,
+        industry
       );
 
     if (!geography) {
@@ -296,6 +167,8 @@ class IntentParser {
 
       industry,
 
+      industryMatches,
+
       geography,
 
       limit
@@ -305,93 +178,234 @@ class IntentParser {
 
   /**
    * Resolve industry vocabulary.
+   *
+   * @returns {Array<Object>}
+   * Ranked taxonomy matches, highest confidence first. Empty when
+   * nothing matched.
    */
   resolveIndustry(
     normalizedInput
   ) {
 
-    for (
-      const definition of
-        this.industryDefinitions
-    ) {
-
-      const matched =
-        definition.keywords.some(
-          keyword =>
-            normalizedInput.includes(
-              keyword.toLowerCase()
-            )
-        );
+    return this.taxonomy
+      .match(
+        normalizedInput
+      )
+      .map(
+        match => ({
 
-      if (matched) {
+          id:
+            match.id,
 
-        return {
           canonical:
-            definition.canonical,
+            match.canonical,
+
+          confidence:
+            match.confidence,
+
+          matchedBy:
+            match.matchedBy,
 
           keywords:
-            definition.keywords,
+            match.keywords,
 
           classifications:
-            definition.classifications
-        };
-      }
-    }
+            match.classifications,
 
-    return null;
+          naics:
+            match.naics,
+
+          lineage:
+            match.lineage,
+
+          taxonomyVersion:
+            this.taxonomy.version
+        })
+      );
   }
 
   /**
    * Resolve geography.
+   *
+   * Precedence: other registry state, radius, ZIP, county, city,
+   * state. An "in <city>, FL" that names no known place is an error,
+   * not a statewide search.
    */
   resolveGeography(
-    normalizedInput
+    normalizedInput,
+    industry = null
   ) {
 
     // ------------------------------------------------------------------------
-    // CITY NAME MATCH
+    // OTHER REGISTRY STATES
     // ------------------------------------------------------------------------
 
-    for (
-      const key of
-        Object.keys(
-          this.floridaGeographies
-        )
-    ) {
+    const otherState =
+      OTHER_STATE_JURISDICTIONS.find(
+        jurisdiction =>
+          this.mentionsState(
+            normalizedInput,
+            jurisdiction
+          )
+      );
+
+    if (otherState) {
+
+      return this.resolveStateGeography(
+        otherState,
+        normalizedInput,
+        industry
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // RADIUS
+    // ------------------------------------------------------------------------
 
-      const geography =
-        this.floridaGeographies[key];
-
-      const city =
-        geography.city
-          .toLowerCase();
-
-      if (
-        normalizedInput.includes(
-          city
-        ) ||
-        normalizedInput.includes(
-          key.replace(
-            /_/g,
-            " "
+    const radiusMatch =
+      normalizedInput.match(
+        RADIUS_PATTERN
+      );
+
+    if (radiusMatch) {
+
+      return this.resolveRadius(
+        Number.parseFloat(
+          radiusMatch[1]
+        ),
+        radiusMatch[2]
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // ZIP
+    // ------------------------------------------------------------------------
+
+    const zipMatch =
+      normalizedInput.match(
+        FLORIDA_ZIP_PATTERN
+      );
+
+    const zipEntry =
+      zipMatch
+        ? this.gazetteer.findZip(
+            zipMatch[1]
           )
+        : null;
+
+    if (zipEntry) {
+
+      // The ZIP already pins the area; its postal city name may differ
+      // from the municipality a registry row reports.
+      return {
+        state:
+          "FL",
+
+        city:
+          null,
+
+        county:
+          zipEntry.county,
+
+        zip:
+          zipEntry.zip,
+
+        centroid:
+          zipEntry.centroid
+      };
+    }
+
+    // ------------------------------------------------------------------------
+    // COUNTY NAME MATCH
+    // ------------------------------------------------------------------------
+
+    const county =
+      this.gazetteer.findCountyInText(
+        normalizedInput
+      );
+
+    if (county) {
+
+      return {
+        state:
+          "FL",
+
+        city:
+          null,
+
+        county:
+          county.name,
+
+        zip:
+          null,
+
+        centroid:
+          county.centroid
+      };
+    }
+
+    // ------------------------------------------------------------------------
+    // CITY NAME MATCH
+    //
+    // Industry phrases are removed first so vocabulary cannot be read
+    // as a place name.
+    // ------------------------------------------------------------------------
+
+    const city =
+      this.gazetteer.findCityInText(
+        this.removeIndustryKeywords(
+          normalizedInput,
+          industry
         )
-      ) {
+      );
 
-        return {
-          state:
-            geography.state,
+    if (city) {
 
-          city:
-            geography.city,
+      return {
+        state:
+          "FL",
 
-          county:
-            geography.county,
+        city:
+          city.name,
 
-          zip:
-            null
-        };
-      }
+        county:
+          city.county,
+
+        zip:
+          null,
+
+        centroid:
+          city.centroid
+      };
+    }
+
+    // ------------------------------------------------------------------------
+    // UNRESOLVED CITY
+    //
+    // "in <city>, FL" names a place the gazetteer does not know. Widening
+    // that to a statewide search would silently return the wrong area.
+    // ------------------------------------------------------------------------
+
+    const unresolvedCity =
+      this.removeIndustryKeywords(
+        normalizedInput,
+        industry
+      )
+        .replace(/\s+/g, " ")
+        .match(
+          /\b(?:in|near|around)\s+([a-z][a-z .'-]*?)\s*,?\s+(?:fl|florida)\b/
+        );
+
+    if (
+      unresolvedCity &&
+      !FLORIDA_REGION_PATTERN.test(
+        unresolvedCity[1]
+      )
+    ) {
+
+      throw new Error(
+        `Unable to resolve "${unresolvedCity[1].trim()}" to a Florida city, county or ZIP code.`
+      );
     }
 
     // ------------------------------------------------------------------------
@@ -424,6 +438,248 @@ class IntentParser {
 
     return null;
   }
+
+  /**
+   * Whether the search names the jurisdiction ("texas", "tx").
+   */
+  mentionsState(
+    normalizedInput,
+    jurisdiction
+  ) {
+
+    return new RegExp(
+      `\\b(?:${jurisdiction.name.toLowerCase()}|${jurisdiction.code.toLowerCase()})\\b`
+    ).test(
+      normalizedInput
+    );
+  }
+
+  /**
+   * Resolve geography in a registry state without a gazetteer.
+   *
+   * Only ZIP codes, "in <city>, <state>" and the state itself are
+   * recognized. County and radius searches need a gazetteer.
+   */
+  resolveStateGeography(
+    jurisdiction,
+    normalizedInput,
+    industry = null
+  ) {
+
+    const statePattern =
+      `(?:${jurisdiction.name.toLowerCase()}|${jurisdiction.code.toLowerCase()})`;
+
+    if (
+      RADIUS_PATTERN.test(
+        normalizedInput
+      ) ||
+      /\bcounty\b/.test(
+        normalizedInput
+      )
+    ) {
+
+      throw new Error(
+        `County and radius searches are not supported in ${jurisdiction.name}: no gazetteer is configured.`
+      );
+    }
+
+    const zipMatch =
+      jurisdiction.zipPattern
+        ? normalizedInput.match(
+            jurisdiction.zipPattern
+          )
+        : null;
+
+    if (zipMatch) {
+
+      return {
+        state:
+          jurisdiction.code,
+
+        city:
+          null,
+
+        county:
+          null,
+
+        zip:
+          zipMatch[1]
+      };
+    }
+
+    const cityMatch =
+      this.removeIndustryKeywords(
+        normalizedInput,
+        industry
+      )
+        .replace(/\s+/g, " ")
+        .match(
+          new RegExp(
+            `\\b(?:in|near|around)\\s+([a-z][a-z .'-]*?)\\s*,?\\s+${statePattern}\\b`
+          )
+        );
+
+    const cityName =
+      cityMatch &&
+      !/^(?:the\s+)?state(?:\s+of)?$/.test(
+        cityMatch[1]
+      )
+        ? cityMatch[1]
+            .replace(/\b[a-z]/g, letter => letter.toUpperCase())
+        : null;
+
+    return {
+      state:
+        jurisdiction.code,
+
+      city:
+        cityName,
+
+      county:
+        null,
+
+      zip:
+        null
+    };
+  }
+
+  /**
+   * Resolve "within N miles of <place>".
+   *
+   * The place may be a ZIP code, a county or a city.
+   */
+  resolveRadius(
+    radiusMiles,
+    centerText
+  ) {
+
+    if (
+      !Number.isFinite(radiusMiles) ||
+      radiusMiles <= 0 ||
+      radiusMiles > this.maxRadiusMiles
+    ) {
+
+      throw new Error(
+        `Search radius must be greater than 0 and at most ${this.maxRadiusMiles} miles.`
+      );
+    }
+
+    const centerPlace =
+      centerText
+        .replace(/,?\s*\b(?:fl|florida)\b.*$/, "")
+        .trim();
+
+    const zipMatch =
+      centerPlace.match(
+        FLORIDA_ZIP_PATTERN
+      );
+
+    const center =
+      zipMatch
+        ? this.describeCenter(
+            "zip",
+            this.gazetteer.findZip(
+              zipMatch[1]
+            )
+          )
+        : (
+            this.describeCenter(
+              "county",
+              this.gazetteer.findCountyInText(
+                centerPlace
+              )
+            ) ||
+            this.describeCenter(
+              "city",
+              this.gazetteer.findCityInText(
+                centerPlace
+              )
+            )
+          );
+
+    if (!center) {
+
+      throw new Error(
+        `Unable to resolve radius center "${centerText.trim()}" to a Florida city, county or ZIP code.`
+      );
+    }
+
+    return {
+      state:
+        "FL",
+
+      city:
+        null,
+
+      county:
+        null,
+
+      zip:
+        null,
+
+      radiusMiles,
+
+      centroid:
+        center.centroid,
+
+      center:
+        center.description
+    };
+  }
+
+  describeCenter(
+    type,
+    place
+  ) {
+
+    if (!place) {
+      return null;
+    }
+
+    return {
+      centroid:
+        place.centroid,
+
+      description: {
+        type,
+
+        name:
+          type === "zip"
+            ? place.zip
+            : place.name
+      }
+    };
+  }
+
+  /**
+   * Remove the matched industry's keyword phrases, longest first.
+   */
+  removeIndustryKeywords(
+    normalizedInput,
+    industry
+  ) {
+
+    const keywords =
+      [
+        ...(industry?.keywords || [])
+      ]
+        .map(
+          keyword =>
+            keyword.toLowerCase()
+        )
+        .sort(
+          (a, b) =>
+            b.length - a.length
+        );
+
+    return keywords.reduce(
+      (remaining, keyword) =>
+        remaining
+          .split(keyword)
+          .join(" "),
+      normalizedInput
+    );
+  }
 }
 
 module.exports = {
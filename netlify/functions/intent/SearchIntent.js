@@ -20,6 +20,7 @@
 
 function createSearchIntent({
   industry,
+  industryMatches = [],
   geography,
   limit = 10,
   searchMode = "industry"
@@ -163,6 +164,68 @@ function createSearchIntent({
         ]
       : [];
 
+  // ==========================================================================
+  // INDUSTRY MATCHES
+  //
+  // Ranked taxonomy alternatives from IntentParser. The first entry is
+  // the match chosen as `industry`.
+  // ==========================================================================
+
+  const normalizedIndustryMatches =
+    Array.isArray(industryMatches)
+      ? industryMatches
+          .filter(
+            match =>
+              match &&
+              typeof match.canonical === "string" &&
+              Number.isFinite(match.confidence)
+          )
+          .map(
+            match => ({
+
+              id:
+                match.id ||
+                null,
+
+              canonical:
+                match.canonical
+                  .trim()
+                  .toLowerCase(),
+
+              confidence:
+                Math.min(
+                  Math.max(
+                    match.confidence,
+                    0
+                  ),
+                  1
+                ),
+
+              matchedBy:
+                match.matchedBy ||
+                null,
+
+              classifications:
+                Array.isArray(match.classifications)
+                  ? [...match.classifications]
+                  : [],
+
+              naics:
+                match.naics ||
+                null,
+
+              lineage:
+                Array.isArray(match.lineage)
+                  ? [...match.lineage]
+                  : []
+            })
+          )
+          .sort(
+            (a, b) =>
+              b.confidence - a.confidence
+          )
+      : [];
+
   // ==========================================================================
   // GEOGRAPHY NORMALIZATION
   // ==========================================================================
@@ -185,6 +248,63 @@ function createSearchIntent({
         ).trim() || null
       : null;
 
+  const centroid =
+    geography.centroid &&
+    Number.isFinite(geography.centroid.lat) &&
+    Number.isFinite(geography.centroid.lon)
+      ? {
+          lat:
+            geography.centroid.lat,
+
+          lon:
+            geography.centroid.lon
+        }
+      : null;
+
+  const radiusMiles =
+    geography.radiusMiles !== undefined &&
+    geography.radiusMiles !== null
+      ? Number(
+          geography.radiusMiles
+        )
+      : null;
+
+  if (
+    radiusMiles !== null &&
+    (
+      !Number.isFinite(radiusMiles) ||
+      radiusMiles <= 0
+    )
+  ) {
+    throw new Error(
+      `SearchIntent geography.radiusMiles must be a positive number. Received: "${geography.radiusMiles}".`
+    );
+  }
+
+  if (
+    radiusMiles !== null &&
+    !centroid
+  ) {
+    throw new Error(
+      "SearchIntent geography.radiusMiles requires a geography.centroid with numeric lat and lon."
+    );
+  }
+
+  const center =
+    geography.center &&
+    typeof geography.center.type === "string" &&
+    geography.center.name !== undefined
+      ? {
+          type:
+            geography.center.type,
+
+          name:
+            String(
+              geography.center.name
+            )
+        }
+      : null;
+
   // ==========================================================================
   // CANONICAL SEARCH INTENT
   // ==========================================================================
@@ -192,7 +312,7 @@ function createSearchIntent({
   return {
 
     version:
-      "1.1",
+      "1.3",
 
     searchMode:
       normalizedSearchMode,
@@ -206,9 +326,29 @@ function createSearchIntent({
 
       keywords,
 
-      classifications
+      classifications,
+
+      id:
+        industry.id ||
+        null,
+
+      confidence:
+        Number.isFinite(industry.confidence)
+          ? industry.confidence
+          : null,
+
+      naics:
+        industry.naics ||
+        null,
+
+      taxonomyVersion:
+        industry.taxonomyVersion ||
+        null
     },
 
+    industryMatches:
+      normalizedIndustryMatches,
+
     geography: {
 
       state,
@@ -217,7 +357,13 @@ function createSearchIntent({
 
       county,
 
-      zip
+      zip,
+
+      radiusMiles,
+
+      centroid,
+
+      center
     },
 
     limit:
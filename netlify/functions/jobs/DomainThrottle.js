@@ -0,0 +1,139 @@
+// /jobs/DomainThrottle.js
+
+/**
+ * DomainThrottle
+ *
+ * Per-domain politeness for work that runs concurrently across
+ * candidates.
+ *
+ * RESPONSIBILITY:
+ * - Run at most one task per domain at a time.
+ * - Space consecutive tasks on one domain by minIntervalMs, measured
+ *   from the end of the previous task.
+ *
+ * DOES NOT:
+ * - Limit overall concurrency (LeadJobService's worker pool does).
+ * - Read robots.txt or crawl-delay (WebsiteCrawler does, within one
+ *   crawl).
+ *
+ * Candidates in one job often share a domain: franchise locations,
+ * or registry entities discovered to the same website. Without this,
+ * a concurrent job would crawl that site several times at once.
+ */
+
+const DEFAULT_MIN_INTERVAL_MS =
+  2000;
+
+class DomainThrottle {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minIntervalMs]
+   * @param {Function} [options.now]
+   * @param {Function} [options.sleep]
+   */
+  constructor({
+    minIntervalMs = DEFAULT_MIN_INTERVAL_MS,
+    now = () => Date.now(),
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+  } = {}) {
+
+    this.minIntervalMs =
+      minIntervalMs;
+
+    this.now =
+      now;
+
+    this.sleep =
+      sleep;
+
+    // domain -> { tail: Promise, releasedAt: number }
+    this.domains =
+      new Map();
+  }
+
+  /**
+   * Run a task once its domain is free and rested.
+   *
+   * @param {string} domain
+   * @param {Function} task
+   * Returns a promise.
+   * @returns {Promise<*>}
+   * The task's result; a task failure propagates to the caller only.
+   */
+  schedule(domain, task) {
+
+    const key =
+      normalizeDomain(
+        domain
+      );
+
+    if (!key) {
+
+      return task();
+    }
+
+    const state =
+      this.domains.get(key) || {
+        tail: Promise.resolve(),
+        releasedAt: 0
+      };
+
+    const run =
+      state.tail.then(async () => {
+
+        const waitMs =
+          state.releasedAt +
+          this.minIntervalMs -
+          this.now();
+
+        if (
+          state.releasedAt > 0 &&
+          waitMs > 0
+        ) {
+
+          await this.sleep(
+            waitMs
+          );
+        }
+
+        try {
+
+          return await task();
+
+        } finally {
+
+          state.releasedAt =
+            this.now();
+        }
+      });
+
+    // The next task waits for this one whether it succeeded or not.
+    state.tail =
+      run.catch(() => {});
+
+    this.domains.set(
+      key,
+      state
+    );
+
+    return run;
+  }
+}
+
+function normalizeDomain(domain) {
+
+  return String(
+    domain || ""
+  )
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/^www\./, "")
+    .split(/[/:?#]/)[0];
+}
+
+module.exports = {
+  DEFAULT_MIN_INTERVAL_MS,
+  DomainThrottle
+};
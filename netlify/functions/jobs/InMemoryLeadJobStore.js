@@ -0,0 +1,256 @@
+// /jobs/InMemoryLeadJobStore.js
+
+/**
+ * InMemoryLeadJobStore
+ *
+ * Lead-job state held in process memory.
+ *
+ * Jobs survive only as long as the function instance. Use
+ * SqliteLeadJobStore (LEAD_JOB_DB_PATH) for jobs that must resume
+ * after a restart.
+ *
+ * STORE CONTRACT (shared with SqliteLeadJobStore):
+ * - createJob(job), getJob(jobId), updateJob(jobId, fields)
+ * - claimJob(jobId, { leaseId, leaseUntil, now }), releaseJob(jobId, leaseId)
+ * - addCandidates(jobId, candidates), listCandidates(jobId, { status })
+ * - updateCandidate(jobId, candidateKey, fields)
+ * - resetRunningCandidates(jobId), countCandidates(jobId)
+ *
+ * Values are copied in and out, so callers never share state with the
+ * store.
+ */
+class InMemoryLeadJobStore {
+
+  constructor() {
+
+    this.name =
+      "InMemoryLeadJobStore";
+
+    this.jobs =
+      new Map();
+
+    // jobId -> Map(candidateKey -> candidate row), in insertion order
+    this.candidates =
+      new Map();
+  }
+
+  createJob(job) {
+
+    if (this.jobs.has(job.jobId)) {
+
+      throw new Error(
+        `Lead job already exists: ${job.jobId}`
+      );
+    }
+
+    this.jobs.set(
+      job.jobId,
+      copy(job)
+    );
+
+    this.candidates.set(
+      job.jobId,
+      new Map()
+    );
+
+    return copy(job);
+  }
+
+  getJob(jobId) {
+
+    const job =
+      this.jobs.get(jobId);
+
+    return job
+      ? copy(job)
+      : null;
+  }
+
+  updateJob(jobId, fields) {
+
+    const job =
+      this.jobs.get(jobId);
+
+    if (!job) {
+
+      return null;
+    }
+
+    Object.assign(
+      job,
+      copy(fields)
+    );
+
+    return copy(job);
+  }
+
+  /**
+   * Take the job's lease when it is free or expired.
+   *
+   * @returns {boolean}
+   */
+  claimJob(jobId, { leaseId, leaseUntil, now }) {
+
+    const job =
+      this.jobs.get(jobId);
+
+    if (
+      !job ||
+      (
+        job.leaseId &&
+        job.leaseUntil > now
+      )
+    ) {
+
+      return false;
+    }
+
+    job.leaseId =
+      leaseId;
+
+    job.leaseUntil =
+      leaseUntil;
+
+    return true;
+  }
+
+  releaseJob(jobId, leaseId) {
+
+    const job =
+      this.jobs.get(jobId);
+
+    if (
+      job &&
+      job.leaseId === leaseId
+    ) {
+
+      job.leaseId =
+        null;
+
+      job.leaseUntil =
+        null;
+    }
+  }
+
+  /**
+   * Add candidates; keys already in the job are skipped.
+   *
+   * @param {string} jobId
+   * @param {Array<Object>} candidates
+   * { candidateKey, itemIndex, candidate }
+   * @returns {number}
+   * Candidates added.
+   */
+  addCandidates(jobId, candidates) {
+
+    const rows =
+      this.candidates.get(jobId);
+
+    let added = 0;
+
+    for (const { candidateKey, itemIndex, candidate } of candidates) {
+
+      if (rows.has(candidateKey)) {
+        continue;
+      }
+
+      rows.set(
+        candidateKey,
+        {
+          candidateKey,
+          itemIndex,
+          status: "pending",
+          attempts: 0,
+          candidate: copy(candidate),
+          lead: null,
+          error: null,
+          updatedAt: new Date().toISOString()
+        }
+      );
+
+      added += 1;
+    }
+
+    return added;
+  }
+
+  listCandidates(jobId, { status = null } = {}) {
+
+    return [
+      ...(this.candidates.get(jobId)?.values() || [])
+    ]
+      .filter(row => !status || [].concat(status).includes(row.status))
+      .map(copy);
+  }
+
+  updateCandidate(jobId, candidateKey, fields) {
+
+    const row =
+      this.candidates.get(jobId)?.get(candidateKey);
+
+    if (row) {
+
+      Object.assign(
+        row,
+        copy(fields),
+        {
+          updatedAt: new Date().toISOString()
+        }
+      );
+    }
+  }
+
+  /**
+   * Return candidates left "running" by an interrupted run to the
+   * queue.
+   *
+   * @returns {number}
+   */
+  resetRunningCandidates(jobId) {
+
+    let reset = 0;
+
+    for (const row of this.candidates.get(jobId)?.values() || []) {
+
+      if (row.status === "running") {
+
+        row.status = "pending";
+        reset += 1;
+      }
+    }
+
+    return reset;
+  }
+
+  countCandidates(jobId) {
+
+    const counts = {
+      total: 0,
+      pending: 0,
+      running: 0,
+      completed: 0,
+      failed: 0
+    };
+
+    for (const row of this.candidates.get(jobId)?.values() || []) {
+
+      counts.total += 1;
+      counts[row.status] += 1;
+    }
+
+    return counts;
+  }
+}
+
+function copy(value) {
+
+  return value === undefined
+    ? undefined
+    : JSON.parse(
+        JSON.stringify(value)
+      );
+}
+
+module.exports = {
+  InMemoryLeadJobStore
+};
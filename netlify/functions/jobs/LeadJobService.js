@@ -0,0 +1,1103 @@
+// /jobs/LeadJobService.js
+
+const crypto = require("crypto");
+
+const {
+  prepareLeadCandidates,
+  processLeadCandidate,
+  resolveLeads
+} = require("../pipeline/runLeadPipeline.js");
+
+const { createDefaultProviderRegistry } =
+  require("../providers/ProviderRegistry");
+
+const { createEvidenceLedger } =
+  require("../ledger/createEvidenceLedger");
+
+const { WebsiteDiscoveryService } =
+  require("../discovery/WebsiteDiscoveryService");
+
+const { createDefaultEnrichmentEngine } =
+  require("../enrichment/EnrichmentEngine");
+
+const { getDefaultScoringProfileRegistry } =
+  require("../qualification/ScoringProfiles");
+
+const { createLeadJobStore } =
+  require("./createLeadJobStore.js");
+
+const { DomainThrottle } =
+  require("./DomainThrottle.js");
+
+/**
+ * LeadJobService
+ *
+ * Batch lead-pipeline jobs that outlive one HTTP request.
+ *
+ * RESPONSIBILITY:
+ * - Accept a list of searches and/or registration-number lookups.
+ * - Resolve each item to registry candidates once, deduplicated across
+ *   items, and persist them.
+ * - Process candidates with bounded concurrency and per-domain
+ *   politeness, persisting each lead as it completes.
+ * - Resume an interrupted job: unfinished candidates run again on the
+ *   next runJob(), finished ones are never redone.
+ *
+ * DOES NOT:
+ * - Search, enrich or qualify itself (runLeadPipeline steps do).
+ * - Run in the background. Each runJob() works for a time budget and
+ *   returns; callers (the poll endpoint) call it again until the job
+ *   completes.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *   submitJob()                    runJob() / poll
+ *        ↓                               ↓
+ *   job + items ──► prepareLeadCandidates() per item
+ *                                        ↓
+ *                    candidates (store, deduplicated)
+ *                                        ↓
+ *                  worker pool ─► processLeadCandidate()
+ *                                        ↓
+ *                             leads (store, per candidate)
+ *
+ * Only one runJob() works on a job at a time: runners take a
+ * time-limited lease, and a lease left by a crashed runner expires.
+ *
+ * TIME BUDGET:
+ *
+ * Callers pass the time their transport leaves them (a synchronous
+ * Netlify function has about ten seconds). A candidate starts only
+ * while at least candidateReserveMs of the budget remains, and its
+ * enrichment is held to that reserve, so a run returns close to its
+ * budget instead of being cut off mid-candidate.
+ */
+
+const JOB_STATUSES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed"
+};
+
+const DEFAULT_CONCURRENCY = 3;
+
+const MAX_CONCURRENCY = 8;
+
+const DEFAULT_TIME_BUDGET_MS = 8000;
+
+const DEFAULT_CANDIDATE_RESERVE_MS = 6000;
+
+const MAX_JOB_ITEMS = 100;
+
+const MAX_REGISTRATION_IDS_PER_ITEM = 500;
+
+const MAX_CANDIDATES_PER_JOB = 2500;
+
+const MAX_CANDIDATE_ATTEMPTS = 2;
+
+class LeadJobService {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store]
+   * Job store. Defaults to createLeadJobStore().
+   * @param {Object} [options.providerRegistry]
+   * @param {Object} [options.evidenceLedger]
+   * @param {Object} [options.discoveryService]
+   * @param {Function} [options.createEnrichmentEngine]
+   * Engine factory, called once per runJob() with { deadlineMs } so
+   * provider budgets apply per run. Defaults to
+   * createDefaultEnrichmentEngine.
+   * @param {Object} [options.scoringProfiles]
+   * @param {Object} [options.domainThrottle]
+   * @param {Object} [options.entityResolver]
+   * Defaults to the pipeline's shared EntityResolver.
+   * @param {number} [options.concurrency]
+   * Default per-job worker count.
+   * @param {number} [options.timeBudgetMs]
+   * Default time runJob() starts new work for.
+   * @param {number} [options.candidateReserveMs]
+   * Time one candidate is allowed: the enrichment deadline, and the
+   * least remaining budget a candidate is started with.
+   * @param {Function} [options.now]
+   */
+  constructor({
+    store = null,
+    providerRegistry = null,
+    evidenceLedger = null,
+    discoveryService = null,
+    createEnrichmentEngine = createDefaultEnrichmentEngine,
+    scoringProfiles = null,
+    domainThrottle = null,
+    entityResolver = null,
+    concurrency = DEFAULT_CONCURRENCY,
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+    candidateReserveMs = DEFAULT_CANDIDATE_RESERVE_MS,
+    now = () => Date.now()
+  } = {}) {
+
+    this.store =
+      store ||
+      createLeadJobStore();
+
+    this.providerRegistry =
+      providerRegistry ||
+      createDefaultProviderRegistry();
+
+    this.evidenceLedger =
+      evidenceLedger ||
+      createEvidenceLedger();
+
+    this.discoveryService =
+      discoveryService ||
+      new WebsiteDiscoveryService();
+
+    this.createEnrichmentEngine =
+      createEnrichmentEngine;
+
+    this.scoringProfiles =
+      scoringProfiles ||
+      getDefaultScoringProfileRegistry();
+
+    this.domainThrottle =
+      domainThrottle ||
+      new DomainThrottle();
+
+    this.entityResolver =
+      entityResolver;
+
+    this.concurrency =
+      clampConcurrency(
+        concurrency
+      );
+
+    this.timeBudgetMs =
+      timeBudgetMs;
+
+    this.candidateReserveMs =
+      candidateReserveMs;
+
+    this.now =
+      now;
+  }
+
+  // ==========================================================================
+  // SUBMIT
+  // ==========================================================================
+
+  /**
+   * Validate and store a new job. No pipeline work runs here.
+   *
+   * @param {Object} request
+   * @param {Array<Object>} request.items
+   * Each either a search, { geoContext, filters: { industry, limit } },
+   * or a lookup, { registrationIds: [...], geoContext }.
+   * @param {string} [request.provider]
+   * @param {string} [request.scoringProfile]
+   * @param {number} [request.concurrency]
+   * @param {string} [request.ownerId]
+   * @returns {Object}
+   * Job snapshot (see getJob()).
+   * @throws {Error} code INVALID_JOB_REQUEST or UNKNOWN_SCORING_PROFILE
+   */
+  submitJob({
+    items,
+    provider = null,
+    scoringProfile = null,
+    concurrency = null,
+    ownerId = null
+  } = {}) {
+
+    if (
+      !Array.isArray(items) ||
+      items.length === 0
+    ) {
+
+      throw jobError(
+        "A lead job requires at least one search or registration lookup.",
+        "INVALID_JOB_REQUEST"
+      );
+    }
+
+    if (items.length > MAX_JOB_ITEMS) {
+
+      throw jobError(
+        `A lead job accepts at most ${MAX_JOB_ITEMS} items; received ${items.length}.`,
+        "INVALID_JOB_REQUEST"
+      );
+    }
+
+    const profile =
+      this.scoringProfiles.get(
+        scoringProfile
+      );
+
+    const jobItems =
+      items.map(
+        (item, index) =>
+          toJobItem(
+            item,
+            index
+          )
+      );
+
+    const timestamp =
+      new Date(this.now()).toISOString();
+
+    const job =
+      this.store.createJob({
+
+        jobId:
+          `job_${crypto.randomUUID()}`,
+
+        ownerId,
+
+        status:
+          JOB_STATUSES.QUEUED,
+
+        request: {
+
+          provider,
+
+          scoringProfile:
+            profile.name,
+
+          scoringProfileHash:
+            profile.contentHash,
+
+          concurrency:
+            clampConcurrency(
+              concurrency ??
+              this.concurrency
+            )
+        },
+
+        items:
+          jobItems,
+
+        summary:
+          null,
+
+        createdAt:
+          timestamp,
+
+        updatedAt:
+          timestamp,
+
+        completedAt:
+          null
+      });
+
+    return this.#snapshot(
+      job,
+      {
+        includeLeads: false
+      }
+    );
+  }
+
+  // ==========================================================================
+  // RUN
+  // ==========================================================================
+
+  /**
+   * Advance a job for up to timeBudgetMs: resolve pending items, then
+   * process pending candidates. No candidate starts with less than
+   * candidateReserveMs of the budget left; the rest wait for the next
+   * run.
+   *
+   * Returns the current snapshot without working when another runner
+   * holds the job's lease.
+   *
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {number} [options.timeBudgetMs]
+   * Time the caller's transport allows, less what it needs to send
+   * the response.
+   * @param {string} [options.ownerId]
+   * @returns {Promise<Object>}
+   * @throws {Error} code JOB_NOT_FOUND
+   */
+  async runJob(
+    jobId,
+    {
+      timeBudgetMs = this.timeBudgetMs,
+      ownerId = null
+    } = {}
+  ) {
+
+    const job =
+      this.#loadJob(
+        jobId,
+        ownerId
+      );
+
+    if (job.status === JOB_STATUSES.COMPLETED) {
+
+      return this.#snapshot(
+        job
+      );
+    }
+
+    const startedAt =
+      this.now();
+
+    const deadlineAt =
+      startedAt +
+      timeBudgetMs;
+
+    const leaseId =
+      crypto.randomUUID();
+
+    /*
+     * Started candidates normally finish inside the budget. The lease
+     * allows one more reserve for a candidate that overruns (a slow
+     * discovery search), and no more, so a runner cut off by its
+     * transport blocks the next poll only briefly.
+     */
+    const claimed =
+      this.store.claimJob(
+        jobId,
+        {
+          leaseId,
+
+          leaseUntil:
+            deadlineAt + this.candidateReserveMs,
+
+          now:
+            startedAt
+        }
+      );
+
+    if (!claimed) {
+
+      return this.#snapshot(
+        job
+      );
+    }
+
+    try {
+
+      // Candidates a crashed runner left "running" go back in the queue.
+      this.store.resetRunningCandidates(
+        jobId
+      );
+
+      this.store.updateJob(
+        jobId,
+        {
+          status:
+            JOB_STATUSES.RUNNING,
+
+          updatedAt:
+            new Date(startedAt).toISOString()
+        }
+      );
+
+      const context = {
+
+        providerRegistry:
+          this.providerRegistry,
+
+        evidenceLedger:
+          this.evidenceLedger,
+
+        discoveryService:
+          this.discoveryService,
+
+        enrichmentEngine:
+          this.createEnrichmentEngine({
+            deadlineMs:
+              this.candidateReserveMs
+          }),
+
+        scoringProfiles:
+          this.scoringProfiles
+      };
+
+      await this.#resolveItems(
+        job,
+        context,
+        deadlineAt
+      );
+
+      await this.#processCandidates(
+        job,
+        context,
+        deadlineAt
+      );
+
+      return this.#snapshot(
+        this.#finalize(
+          jobId
+        )
+      );
+
+    } finally {
+
+      this.store.releaseJob(
+        jobId,
+        leaseId
+      );
+    }
+  }
+
+  // ==========================================================================
+  // READ
+  // ==========================================================================
+
+  /**
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {string} [options.ownerId]
+   * When set, jobs owned by someone else are reported as not found.
+   * @param {boolean} [options.includeLeads]
+   * @returns {Object}
+   * { jobId, status, scoringProfile, progress, items, leads, failures,
+   *   createdAt, updatedAt, completedAt }
+   * @throws {Error} code JOB_NOT_FOUND
+   */
+  getJob(
+    jobId,
+    {
+      ownerId = null,
+      includeLeads = true
+    } = {}
+  ) {
+
+    return this.#snapshot(
+      this.#loadJob(
+        jobId,
+        ownerId
+      ),
+      {
+        includeLeads
+      }
+    );
+  }
+
+  // ==========================================================================
+  // ITEM RESOLUTION
+  // ==========================================================================
+
+  async #resolveItems(job, context, deadlineAt) {
+
+    const items =
+      job.items;
+
+    for (const item of items) {
+
+      if (
+        item.status !== "pending" ||
+        this.now() >= deadlineAt
+      ) {
+        continue;
+      }
+
+      try {
+
+        const prepared =
+          await prepareLeadCandidates({
+
+            ...context,
+
+            geoContext:
+              item.geoContext,
+
+            filters:
+              item.filters,
+
+            registrationIds:
+              item.registrationIds,
+
+            provider:
+              job.request.provider,
+
+            scoringProfile:
+              job.request.scoringProfile
+          });
+
+        if (prepared.result) {
+
+          item.status =
+            prepared.result.status === "empty"
+              ? "empty"
+              : "failed";
+
+          item.outcome = {
+
+            status:
+              prepared.result.status,
+
+            errorType:
+              prepared.result.errorType ||
+              null,
+
+            message:
+              prepared.result.evidenceSummary?.[0] ||
+              null
+          };
+
+        } else {
+
+          const rows =
+            prepared.candidates.map(
+              candidate => ({
+
+                candidateKey:
+                  candidate.mergeKey ||
+                  candidate.entity?.registrationId ||
+                  candidate.entity?.companyName,
+
+                itemIndex:
+                  item.index,
+
+                candidate
+              })
+            );
+
+          const capacity =
+            Math.max(
+              MAX_CANDIDATES_PER_JOB -
+              this.store.countCandidates(job.jobId).total,
+              0
+            );
+
+          const added =
+            this.store.addCandidates(
+              job.jobId,
+              rows.slice(
+                0,
+                capacity
+              )
+            );
+
+          item.status =
+            "resolved";
+
+          item.outcome = {
+
+            status:
+              "resolved",
+
+            candidateCount:
+              rows.length,
+
+            // Candidates another item of this job already queued.
+            duplicateCount:
+              Math.min(rows.length, capacity) - added,
+
+            // Candidates dropped at MAX_CANDIDATES_PER_JOB.
+            truncatedCount:
+              Math.max(rows.length - capacity, 0),
+
+            providerSelection:
+              prepared.context.providerSelection,
+
+            registryAcquisition:
+              prepared.context.registryAcquisition
+          };
+        }
+
+      } catch (error) {
+
+        console.error(
+          `[LEAD JOB ITEM FAILURE] ${job.jobId} item ${item.index}:`,
+          error.message
+        );
+
+        item.status =
+          "failed";
+
+        item.outcome = {
+
+          status:
+            "error",
+
+          errorType:
+            error.code ||
+            "ITEM_RESOLUTION_EXCEPTION",
+
+          message:
+            error.message
+        };
+      }
+
+      this.store.updateJob(
+        job.jobId,
+        {
+          items,
+
+          updatedAt:
+            new Date(this.now()).toISOString()
+        }
+      );
+    }
+  }
+
+  // ==========================================================================
+  // CANDIDATE PROCESSING
+  // ==========================================================================
+
+  async #processCandidates(job, context, deadlineAt) {
+
+    const queue =
+      this.store.listCandidates(
+        job.jobId,
+        {
+          status: "pending"
+        }
+      );
+
+    const candidateContext = {
+
+      ledger:
+        context.evidenceLedger,
+
+      websiteDiscovery:
+        context.discoveryService,
+
+      enrichment:
+        context.enrichmentEngine,
+
+      profile:
+        this.scoringProfiles.get(
+          job.request.scoringProfile
+        ),
+
+      domainThrottle:
+        this.domainThrottle
+    };
+
+    let next = 0;
+
+    const worker =
+      async () => {
+
+        while (
+          next < queue.length &&
+          deadlineAt - this.now() >= this.candidateReserveMs
+        ) {
+
+          const row =
+            queue[next];
+
+          next += 1;
+
+          await this.#processCandidate(
+            job.jobId,
+            row,
+            candidateContext
+          );
+        }
+      };
+
+    await Promise.all(
+      Array.from(
+        {
+          length:
+            Math.min(
+              job.request.concurrency,
+              queue.length
+            )
+        },
+        worker
+      )
+    );
+  }
+
+  async #processCandidate(jobId, row, candidateContext) {
+
+    const attempts =
+      row.attempts + 1;
+
+    this.store.updateCandidate(
+      jobId,
+      row.candidateKey,
+      {
+        status:
+          "running",
+
+        attempts
+      }
+    );
+
+    try {
+
+      const [lead] =
+        resolveLeads(
+          [
+            await processLeadCandidate(
+              row.candidate,
+              candidateContext
+            )
+          ],
+          this.entityResolver
+        );
+
+      this.store.updateCandidate(
+        jobId,
+        row.candidateKey,
+        {
+          status:
+            "completed",
+
+          lead,
+
+          error:
+            null
+        }
+      );
+
+    } catch (error) {
+
+      console.error(
+        `[LEAD JOB CANDIDATE FAILURE] ${jobId} ${row.candidateKey} (attempt ${attempts}):`,
+        error.message
+      );
+
+      this.store.updateCandidate(
+        jobId,
+        row.candidateKey,
+        {
+          // Retried on the next run until the attempts run out.
+          status:
+            attempts >= MAX_CANDIDATE_ATTEMPTS
+              ? "failed"
+              : "pending",
+
+          error: {
+            message:
+              error.message,
+
+            attempts
+          }
+        }
+      );
+    }
+  }
+
+  // ==========================================================================
+  // COMPLETION / SNAPSHOTS
+  // ==========================================================================
+
+  #finalize(jobId) {
+
+    const job =
+      this.store.getJob(
+        jobId
+      );
+
+    const counts =
+      this.store.countCandidates(
+        jobId
+      );
+
+    const done =
+      job.items.every(item => item.status !== "pending") &&
+      counts.pending === 0 &&
+      counts.running === 0;
+
+    const timestamp =
+      new Date(this.now()).toISOString();
+
+    return this.store.updateJob(
+      jobId,
+      {
+        status:
+          done
+            ? JOB_STATUSES.COMPLETED
+            : JOB_STATUSES.RUNNING,
+
+        summary:
+          counts,
+
+        updatedAt:
+          timestamp,
+
+        completedAt:
+          done
+            ? timestamp
+            : null
+      }
+    );
+  }
+
+  #loadJob(jobId, ownerId) {
+
+    const job =
+      typeof jobId === "string" &&
+      jobId
+        ? this.store.getJob(jobId)
+        : null;
+
+    if (
+      !job ||
+      (
+        ownerId &&
+        job.ownerId !== ownerId
+      )
+    ) {
+
+      throw jobError(
+        `Lead job not found: ${jobId}`,
+        "JOB_NOT_FOUND"
+      );
+    }
+
+    return job;
+  }
+
+  #snapshot(
+    job,
+    {
+      includeLeads = true
+    } = {}
+  ) {
+
+    const candidates =
+      this.store.countCandidates(
+        job.jobId
+      );
+
+    const itemCounts =
+      job.items.reduce(
+        (counts, item) => ({
+          ...counts,
+          [item.status]:
+            (counts[item.status] || 0) + 1
+        }),
+        {
+          total: job.items.length
+        }
+      );
+
+    const rows =
+      includeLeads
+        ? this.store.listCandidates(
+            job.jobId,
+            {
+              status: ["completed", "failed"]
+            }
+          )
+        : [];
+
+    return {
+
+      jobId:
+        job.jobId,
+
+      status:
+        job.status,
+
+      scoringProfile:
+        job.request.scoringProfile,
+
+      progress: {
+
+        items:
+          itemCounts,
+
+        candidates,
+
+        percentComplete:
+          job.status === JOB_STATUSES.COMPLETED
+            ? 100
+            : candidates.total > 0
+              ? Math.floor(
+                  (
+                    (candidates.completed + candidates.failed) /
+                    candidates.total
+                  ) * 100
+                )
+              : 0
+      },
+
+      items:
+        job.items.map(
+          item => ({
+
+            index:
+              item.index,
+
+            type:
+              item.type,
+
+            query:
+              item.filters?.industry ||
+              null,
+
+            registrationIds:
+              item.registrationIds,
+
+            status:
+              item.status,
+
+            outcome:
+              item.outcome
+          })
+        ),
+
+      // Highest score first; unscored leads last.
+      leads:
+        rows
+          .filter(row => row.status === "completed")
+          .map(row => row.lead)
+          .sort(
+            (a, b) =>
+              (b.score ?? -1) - (a.score ?? -1)
+          ),
+
+      failures:
+        rows
+          .filter(row => row.status === "failed")
+          .map(
+            row => ({
+              candidateKey:
+                row.candidateKey,
+
+              itemIndex:
+                row.itemIndex,
+
+              error:
+                row.error
+            })
+          ),
+
+      createdAt:
+        job.createdAt,
+
+      updatedAt:
+        job.updatedAt,
+
+      completedAt:
+        job.completedAt
+    };
+  }
+}
+
+/**
+ * Validate one submitted item and give it its stored shape.
+ */
+function toJobItem(item, index) {
+
+  if (
+    !item ||
+    typeof item !== "object" ||
+    Array.isArray(item)
+  ) {
+
+    throw jobError(
+      `Job item ${index} must be an object.`,
+      "INVALID_JOB_REQUEST"
+    );
+  }
+
+  const geoContext =
+    item.geoContext || {
+      states: ["FL"]
+    };
+
+  if (Array.isArray(item.registrationIds)) {
+
+    const registrationIds =
+      [
+        ...new Set(
+          item.registrationIds
+            .map(registrationId => String(registrationId ?? "").trim())
+            .filter(Boolean)
+        )
+      ];
+
+    if (
+      registrationIds.length === 0 ||
+      registrationIds.length > MAX_REGISTRATION_IDS_PER_ITEM
+    ) {
+
+      throw jobError(
+        `Job item ${index} must list 1 to ${MAX_REGISTRATION_IDS_PER_ITEM} registration numbers.`,
+        "INVALID_JOB_REQUEST"
+      );
+    }
+
+    return {
+      index,
+      type: "registration_lookup",
+      geoContext,
+      filters: item.filters || {},
+      registrationIds,
+      status: "pending",
+      outcome: null
+    };
+  }
+
+  if (!String(item.filters?.industry || item.filters?.query || "").trim()) {
+
+    throw jobError(
+      `Job item ${index} needs a search query or registration numbers.`,
+      "INVALID_JOB_REQUEST"
+    );
+  }
+
+  return {
+    index,
+    type: "search",
+    geoContext,
+    filters: item.filters,
+    registrationIds: null,
+    status: "pending",
+    outcome: null
+  };
+}
+
+function clampConcurrency(value) {
+
+  const parsed =
+    Number.parseInt(
+      value,
+      10
+    );
+
+  return Number.isFinite(parsed)
+    ? Math.min(
+        Math.max(parsed, 1),
+        MAX_CONCURRENCY
+      )
+    : DEFAULT_CONCURRENCY;
+}
+
+function jobError(message, code) {
+
+  const error =
+    new Error(message);
+
+  error.code =
+    code;
+
+  return error;
+}
+
+let defaultService = null;
+
+/**
+ * Shared service over the default store and pipeline dependencies, so
+ * a warm function instance keeps one job store and ledger.
+ *
+ * @returns {LeadJobService}
+ */
+function getDefaultLeadJobService() {
+
+  if (!defaultService) {
+
+    defaultService =
+      new LeadJobService();
+  }
+
+  return defaultService;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  LeadJobService,
+  getDefaultLeadJobService
+};
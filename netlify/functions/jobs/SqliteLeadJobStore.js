@@ -0,0 +1,632 @@
+// /jobs/SqliteLeadJobStore.js
+
+/**
+ * SqliteLeadJobStore
+ *
+ * Persistent lead-job state.
+ *
+ * RESPONSIBILITY:
+ * - Persist each job's request, per-item resolution and lease.
+ * - Persist every candidate with its status and, once processed, its
+ *   lead or error, so an interrupted job resumes where it stopped.
+ * - Grant one runner at a time a time-limited lease on a job.
+ *
+ * DOES NOT:
+ * - Run pipeline steps (LeadJobService does).
+ * - Store registry evidence (the Evidence Ledger does).
+ *
+ * Drop-in replacement for InMemoryLeadJobStore; see its header for the
+ * store contract.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+class SqliteLeadJobStore {
+
+  constructor({
+    databasePath =
+      process.env.LEAD_JOB_DB_PATH ||
+      path.join(
+        process.cwd(),
+        "data",
+        "lead-jobs.db"
+      )
+  } = {}) {
+
+    this.name =
+      "SqliteLeadJobStore";
+
+    this.databasePath =
+      databasePath;
+
+    fs.mkdirSync(
+      path.dirname(
+        this.databasePath
+      ),
+      {
+        recursive: true
+      }
+    );
+
+    this.db =
+      new Database(
+        this.databasePath
+      );
+
+    this.db.pragma(
+      "journal_mode = WAL"
+    );
+
+    this.initializeSchema();
+
+    this.prepareStatements();
+  }
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  initializeSchema() {
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS lead_jobs (
+
+        job_id TEXT PRIMARY KEY,
+
+        owner_id TEXT,
+
+        status TEXT NOT NULL,
+
+        request TEXT NOT NULL,
+
+        items TEXT NOT NULL,
+
+        summary TEXT,
+
+        lease_id TEXT,
+
+        lease_until INTEGER,
+
+        created_at TEXT NOT NULL,
+
+        updated_at TEXT NOT NULL,
+
+        completed_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS lead_job_candidates (
+
+        sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        job_id TEXT NOT NULL
+          REFERENCES lead_jobs(job_id),
+
+        candidate_key TEXT NOT NULL,
+
+        item_index INTEGER NOT NULL,
+
+        status TEXT NOT NULL,
+
+        attempts INTEGER NOT NULL DEFAULT 0,
+
+        candidate TEXT NOT NULL,
+
+        lead TEXT,
+
+        error TEXT,
+
+        updated_at TEXT NOT NULL,
+
+        UNIQUE (job_id, candidate_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_lead_job_candidates_job_status
+      ON lead_job_candidates(job_id, status);
+    `);
+  }
+
+  // ==========================================================================
+  // PREPARED STATEMENTS
+  // ==========================================================================
+
+  prepareStatements() {
+
+    this.insertJobStatement =
+      this.db.prepare(`
+        INSERT INTO lead_jobs (
+
+          job_id,
+          owner_id,
+          status,
+          request,
+          items,
+          summary,
+          lease_id,
+          lease_until,
+          created_at,
+          updated_at,
+          completed_at
+
+        )
+
+        VALUES (
+
+          @jobId,
+          @ownerId,
+          @status,
+          @request,
+          @items,
+          @summary,
+          NULL,
+          NULL,
+          @createdAt,
+          @updatedAt,
+          @completedAt
+
+        )
+      `);
+
+    this.selectJobStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM lead_jobs
+        WHERE job_id = ?
+      `);
+
+    this.claimJobStatement =
+      this.db.prepare(`
+        UPDATE lead_jobs
+        SET lease_id = @leaseId,
+            lease_until = @leaseUntil
+        WHERE job_id = @jobId
+          AND (
+            lease_id IS NULL
+            OR lease_until <= @now
+          )
+      `);
+
+    this.releaseJobStatement =
+      this.db.prepare(`
+        UPDATE lead_jobs
+        SET lease_id = NULL,
+            lease_until = NULL
+        WHERE job_id = @jobId
+          AND lease_id = @leaseId
+      `);
+
+    this.insertCandidateStatement =
+      this.db.prepare(`
+        INSERT OR IGNORE INTO lead_job_candidates (
+
+          job_id,
+          candidate_key,
+          item_index,
+          status,
+          attempts,
+          candidate,
+          lead,
+          error,
+          updated_at
+
+        )
+
+        VALUES (
+
+          @jobId,
+          @candidateKey,
+          @itemIndex,
+          'pending',
+          0,
+          @candidate,
+          NULL,
+          NULL,
+          @updatedAt
+
+        )
+      `);
+
+    this.selectCandidatesStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM lead_job_candidates
+        WHERE job_id = ?
+        ORDER BY sequence ASC
+      `);
+
+    this.selectCandidateStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM lead_job_candidates
+        WHERE job_id = ?
+          AND candidate_key = ?
+      `);
+
+    this.resetRunningStatement =
+      this.db.prepare(`
+        UPDATE lead_job_candidates
+        SET status = 'pending',
+            updated_at = @updatedAt
+        WHERE job_id = @jobId
+          AND status = 'running'
+      `);
+
+    this.countCandidatesStatement =
+      this.db.prepare(`
+        SELECT status, COUNT(*) AS count
+        FROM lead_job_candidates
+        WHERE job_id = ?
+        GROUP BY status
+      `);
+
+    this.addCandidatesTransaction =
+      this.db.transaction(
+        (jobId, candidates) => {
+
+          const updatedAt =
+            new Date().toISOString();
+
+          let added = 0;
+
+          for (
+            const { candidateKey, itemIndex, candidate } of candidates
+          ) {
+
+            added +=
+              this.insertCandidateStatement.run({
+                jobId,
+                candidateKey,
+                itemIndex,
+                candidate:
+                  JSON.stringify(candidate),
+                updatedAt
+              }).changes;
+          }
+
+          return added;
+        }
+      );
+  }
+
+  // ==========================================================================
+  // JOBS
+  // ==========================================================================
+
+  createJob(job) {
+
+    this.insertJobStatement.run({
+
+      jobId:
+        job.jobId,
+
+      ownerId:
+        job.ownerId ||
+        null,
+
+      status:
+        job.status,
+
+      request:
+        JSON.stringify(
+          job.request
+        ),
+
+      items:
+        JSON.stringify(
+          job.items
+        ),
+
+      summary:
+        job.summary
+          ? JSON.stringify(job.summary)
+          : null,
+
+      createdAt:
+        job.createdAt,
+
+      updatedAt:
+        job.updatedAt,
+
+      completedAt:
+        job.completedAt ||
+        null
+    });
+
+    return this.getJob(
+      job.jobId
+    );
+  }
+
+  getJob(jobId) {
+
+    const row =
+      this.selectJobStatement.get(
+        jobId
+      );
+
+    return row
+      ? this.#toJob(row)
+      : null;
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {Object} fields
+   * Any of status, items, summary, updatedAt, completedAt.
+   * @returns {Object|null}
+   */
+  updateJob(jobId, fields) {
+
+    const columns = {
+      status: ["status", value => value],
+      items: ["items", value => JSON.stringify(value)],
+      summary: ["summary", value => JSON.stringify(value)],
+      updatedAt: ["updated_at", value => value],
+      completedAt: ["completed_at", value => value]
+    };
+
+    const assignments = [];
+
+    const parameters = {
+      jobId
+    };
+
+    for (const [field, value] of Object.entries(fields)) {
+
+      if (!columns[field]) {
+        continue;
+      }
+
+      const [column, serialize] =
+        columns[field];
+
+      assignments.push(
+        `${column} = @${field}`
+      );
+
+      parameters[field] =
+        value === null
+          ? null
+          : serialize(value);
+    }
+
+    if (assignments.length > 0) {
+
+      this.db
+        .prepare(`
+          UPDATE lead_jobs
+          SET ${assignments.join(", ")}
+          WHERE job_id = @jobId
+        `)
+        .run(
+          parameters
+        );
+    }
+
+    return this.getJob(
+      jobId
+    );
+  }
+
+  claimJob(jobId, { leaseId, leaseUntil, now }) {
+
+    return this.claimJobStatement.run({
+      jobId,
+      leaseId,
+      leaseUntil,
+      now
+    }).changes === 1;
+  }
+
+  releaseJob(jobId, leaseId) {
+
+    this.releaseJobStatement.run({
+      jobId,
+      leaseId
+    });
+  }
+
+  // ==========================================================================
+  // CANDIDATES
+  // ==========================================================================
+
+  addCandidates(jobId, candidates) {
+
+    return this.addCandidatesTransaction(
+      jobId,
+      candidates
+    );
+  }
+
+  listCandidates(jobId, { status = null } = {}) {
+
+    const statuses =
+      status
+        ? [].concat(status)
+        : null;
+
+    return this.selectCandidatesStatement
+      .all(
+        jobId
+      )
+      .filter(row => !statuses || statuses.includes(row.status))
+      .map(row => this.#toCandidate(row));
+  }
+
+  /**
+   * @param {string} jobId
+   * @param {string} candidateKey
+   * @param {Object} fields
+   * Any of status, attempts, lead, error.
+   */
+  updateCandidate(jobId, candidateKey, fields) {
+
+    const current =
+      this.selectCandidateStatement.get(
+        jobId,
+        candidateKey
+      );
+
+    if (!current) {
+      return;
+    }
+
+    const row =
+      this.#toCandidate(current);
+
+    const next = {
+      ...row,
+      ...fields
+    };
+
+    this.db
+      .prepare(`
+        UPDATE lead_job_candidates
+        SET status = @status,
+            attempts = @attempts,
+            lead = @lead,
+            error = @error,
+            updated_at = @updatedAt
+        WHERE job_id = @jobId
+          AND candidate_key = @candidateKey
+      `)
+      .run({
+        jobId,
+        candidateKey,
+        status:
+          next.status,
+        attempts:
+          next.attempts,
+        lead:
+          next.lead
+            ? JSON.stringify(next.lead)
+            : null,
+        error:
+          next.error
+            ? JSON.stringify(next.error)
+            : null,
+        updatedAt:
+          new Date().toISOString()
+      });
+  }
+
+  resetRunningCandidates(jobId) {
+
+    return this.resetRunningStatement.run({
+      jobId,
+      updatedAt:
+        new Date().toISOString()
+    }).changes;
+  }
+
+  countCandidates(jobId) {
+
+    const counts = {
+      total: 0,
+      pending: 0,
+      running: 0,
+      completed: 0,
+      failed: 0
+    };
+
+    for (
+      const { status, count } of this.countCandidatesStatement.all(jobId)
+    ) {
+
+      counts.total += count;
+      counts[status] = count;
+    }
+
+    return counts;
+  }
+
+  close() {
+
+    this.db.close();
+  }
+
+  // ==========================================================================
+  // ROW MAPPING
+  // ==========================================================================
+
+  #toJob(row) {
+
+    return {
+
+      jobId:
+        row.job_id,
+
+      ownerId:
+        row.owner_id,
+
+      status:
+        row.status,
+
+      request:
+        JSON.parse(row.request),
+
+      items:
+        JSON.parse(row.items),
+
+      summary:
+        row.summary
+          ? JSON.parse(row.summary)
+          : null,
+
+      leaseId:
+        row.lease_id,
+
+      leaseUntil:
+        row.lease_until,
+
+      createdAt:
+        row.created_at,
+
+      updatedAt:
+        row.updated_at,
+
+      completedAt:
+        row.completed_at
+    };
+  }
+
+  #toCandidate(row) {
+
+    return {
+
+      candidateKey:
+        row.candidate_key,
+
+      itemIndex:
+        row.item_index,
+
+      status:
+        row.status,
+
+      attempts:
+        row.attempts,
+
+      candidate:
+        JSON.parse(row.candidate),
+
+      lead:
+        row.lead
+          ? JSON.parse(row.lead)
+          : null,
+
+      error:
+        row.error
+          ? JSON.parse(row.error)
+          : null,
+
+      updatedAt:
+        row.updated_at
+    };
+  }
+}
+
+module.exports = {
+  SqliteLeadJobStore
+};
@@ -0,0 +1,79 @@
+// /jobs/createLeadJobStore.js
+
+const {
+  InMemoryLeadJobStore
+} = require("./InMemoryLeadJobStore.js");
+
+/*
+ * One store per database path (or one in-memory store per instance),
+ * so every request a warm instance serves sees the same jobs.
+ */
+const stores =
+  new Map();
+
+/**
+ * Build the job store used by LeadJobService when none is injected.
+ *
+ * - When LEAD_JOB_DB_PATH is set, jobs persist in SqliteLeadJobStore
+ *   and resume after a restart. The module is required lazily because
+ *   it depends on better-sqlite3, which is not present in every
+ *   runtime.
+ * - Otherwise jobs live in an InMemoryLeadJobStore for the life of
+ *   the function instance.
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function createLeadJobStore(
+  env = process.env
+) {
+
+  const databasePath =
+    env.LEAD_JOB_DB_PATH ||
+    null;
+
+  const key =
+    databasePath ||
+    ":memory:";
+
+  if (
+    stores.has(
+      key
+    )
+  ) {
+
+    return stores.get(
+      key
+    );
+  }
+
+  let store;
+
+  if (databasePath) {
+
+    const {
+      SqliteLeadJobStore
+    } = require("./SqliteLeadJobStore.js");
+
+    store =
+      new SqliteLeadJobStore({
+        databasePath
+      });
+
+  } else {
+
+    store =
+      new InMemoryLeadJobStore();
+  }
+
+  stores.set(
+    key,
+    store
+  );
+
+  return store;
+}
+
+module.exports = {
+  createLeadJobStore
+};
@@ -1,10 +1,12 @@
 const crypto = require("crypto");
 // Check exact casing and path:
 const { toCanonicalString } = require("../source/CanonicalSerializer.js");
+const { calculateContentHash, deriveInputSignalId } = require("../source/SignalIdentity.js");
 
 class EvidenceLedgerAdapter {
   constructor() {
     this.ledger = new Map();
+    this.sightings = new Map();
   }
 
   #hashData(data) {
@@ -12,25 +14,37 @@ class EvidenceLedgerAdapter {
     return crypto.createHash("sha256").update(canonicalStr).digest("hex");
   }
 
+  /**
+   * Record a registry observation.
+   *
+   * inputSignalId is derived from providerName and sourceContentHash.
+   * Re-observing identical content returns the existing entry with a
+   * `reobservation` block; the original entry is never replaced.
+   */
   recordObservation({ providerName, rawPayload, normalizedEntity, sourceUrl, retrievedAt }) {
-    const inputSignalId = `sig_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+    const observedAt = retrievedAt || new Date().toISOString();
 
-    const sourceContentHash = this.#hashData(rawPayload);
-    const canonicalEntityHash = this.#hashData(normalizedEntity);
+    const sourceContentHash = calculateContentHash(rawPayload);
+    const canonicalEntityHash = calculateContentHash(normalizedEntity);
+    const inputSignalId = deriveInputSignalId({ providerName, sourceContentHash });
+
+    if (this.ledger.has(inputSignalId)) {
+      return this.#recordSighting(inputSignalId, sourceContentHash, { seenAt: observedAt, sourceUrl: sourceUrl || null });
+    }
 
     const signalRecordHash = this.#hashData({
       inputSignalId,
       providerName,
       sourceContentHash,
       canonicalEntityHash,
-      retrievedAt: retrievedAt || new Date().toISOString()
+      retrievedAt: observedAt
     });
 
     const entry = Object.freeze({
       inputSignalId,
       providerName,
       sourceUrl: sourceUrl || null,
-      retrievedAt: retrievedAt || new Date().toISOString(),
+      retrievedAt: observedAt,
       rawSourceReference: Object.freeze(JSON.parse(JSON.stringify(rawPayload))),
       normalizedEntity: Object.freeze(JSON.parse(JSON.stringify(normalizedEntity))),
       sourceContentHash,
@@ -38,17 +52,43 @@ class EvidenceLedgerAdapter {
       signalRecordHash
     });
 
-    if (this.ledger.has(inputSignalId)) {
-      throw new Error(`Evidence record collision: ${inputSignalId} already exists.`);
-    }
-
     this.ledger.set(inputSignalId, entry);
+    this.sightings.set(inputSignalId, []);
     return entry;
   }
 
+  #recordSighting(inputSignalId, sourceContentHash, sighting) {
+    const existing = this.ledger.get(inputSignalId);
+
+    // Same id from different content means a truncated-hash collision.
+    if (existing.sourceContentHash !== sourceContentHash) {
+      throw new Error(`Evidence record collision: ${inputSignalId} already exists with different content.`);
+    }
+
+    const sightings = this.sightings.get(inputSignalId);
+    sightings.push(Object.freeze(sighting));
+
+    return Object.freeze({
+      ...existing,
+      reobservation: Object.freeze({
+        seenAt: sighting.seenAt,
+        sourceUrl: sighting.sourceUrl,
+        firstSeenAt: existing.retrievedAt,
+        sightingCount: sightings.length + 1
+      })
+    });
+  }
+
   getRecord(inputSignalId) {
     return this.ledger.get(inputSignalId) || null;
   }
+
+  /**
+   * "Seen again at" events recorded after the first observation.
+   */
+  getSightings(inputSignalId) {
+    return [...(this.sightings.get(inputSignalId) || [])];
+  }
 }
 
 module.exports = { EvidenceLedgerAdapter };
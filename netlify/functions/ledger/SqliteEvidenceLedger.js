@@ -0,0 +1,834 @@
+/**
+ * SqliteEvidenceLedger
+ *
+ * Persistent, append-only Evidence Ledger backend.
+ *
+ * RESPONSIBILITY:
+ * - Persist every registry observation recorded by the pipeline.
+ * - Link each entry to the previous entry's signalRecordHash so any
+ *   later modification breaks the chain.
+ * - Verify the full hash chain on demand.
+ * - Retrieve observations by inputSignalId or canonicalEntityHash.
+ * - Record re-observations of identical content as sightings of the
+ *   existing entry instead of new entries.
+ *
+ * DOES NOT:
+ * - Search registries.
+ * - Normalize entities.
+ * - Score or qualify prospects.
+ *
+ * Drop-in replacement for EvidenceLedgerAdapter:
+ * recordObservation() accepts the same arguments and returns the same
+ * entry shape, plus `sequence` and `previousRecordHash`.
+ *
+ * ARCHITECTURE:
+ *
+ * runLeadPipeline
+ *        ↓
+ * recordObservation()
+ *        ↓
+ * evidence_ledger (append-only, hash-chained)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Database = require("better-sqlite3");
+
+const {
+  toCanonicalString
+} = require("../source/CanonicalSerializer.js");
+
+const {
+  calculateContentHash,
+  deriveInputSignalId
+} = require("../source/SignalIdentity.js");
+
+class SqliteEvidenceLedger {
+
+  constructor({
+    databasePath =
+      process.env.EVIDENCE_LEDGER_DB_PATH ||
+      path.join(
+        process.cwd(),
+        "data",
+        "evidence-ledger.db"
+      )
+  } = {}) {
+
+    this.name =
+      "SqliteEvidenceLedger";
+
+    this.databasePath =
+      databasePath;
+
+    fs.mkdirSync(
+      path.dirname(
+        this.databasePath
+      ),
+      {
+        recursive: true
+      }
+    );
+
+    this.db =
+      new Database(
+        this.databasePath
+      );
+
+    this.db.pragma(
+      "journal_mode = WAL"
+    );
+
+    this.initializeSchema();
+
+    this.prepareStatements();
+  }
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  initializeSchema() {
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS evidence_ledger (
+
+        sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        input_signal_id TEXT NOT NULL UNIQUE,
+
+        provider_name TEXT NOT NULL,
+
+        source_url TEXT,
+
+        retrieved_at TEXT NOT NULL,
+
+        raw_source_reference TEXT NOT NULL,
+
+        normalized_entity TEXT NOT NULL,
+
+        source_content_hash TEXT NOT NULL,
+
+        canonical_entity_hash TEXT NOT NULL,
+
+        previous_record_hash TEXT,
+
+        signal_record_hash TEXT NOT NULL UNIQUE,
+
+        recorded_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_evidence_ledger_canonical_entity_hash
+      ON evidence_ledger(canonical_entity_hash);
+
+      CREATE INDEX IF NOT EXISTS
+        idx_evidence_ledger_source_content_hash
+      ON evidence_ledger(source_content_hash);
+
+      /*
+       * Append-only enforcement.
+       *
+       * Entries are never rewritten or removed. Corrections are new
+       * observations.
+       */
+      CREATE TRIGGER IF NOT EXISTS
+        evidence_ledger_no_update
+      BEFORE UPDATE ON evidence_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'Evidence ledger is append-only.');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS
+        evidence_ledger_no_delete
+      BEFORE DELETE ON evidence_ledger
+      BEGIN
+        SELECT RAISE(ABORT, 'Evidence ledger is append-only.');
+      END;
+
+      /*
+       * "Seen again at" events.
+       *
+       * One row per re-observation of an existing signal. The first
+       * observation lives in evidence_ledger only.
+       */
+      CREATE TABLE IF NOT EXISTS evidence_sightings (
+
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+        input_signal_id TEXT NOT NULL
+          REFERENCES evidence_ledger(input_signal_id),
+
+        seen_at TEXT NOT NULL,
+
+        source_url TEXT,
+
+        recorded_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS
+        idx_evidence_sightings_input_signal_id
+      ON evidence_sightings(input_signal_id);
+
+      CREATE TRIGGER IF NOT EXISTS
+        evidence_sightings_no_update
+      BEFORE UPDATE ON evidence_sightings
+      BEGIN
+        SELECT RAISE(ABORT, 'Evidence ledger is append-only.');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS
+        evidence_sightings_no_delete
+      BEFORE DELETE ON evidence_sightings
+      BEGIN
+        SELECT RAISE(ABORT, 'Evidence ledger is append-only.');
+      END;
+    `);
+  }
+
+  // ==========================================================================
+  // PREPARED STATEMENTS
+  // ==========================================================================
+
+  prepareStatements() {
+
+    this.insertStatement =
+      this.db.prepare(`
+        INSERT INTO evidence_ledger (
+
+          input_signal_id,
+          provider_name,
+          source_url,
+          retrieved_at,
+          raw_source_reference,
+          normalized_entity,
+          source_content_hash,
+          canonical_entity_hash,
+          previous_record_hash,
+          signal_record_hash,
+          recorded_at
+
+        )
+
+        VALUES (
+
+          @inputSignalId,
+          @providerName,
+          @sourceUrl,
+          @retrievedAt,
+          @rawSourceReference,
+          @normalizedEntity,
+          @sourceContentHash,
+          @canonicalEntityHash,
+          @previousRecordHash,
+          @signalRecordHash,
+          @recordedAt
+
+        )
+      `);
+
+    this.headStatement =
+      this.db.prepare(`
+        SELECT signal_record_hash
+        FROM evidence_ledger
+        ORDER BY sequence DESC
+        LIMIT 1
+      `);
+
+    this.byInputSignalIdStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM evidence_ledger
+        WHERE input_signal_id = ?
+      `);
+
+    this.byEntityStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM evidence_ledger
+        WHERE canonical_entity_hash = ?
+        ORDER BY sequence ASC
+      `);
+
+    this.insertSightingStatement =
+      this.db.prepare(`
+        INSERT INTO evidence_sightings (
+
+          input_signal_id,
+          seen_at,
+          source_url,
+          recorded_at
+
+        )
+
+        VALUES (
+
+          @inputSignalId,
+          @seenAt,
+          @sourceUrl,
+          @recordedAt
+
+        )
+      `);
+
+    this.sightingsStatement =
+      this.db.prepare(`
+        SELECT seen_at, source_url
+        FROM evidence_sightings
+        WHERE input_signal_id = ?
+        ORDER BY id ASC
+      `);
+
+    this.chainStatement =
+      this.db.prepare(`
+        SELECT *
+        FROM evidence_ledger
+        ORDER BY sequence ASC
+      `);
+
+    /*
+     * Reading the chain head and appending must be atomic, otherwise
+     * two writers could link to the same previous entry.
+     *
+     * Returns null when the signal already exists.
+     */
+    this.appendTransaction =
+      this.db.transaction(
+        (inputSignalId, buildEntry) => {
+
+          if (
+            this.byInputSignalIdStatement.get(
+              inputSignalId
+            )
+          ) {
+            return null;
+          }
+
+          const head =
+            this.headStatement.get();
+
+          const entry =
+            buildEntry(
+              head
+                ? head.signal_record_hash
+                : null
+            );
+
+          const result =
+            this.insertStatement.run({
+
+              ...entry,
+
+              rawSourceReference:
+                toCanonicalString(
+                  entry.rawSourceReference
+                ),
+
+              normalizedEntity:
+                toCanonicalString(
+                  entry.normalizedEntity
+                )
+            });
+
+          return {
+            ...entry,
+
+            sequence:
+              Number(
+                result.lastInsertRowid
+              )
+          };
+        }
+      );
+  }
+
+  // ==========================================================================
+  // HASHING
+  // ==========================================================================
+
+  #hashData(data) {
+
+    const canonicalStr =
+      typeof data === "string"
+        ? data
+        : toCanonicalString(data);
+
+    return crypto
+      .createHash("sha256")
+      .update(canonicalStr)
+      .digest("hex");
+  }
+
+  #computeSignalRecordHash({
+    inputSignalId,
+    providerName,
+    sourceContentHash,
+    canonicalEntityHash,
+    retrievedAt,
+    previousRecordHash
+  }) {
+
+    return this.#hashData({
+      inputSignalId,
+      providerName,
+      sourceContentHash,
+      canonicalEntityHash,
+      retrievedAt,
+      previousRecordHash
+    });
+  }
+
+  // ==========================================================================
+  // RECORD OBSERVATION
+  // ==========================================================================
+
+  recordObservation({
+    providerName,
+    rawPayload,
+    normalizedEntity,
+    sourceUrl,
+    retrievedAt
+  }) {
+
+    const observedAt =
+      retrievedAt ||
+      new Date().toISOString();
+
+    const rawSourceReference =
+      JSON.parse(
+        JSON.stringify(rawPayload)
+      );
+
+    const normalizedCopy =
+      JSON.parse(
+        JSON.stringify(normalizedEntity)
+      );
+
+    const sourceContentHash =
+      calculateContentHash(
+        rawSourceReference
+      );
+
+    const canonicalEntityHash =
+      calculateContentHash(
+        normalizedCopy
+      );
+
+    const inputSignalId =
+      deriveInputSignalId({
+        providerName,
+        sourceContentHash
+      });
+
+    const entry =
+      this.appendTransaction(
+        inputSignalId,
+        previousRecordHash => ({
+
+          inputSignalId,
+
+          providerName,
+
+          sourceUrl:
+            sourceUrl ||
+            null,
+
+          retrievedAt:
+            observedAt,
+
+          rawSourceReference,
+
+          normalizedEntity:
+            normalizedCopy,
+
+          sourceContentHash,
+
+          canonicalEntityHash,
+
+          previousRecordHash,
+
+          signalRecordHash:
+            this.#computeSignalRecordHash({
+              inputSignalId,
+              providerName,
+              sourceContentHash,
+              canonicalEntityHash,
+              retrievedAt:
+                observedAt,
+              previousRecordHash
+            }),
+
+          recordedAt:
+            new Date().toISOString()
+        })
+      );
+
+    if (!entry) {
+
+      return this.#recordSighting({
+        inputSignalId,
+        sourceContentHash,
+        seenAt:
+          observedAt,
+        sourceUrl:
+          sourceUrl ||
+          null
+      });
+    }
+
+    return this.#freezeEntry(
+      entry
+    );
+  }
+
+  #recordSighting({
+    inputSignalId,
+    sourceContentHash,
+    seenAt,
+    sourceUrl
+  }) {
+
+    const existing =
+      this.getRecord(
+        inputSignalId
+      );
+
+    /*
+     * Same id from different content means a truncated-hash collision.
+     */
+    if (
+      existing.sourceContentHash !==
+      sourceContentHash
+    ) {
+
+      throw new Error(
+        `Evidence record collision: ${inputSignalId} already exists with different content.`
+      );
+    }
+
+    this.insertSightingStatement.run({
+      inputSignalId,
+      seenAt,
+      sourceUrl,
+      recordedAt:
+        new Date().toISOString()
+    });
+
+    return Object.freeze({
+
+      ...existing,
+
+      reobservation:
+        Object.freeze({
+
+          seenAt,
+
+          sourceUrl,
+
+          firstSeenAt:
+            existing.retrievedAt,
+
+          sightingCount:
+            this.getSightings(
+              inputSignalId
+            ).length + 1
+        })
+    });
+  }
+
+  // ==========================================================================
+  // RETRIEVAL
+  // ==========================================================================
+
+  getRecord(inputSignalId) {
+
+    const row =
+      this.byInputSignalIdStatement.get(
+        inputSignalId
+      );
+
+    return row
+      ? this.#fromRow(row)
+      : null;
+  }
+
+  /**
+   * Return "seen again at" events recorded after the first observation.
+   *
+   * @param {string} inputSignalId
+   * @returns {Array<Object>}
+   */
+  getSightings(inputSignalId) {
+
+    return this.sightingsStatement
+      .all(
+        inputSignalId
+      )
+      .map(
+        row =>
+          Object.freeze({
+
+            seenAt:
+              row.seen_at,
+
+            sourceUrl:
+              row.source_url ||
+              null
+          })
+      );
+  }
+
+  /**
+   * Return every observation of one canonical entity, oldest first.
+   *
+   * @param {string} canonicalEntityHash
+   * @returns {Array<Object>}
+   */
+  getRecordsForEntity(
+    canonicalEntityHash
+  ) {
+
+    if (
+      typeof canonicalEntityHash !== "string" ||
+      !canonicalEntityHash.trim()
+    ) {
+
+      throw new Error(
+        "getRecordsForEntity requires a canonicalEntityHash."
+      );
+    }
+
+    return this.byEntityStatement
+      .all(
+        canonicalEntityHash.trim()
+      )
+      .map(
+        row =>
+          this.#fromRow(row)
+      );
+  }
+
+  // ==========================================================================
+  // CHAIN VERIFICATION
+  // ==========================================================================
+
+  /**
+   * Recompute every hash in ledger order.
+   *
+   * Detects:
+   * - modified raw payloads or normalized entities
+   * - ids not derived from providerName and sourceContentHash
+   * - modified entry metadata
+   * - removed, inserted or reordered entries
+   *
+   * @returns {Object}
+   */
+  verifyChain() {
+
+    let expectedPreviousHash =
+      null;
+
+    let recordsChecked =
+      0;
+
+    for (
+      const row of this.chainStatement.iterate()
+    ) {
+
+      const entry =
+        this.#fromRow(row);
+
+      const failure =
+        this.#verifyEntry(
+          entry,
+          expectedPreviousHash
+        );
+
+      if (failure) {
+
+        return {
+
+          valid:
+            false,
+
+          recordsChecked,
+
+          headHash:
+            expectedPreviousHash,
+
+          failure: {
+
+            sequence:
+              entry.sequence,
+
+            inputSignalId:
+              entry.inputSignalId,
+
+            reason:
+              failure
+          }
+        };
+      }
+
+      expectedPreviousHash =
+        entry.signalRecordHash;
+
+      recordsChecked++;
+    }
+
+    return {
+
+      valid:
+        true,
+
+      recordsChecked,
+
+      headHash:
+        expectedPreviousHash,
+
+      failure:
+        null
+    };
+  }
+
+  #verifyEntry(
+    entry,
+    expectedPreviousHash
+  ) {
+
+    if (
+      entry.previousRecordHash !==
+      expectedPreviousHash
+    ) {
+      return "CHAIN_LINK_MISMATCH";
+    }
+
+    if (
+      calculateContentHash(
+        entry.rawSourceReference
+      ) !==
+      entry.sourceContentHash
+    ) {
+      return "SOURCE_CONTENT_HASH_MISMATCH";
+    }
+
+    if (
+      calculateContentHash(
+        entry.normalizedEntity
+      ) !==
+      entry.canonicalEntityHash
+    ) {
+      return "CANONICAL_ENTITY_HASH_MISMATCH";
+    }
+
+    if (
+      deriveInputSignalId(
+        entry
+      ) !==
+      entry.inputSignalId
+    ) {
+      return "INPUT_SIGNAL_ID_MISMATCH";
+    }
+
+    if (
+      this.#computeSignalRecordHash(
+        entry
+      ) !==
+      entry.signalRecordHash
+    ) {
+      return "SIGNAL_RECORD_HASH_MISMATCH";
+    }
+
+    return null;
+  }
+
+  // ==========================================================================
+  // ROW MAPPING
+  // ==========================================================================
+
+  #fromRow(row) {
+
+    return this.#freezeEntry({
+
+      sequence:
+        row.sequence,
+
+      inputSignalId:
+        row.input_signal_id,
+
+      providerName:
+        row.provider_name,
+
+      sourceUrl:
+        row.source_url ||
+        null,
+
+      retrievedAt:
+        row.retrieved_at,
+
+      rawSourceReference:
+        JSON.parse(
+          row.raw_source_reference
+        ),
+
+      normalizedEntity:
+        JSON.parse(
+          row.normalized_entity
+        ),
+
+      sourceContentHash:
+        row.source_content_hash,
+
+      canonicalEntityHash:
+        row.canonical_entity_hash,
+
+      previousRecordHash:
+        row.previous_record_hash ||
+        null,
+
+      signalRecordHash:
+        row.signal_record_hash,
+
+      recordedAt:
+        row.recorded_at
+    });
+  }
+
+  #freezeEntry(entry) {
+
+    return Object.freeze({
+
+      ...entry,
+
+      rawSourceReference:
+        Object.freeze(
+          entry.rawSourceReference
+        ),
+
+      normalizedEntity:
+        Object.freeze(
+          entry.normalizedEntity
+        )
+    });
+  }
+
+  // ==========================================================================
+  // CLOSE
+  // ==========================================================================
+
+  close() {
+
+    if (
+      this.db &&
+      this.db.open
+    ) {
+
+      this.db.close();
+    }
+  }
+}
+
+module.exports = {
+  SqliteEvidenceLedger
+};
@@ -0,0 +1,73 @@
+// /ledger/createEvidenceLedger.js
+
+const {
+  EvidenceLedgerAdapter
+} = require("./EvidenceLedgerAdapter.js");
+
+/*
+ * One persistent ledger connection per database path.
+ *
+ * Warm function instances reuse the open connection instead of
+ * reopening the database on every pipeline run.
+ */
+const persistentLedgers =
+  new Map();
+
+/**
+ * Build the Evidence Ledger used by runLeadPipeline when none is
+ * injected.
+ *
+ * - When EVIDENCE_LEDGER_DB_PATH is set, observations are written to
+ *   the persistent, hash-chained SqliteEvidenceLedger. The module is
+ *   required lazily because it depends on better-sqlite3, which is not
+ *   present in every runtime.
+ * - Otherwise an in-memory EvidenceLedgerAdapter is returned. Its
+ *   entries are lost when the function instance ends.
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ * Ledger implementing recordObservation() and getRecord().
+ */
+function createEvidenceLedger(
+  env = process.env
+) {
+
+  const databasePath =
+    env.EVIDENCE_LEDGER_DB_PATH;
+
+  if (!databasePath) {
+
+    return new EvidenceLedgerAdapter();
+  }
+
+  if (
+    persistentLedgers.has(
+      databasePath
+    )
+  ) {
+
+    return persistentLedgers.get(
+      databasePath
+    );
+  }
+
+  const {
+    SqliteEvidenceLedger
+  } = require("./SqliteEvidenceLedger.js");
+
+  const ledger =
+    new SqliteEvidenceLedger({
+      databasePath
+    });
+
+  persistentLedgers.set(
+    databasePath,
+    ledger
+  );
+
+  return ledger;
+}
+
+module.exports = {
+  createEvidenceLedger
+};
@@ -0,0 +1,1276 @@
+// /merge/EntityResolver.js
+
+const crypto = require("crypto");
+
+const {
+  normalizeCompanyNameTokens
+} = require("../source/CompanyNameNormalizer.js");
+
+const {
+  parsePhoneNumber
+} = require("../source/PhoneNumberNormalizer.js");
+
+const {
+  createEntityIndex
+} = require("./createEntityIndex.js");
+
+/**
+ * EntityResolver
+ *
+ * Links lead records that describe the same business across sources
+ * and runs, and gives each business one stable canonical lead id.
+ *
+ * RESPONSIBILITY:
+ * - Describe each record by blocking keys: normalized name, E.164
+ *   phone, website domain and registration number.
+ * - Score record pairs that share a block and cluster the matches.
+ * - Match each cluster against known entities, reusing their
+ *   canonical lead id, or mint a new one.
+ * - Merge and persist each entity's keys and source provenance.
+ *
+ * DOES NOT:
+ * - Merge registry observations of one registration number
+ *   (RegistryEntityMerger does, before leads are built).
+ * - Modify the records it resolves.
+ * - Merge two different registration numbers: they are different
+ *   legal entities even when their names match.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *   runLeadPipeline leads   generate-leads leads   addLead
+ *              ↘                    ↓                ↙
+ *                       EntityResolver.resolve()
+ *                                   ↓
+ *          canonical lead ids + merged provenance (entity index)
+ *
+ * Canonical ids are derived from the registration number, or from
+ * the normalized name and state when there is none, so a business
+ * keeps its id even when the index does not persist.
+ */
+
+// Pair scores at or above this are the same business.
+const MATCH_THRESHOLD = 0.5;
+
+const MATCH_WEIGHTS = {
+  name: 0.55,
+  domain: 0.3,
+  phone: 0.3
+};
+
+/*
+ * Subtracted when both sides carry a value and no value is shared.
+ * Phones weigh less than domains: businesses run several lines.
+ */
+const CONFLICT_PENALTIES = {
+  domain: 0.3,
+  phone: 0.15,
+  state: 0.4,
+  city: 0.1
+};
+
+// Larger blocks ("name-token:florida") are too common to pair up.
+const MAX_BLOCK_SIZE = 50;
+
+const MAX_PROVENANCE_ENTRIES = 50;
+
+/*
+ * Hosts that list many businesses. A page there is about the business,
+ * not its website, so it is never a domain key.
+ */
+const SHARED_WEBSITE_HOSTS = [
+  "yelp.com",
+  "angi.com",
+  "angieslist.com",
+  "homeadvisor.com",
+  "thumbtack.com",
+  "bbb.org",
+  "yellowpages.com",
+  "mapquest.com",
+  "facebook.com",
+  "linkedin.com",
+  "instagram.com",
+  "twitter.com",
+  "x.com",
+  "nextdoor.com",
+  "manta.com",
+  "porch.com",
+  "houzz.com",
+  "google.com",
+  "sunbiz.org"
+];
+
+class EntityResolver {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.index]
+   * Known-entity index. Defaults to createEntityIndex().
+   * @param {Function} [options.now]
+   */
+  constructor({
+    index = null,
+    now = () => Date.now()
+  } = {}) {
+
+    this.index =
+      index ||
+      createEntityIndex();
+
+    this.now =
+      now;
+  }
+
+  /**
+   * Resolve records to canonical lead entities.
+   *
+   * Accepts pipeline leads, generate-leads leads, addLead leads and raw
+   * registry records; see describeRecord() for the fields read.
+   *
+   * @param {Array<Object>} records
+   * @param {Object} [options]
+   * @param {string} [options.source]
+   * Provenance label for records that do not name their provider.
+   * @returns {Object}
+   * {
+   *   entities: [{ canonicalLeadId, isNew, name, registrationIds,
+   *     domains, phones, states, cities, recordIndexes, matches,
+   *     knownMatch, ambiguousWith, sources }],
+   *   records: [{ recordIndex, canonicalLeadId, primary, duplicateOf }]
+   * }
+   * Records without a name or any key resolve to canonicalLeadId null.
+   */
+  resolve(
+    records = [],
+    {
+      source = "unknown"
+    } = {}
+  ) {
+
+    const observedAt =
+      new Date(this.now()).toISOString();
+
+    const profiles =
+      (Array.isArray(records) ? records : []).map(
+        record =>
+          describeRecord(
+            record,
+            {
+              source,
+              observedAt
+            }
+          )
+      );
+
+    const clusters =
+      clusterProfiles(
+        profiles
+      );
+
+    const claimedIds =
+      new Set();
+
+    const entities = [];
+
+    const resolvedRecords =
+      profiles.map(
+        (_, recordIndex) => ({
+          recordIndex,
+          canonicalLeadId: null,
+          primary: true,
+          duplicateOf: null
+        })
+      );
+
+    for (const cluster of clusters) {
+
+      const keys =
+        indexKeys(
+          cluster.profile
+        );
+
+      if (keys.length === 0) {
+        continue;
+      }
+
+      const entity =
+        this.#resolveCluster(
+          cluster,
+          keys,
+          claimedIds,
+          observedAt
+        );
+
+      claimedIds.add(
+        entity.canonicalLeadId
+      );
+
+      entities.push(
+        entity
+      );
+
+      const [primaryIndex] =
+        cluster.recordIndexes;
+
+      for (const recordIndex of cluster.recordIndexes) {
+
+        resolvedRecords[recordIndex] = {
+
+          recordIndex,
+
+          canonicalLeadId:
+            entity.canonicalLeadId,
+
+          primary:
+            recordIndex === primaryIndex,
+
+          duplicateOf:
+            recordIndex === primaryIndex
+              ? null
+              : primaryIndex
+        };
+      }
+    }
+
+    return {
+      entities,
+      records: resolvedRecords
+    };
+  }
+
+  // ==========================================================================
+  // KNOWN-ENTITY MATCHING
+  // ==========================================================================
+
+  #resolveCluster(cluster, keys, claimedIds, observedAt) {
+
+    /*
+     * One known entity per cluster: two clusters this run kept apart
+     * are different businesses, so they may not share an id.
+     */
+    const known =
+      this.index
+        .findByKeys(keys)
+        .filter(entity => !claimedIds.has(entity.canonicalLeadId))
+        .map(
+          entity => ({
+            ...entity,
+            match:
+              scoreMatch(
+                cluster.profile,
+                entity.profile
+              )
+          })
+        )
+        .filter(entity => entity.match.matched)
+        .sort(
+          (a, b) =>
+            b.match.score - a.match.score ||
+            a.canonicalLeadId.localeCompare(b.canonicalLeadId)
+        );
+
+    /*
+     * A record that matches two registered entities equally well
+     * ("ABC Roofing" vs "ABC ROOFING LLC" and "ABC ROOFING INC") is
+     * ambiguous: it links only to an unregistered entity among the
+     * tied ones, if any.
+     */
+    const tied =
+      known.filter(
+        entity => entity.match.score === known[0]?.match.score
+      );
+
+    const ambiguous =
+      hasRegistrationConflict(
+        tied.map(entity => entity.profile)
+      );
+
+    const best =
+      ambiguous
+        ? tied.find(entity => (entity.profile.registrationIds || []).length === 0) || null
+        : known[0] || null;
+
+    const canonicalLeadId =
+      best
+        ? best.canonicalLeadId
+        : this.#mintCanonicalLeadId(
+            cluster.profile,
+            keys,
+            claimedIds
+          );
+
+    const profile =
+      best
+        ? mergeProfiles(
+            best.profile,
+            cluster.profile
+          )
+        : {
+            ...cluster.profile,
+            firstSeenAt: observedAt
+          };
+
+    profile.lastSeenAt =
+      observedAt;
+
+    this.index.saveEntity(
+      canonicalLeadId,
+      profile,
+      indexKeys(profile)
+    );
+
+    return {
+
+      canonicalLeadId,
+
+      isNew:
+        !best,
+
+      name:
+        profile.name,
+
+      registrationIds:
+        profile.registrationIds,
+
+      domains:
+        profile.domains,
+
+      phones:
+        profile.phones,
+
+      states:
+        profile.states,
+
+      cities:
+        profile.cities,
+
+      recordIndexes:
+        cluster.recordIndexes,
+
+      matches:
+        cluster.matches,
+
+      knownMatch:
+        best
+          ? {
+              score:
+                best.match.score,
+
+              reasons:
+                best.match.reasons
+            }
+          : null,
+
+      ambiguousWith:
+        ambiguous
+          ? tied
+              .map(entity => entity.canonicalLeadId)
+              .filter(id => id !== canonicalLeadId)
+          : [],
+
+      sources:
+        profile.sources
+    };
+  }
+
+  /**
+   * Ids derive from the registration number and state, else from the
+   * normalized name and state, so the same business gets the same id
+   * without the index whichever contact keys a run found. Domain and
+   * phone seed the id only for nameless records. A collision with an
+   * entity that did not match falls back to a random id.
+   */
+  #mintCanonicalLeadId(profile, keys, claimedIds) {
+
+    const seed =
+      keys[0].startsWith("registration:")
+        ? `${keys[0]}|${profile.states[0] || ""}`
+        : profile.compactNames.length > 0
+          ? `name:${profile.compactNames[0]}|${profile.states[0] || ""}`
+          : keys[0];
+
+    const derived =
+      `lead_${hash(seed)}`;
+
+    if (
+      !claimedIds.has(derived) &&
+      !this.index.getEntity(derived)
+    ) {
+      return derived;
+    }
+
+    return `lead_${crypto.randomUUID().replace(/-/g, "").slice(0, 16)}`;
+  }
+}
+
+// ============================================================================
+// RECORD DESCRIPTION
+// ============================================================================
+
+/**
+ * Read the identifying fields of a lead record into a profile.
+ *
+ * Field sources, first present wins:
+ * - name: companyName, entity.companyName, company, prospectName
+ * - registration: registrationId, entity.registrationId, documentNumber
+ * - website: enrichment.website, website, entity.website
+ * - phone: enrichment.businessPhone, phoneNumber, phone, entity.phone
+ * - state / city: location, entity.principalAddress, principalAddress
+ *
+ * @param {Object} record
+ * @param {Object} context
+ * @returns {Object}
+ */
+function describeRecord(
+  record,
+  {
+    source,
+    observedAt
+  }
+) {
+
+  const value =
+    record && typeof record === "object"
+      ? record
+      : {};
+
+  const entity =
+    value.entity || {};
+
+  const address =
+    value.location ||
+    entity.principalAddress ||
+    entity.location ||
+    value.principalAddress ||
+    {};
+
+  const name =
+    firstText(
+      value.companyName,
+      entity.companyName,
+      value.company,
+      value.prospectName
+    );
+
+  const compactName =
+    name
+      ? normalizeCompanyNameTokens(name).join("")
+      : "";
+
+  const registrationId =
+    firstText(
+      value.registrationId,
+      entity.registrationId,
+      value.documentNumber
+    )?.toUpperCase() ||
+    null;
+
+  const domain =
+    websiteDomain(
+      firstText(
+        value.enrichment?.website,
+        value.website,
+        entity.website
+      )
+    );
+
+  const phone =
+    phoneE164(
+      firstText(
+        value.enrichment?.businessPhone,
+        value.phoneNumber,
+        value.phone,
+        entity.phone
+      )
+    );
+
+  const state =
+    /^[A-Za-z]{2}$/.test(String(address.state || value.state || "").trim())
+      ? String(address.state || value.state).trim().toUpperCase()
+      : null;
+
+  const city =
+    firstText(
+      address.city,
+      value.city
+    )?.toLowerCase() ||
+    null;
+
+  const provenance = {
+
+    source:
+      entity.provider ||
+      value.provider ||
+      value.source ||
+      source,
+
+    sourceRecordId:
+      firstText(
+        value.prospectId,
+        value.id != null ? String(value.id) : null
+      ),
+
+    name,
+
+    registrationId,
+
+    domain,
+
+    phone,
+
+    state,
+
+    observedAt
+  };
+
+  return {
+
+    name,
+
+    compactNames:
+      compactName ? [compactName] : [],
+
+    nameTokens:
+      compactName ? normalizeCompanyNameTokens(name) : [],
+
+    registrationIds:
+      registrationId ? [registrationId] : [],
+
+    domains:
+      domain ? [domain] : [],
+
+    phones:
+      phone ? [phone] : [],
+
+    states:
+      state ? [state] : [],
+
+    cities:
+      city ? [city] : [],
+
+    sources:
+      [provenance]
+  };
+}
+
+function firstText(...values) {
+
+  for (const value of values) {
+
+    const text =
+      typeof value === "string"
+        ? value.trim()
+        : "";
+
+    if (
+      text &&
+      text.toUpperCase() !== "N/A"
+    ) {
+      return text;
+    }
+  }
+
+  return null;
+}
+
+function websiteDomain(website) {
+
+  if (!website) {
+    return null;
+  }
+
+  let hostname;
+
+  try {
+
+    hostname =
+      new URL(
+        /^https?:\/\//i.test(website)
+          ? website
+          : `https://${website}`
+      ).hostname
+        .toLowerCase()
+        .replace(/^www\./, "");
+
+  } catch {
+    return null;
+  }
+
+  const shared =
+    SHARED_WEBSITE_HOSTS.some(
+      host =>
+        hostname === host ||
+        hostname.endsWith(`.${host}`)
+    );
+
+  return hostname.includes(".") && !shared
+    ? hostname
+    : null;
+}
+
+function phoneE164(phone) {
+
+  if (!phone) {
+    return null;
+  }
+
+  const parsed =
+    parsePhoneNumber(phone);
+
+  return parsed.valid
+    ? parsed.e164
+    : null;
+}
+
+// ============================================================================
+// BLOCKING KEYS
+// ============================================================================
+
+/**
+ * Keys that put two records in the same block for pair scoring.
+ */
+function blockingKeys(profile) {
+
+  return [
+    ...indexKeys(profile),
+    ...profile.nameTokens
+      .slice(0, 1)
+      .filter(token => token.length >= 3)
+      .map(token => `name-token:${token}`)
+  ];
+}
+
+/**
+ * Keys persisted in the entity index, strongest first.
+ */
+function indexKeys(profile) {
+
+  return [
+    ...profile.registrationIds.map(id => `registration:${id}`),
+    ...profile.domains.map(domain => `domain:${domain}`),
+    ...profile.phones.map(phone => `phone:${phone}`),
+    ...profile.compactNames.map(name => `name:${name}`)
+  ];
+}
+
+// ============================================================================
+// PAIR SCORING
+// ============================================================================
+
+/**
+ * Score whether two profiles describe the same business.
+ *
+ * - A shared registration number matches outright; two different
+ *   registration numbers never match.
+ * - Otherwise name similarity, a shared domain and a shared phone add
+ *   MATCH_WEIGHTS; a value both sides carry but do not share
+ *   subtracts CONFLICT_PENALTIES.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ * { score, matched, nameSimilarity, reasons, conflicts }
+ */
+function scoreMatch(a, b) {
+
+  if (shares(a.registrationIds, b.registrationIds)) {
+
+    return {
+      score: 1,
+      matched: true,
+      nameSimilarity: nameSimilarity(a, b),
+      reasons: ["registration_id"],
+      conflicts: []
+    };
+  }
+
+  if (
+    a.registrationIds.length > 0 &&
+    b.registrationIds.length > 0
+  ) {
+
+    return {
+      score: 0,
+      matched: false,
+      nameSimilarity: nameSimilarity(a, b),
+      reasons: [],
+      conflicts: ["registration_id"]
+    };
+  }
+
+  const similarity =
+    nameSimilarity(a, b);
+
+  const reasons = [];
+
+  const conflicts = [];
+
+  let score =
+    similarity * MATCH_WEIGHTS.name;
+
+  if (similarity === 1) {
+    reasons.push("name_exact");
+  } else if (similarity >= 0.6) {
+    reasons.push("name_similar");
+  }
+
+  for (const [field, key] of [["domains", "domain"], ["phones", "phone"]]) {
+
+    if (shares(a[field], b[field])) {
+
+      score += MATCH_WEIGHTS[key];
+      reasons.push(key);
+
+    } else if (a[field].length > 0 && b[field].length > 0) {
+
+      score -= CONFLICT_PENALTIES[key];
+      conflicts.push(key);
+    }
+  }
+
+  if (disjoint(a.states, b.states)) {
+
+    score -= CONFLICT_PENALTIES.state;
+    conflicts.push("state");
+
+  } else if (disjoint(a.cities, b.cities)) {
+
+    score -= CONFLICT_PENALTIES.city;
+    conflicts.push("city");
+  }
+
+  const rounded =
+    Math.round(
+      Math.min(Math.max(score, 0), 1) * 100
+    ) / 100;
+
+  return {
+    score: rounded,
+    matched: rounded >= MATCH_THRESHOLD,
+    nameSimilarity: similarity,
+    reasons,
+    conflicts
+  };
+}
+
+/**
+ * Best Dice coefficient over character bigrams of the compact
+ * normalized names ("abcroof" for both "ABC Roofing LLC" and
+ * "A.B.C. Roofing").
+ */
+function nameSimilarity(a, b) {
+
+  let best = 0;
+
+  for (const left of a.compactNames) {
+
+    for (const right of b.compactNames) {
+
+      best =
+        Math.max(
+          best,
+          left === right
+            ? 1
+            : diceCoefficient(left, right)
+        );
+    }
+  }
+
+  return Math.round(best * 100) / 100;
+}
+
+function diceCoefficient(left, right) {
+
+  if (left.length < 2 || right.length < 2) {
+    return 0;
+  }
+
+  const bigrams =
+    new Map();
+
+  for (let i = 0; i < left.length - 1; i += 1) {
+
+    const bigram =
+      left.slice(i, i + 2);
+
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+
+  for (let i = 0; i < right.length - 1; i += 1) {
+
+    const bigram =
+      right.slice(i, i + 2);
+
+    if (bigrams.get(bigram) > 0) {
+
+      bigrams.set(bigram, bigrams.get(bigram) - 1);
+      overlap += 1;
+    }
+  }
+
+  return (2 * overlap) / (left.length + right.length - 2);
+}
+
+/**
+ * Whether two of the profiles carry different registration numbers.
+ */
+function hasRegistrationConflict(profiles) {
+
+  const registered =
+    profiles.filter(profile => (profile.registrationIds || []).length > 0);
+
+  return registered.some(
+    (profile, index) =>
+      registered
+        .slice(index + 1)
+        .some(other => disjoint(profile.registrationIds, other.registrationIds))
+  );
+}
+
+function shares(left, right) {
+
+  return left.some(value => right.includes(value));
+}
+
+function disjoint(left, right) {
+
+  return (
+    left.length > 0 &&
+    right.length > 0 &&
+    !shares(left, right)
+  );
+}
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+/**
+ * Cluster profiles whose pairs match, strongest pairs first.
+ *
+ * Two clusters never join when they hold different registration
+ * numbers or different states, so a chain of pairwise matches cannot
+ * merge two legal entities.
+ *
+ * @param {Array<Object>} profiles
+ * @returns {Array<Object>}
+ * [{ recordIndexes, profile, matches }] in first-record order.
+ */
+function clusterProfiles(profiles) {
+
+  const blocks =
+    new Map();
+
+  profiles.forEach(
+    (profile, index) => {
+
+      for (const key of blockingKeys(profile)) {
+
+        if (!blocks.has(key)) {
+          blocks.set(key, []);
+        }
+
+        blocks.get(key).push(index);
+      }
+    }
+  );
+
+  const pairs =
+    new Map();
+
+  for (const members of blocks.values()) {
+
+    if (
+      members.length < 2 ||
+      members.length > MAX_BLOCK_SIZE
+    ) {
+      continue;
+    }
+
+    for (let i = 0; i < members.length; i += 1) {
+
+      for (let j = i + 1; j < members.length; j += 1) {
+
+        const pairKey =
+          `${members[i]}:${members[j]}`;
+
+        if (!pairs.has(pairKey)) {
+
+          pairs.set(
+            pairKey,
+            {
+              recordIndexes:
+                [members[i], members[j]],
+
+              ...scoreMatch(
+                profiles[members[i]],
+                profiles[members[j]]
+              )
+            }
+          );
+        }
+      }
+    }
+  }
+
+  const parents =
+    profiles.map((_, index) => index);
+
+  const find =
+    index => {
+
+      while (parents[index] !== index) {
+
+        parents[index] =
+          parents[parents[index]];
+
+        index =
+          parents[index];
+      }
+
+      return index;
+    };
+
+  const clusters =
+    new Map(
+      profiles.map(
+        (profile, index) => [
+          index,
+          {
+            recordIndexes: [index],
+            profile,
+            matches: []
+          }
+        ]
+      )
+    );
+
+  const matched =
+    [...pairs.values()]
+      .filter(pair => pair.matched);
+
+  /*
+   * A record tied between partners with different registration
+   * numbers is ambiguous; none of those tied pairs join.
+   */
+  const ambiguousPairs =
+    new Set();
+
+  profiles.forEach(
+    (_, index) => {
+
+      const own =
+        matched.filter(pair => pair.recordIndexes.includes(index));
+
+      const bestScore =
+        Math.max(...own.map(pair => pair.score));
+
+      const tied =
+        own.filter(pair => pair.score === bestScore);
+
+      const partners =
+        tied.map(
+          pair =>
+            profiles[
+              pair.recordIndexes[0] === index
+                ? pair.recordIndexes[1]
+                : pair.recordIndexes[0]
+            ]
+        );
+
+      if (hasRegistrationConflict(partners)) {
+        tied.forEach(pair => ambiguousPairs.add(pair));
+      }
+    }
+  );
+
+  const matchedPairs =
+    matched
+      .filter(pair => !ambiguousPairs.has(pair))
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.recordIndexes[0] - b.recordIndexes[0] ||
+          a.recordIndexes[1] - b.recordIndexes[1]
+      );
+
+  for (const pair of matchedPairs) {
+
+    const left =
+      find(pair.recordIndexes[0]);
+
+    const right =
+      find(pair.recordIndexes[1]);
+
+    if (left === right) {
+
+      clusters.get(left).matches.push(
+        describePair(pair)
+      );
+
+      continue;
+    }
+
+    const leftCluster =
+      clusters.get(left);
+
+    const rightCluster =
+      clusters.get(right);
+
+    if (
+      disjoint(leftCluster.profile.registrationIds, rightCluster.profile.registrationIds) ||
+      disjoint(leftCluster.profile.states, rightCluster.profile.states)
+    ) {
+      continue;
+    }
+
+    const [root, child] =
+      left < right
+        ? [left, right]
+        : [right, left];
+
+    parents[child] =
+      root;
+
+    clusters.set(
+      root,
+      {
+        recordIndexes:
+          [
+            ...leftCluster.recordIndexes,
+            ...rightCluster.recordIndexes
+          ].sort((a, b) => a - b),
+
+        profile:
+          mergeProfiles(
+            clusters.get(root).profile,
+            clusters.get(child).profile
+          ),
+
+        matches: [
+          ...leftCluster.matches,
+          ...rightCluster.matches,
+          describePair(pair)
+        ]
+      }
+    );
+
+    clusters.delete(
+      child
+    );
+  }
+
+  return [...clusters.values()]
+    .sort((a, b) => a.recordIndexes[0] - b.recordIndexes[0]);
+}
+
+function describePair(pair) {
+
+  return {
+    recordIndexes: pair.recordIndexes,
+    score: pair.score,
+    reasons: pair.reasons
+  };
+}
+
+// ============================================================================
+// PROFILE MERGING
+// ============================================================================
+
+/**
+ * Union two profiles' keys and provenance.
+ *
+ * The display name stays the base's unless only the addition carries
+ * a registration number: the registered legal name wins.
+ */
+function mergeProfiles(base, addition) {
+
+  const union =
+    field => [
+      ...new Set([
+        ...(base[field] || []),
+        ...(addition[field] || [])
+      ])
+    ];
+
+  const preferAddition =
+    (base.registrationIds || []).length === 0 &&
+    (addition.registrationIds || []).length > 0;
+
+  const sources =
+    new Map();
+
+  for (
+    const entry of [
+      ...(base.sources || []),
+      ...(addition.sources || [])
+    ]
+  ) {
+
+    const key =
+      JSON.stringify([
+        entry.source,
+        entry.sourceRecordId,
+        entry.name,
+        entry.registrationId,
+        entry.domain,
+        entry.phone
+      ]);
+
+    const existing =
+      sources.get(key);
+
+    if (
+      !existing ||
+      String(entry.observedAt) > String(existing.observedAt)
+    ) {
+      sources.set(key, entry);
+    }
+  }
+
+  return {
+
+    ...base,
+
+    name:
+      preferAddition
+        ? addition.name || base.name
+        : base.name || addition.name,
+
+    compactNames:
+      preferAddition
+        ? [...new Set([...addition.compactNames, ...base.compactNames])]
+        : union("compactNames"),
+
+    nameTokens:
+      preferAddition || !(base.nameTokens || []).length
+        ? addition.nameTokens
+        : base.nameTokens,
+
+    registrationIds:
+      union("registrationIds"),
+
+    domains:
+      union("domains"),
+
+    phones:
+      union("phones"),
+
+    states:
+      union("states"),
+
+    cities:
+      union("cities"),
+
+    // Newest observations, capped.
+    sources:
+      [...sources.values()]
+        .sort((a, b) => String(a.observedAt).localeCompare(String(b.observedAt)))
+        .slice(-MAX_PROVENANCE_ENTRIES)
+  };
+}
+
+function hash(value) {
+
+  return crypto
+    .createHash("sha256")
+    .update(value)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// ============================================================================
+// CALLER HELPERS
+// ============================================================================
+
+/**
+ * Keep one record per resolved entity and tag it with its canonical
+ * lead id and merged provenance.
+ *
+ * Returns new objects; the input records are not modified.
+ *
+ * @param {Array<Object>} records
+ * The records passed to resolve().
+ * @param {Object} resolution
+ * resolve() output.
+ * @returns {Array<Object>}
+ * Primary records, in input order, each with canonicalLeadId and
+ * resolution { isNew, knownMatch, mergedRecordCount, sources }.
+ */
+function collapseResolvedRecords(records, resolution) {
+
+  const entities =
+    new Map(
+      resolution.entities.map(
+        entity => [
+          entity.canonicalLeadId,
+          entity
+        ]
+      )
+    );
+
+  return resolution.records
+    .filter(resolved => resolved.primary)
+    .map(
+      resolved => {
+
+        const entity =
+          entities.get(
+            resolved.canonicalLeadId
+          );
+
+        return {
+
+          ...records[resolved.recordIndex],
+
+          canonicalLeadId:
+            resolved.canonicalLeadId,
+
+          resolution:
+            entity
+              ? {
+                  isNew:
+                    entity.isNew,
+
+                  knownMatch:
+                    entity.knownMatch,
+
+                  mergedRecordCount:
+                    entity.recordIndexes.length - 1,
+
+                  sources:
+                    entity.sources
+                }
+              : null
+        };
+      }
+    );
+}
+
+let defaultResolver = null;
+
+/**
+ * Shared resolver over the default entity index.
+ *
+ * @returns {EntityResolver}
+ */
+function getDefaultEntityResolver() {
+
+  if (!defaultResolver) {
+
+    defaultResolver =
+      new EntityResolver();
+  }
+
+  return defaultResolver;
+}
+
+module.exports = {
+  EntityResolver,
+  MATCH_THRESHOLD,
+  collapseResolvedRecords,
+  describeRecord,
+  getDefaultEntityResolver,
+  scoreMatch
+};
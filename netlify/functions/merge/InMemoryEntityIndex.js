@@ -0,0 +1,103 @@
+// /merge/InMemoryEntityIndex.js
+
+/**
+ * InMemoryEntityIndex
+ *
+ * Known lead entities held in process memory.
+ *
+ * Entities survive only as long as the function instance. Canonical
+ * lead ids still hold across restarts (they derive from the
+ * registration number or name and state), but merged keys and
+ * provenance do not. Use SqliteEntityIndex (LEAD_ENTITY_INDEX_DB_PATH)
+ * to keep them.
+ *
+ * INDEX CONTRACT (shared with SqliteEntityIndex):
+ * - findByKeys(keys): entities holding any of the blocking keys, as
+ *   [{ canonicalLeadId, profile }]
+ * - getEntity(canonicalLeadId): { canonicalLeadId, profile } or null
+ * - saveEntity(canonicalLeadId, profile, keys): upsert the profile
+ *   and add each key to the entity. One key may belong to several
+ *   entities: two businesses can share a name or a phone line.
+ *
+ * Values are copied in and out, so callers never share state with the
+ * index.
+ */
+class InMemoryEntityIndex {
+
+  constructor() {
+
+    this.name =
+      "InMemoryEntityIndex";
+
+    // canonicalLeadId -> profile
+    this.entities =
+      new Map();
+
+    // blocking key -> Set(canonicalLeadId)
+    this.keys =
+      new Map();
+  }
+
+  findByKeys(keys) {
+
+    const ids =
+      new Set();
+
+    for (const key of keys) {
+
+      for (const canonicalLeadId of this.keys.get(key) || []) {
+        ids.add(canonicalLeadId);
+      }
+    }
+
+    return [...ids].map(
+      canonicalLeadId =>
+        this.getEntity(
+          canonicalLeadId
+        )
+    );
+  }
+
+  getEntity(canonicalLeadId) {
+
+    const profile =
+      this.entities.get(canonicalLeadId);
+
+    return profile
+      ? {
+          canonicalLeadId,
+          profile: copy(profile)
+        }
+      : null;
+  }
+
+  saveEntity(canonicalLeadId, profile, keys) {
+
+    this.entities.set(
+      canonicalLeadId,
+      copy(profile)
+    );
+
+    for (const key of keys) {
+
+      if (!this.keys.has(key)) {
+        this.keys.set(key, new Set());
+      }
+
+      this.keys.get(key).add(
+        canonicalLeadId
+      );
+    }
+  }
+}
+
+function copy(value) {
+
+  return JSON.parse(
+    JSON.stringify(value)
+  );
+}
+
+module.exports = {
+  InMemoryEntityIndex
+};
@@ -0,0 +1,417 @@
+// /merge/RegistryEntityMerger.js
+
+/**
+ * RegistryEntityMerger
+ *
+ * Merges normalized registry observations from several providers into
+ * one entity per registration (document) number.
+ *
+ * RESPONSIBILITY:
+ * - Group observations by registrationId.
+ * - Select each merged field from the most preferred provider that
+ *   observed a value.
+ * - Preserve per-field, per-provider provenance.
+ * - Flag fields the sources disagree on.
+ *
+ * DOES NOT:
+ * - Query providers.
+ * - Resolve entities that lack a registration number (EntityResolver
+ *   does, after leads are built).
+ * - Decide which source is correct when they disagree.
+ * - Write to the Evidence Ledger.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *   Normalized Observations (per provider)
+ *                 ↓
+ *        RegistryEntityMerger
+ *                 ↓
+ *    Merged Entities + Provenance + Conflicts
+ */
+
+/*
+ * Fields compared across sources for disagreement.
+ *
+ * Each comparator returns a comparable key, or null when the
+ * observation carries no value for the field.
+ */
+const CONFLICT_COMPARATORS = {
+
+  status:
+    entity => {
+
+      const value =
+        String(
+          entity?.status || ""
+        )
+          .trim()
+          .toUpperCase();
+
+      return value &&
+        value !== "UNKNOWN"
+        ? value
+        : null;
+    },
+
+  principalAddress:
+    entity => {
+
+      const address =
+        entity?.principalAddress ||
+        entity?.location ||
+        null;
+
+      if (
+        !address ||
+        typeof address !== "object"
+      ) {
+        return null;
+      }
+
+      const parts = {
+
+        line1:
+          normalizeAddressPart(
+            address.line1
+          ),
+
+        city:
+          normalizeAddressPart(
+            address.city
+          ),
+
+        zip:
+          address.zip
+            ? String(address.zip)
+                .trim()
+                .slice(0, 5)
+            : null
+      };
+
+      return Object.values(parts)
+        .some(Boolean)
+        ? parts
+        : null;
+    }
+};
+
+/*
+ * Fields describing the merge itself rather than the entity.
+ */
+const NON_MERGED_FIELDS = [
+  "provider",
+  "retrievedAt",
+  "sourceUrl"
+];
+
+function normalizeAddressPart(value) {
+
+  const normalized =
+    String(
+      value || ""
+    )
+      .toLowerCase()
+      .replace(/[.,#]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  return normalized || null;
+}
+
+function hasValue(value) {
+
+  if (
+    value === null ||
+    value === undefined
+  ) {
+    return false;
+  }
+
+  if (
+    typeof value === "string"
+  ) {
+    return value.trim().length > 0;
+  }
+
+  return true;
+}
+
+/**
+ * Two address keys disagree only on components both sources observed.
+ * A missing component is an observation gap, not a conflict.
+ */
+function addressKeysDisagree(
+  left,
+  right
+) {
+
+  return [
+    "line1",
+    "city",
+    "zip"
+  ].some(
+    part =>
+      left[part] &&
+      right[part] &&
+      left[part] !== right[part]
+  );
+}
+
+class RegistryEntityMerger {
+
+  /**
+   * Merge normalized observations.
+   *
+   * Observations must be supplied in provider preference order.
+   *
+   * @param {Array<Object>} observations
+   * Each: { provider, raw, normalized, sourceUrl }
+   * @returns {Array<Object>}
+   * Each: { mergeKey, entity, observations }
+   */
+  merge(observations = []) {
+
+    if (
+      !Array.isArray(observations)
+    ) {
+
+      throw new Error(
+        "RegistryEntityMerger.merge requires an array of observations."
+      );
+    }
+
+    const groups =
+      new Map();
+
+    observations.forEach(
+      (observation, index) => {
+
+        const registrationId =
+          String(
+            observation?.normalized?.registrationId ||
+            ""
+          )
+            .replace(/\s+/g, "")
+            .toUpperCase();
+
+        /*
+         * Without a document number there is no authoritative
+         * join key. Keep the observation as its own entity.
+         */
+        const mergeKey =
+          registrationId
+            ? `registration:${registrationId}`
+            : `unkeyed:${observation?.provider || "UNKNOWN"}:${index}`;
+
+        if (
+          !groups.has(mergeKey)
+        ) {
+
+          groups.set(
+            mergeKey,
+            []
+          );
+        }
+
+        groups
+          .get(mergeKey)
+          .push(
+            observation
+          );
+      }
+    );
+
+    return [
+      ...groups.entries()
+    ].map(
+      ([mergeKey, group]) => ({
+
+        mergeKey,
+
+        entity:
+          this.mergeGroup(
+            group
+          ),
+
+        observations:
+          group
+      })
+    );
+  }
+
+  /**
+   * Merge one group of observations sharing a registration number.
+   *
+   * @param {Array<Object>} group
+   * @returns {Object}
+   */
+  mergeGroup(group) {
+
+    const merged = {};
+    const fieldProvenance = {};
+
+    for (
+      const observation of group
+    ) {
+
+      const normalized =
+        observation.normalized ||
+        {};
+
+      for (
+        const [field, value]
+        of Object.entries(normalized)
+      ) {
+
+        if (
+          NON_MERGED_FIELDS.includes(field) ||
+          !hasValue(value)
+        ) {
+          continue;
+        }
+
+        if (
+          !fieldProvenance[field]
+        ) {
+
+          fieldProvenance[field] =
+            [];
+        }
+
+        fieldProvenance[field].push({
+
+          provider:
+            observation.provider,
+
+          value
+        });
+
+        /*
+         * Earlier providers are preferred.
+         */
+        if (
+          !hasValue(
+            merged[field]
+          )
+        ) {
+
+          merged[field] =
+            value;
+        }
+      }
+    }
+
+    return {
+
+      ...merged,
+
+      provider:
+        group[0].provider,
+
+      sources:
+        [
+          ...new Set(
+            group.map(
+              observation =>
+                observation.provider
+            )
+          )
+        ],
+
+      fieldProvenance,
+
+      conflicts:
+        this.detectConflicts(
+          group
+        )
+    };
+  }
+
+  /**
+   * Flag fields the sources disagree on.
+   *
+   * @param {Array<Object>} group
+   * @returns {Array<Object>}
+   */
+  detectConflicts(group) {
+
+    if (
+      group.length < 2
+    ) {
+      return [];
+    }
+
+    const conflicts = [];
+
+    for (
+      const [field, comparator]
+      of Object.entries(CONFLICT_COMPARATORS)
+    ) {
+
+      const observed =
+        group
+          .map(
+            observation => ({
+
+              provider:
+                observation.provider,
+
+              key:
+                comparator(
+                  observation.normalized
+                ),
+
+              value:
+                field === "principalAddress"
+                  ? observation.normalized?.principalAddress ||
+                    observation.normalized?.location ||
+                    null
+                  : observation.normalized?.[field] ??
+                    null
+            })
+          )
+          .filter(
+            item =>
+              item.key !== null
+          );
+
+      const disagree =
+        observed.some(
+          (left, leftIndex) =>
+            observed
+              .slice(leftIndex + 1)
+              .some(
+                right =>
+                  typeof left.key === "object"
+                    ? addressKeysDisagree(
+                        left.key,
+                        right.key
+                      )
+                    : left.key !== right.key
+              )
+        );
+
+      if (disagree) {
+
+        conflicts.push({
+
+          field,
+
+          values:
+            observed.map(
+              ({ provider, value }) => ({
+                provider,
+                value
+              })
+            )
+        });
+      }
+    }
+
+    return conflicts;
+  }
+}
+
+module.exports = {
+  RegistryEntityMerger
+};
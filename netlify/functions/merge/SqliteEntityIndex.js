@@ -0,0 +1,230 @@
+// /merge/SqliteEntityIndex.js
+
+/**
+ * SqliteEntityIndex
+ *
+ * Persistent known-entity index for EntityResolver.
+ *
+ * RESPONSIBILITY:
+ * - Persist each canonical lead entity's merged profile and
+ *   provenance.
+ * - Persist the blocking keys that lead to each entity, so later runs
+ *   and other sources resolve to the same canonical lead id.
+ *
+ * DOES NOT:
+ * - Decide matches (EntityResolver does).
+ * - Store leads or evidence (the pipeline and the Evidence Ledger do).
+ *
+ * Drop-in replacement for InMemoryEntityIndex; see its header for the
+ * index contract.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+class SqliteEntityIndex {
+
+  constructor({
+    databasePath =
+      process.env.LEAD_ENTITY_INDEX_DB_PATH ||
+      path.join(
+        process.cwd(),
+        "data",
+        "lead-entities.db"
+      )
+  } = {}) {
+
+    this.name =
+      "SqliteEntityIndex";
+
+    this.databasePath =
+      databasePath;
+
+    fs.mkdirSync(
+      path.dirname(
+        this.databasePath
+      ),
+      {
+        recursive: true
+      }
+    );
+
+    this.db =
+      new Database(
+        this.databasePath
+      );
+
+    this.db.pragma(
+      "journal_mode = WAL"
+    );
+
+    this.initializeSchema();
+
+    this.prepareStatements();
+  }
+
+  // ==========================================================================
+  // SCHEMA
+  // ==========================================================================
+
+  initializeSchema() {
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS lead_entities (
+
+        canonical_lead_id TEXT PRIMARY KEY,
+
+        profile TEXT NOT NULL,
+
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS lead_entity_keys (
+
+        blocking_key TEXT NOT NULL,
+
+        canonical_lead_id TEXT NOT NULL
+          REFERENCES lead_entities(canonical_lead_id),
+
+        PRIMARY KEY (blocking_key, canonical_lead_id)
+      );
+    `);
+  }
+
+  // ==========================================================================
+  // PREPARED STATEMENTS
+  // ==========================================================================
+
+  prepareStatements() {
+
+    this.selectEntityStatement =
+      this.db.prepare(`
+        SELECT canonical_lead_id, profile
+        FROM lead_entities
+        WHERE canonical_lead_id = ?
+      `);
+
+    this.selectIdsByKeyStatement =
+      this.db.prepare(`
+        SELECT canonical_lead_id
+        FROM lead_entity_keys
+        WHERE blocking_key = ?
+      `);
+
+    this.upsertEntityStatement =
+      this.db.prepare(`
+        INSERT INTO lead_entities (
+
+          canonical_lead_id,
+          profile,
+          updated_at
+
+        )
+
+        VALUES (
+
+          @canonicalLeadId,
+          @profile,
+          @updatedAt
+
+        )
+
+        ON CONFLICT(canonical_lead_id) DO UPDATE SET
+          profile = excluded.profile,
+          updated_at = excluded.updated_at
+      `);
+
+    this.insertKeyStatement =
+      this.db.prepare(`
+        INSERT OR IGNORE INTO lead_entity_keys (
+          blocking_key,
+          canonical_lead_id
+        )
+        VALUES (?, ?)
+      `);
+
+    this.saveEntityTransaction =
+      this.db.transaction(
+        (canonicalLeadId, profile, keys) => {
+
+          this.upsertEntityStatement.run({
+            canonicalLeadId,
+
+            profile:
+              JSON.stringify(profile),
+
+            updatedAt:
+              new Date().toISOString()
+          });
+
+          for (const key of keys) {
+
+            this.insertKeyStatement.run(
+              key,
+              canonicalLeadId
+            );
+          }
+        }
+      );
+  }
+
+  // ==========================================================================
+  // INDEX CONTRACT
+  // ==========================================================================
+
+  findByKeys(keys) {
+
+    const ids =
+      new Set();
+
+    for (const key of keys) {
+
+      for (
+        const row of this.selectIdsByKeyStatement.all(key)
+      ) {
+        ids.add(row.canonical_lead_id);
+      }
+    }
+
+    return [...ids]
+      .map(canonicalLeadId => this.getEntity(canonicalLeadId))
+      .filter(Boolean);
+  }
+
+  getEntity(canonicalLeadId) {
+
+    const row =
+      this.selectEntityStatement.get(
+        canonicalLeadId
+      );
+
+    return row
+      ? {
+          canonicalLeadId:
+            row.canonical_lead_id,
+
+          profile:
+            JSON.parse(row.profile)
+        }
+      : null;
+  }
+
+  saveEntity(canonicalLeadId, profile, keys) {
+
+    this.saveEntityTransaction(
+      canonicalLeadId,
+      profile,
+      keys
+    );
+  }
+
+  close() {
+
+    this.db.close();
+  }
+}
+
+module.exports = {
+  SqliteEntityIndex
+};
@@ -0,0 +1,82 @@
+// /merge/createEntityIndex.js
+
+const {
+  InMemoryEntityIndex
+} = require("./InMemoryEntityIndex.js");
+
+/*
+ * One index per database path (or one in-memory index per instance),
+ * so every request a warm instance serves resolves against the same
+ * known entities.
+ */
+const indexes =
+  new Map();
+
+/**
+ * Build the known-entity index used by EntityResolver when none is
+ * injected.
+ *
+ * - When LEAD_ENTITY_INDEX_DB_PATH is set, entities persist in
+ *   SqliteEntityIndex, so merged keys and provenance hold across runs
+ *   and restarts. The module is required lazily because it depends on
+ *   better-sqlite3, which is not present in every runtime.
+ * - Otherwise entities live in an InMemoryEntityIndex for the life of
+ *   the function instance. Canonical lead ids are derived, not stored,
+ *   so they are stable either way.
+ *
+ * @param {Object} [env]
+ * @returns {Object}
+ */
+function createEntityIndex(
+  env = process.env
+) {
+
+  const databasePath =
+    env.LEAD_ENTITY_INDEX_DB_PATH ||
+    null;
+
+  const key =
+    databasePath ||
+    ":memory:";
+
+  if (
+    indexes.has(
+      key
+    )
+  ) {
+
+    return indexes.get(
+      key
+    );
+  }
+
+  let index;
+
+  if (databasePath) {
+
+    const {
+      SqliteEntityIndex
+    } = require("./SqliteEntityIndex.js");
+
+    index =
+      new SqliteEntityIndex({
+        databasePath
+      });
+
+  } else {
+
+    index =
+      new InMemoryEntityIndex();
+  }
+
+  indexes.set(
+    key,
+    index
+  );
+
+  return index;
+}
+
+module.exports = {
+  createEntityIndex
+};
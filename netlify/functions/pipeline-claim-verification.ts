@@ -0,0 +1,292 @@
+import { ClaimType } from "./pipeline-contract.js";
+import { mentionsEntity } from "./pipeline-fact-extraction.js";
+
+// ============================================================================
+// DETERMINISTIC CLAIM VERIFICATION (PHASE 4)
+// ============================================================================
+//
+// Reads a draft sentence the way a skeptical reviewer would, without
+// trusting its declared claim type:
+//
+// - Coreference: a sentence is about the prospect when it names the company
+//   (or a person from its facts), or uses company anaphora ("they", "their",
+//   "the company") that has no other plausible antecedent in the sentence.
+//   Second-person references ("you", "your team") count only when the
+//   sentence also asserts an event, number or date.
+// - Claims: numbers (including spelled-out and scaled: "$12.5 million",
+//   "three"), dates ("March 3", "3/3/2026", "Q1 2026", "last week"),
+//   identifiers ("Form LA-2026", "10-K") and superlatives ("the largest").
+// - Support: every claim must appear in the evidence the sentence is bound
+//   to (a fact's evidence span, or the offer's capabilities).
+//
+// Matching is by normalized value, not wording, so "$12,500,000" supports
+// "$12.5 million" and "3/14/2026" supports "March 14".
+// ============================================================================
+
+export type ClaimVerificationReasonCode = "NUMERIC_CLAIM_UNSUPPORTED" | "DATE_CLAIM_UNSUPPORTED" | "UNSUPPORTED_SUPERLATIVE";
+
+export interface SentenceAnalysis {
+  prospectReference: "name" | "anaphora" | "second_person" | null;
+  assertsProspectEvent: boolean;
+  offerReference: boolean;
+  independentType: ClaimType;
+  detectedEntities: string[];
+}
+
+export interface UnsupportedClaim {
+  reasonCode: ClaimVerificationReasonCode;
+  claim: string;
+}
+
+// ----------------------------------------------------------------------------
+// Vocabularies
+// ----------------------------------------------------------------------------
+
+const COMPANY_ANAPHORA_PATTERN =
+  /\b(?:they|them|their|theirs|the (?:company|firm|business|team|agency|practice|group|owners?))\b/i;
+
+// A plural noun phrase before the pronoun gives "they" another antecedent:
+// "Most roofers say they are busy."
+const OTHER_ANTECEDENT_PATTERN =
+  /\b(?:many|most|some|other|all|these|those|few|several|both|\w+'s)\s+(?:\w+\s+)?\w+s\b[^.!?]*?\b(?:they|them|their|theirs)\b/i;
+
+const SECOND_PERSON_PATTERN = /\b(?:you|your|yours|yourself|y'all)\b/i;
+
+const EVENT_VERB_PATTERN =
+  /\b(?:filed|submitted|registered|obtained|received|renewed|hired|appointed|named|promoted|joined|raised|grew|expanded|opened|launched|acquired|deployed|adopted|implemented|migrated|switched|rolled out|won|awarded|signed|announced|relocated|secured|added|reached|doubled|tripled|closed|completed|(?:are|is|were|was) (?:hiring|expanding|opening|launching|relocating|acquiring))\b/i;
+
+const SENDER_OFFER_PATTERN =
+  /\b(?:we|our|us)\b[^.!?]*\b(?:help|helps|offer|offers|provide|provides|deliver|delivers|specialize|specializes|guarantee|guarantees|save|saves|reduce|reduces|increase|increases|automate|automates|handle|handles)\b/i;
+
+const STOP_WORDS = new Set(["with", "from", "that", "this", "your", "their", "they", "into", "over", "more", "than", "have", "will", "about", "for", "and", "the"]);
+
+const SPELLED_NUMBERS: Record<string, number> = {
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+  thirty: 30, forty: 40, fifty: 50, hundred: 100, dozen: 12,
+};
+
+const SCALES: Record<string, number> = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, b: 1e9 };
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Letters and digits joined by hyphens: "LA-2026", "10-K", "UCC-1".
+const IDENTIFIER_PATTERN = /\b(?=[A-Za-z0-9-]*\d)(?=[A-Za-z0-9-]*[A-Za-z])[A-Za-z0-9]+(?:-[A-Za-z0-9]+)+\b/g;
+
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+const US_DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/g;
+
+// Case-sensitive so the modal "may" is not a month; "May" alone still needs a day or year.
+const MONTH_DATE_PATTERN =
+  /\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\b\.?(?:\s+(\d{1,2})(?:st|nd|rd|th)?\b)?(?:,?\s+(\d{4})\b)?/g;
+
+const QUARTER_PATTERN = /\bQ([1-4])(?:\s+(\d{4}))?\b/g;
+const YEAR_PATTERN = /\b(19\d{2}|20\d{2})\b/g;
+const RELATIVE_DATE_PATTERN = /\b(?:yesterday|last (?:week|month|year|quarter)|earlier this (?:week|month|year))\b/gi;
+
+const NUMBER_PATTERN =
+  /\$?\b(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?:\s*(thousand|million|billion)\b|([kKmMbB])\b)?(\s*%|\s*percent\b)?/g;
+
+const SPELLED_NUMBER_PATTERN = new RegExp(`\\b(${Object.keys(SPELLED_NUMBERS).join("|")})\\b`, "gi");
+
+const SUPERLATIVE_WORDS =
+  "best|biggest|largest|fastest(?:-growing)?|greatest|highest|lowest|cheapest|oldest|newest|only|most \\w+";
+
+const SUPERLATIVE_PATTERN = new RegExp(
+  `(?:\\bthe|'s)\\s+(?:${SUPERLATIVE_WORDS})\\b|\\b(?:a|the) leading\\b|\\b(?:number one|top-rated|top-ranked|industry-leading|world-class|best-in-class|unmatched|unrivaled)\\b|#1\\b`,
+  "gi"
+);
+
+// ----------------------------------------------------------------------------
+// Sentence analysis
+// ----------------------------------------------------------------------------
+
+/**
+ * Resolve who a sentence is about and what kind of claim it makes,
+ * independently of what the draft declares.
+ */
+export function analyzeSentence(
+  sentence: string,
+  context: { entityName: string; personNames: string[]; offerCapabilities: string[] }
+): SentenceAnalysis {
+  const namedPeople = context.personNames.filter((name) => name !== context.entityName && sentence.includes(name));
+
+  // Short forms count: "Acme" names "Acme Roofing LLC".
+  const namesProspect = mentionsEntity(sentence, context.entityName) || namedPeople.length > 0;
+  const anaphora = COMPANY_ANAPHORA_PATTERN.test(sentence) && !OTHER_ANTECEDENT_PATTERN.test(sentence);
+  const secondPerson = SECOND_PERSON_PATTERN.test(sentence);
+
+  const prospectReference = namesProspect ? "name" : anaphora ? "anaphora" : secondPerson ? "second_person" : null;
+  // A number or date in a question ("Do you have 10 minutes?") asserts nothing.
+  const { numbers, dates } = sentence.endsWith("?") ? { numbers: [], dates: [] } : extractClaims(sentence);
+  const assertsProspectEvent =
+    prospectReference !== null && (EVENT_VERB_PATTERN.test(sentence) || numbers.length > 0 || dates.length > 0);
+
+  const offerReference =
+    SENDER_OFFER_PATTERN.test(sentence) ||
+    context.offerCapabilities.some((capability) => overlapsCapability(sentence, capability));
+
+  let independentType: ClaimType;
+  if (prospectReference === "name" || assertsProspectEvent) {
+    independentType = "PROSPECT_FACT";
+  } else if (offerReference) {
+    independentType = "OFFER_CLAIM";
+  } else if (prospectReference === "anaphora") {
+    independentType = "PROSPECT_INTERPRETATION";
+  } else {
+    independentType = "GENERAL_CONTEXT";
+  }
+
+  return {
+    prospectReference,
+    assertsProspectEvent,
+    offerReference,
+    independentType,
+    detectedEntities: prospectReference === "name" || prospectReference === "anaphora" ? [context.entityName, ...namedPeople] : [],
+  };
+}
+
+/**
+ * First number, date or superlative in text that the evidence does not
+ * contain, checked in that order. Empty evidence supports nothing.
+ */
+export function findUnsupportedClaim(text: string, evidenceText: string): UnsupportedClaim | null {
+  const claims = extractClaims(text);
+  const evidence = extractClaims(evidenceText);
+  const evidenceLower = evidenceText.toLowerCase();
+
+  const numberKeys = new Set(evidence.numbers.map((claim) => claim.key));
+  const number = claims.numbers.find((claim) => !numberKeys.has(claim.key));
+  if (number) {
+    return { reasonCode: "NUMERIC_CLAIM_UNSUPPORTED", claim: number.text };
+  }
+
+  const dateKeys = new Set(evidence.dates.flatMap((claim) => claim.keys));
+  const date = claims.dates.find((claim) => !claim.keys.every((key) => dateKeys.has(key)));
+  if (date) {
+    return { reasonCode: "DATE_CLAIM_UNSUPPORTED", claim: date.text };
+  }
+
+  const superlative = claims.superlatives.find((claim) => !evidenceLower.includes(claim.key));
+  if (superlative) {
+    return { reasonCode: "UNSUPPORTED_SUPERLATIVE", claim: superlative.text };
+  }
+
+  return null;
+}
+
+// ----------------------------------------------------------------------------
+// Claim extraction
+// ----------------------------------------------------------------------------
+
+interface NumberClaim {
+  text: string;
+  key: string; // "identifier:la-2026", "12500000", "20%"
+}
+
+interface DateClaim {
+  text: string;
+  keys: string[]; // every component the claim asserts: "y:2026", "m:3", "md:3-14", "q:1", "rel:last week"
+}
+
+interface SuperlativeClaim {
+  text: string;
+  key: string; // the superlative itself, lowercased: "largest"
+}
+
+function extractClaims(text: string): { numbers: NumberClaim[]; dates: DateClaim[]; superlatives: SuperlativeClaim[] } {
+  const numbers: NumberClaim[] = [];
+  const dates: DateClaim[] = [];
+  const superlatives: SuperlativeClaim[] = [];
+
+  // Extracted spans are blanked so later patterns do not re-read them:
+  // "2026" in "Form LA-2026" is not a year, "14" in "March 14" not a count.
+  let remaining = text;
+  const consume = (pattern: RegExp, onMatch: (match: RegExpExecArray) => void) => {
+    remaining = remaining.replace(pattern, (...args) => {
+      const match = args.slice(0, -2) as unknown as RegExpExecArray;
+      onMatch(match);
+      return " ".repeat(String(args[0]).length);
+    });
+  };
+
+  consume(SUPERLATIVE_PATTERN, (match) => {
+    const key = match[0].toLowerCase().replace(/^(?:the|'s|a)\s+/, "");
+    superlatives.push({ text: match[0], key });
+  });
+
+  consume(IDENTIFIER_PATTERN, (match) => {
+    numbers.push({ text: match[0], key: `identifier:${match[0].toLowerCase()}` });
+  });
+
+  consume(ISO_DATE_PATTERN, (match) => {
+    dates.push({ text: match[0], keys: dayKeys(Number(match[2]), Number(match[3]), Number(match[1])) });
+  });
+
+  consume(US_DATE_PATTERN, (match) => {
+    const year = match[3]!.length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    dates.push({ text: match[0], keys: dayKeys(Number(match[1]), Number(match[2]), year) });
+  });
+
+  consume(MONTH_DATE_PATTERN, (match) => {
+    const month = MONTHS.indexOf(match[1]!.slice(0, 3).toLowerCase()) + 1;
+    const day = match[2] ? Number(match[2]) : undefined;
+    const year = match[3] ? Number(match[3]) : undefined;
+
+    if (match[1] === "May" && day === undefined && year === undefined) {
+      return;
+    }
+
+    dates.push({ text: match[0], keys: day !== undefined ? dayKeys(month, day, year) : [`m:${month}`, ...(year ? [`y:${year}`] : [])] });
+  });
+
+  consume(QUARTER_PATTERN, (match) => {
+    dates.push({ text: match[0], keys: [`q:${match[1]}`, ...(match[2] ? [`y:${match[2]}`] : [])] });
+  });
+
+  consume(YEAR_PATTERN, (match) => {
+    dates.push({ text: match[0], keys: [`y:${match[1]}`] });
+  });
+
+  consume(RELATIVE_DATE_PATTERN, (match) => {
+    dates.push({ text: match[0], keys: [`rel:${match[0].toLowerCase()}`] });
+  });
+
+  consume(NUMBER_PATTERN, (match) => {
+    const value = Number(match[1]!.replace(/,/g, ""));
+    const scale = SCALES[(match[2] ?? match[3] ?? "").toLowerCase()] ?? 1;
+    numbers.push({ text: match[0].trim(), key: match[4] ? `${value}%` : String(value * scale) });
+  });
+
+  consume(SPELLED_NUMBER_PATTERN, (match) => {
+    numbers.push({ text: match[0], key: String(SPELLED_NUMBERS[match[1]!.toLowerCase()]) });
+  });
+
+  return { numbers, dates, superlatives };
+}
+
+function dayKeys(month: number, day: number, year?: number): string[] {
+  return [`m:${month}`, `md:${month}-${day}`, ...(year ? [`y:${year}`] : [])];
+}
+
+/**
+ * True when at least half of a capability's content words (light-stemmed)
+ * appear in the sentence, so paraphrases of the offer are recognized.
+ */
+function overlapsCapability(sentence: string, capability: string): boolean {
+  const sentenceStems = new Set(contentStems(sentence));
+  const capabilityStems = contentStems(capability);
+
+  if (capabilityStems.length === 0) {
+    return false;
+  }
+
+  const shared = capabilityStems.filter((stem) => sentenceStems.has(stem)).length;
+  return shared * 2 >= capabilityStems.length;
+}
+
+function contentStems(text: string): string[] {
+  return (text.toLowerCase().match(/[a-z]+/g) ?? [])
+    .filter((word) => word.length >= 4 && !STOP_WORDS.has(word))
+    .map((word) => word.replace(/(?:ing|ed|es|s)$/, ""));
+}
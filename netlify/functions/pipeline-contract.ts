@@ -11,11 +11,28 @@ export const RawSignalInputSchema = z.object({
   rawText: z.string().min(1),
   entityName: z.string().min(1),
   jurisdiction: z.string().optional(),
+  providerName: z.string().min(1).optional(),
 });
 export type RawSignalInput = z.infer<typeof RawSignalInputSchema>;
 
+// Provider name used for signal identity when the input names none.
+export const DEFAULT_SIGNAL_PROVIDER = "WebSignal";
+
+export type FactType = "regulatory_filing" | "personnel_change" | "scale_metric" | "technology_adoption";
+
+export interface ExtractedFact {
+  factId: string; // "fact_01", "fact_02", ... in text order
+  factType: FactType;
+  subject: string;
+  roleOrEvent: string;
+  isDirectFact: boolean;
+  evidenceReference: string; // exact sentence from rawText
+  evidenceSpan: { start: number; end: number }; // rawText.slice(start, end) === evidenceReference
+}
+
 export interface Phase1SignalRecord {
-  inputSignalId: string;
+  inputSignalId: string; // deriveInputSignalId(providerName, contentHash)
+  providerName: string;
   sourceUrl: string;
   publishedAt: string;
   rawText: string;
@@ -25,14 +42,7 @@ export interface Phase1SignalRecord {
   };
   contentHash: string; // "sha256_..."
   signalRecordHash: string; // "sha256_..."
-  extractedFacts: Array<{
-    factId: string;
-    factType: "regulatory_filing" | "personnel_change" | "scale_metric" | "technology_adoption";
-    subject: string;
-    roleOrEvent: string;
-    isDirectFact: boolean;
-    evidenceReference: string;
-  }>;
+  extractedFacts: ExtractedFact[];
 }
 
 export interface Phase1ValidationResult {
@@ -75,6 +85,79 @@ export interface GenerationContextBinding {
   scoringConfigHash: string;
 }
 
+export type ClaimType = "PROSPECT_FACT" | "PROSPECT_INTERPRETATION" | "OFFER_CLAIM" | "GENERAL_CONTEXT";
+
+export type OutreachChannel = "email" | "linkedin_connection_note" | "sms" | "voicemail" | "call_opener";
+
+// Structural and traceability limits per channel. Phase 3 drafts within
+// them; Phase 4 rejects drafts that break them.
+export interface ChannelConstraints {
+  maxCharacters: number; // bodyText length
+  maxCharactersNonGsm?: number; // SMS: one UCS-2 segment when any character is outside GSM-7
+  maxSentences: number; // hard cap; generationPolicy.maxSentenceCount can only lower it
+  subjectLine: "required" | "forbidden";
+  allowLinks: boolean;
+  spoken: boolean; // read aloud, so no URLs, emails or symbols a caller cannot say
+  permittedClaimTypes: ClaimType[];
+  maxOfferClaims: number;
+  endsWithQuestion: boolean; // last sentence asks the prospect something
+}
+
+export const CHANNEL_CONSTRAINTS: Record<OutreachChannel, ChannelConstraints> = {
+  email: {
+    maxCharacters: 1200,
+    maxSentences: 8,
+    subjectLine: "required",
+    allowLinks: true,
+    spoken: false,
+    permittedClaimTypes: ["PROSPECT_FACT", "PROSPECT_INTERPRETATION", "OFFER_CLAIM", "GENERAL_CONTEXT"],
+    maxOfferClaims: 3,
+    endsWithQuestion: false,
+  },
+  linkedin_connection_note: {
+    maxCharacters: 300,
+    maxSentences: 3,
+    subjectLine: "forbidden",
+    allowLinks: false,
+    spoken: false,
+    // Connection notes open a conversation; they do not pitch.
+    permittedClaimTypes: ["PROSPECT_FACT", "PROSPECT_INTERPRETATION", "GENERAL_CONTEXT"],
+    maxOfferClaims: 0,
+    endsWithQuestion: false,
+  },
+  sms: {
+    maxCharacters: 160,
+    maxCharactersNonGsm: 70,
+    maxSentences: 2,
+    subjectLine: "forbidden",
+    allowLinks: false,
+    spoken: false,
+    permittedClaimTypes: ["PROSPECT_FACT", "OFFER_CLAIM", "GENERAL_CONTEXT"],
+    maxOfferClaims: 1,
+    endsWithQuestion: false,
+  },
+  voicemail: {
+    maxCharacters: 450, // about 30 seconds spoken
+    maxSentences: 5,
+    subjectLine: "forbidden",
+    allowLinks: false,
+    spoken: true,
+    permittedClaimTypes: ["PROSPECT_FACT", "PROSPECT_INTERPRETATION", "OFFER_CLAIM", "GENERAL_CONTEXT"],
+    maxOfferClaims: 1,
+    endsWithQuestion: false,
+  },
+  call_opener: {
+    maxCharacters: 300,
+    maxSentences: 3,
+    subjectLine: "forbidden",
+    allowLinks: false,
+    spoken: true,
+    permittedClaimTypes: ["PROSPECT_FACT", "OFFER_CLAIM", "GENERAL_CONTEXT"],
+    maxOfferClaims: 1,
+    endsWithQuestion: true,
+  },
+};
+
 export interface DraftGenerationInput {
   binding: GenerationContextBinding;
   lead: {
@@ -96,16 +179,16 @@ export interface DraftGenerationInput {
     permittedCapabilities: string[];
   };
   generationPolicy: {
-    permittedClaimTypes: Array<"PROSPECT_FACT" | "PROSPECT_INTERPRETATION" | "OFFER_CLAIM" | "GENERAL_CONTEXT">;
+    permittedClaimTypes: ClaimType[];
     maxSentenceCount: number;
-    channel: "email";
+    channel: OutreachChannel;
   };
 }
 
 export interface UntrustedTraceabilityDeclaration {
   sentenceIndex: number;
   sentence: string;
-  declaredClaimType: "PROSPECT_FACT" | "PROSPECT_INTERPRETATION" | "OFFER_CLAIM" | "GENERAL_CONTEXT";
+  declaredClaimType: ClaimType;
   declaredMappedFactId: string | null;
   declaredEvidenceReference: string | null;
 }
@@ -113,7 +196,8 @@ export interface UntrustedTraceabilityDeclaration {
 export interface CandidateDraft {
   draftId: string;
   generatedAt: string;
-  subjectLine?: string;
+  channel: OutreachChannel;
+  subjectLine?: string; // email only
   bodyText: string;
   traceabilityMap: UntrustedTraceabilityDeclaration[];
   generatorMetadata: {
@@ -132,6 +216,51 @@ export interface CandidateDraftEnvelope {
   draft: CandidateDraft;
 }
 
+// Model seam for generatePhase3. Injected so callers choose the model (and
+// its deadline) and tests can run against a local stub.
+export interface DraftModelRequest {
+  systemInstruction: string;
+  prompt: string;
+  temperature: number;
+}
+
+export interface DraftModelClient {
+  modelId: string;
+  generate(request: DraftModelRequest): Promise<string>; // raw model text
+}
+
+// What the model must return; anything else is DRAFT_MODEL_OUTPUT_INVALID.
+export const DraftModelOutputSchema = z.object({
+  subjectLine: z.string().trim().min(1).optional(),
+  sentences: z
+    .array(
+      z.object({
+        text: z.string().trim().min(1),
+        claimType: z.enum(["PROSPECT_FACT", "PROSPECT_INTERPRETATION", "OFFER_CLAIM", "GENERAL_CONTEXT"]),
+        factId: z.string().nullable().optional(),
+      })
+    )
+    .min(1),
+});
+export type DraftModelOutput = z.infer<typeof DraftModelOutputSchema>;
+
+export type DraftGenerationErrorCode = "DRAFT_MODEL_OUTPUT_INVALID" | "DRAFT_POLICY_VIOLATION";
+
+// Why an earlier attempt was not accepted; sent back to the model on retry.
+export interface DraftRegenerationFeedback {
+  attempt: number;
+  primaryReasonCode: RejectionReasonCode | DraftGenerationErrorCode;
+  failingSentenceIndex?: number;
+  detailedDescription: string;
+}
+
+export interface AuthorizedDraftResult {
+  envelope: CandidateDraftEnvelope | null; // last draft produced, if any
+  decision: AuthorizationDecision | null; // Phase 4 decision on that draft
+  attempts: number;
+  feedback: DraftRegenerationFeedback[];
+}
+
 // ============================================================================
 // PHASE 4 CONTRACTS
 // ============================================================================
@@ -147,13 +276,27 @@ export type RejectionReasonCode =
   | "EVIDENCE_SUBSTRING_NOT_FOUND"
   | "ENTAILMENT_FAILURE_PROSPECT_FACT"
   | "OFFER_CAPABILITY_UNAUTHORIZED"
-  | "NLI_SERVICE_FAILURE";
+  | "NLI_SERVICE_FAILURE"
+  | "CHANNEL_MISMATCH"
+  | "CHANNEL_SUBJECT_LINE_VIOLATION"
+  | "CHANNEL_CHARACTER_LIMIT_EXCEEDED"
+  | "CHANNEL_SENTENCE_LIMIT_EXCEEDED"
+  | "CHANNEL_LINK_FORBIDDEN"
+  | "CHANNEL_UNSPEAKABLE_CONTENT"
+  | "CHANNEL_CLAIM_TYPE_FORBIDDEN"
+  | "CHANNEL_OFFER_CLAIM_LIMIT_EXCEEDED"
+  | "CHANNEL_CLOSING_QUESTION_MISSING"
+  | "UNDECLARED_PROSPECT_FACT"
+  | "UNDECLARED_OFFER_CLAIM"
+  | "NUMERIC_CLAIM_UNSUPPORTED"
+  | "DATE_CLAIM_UNSUPPORTED"
+  | "UNSUPPORTED_SUPERLATIVE";
 
 export interface VerifiedSentenceAudit {
   sentenceIndex: number;
   sentenceText: string;
   candidateDeclaredType: string;
-  independentlyClassifiedType: "PROSPECT_FACT" | "PROSPECT_INTERPRETATION" | "OFFER_CLAIM" | "GENERAL_CONTEXT";
+  independentlyClassifiedType: ClaimType;
   detectedEntities: string[];
   passed: boolean;
   failureReason?: RejectionReasonCode;
@@ -183,6 +326,7 @@ export interface AuthorizationContext {
   lockedPhase1Record: Phase1SignalRecord;
   lockedPhase2Lead: QualifiedLeadRecord;
   lockedOfferCapabilities: string[];
+  lockedChannel: OutreachChannel; // the channel the draft was requested for
   nliEvaluator: (premise: string, hypothesis: string) => { success: boolean; score?: number; error?: string };
 }
 
@@ -0,0 +1,349 @@
+import { ExtractedFact, FactType } from "./pipeline-contract.js";
+
+// ============================================================================
+// DETERMINISTIC FACT EXTRACTION (PHASE 1)
+// ============================================================================
+//
+// Finds regulatory filings, personnel changes, scale metrics and technology
+// adoptions in a signal's raw text. Rules are pattern-based and run per
+// sentence, so the same text always yields the same facts.
+//
+// Every fact's evidenceReference is the exact sentence it came from, and
+// evidenceSpan locates it: rawText.slice(start, end) === evidenceReference.
+// Phase 4 checks drafts against these spans.
+// ============================================================================
+
+const MAX_FACTS = 20;
+
+// Words ending in "." that do not end a sentence.
+const ABBREVIATIONS = new Set([
+  "inc", "corp", "co", "ltd", "llc", "jr", "sr", "mr", "mrs", "ms", "dr", "st", "no", "vs", "etc", "e.g", "i.e", "u.s",
+]);
+
+const LEGAL_SUFFIX_PATTERN = /[,\s]+(?:l\.?l\.?c|inc|incorporated|corp|corporation|co|company|ltd|limited|p\.?a|p\.?c|llp|lp)\.?$/i;
+
+// Reported as intended or possible rather than done. Such facts are kept
+// but marked indirect.
+const HEDGE_PATTERN =
+  /\b(?:plans? to|planning to|will|would|may|might|could|expects? to|intends? to|is considering|considering|proposed|reportedly|rumou?red)\b/i;
+
+// Reported as not having happened; such sentences yield no fact.
+const NEGATION_PATTERN = /\b(?:did not|does not|has not|have not|had not|never|denied|no plans to|declined to)\b/i;
+
+const COMPANY_ANAPHORA_PATTERN = /\b(?:the company|the firm|the business|we|our)\b/i;
+
+// A sentence that opens with a pronoun continues the text's subject:
+// "It adopted Salesforce CRM in March."
+const SUBJECT_PRONOUN_PATTERN = /^(?:it|its|they|their)\b/i;
+
+// Industry and descriptor words that end the distinctive part of a
+// company name: "Acme Roofing Services" is "Acme" in running text.
+const GENERIC_NAME_WORDS = new Set([
+  "roofing", "roofers", "construction", "contracting", "contractors", "contractor", "builders", "building", "remodeling",
+  "restoration", "plumbing", "electric", "electrical", "hvac", "air", "heating", "cooling", "solar", "energy", "pools",
+  "landscaping", "lawn", "pest", "cleaning", "janitorial", "painting", "flooring", "home", "homes", "services", "service",
+  "solutions", "systems", "group", "agency", "company", "companies", "enterprises", "holdings", "partners", "associates",
+  "industries", "international", "management", "consulting", "staffing", "marketing", "media", "digital", "design",
+  "technologies", "technology", "tech", "software", "logistics", "realty", "properties", "law", "legal", "dental",
+  "medical", "health", "insurance", "financial", "capital", "and", "&", "of",
+]);
+
+// A short name made only of these words would match unrelated text.
+const COMMON_NAME_WORDS = new Set([
+  "a", "the", "first", "best", "quality", "premier", "pro", "all", "american", "national", "united", "general",
+  "north", "south", "east", "west", "central", "gulf", "coast", "sun", "sunshine", "bay", "city", "state", "florida", "texas",
+]);
+
+// ----------------------------------------------------------------------------
+// Rule vocabularies
+// ----------------------------------------------------------------------------
+
+const FILING_VERB_PATTERN =
+  /\b(?:file[ds]?|submit(?:s|ted)?|register(?:s|ed)?|obtain(?:s|ed)?|receive[ds]?|was granted|were granted|renew(?:s|ed)?)\b/i;
+
+const FILING_OBJECT_PATTERN =
+  /\b(?:Form\s+[A-Z0-9][A-Z0-9-]*|(?:8|10)-[KQ]\b|S-1\b|(?:building |business |contractor(?:'s)? |liquor |operating )?(?:permit|license|licence)s?\b|annual report|articles of (?:incorporation|organization|amendment)|certificate of [a-z]+|UCC-1(?: financing statement)?|(?:trademark|patent)(?: application)?|zoning (?:application|variance))/i;
+
+const PERSONNEL_VERB_PATTERN =
+  /\b(?:appointed|appoints|named|names|hired|hires|promoted|promotes|elected|welcomed|welcomes|tapped|stepped down|steps down|resigned|resigns|retired|retires|departed|departs|joined|joins)\b/i;
+
+// Case-sensitive: titles are capitalized in running text.
+const TITLE_PATTERN =
+  /\b(?:Chief [A-Z][a-z]+ Officer|C[EFOTIM]O|Vice President(?: of [A-Z][a-z]+)?|VP(?: of [A-Z][a-z]+)?|President|General Manager|Managing Director|General Counsel|Head of [A-Z][a-z]+|(?:[A-Z][a-z]+ )?Director|Chair(?:man|woman|person)?|Partner)\b/;
+
+const PERSON_NAME_PATTERN = /\b[A-Z][a-z]+(?:\s+[A-Z]\.)?\s+[A-Z][a-z]+(?:-[A-Z][a-z]+)?\b/g;
+
+const METRIC_PATTERN =
+  /\$\s?\d[\d,]*(?:\.\d+)?(?:\s*(?:million|billion|thousand)\b|[MBK]\b)?|\b\d[\d,]*(?:\.\d+)?\s*(?:%|percent\b|(?:new\s+|full-time\s+)?(?:employees|staff|workers|team members|locations|stores|offices|branches|facilities|customers|clients|members|units|beds|trucks|vehicles)\b|square[- ]feet\b|sq\.?\s?ft\b)/gi;
+
+// Metrics that describe size on their own, without a growth cue.
+const INHERENT_SCALE_PATTERN =
+  /\b(?:employees|staff|workers|team members|locations|stores|offices|branches|facilities|square[- ]feet|sq\.?\s?ft)\b/i;
+
+const SCALE_CUE_PATTERN =
+  /\b(?:revenue|sales|funding|raised|raises|grew|grows|growth|increased?|expand(?:s|ed|ing)?|expansion|hiring|headcount|opened|opens|serves|serving|employs|acquired|acquires|investment|invested|contract|awarded)\b/i;
+
+const TECHNOLOGY_VERB_PATTERN =
+  /\b(?:adopt(?:s|ed)?|implement(?:s|ed)?|deploy(?:s|ed)?|migrate[ds]? to|switch(?:es|ed)? to|selected|roll(?:s|ed)? out|integrate[ds]?|upgrade[ds]? to|went live with|goes live with|moved to)\b/i;
+
+const TECHNOLOGY_NAME_PATTERN =
+  /^(?:\s+(?:the|a|an|its|their|our|new|cloud-based|AI-powered))*\s+((?:[A-Z][\w.+-]*|AI|CRM|ERP)(?:\s+(?:[A-Z0-9][\w.+-]*))*)/;
+
+const TECHNOLOGY_NOUN_PATTERN =
+  /\b(?:CRM|ERP|AI|platform|software|system|cloud|automation|portal|point-of-sale|POS)\b/;
+
+interface Sentence {
+  text: string;
+  start: number;
+  end: number;
+}
+
+interface FactCandidate {
+  factType: FactType;
+  subject: string;
+  roleOrEvent: string;
+  sentence: Sentence;
+}
+
+/**
+ * Extract evidence-bound facts of every declared factType from raw text.
+ *
+ * Facts are ordered by position and numbered fact_01, fact_02, ...;
+ * duplicates (same factType and roleOrEvent) keep their first occurrence.
+ */
+export function extractFacts(rawText: string, entityName: string): ExtractedFact[] {
+  const candidates: FactCandidate[] = [];
+
+  for (const sentence of splitSentences(rawText)) {
+    if (NEGATION_PATTERN.test(sentence.text)) {
+      continue;
+    }
+
+    candidates.push(
+      ...extractRegulatoryFilings(sentence, entityName),
+      ...extractPersonnelChanges(sentence, entityName),
+      ...extractScaleMetrics(sentence, entityName),
+      ...extractTechnologyAdoptions(sentence, entityName)
+    );
+  }
+
+  const seen = new Set<string>();
+  const facts: ExtractedFact[] = [];
+
+  for (const candidate of candidates) {
+    const key = `${candidate.factType}|${candidate.roleOrEvent.toLowerCase()}`;
+
+    if (seen.has(key) || facts.length >= MAX_FACTS) {
+      continue;
+    }
+
+    seen.add(key);
+
+    facts.push({
+      factId: `fact_${String(facts.length + 1).padStart(2, "0")}`,
+      factType: candidate.factType,
+      subject: candidate.subject,
+      roleOrEvent: candidate.roleOrEvent,
+      isDirectFact: isDirectFact(candidate.sentence.text, entityName, candidate.subject),
+      evidenceReference: candidate.sentence.text,
+      evidenceSpan: { start: candidate.sentence.start, end: candidate.sentence.end },
+    });
+  }
+
+  return facts;
+}
+
+// ----------------------------------------------------------------------------
+// Rules
+// ----------------------------------------------------------------------------
+
+function extractRegulatoryFilings(sentence: Sentence, entityName: string): FactCandidate[] {
+  const verb = FILING_VERB_PATTERN.exec(sentence.text);
+  const object = verb ? FILING_OBJECT_PATTERN.exec(sentence.text.slice(verb.index)) : null;
+
+  if (!verb || !object) {
+    return [];
+  }
+
+  return [
+    {
+      factType: "regulatory_filing",
+      subject: entityName,
+      roleOrEvent: `${verb[0].toLowerCase()} ${object[0]}`,
+      sentence,
+    },
+  ];
+}
+
+function extractPersonnelChanges(sentence: Sentence, entityName: string): FactCandidate[] {
+  const verb = PERSONNEL_VERB_PATTERN.exec(sentence.text);
+  const title = TITLE_PATTERN.exec(sentence.text);
+
+  if (!verb || !title) {
+    return [];
+  }
+
+  const entityWords = new Set(normalizeEntityName(entityName).split(/\s+/));
+  const person = [...sentence.text.matchAll(PERSON_NAME_PATTERN)]
+    .filter((match) => match.index! + match[0].length <= title.index || match.index! >= title.index + title[0].length)
+    .filter((match) => !match[0].toLowerCase().split(/\s+/).some((word) => entityWords.has(word)))
+    .sort((a, b) => Math.abs(a.index! - verb.index) - Math.abs(b.index! - verb.index))[0];
+
+  return [
+    {
+      factType: "personnel_change",
+      subject: person ? person[0] : entityName,
+      roleOrEvent: `${verb[0].toLowerCase()} ${title[0]}`,
+      sentence,
+    },
+  ];
+}
+
+function extractScaleMetrics(sentence: Sentence, entityName: string): FactCandidate[] {
+  const cue = SCALE_CUE_PATTERN.exec(sentence.text);
+
+  return [...sentence.text.matchAll(METRIC_PATTERN)]
+    .map((match) => match[0].trim())
+    .filter((metric) => cue || INHERENT_SCALE_PATTERN.test(metric))
+    .map((metric) => ({
+      factType: "scale_metric" as const,
+      subject: entityName,
+      roleOrEvent: cue ? `${metric} (${cue[0].toLowerCase()})` : metric,
+      sentence,
+    }));
+}
+
+function extractTechnologyAdoptions(sentence: Sentence, entityName: string): FactCandidate[] {
+  const verb = TECHNOLOGY_VERB_PATTERN.exec(sentence.text);
+
+  if (!verb) {
+    return [];
+  }
+
+  const afterVerb = sentence.text.slice(verb.index + verb[0].length);
+  const named = TECHNOLOGY_NAME_PATTERN.exec(afterVerb);
+  const technology = named?.[1] ?? TECHNOLOGY_NOUN_PATTERN.exec(afterVerb.slice(0, 60))?.[0];
+
+  if (!technology || normalizeEntityName(technology) === normalizeEntityName(entityName)) {
+    return [];
+  }
+
+  return [
+    {
+      factType: "technology_adoption",
+      subject: entityName,
+      roleOrEvent: `${verb[0].toLowerCase()} ${technology}`,
+      sentence,
+    },
+  ];
+}
+
+// ----------------------------------------------------------------------------
+// Text helpers
+// ----------------------------------------------------------------------------
+
+/**
+ * Split text into trimmed sentences with exact offsets into the input.
+ * Breaks on line breaks and on ".", "!" or "?" followed by whitespace,
+ * except after common abbreviations ("Inc.", "Dr.") and initials.
+ */
+function splitSentences(text: string): Sentence[] {
+  const sentences: Sentence[] = [];
+  let start = 0;
+
+  const push = (end: number) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+
+    if (trimmed) {
+      sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+    }
+
+    start = end;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]!;
+
+    if (char === "\n") {
+      push(i + 1);
+      continue;
+    }
+
+    if (!".!?".includes(char) || (i + 1 < text.length && !/\s/.test(text[i + 1]!))) {
+      continue;
+    }
+
+    const word = /([A-Za-z.]+)$/.exec(text.slice(Math.max(start, i - 12), i))?.[1] ?? "";
+
+    if (char === "." && (ABBREVIATIONS.has(word.toLowerCase()) || /^[A-Z]$/.test(word))) {
+      continue;
+    }
+
+    push(i + 1);
+  }
+
+  push(text.length);
+
+  return sentences;
+}
+
+/**
+ * Entity name without legal suffix, case or punctuation, for matching
+ * mentions ("Acme Roofing, LLC" -> "acme roofing").
+ */
+export function normalizeEntityName(name: string): string {
+  return name
+    .trim()
+    .replace(LEGAL_SUFFIX_PATTERN, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9&\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalized forms a text may use for the entity, longest first: the full
+ * name, then its distinctive leading words ("Acme Roofing Services, LLC"
+ * -> ["acme roofing services", "acme"]). The short form is dropped when it
+ * is only common words ("First American Roofing").
+ */
+export function entityNameAliases(name: string): string[] {
+  const core = normalizeEntityName(name).replace(/^the\s+/, "");
+  const tokens = core.split(" ").filter(Boolean);
+  const genericAt = tokens.findIndex((token) => GENERIC_NAME_WORDS.has(token));
+  const leading = genericAt > 0 ? tokens.slice(0, genericAt) : [];
+
+  const distinctive =
+    leading.length > 0 &&
+    !leading.every((token) => COMMON_NAME_WORDS.has(token)) &&
+    leading.join("").length >= 3;
+
+  return [...new Set([core, ...(distinctive ? [leading.join(" ")] : [])])].filter(Boolean);
+}
+
+/**
+ * True when text names the entity by its full name or a short form, as
+ * whole words, possessives included ("Acme's"). Shared with Phase 4 claim
+ * verification.
+ */
+export function mentionsEntity(text: string, entityName: string): boolean {
+  const normalizedText = ` ${normalizeEntityName(text.replace(/['’]s\b/g, ""))} `;
+  return entityNameAliases(entityName).some((alias) => normalizedText.includes(` ${alias} `));
+}
+
+/**
+ * A fact is direct when its sentence names the entity (or refers to it as
+ * "the company", "we", or a leading "It"/"They"), or names the person it
+ * is about, and reports the event as done rather than planned.
+ */
+function isDirectFact(sentenceText: string, entityName: string, subject: string): boolean {
+  const namesSubject =
+    mentionsEntity(sentenceText, entityName) ||
+    COMPANY_ANAPHORA_PATTERN.test(sentenceText) ||
+    SUBJECT_PRONOUN_PATTERN.test(sentenceText) ||
+    (subject !== entityName && sentenceText.includes(subject));
+
+  return namesSubject && !HEDGE_PATTERN.test(sentenceText);
+}
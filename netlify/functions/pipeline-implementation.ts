@@ -1,8 +1,17 @@
 import {
   AuthorizationContext,
   AuthorizationDecision,
+  AuthorizedDraftResult,
+  CandidateDraft,
   CandidateDraftEnvelope,
+  CHANNEL_CONSTRAINTS,
+  ChannelConstraints,
+  DraftGenerationErrorCode,
   DraftGenerationInput,
+  DraftModelClient,
+  DraftModelOutput,
+  DraftModelOutputSchema,
+  DraftRegenerationFeedback,
   Phase1SignalRecord,
   Phase1ValidationResult,
   QualifiedLeadRecord,
@@ -13,7 +22,11 @@ import {
   VerifiedSentenceAudit,
   calculateCanonicalConfigHash,
   calculateCanonicalContentHash,
+  DEFAULT_SIGNAL_PROVIDER,
 } from "./pipeline-contract.js";
+import { analyzeSentence, findUnsupportedClaim } from "./pipeline-claim-verification.js";
+import { extractFacts } from "./pipeline-fact-extraction.js";
+import { deriveInputSignalId } from "./source/SignalIdentity.js";
 import { createHash } from "node:crypto";
 
 export function validatePhase1Signal(input: RawSignalInput): Phase1ValidationResult {
@@ -23,25 +36,19 @@ export function validatePhase1Signal(input: RawSignalInput): Phase1ValidationRes
   }
 
   const contentHash = calculateCanonicalContentHash(input.sourceUrl, input.publishedAt, input.rawText);
-  const inputSignalId = "sig_" + contentHash.substring(7, 19);
-
-  const extractedFact = {
-    factId: "fact_01",
-    factType: "regulatory_filing" as const,
-    subject: input.entityName,
-    roleOrEvent: "Form LA-2026",
-    isDirectFact: true,
-    evidenceReference: input.rawText.substring(0, Math.min(60, input.rawText.length)),
-  };
+  const providerName = input.providerName ?? DEFAULT_SIGNAL_PROVIDER;
+  // Same id scheme as the registry pipeline's Evidence Ledger.
+  const inputSignalId = deriveInputSignalId({ providerName, sourceContentHash: contentHash });
 
   const recordNoHash = {
     inputSignalId,
+    providerName,
     sourceUrl: input.sourceUrl,
     publishedAt: input.publishedAt,
     rawText: input.rawText,
     normalizedEntity: { companyName: input.entityName, jurisdiction: input.jurisdiction },
     contentHash,
-    extractedFacts: [extractedFact],
+    extractedFacts: extractFacts(input.rawText, input.entityName),
   };
 
   const signalRecordHash = "sha256_" + createHash("sha256").update(JSON.stringify(recordNoHash)).digest("hex");
@@ -82,44 +89,249 @@ export function scorePhase2(
   };
 }
 
-export function generatePhase3(context: DraftGenerationInput): CandidateDraftEnvelope {
-  const firstFact = context.evidence.extractedFacts[0];
-  const sentence0 = `I saw that ${context.evidence.normalizedEntity.companyName} filed regulatory documents.`;
-  const sentence1 = `${context.offerProfile.productName} ${context.offerProfile.permittedCapabilities[0]?.toLowerCase() ?? "assists automation"}.`;
+const DRAFT_PROMPT_VERSION = "p3-v2026.4";
+const DRAFT_TEMPERATURE = 0.2;
+export const DEFAULT_MAX_DRAFT_ATTEMPTS = 3;
+
+const DRAFT_SYSTEM_INSTRUCTION = [
+  "You write short, factual B2B outreach for the requested channel. Every sentence is audited against the evidence you are given.",
+  'Return ONLY raw JSON: {"subjectLine": string, "sentences": [{"text": string, "claimType": string, "factId": string | null}]}.',
+  'Include subjectLine only when channel.subjectLine is "required".',
+  "Each entry in sentences is exactly one sentence and ends with '.', '!' or '?'.",
+  "claimType must be one of policy.permittedClaimTypes. Never exceed policy.maxSentenceCount sentences.",
+  "The sentences joined with single spaces must fit in channel.maxCharacters (channel.maxCharactersNonGsm if any character is outside GSM-7).",
+  "When channel.allowLinks is false, write no URLs or domains. When channel.spoken is true, write only words a caller can say aloud.",
+  "When channel.endsWithQuestion is true, the last sentence is a question to the prospect.",
+  "Use at most channel.maxOfferClaims OFFER_CLAIM sentences.",
+  "A PROSPECT_FACT sentence restates exactly one fact with isDirectFact true and gives its factId. Other sentences use factId null.",
+  "A sentence that names the prospect company, or refers to it as they/their/the company, is never GENERAL_CONTEXT.",
+  "Any sentence stating something the prospect did (including with you/your/they) is a PROSPECT_FACT.",
+  "Never state a number, date, form number or superlative that is not in the mapped fact's evidenceReference or the offer's capabilities.",
+  "An OFFER_CLAIM sentence only describes the offer's permitted capabilities.",
+  "If previousRejections is not empty, fix every listed problem.",
+].join("\n");
+
+/**
+ * Draft outreach for a qualified lead with the injected model.
+ *
+ * The model proposes sentences with a claim type and a factId; the
+ * traceability map is built here, with evidence references copied from the
+ * locked Phase 1 facts rather than from the model. Drafts that break
+ * generationPolicy throw DRAFT_POLICY_VIOLATION; unparseable output throws
+ * DRAFT_MODEL_OUTPUT_INVALID. Model client errors propagate unchanged.
+ */
+export async function generatePhase3(
+  context: DraftGenerationInput,
+  options: { modelClient: DraftModelClient; feedback?: DraftRegenerationFeedback[]; now?: () => Date }
+): Promise<CandidateDraftEnvelope> {
+  const { modelClient, feedback = [], now = () => new Date() } = options;
+
+  const responseText = await modelClient.generate({
+    systemInstruction: DRAFT_SYSTEM_INSTRUCTION,
+    prompt: buildDraftPrompt(context, feedback),
+    temperature: DRAFT_TEMPERATURE,
+  });
+
+  const output = parseDraftModelOutput(responseText);
+  const { channel } = context.generationPolicy;
+  const violation = findGenerationPolicyViolation(output, context);
+  if (violation) {
+    throw draftGenerationError("DRAFT_POLICY_VIOLATION", violation.description, violation.sentenceIndex);
+  }
+
+  const facts = context.evidence.extractedFacts;
+  const traceabilityMap = output.sentences.map((entry, sentenceIndex) => {
+    const fact = facts.find((f) => f.factId === entry.factId);
+    return {
+      sentenceIndex,
+      sentence: entry.text,
+      declaredClaimType: entry.claimType,
+      declaredMappedFactId: fact?.factId ?? null,
+      declaredEvidenceReference: fact?.evidenceReference ?? null,
+    };
+  });
+
+  const generatedAt = now().toISOString();
+  const bodyText = output.sentences.map((entry) => entry.text).join(" ");
+  const draftId =
+    "draft_" +
+    createHash("sha256").update(JSON.stringify({ binding: context.binding, generatedAt, bodyText })).digest("hex").substring(0, 12);
 
   return {
     echoedBinding: { ...context.binding },
     echoedLead: { ...context.lead },
     draft: {
-      draftId: "draft_gen_test_001",
-      generatedAt: "2026-08-16T11:25:00Z",
-      subjectLine: "Regulatory Update",
-      bodyText: `${sentence0} ${sentence1}`,
-      traceabilityMap: [
-        {
-          sentenceIndex: 0,
-          sentence: sentence0,
-          declaredClaimType: "PROSPECT_FACT",
-          declaredMappedFactId: firstFact?.factId ?? null,
-          declaredEvidenceReference: firstFact?.evidenceReference ?? null,
-        },
-        {
-          sentenceIndex: 1,
-          sentence: sentence1,
-          declaredClaimType: "OFFER_CLAIM",
-          declaredMappedFactId: null,
-          declaredEvidenceReference: null,
-        },
-      ],
+      draftId,
+      generatedAt,
+      channel,
+      ...(output.subjectLine && CHANNEL_CONSTRAINTS[channel].subjectLine === "required" ? { subjectLine: output.subjectLine } : {}),
+      bodyText,
+      traceabilityMap,
       generatorMetadata: {
-        modelId: "gemini-2.5-flash",
-        promptVersion: "p3-v2026.1",
-        temperature: 0.2,
+        modelId: modelClient.modelId,
+        promptVersion: DRAFT_PROMPT_VERSION,
+        temperature: DRAFT_TEMPERATURE,
       },
     },
   };
 }
 
+/**
+ * Draft, authorize, and redraft with feedback until Phase 4 stops rejecting.
+ *
+ * Returns on the first AUTHORIZED or MANUAL_REVIEW_REQUIRED decision. After
+ * maxAttempts, returns the last draft and its REJECTED decision (both null
+ * when no attempt produced a valid draft). Feedback carries each rejection's
+ * primaryReasonCode into the next prompt.
+ */
+export async function generateAuthorizedDraft(
+  context: DraftGenerationInput,
+  lockedState: AuthorizationContext,
+  options: { modelClient: DraftModelClient; maxAttempts?: number; now?: () => Date }
+): Promise<AuthorizedDraftResult> {
+  const { modelClient, maxAttempts = DEFAULT_MAX_DRAFT_ATTEMPTS, now } = options;
+  const feedback: DraftRegenerationFeedback[] = [];
+  let envelope: CandidateDraftEnvelope | null = null;
+  let decision: AuthorizationDecision | null = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let candidate: CandidateDraftEnvelope;
+
+    try {
+      candidate = await generatePhase3(context, { modelClient, feedback, ...(now ? { now } : {}) });
+    } catch (err) {
+      const { code, sentenceIndex, message } = err as Error & { code?: string; sentenceIndex?: number };
+      if (code !== "DRAFT_POLICY_VIOLATION" && code !== "DRAFT_MODEL_OUTPUT_INVALID") {
+        throw err;
+      }
+
+      feedback.push({
+        attempt,
+        primaryReasonCode: code,
+        ...(sentenceIndex !== undefined ? { failingSentenceIndex: sentenceIndex } : {}),
+        detailedDescription: message,
+      });
+      continue;
+    }
+
+    envelope = candidate;
+    decision = authorizePhase4(candidate, lockedState);
+
+    if (decision.status !== "REJECTED") {
+      return { envelope, decision, attempts: attempt, feedback };
+    }
+
+    const summary = decision.rejectionSummary!;
+    feedback.push({
+      attempt,
+      primaryReasonCode: summary.primaryReasonCode,
+      ...(summary.failingSentenceIndex !== undefined ? { failingSentenceIndex: summary.failingSentenceIndex } : {}),
+      detailedDescription: summary.detailedDescription,
+    });
+  }
+
+  return { envelope, decision, attempts: maxAttempts, feedback };
+}
+
+function buildDraftPrompt(context: DraftGenerationInput, feedback: DraftRegenerationFeedback[]): string {
+  const payload = {
+    prospect: context.evidence.normalizedEntity,
+    qualificationTier: context.lead.qualificationTier,
+    facts: context.evidence.extractedFacts.map(({ factId, factType, roleOrEvent, isDirectFact, evidenceReference }) => ({
+      factId,
+      factType,
+      roleOrEvent,
+      isDirectFact,
+      evidenceReference,
+    })),
+    offer: context.offerProfile,
+    policy: { ...context.generationPolicy, ...effectiveGenerationPolicy(context) },
+    channel: { name: context.generationPolicy.channel, ...CHANNEL_CONSTRAINTS[context.generationPolicy.channel] },
+    previousRejections: feedback,
+  };
+
+  return `Write a ${context.generationPolicy.channel} to the prospect using only this input:\n${JSON.stringify(payload, null, 2)}`;
+}
+
+function parseDraftModelOutput(responseText: string): DraftModelOutput {
+  let raw: unknown;
+  try {
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    raw = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+  } catch (err) {
+    throw draftGenerationError("DRAFT_MODEL_OUTPUT_INVALID", `Model output is not JSON: ${(err as Error).message}`);
+  }
+
+  const parsed = DraftModelOutputSchema.safeParse(raw);
+  if (!parsed.success) {
+    throw draftGenerationError("DRAFT_MODEL_OUTPUT_INVALID", `Model output does not match the draft schema: ${parsed.error.message}`);
+  }
+
+  return parsed.data;
+}
+
+function findGenerationPolicyViolation(
+  output: DraftModelOutput,
+  context: DraftGenerationInput
+): { description: string; sentenceIndex?: number } | null {
+  const { permittedClaimTypes, maxSentenceCount } = effectiveGenerationPolicy(context);
+  const { channel } = context.generationPolicy;
+
+  if (output.sentences.length > maxSentenceCount) {
+    return { description: `Draft has ${output.sentences.length} sentences; policy allows at most ${maxSentenceCount}.` };
+  }
+
+  if (CHANNEL_CONSTRAINTS[channel].subjectLine === "required" && !output.subjectLine) {
+    return { description: `Channel ${channel} requires a subjectLine.` };
+  }
+
+  for (let i = 0; i < output.sentences.length; i++) {
+    const { text, claimType, factId } = output.sentences[i]!;
+
+    if (!permittedClaimTypes.includes(claimType)) {
+      return {
+        sentenceIndex: i,
+        description: `Sentence ${i} uses claim type ${claimType}, which policy does not permit on channel ${channel}.`,
+      };
+    }
+
+    // Phase 4 re-splits bodyText on terminal punctuation, so each entry
+    // must be exactly one sentence for the map to line up.
+    if (!/[.!?]$/.test(text) || /[.!?]\s+\S/.test(text)) {
+      return { sentenceIndex: i, description: `Sentence ${i} is not exactly one sentence ending in '.', '!' or '?'.` };
+    }
+
+    if (claimType === "PROSPECT_FACT") {
+      const fact = context.evidence.extractedFacts.find((f) => f.factId === factId);
+      if (!fact || !fact.isDirectFact) {
+        return {
+          sentenceIndex: i,
+          description: `Sentence ${i} is a PROSPECT_FACT but factId '${factId ?? ""}' is not a direct extracted fact.`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+// The request's policy narrowed by its channel's limits.
+function effectiveGenerationPolicy(context: DraftGenerationInput): Pick<
+  DraftGenerationInput["generationPolicy"],
+  "permittedClaimTypes" | "maxSentenceCount"
+> {
+  const constraints = CHANNEL_CONSTRAINTS[context.generationPolicy.channel];
+
+  return {
+    permittedClaimTypes: context.generationPolicy.permittedClaimTypes.filter((type) => constraints.permittedClaimTypes.includes(type)),
+    maxSentenceCount: Math.min(context.generationPolicy.maxSentenceCount, constraints.maxSentences),
+  };
+}
+
+function draftGenerationError(code: DraftGenerationErrorCode, message: string, sentenceIndex?: number): Error {
+  return Object.assign(new Error(message), { code, ...(sentenceIndex !== undefined ? { sentenceIndex } : {}) });
+}
+
 export function authorizePhase4(
   envelope: CandidateDraftEnvelope,
   lockedState: AuthorizationContext
@@ -151,6 +363,13 @@ export function authorizePhase4(
     });
   }
 
+  if (envelope.draft.channel !== lockedState.lockedChannel) {
+    return buildDecision(decisionId, timestamp, "REJECTED", bindingVerification, [], {
+      primaryReasonCode: "CHANNEL_MISMATCH",
+      detailedDescription: `Draft channel '${envelope.draft.channel}' does not match requested channel '${lockedState.lockedChannel}'.`,
+    });
+  }
+
   const parsedSentences = envelope.draft.bodyText
     .split(/(?<=[.!?])\s+/)
     .map((s) => s.trim())
@@ -175,50 +394,102 @@ export function authorizePhase4(
     }
   }
 
+  const channelViolation = findChannelViolation(envelope.draft, parsedSentences, CHANNEL_CONSTRAINTS[lockedState.lockedChannel]);
+  if (channelViolation) {
+    return buildDecision(decisionId, timestamp, "REJECTED", bindingVerification, [], channelViolation);
+  }
+
+  const { extractedFacts } = lockedState.lockedPhase1Record;
+  const offerEvidence = lockedState.lockedOfferCapabilities.join("\n");
+
+  // The subject line is not in the traceability map, so its specifics must
+  // be backed by some fact or capability.
+  const subjectLineClaim = envelope.draft.subjectLine
+    ? findUnsupportedClaim(envelope.draft.subjectLine, [...extractedFacts.map((f) => f.evidenceReference), offerEvidence].join("\n"))
+    : null;
+  if (subjectLineClaim) {
+    return buildDecision(decisionId, timestamp, "REJECTED", bindingVerification, [], {
+      primaryReasonCode: subjectLineClaim.reasonCode,
+      detailedDescription: `Subject line claim '${subjectLineClaim.claim}' is not supported by any extracted fact or offer capability.`,
+    });
+  }
+
   const sentenceAudits: VerifiedSentenceAudit[] = [];
   const entityName = lockedState.lockedPhase1Record.normalizedEntity.companyName;
+  const personNames = [...new Set(extractedFacts.map((f) => f.subject))];
 
   for (let i = 0; i < parsedSentences.length; i++) {
     const sentence = parsedSentences[i]!;
     const declared = tMap[i]!;
-    const hasEntityMention = sentence.toLowerCase().includes(entityName.toLowerCase());
-
-    let independentType: VerifiedSentenceAudit["independentlyClassifiedType"];
-    if (hasEntityMention) {
-      independentType = "PROSPECT_FACT";
-    } else if (lockedState.lockedOfferCapabilities.some((cap) => sentence.toLowerCase().includes(cap.toLowerCase().substring(0, 10)))) {
-      independentType = "OFFER_CLAIM";
-    } else {
-      independentType = "GENERAL_CONTEXT";
-    }
+    const analysis = analyzeSentence(sentence, {
+      entityName,
+      personNames,
+      offerCapabilities: lockedState.lockedOfferCapabilities,
+    });
+    const independentType = analysis.independentType;
+    const detectedEntities = analysis.detectedEntities;
 
-    if (hasEntityMention && declared.declaredClaimType === "GENERAL_CONTEXT") {
+    const rejectSentence = (primaryReasonCode: RejectionReasonCode, detailedDescription: string) => {
       sentenceAudits.push({
         sentenceIndex: i,
         sentenceText: sentence,
         candidateDeclaredType: declared.declaredClaimType,
         independentlyClassifiedType: independentType,
-        detectedEntities: [entityName],
+        detectedEntities,
         passed: false,
-        failureReason: "ENTITY_SCOPE_VIOLATION",
+        failureReason: primaryReasonCode,
       });
 
       return buildDecision(decisionId, timestamp, "REJECTED", bindingVerification, sentenceAudits, {
-        primaryReasonCode: "ENTITY_SCOPE_VIOLATION",
+        primaryReasonCode,
         failingSentenceIndex: i,
-        detailedDescription: `Sentence ${i} references entity '${entityName}' but was declared as GENERAL_CONTEXT.`,
+        detailedDescription,
       });
+    };
+
+    if ((analysis.prospectReference === "name" || analysis.prospectReference === "anaphora") && declared.declaredClaimType === "GENERAL_CONTEXT") {
+      return rejectSentence(
+        "ENTITY_SCOPE_VIOLATION",
+        `Sentence ${i} references entity '${entityName}' (by ${analysis.prospectReference}) but was declared as GENERAL_CONTEXT.`
+      );
+    }
+
+    if (analysis.assertsProspectEvent && declared.declaredClaimType !== "PROSPECT_FACT") {
+      return rejectSentence(
+        "UNDECLARED_PROSPECT_FACT",
+        `Sentence ${i} asserts an event, number or date about '${entityName}' but was declared as ${declared.declaredClaimType}.`
+      );
+    }
+
+    if (independentType === "OFFER_CLAIM" && declared.declaredClaimType !== "OFFER_CLAIM") {
+      return rejectSentence(
+        "UNDECLARED_OFFER_CLAIM",
+        `Sentence ${i} makes an offer claim but was declared as ${declared.declaredClaimType}.`
+      );
+    }
+
+    // Interpretations and general context have no evidence, so they may
+    // assert no specifics. Prospect facts are checked against their mapped
+    // fact below.
+    const boundEvidence =
+      declared.declaredClaimType === "OFFER_CLAIM" ? offerEvidence : declared.declaredClaimType === "PROSPECT_FACT" ? null : "";
+    const unsupportedClaim = boundEvidence !== null ? findUnsupportedClaim(sentence, boundEvidence) : null;
+    if (unsupportedClaim) {
+      return rejectSentence(
+        unsupportedClaim.reasonCode,
+        `Sentence ${i} claims '${unsupportedClaim.claim}', which its ${declared.declaredClaimType} evidence does not support.`
+      );
     }
 
     if (declared.declaredClaimType === "PROSPECT_FACT") {
-      const mappedFact = lockedState.lockedPhase1Record.extractedFacts.find((f) => f.factId === declared.declaredMappedFactId);
+      const mappedFact = extractedFacts.find((f) => f.factId === declared.declaredMappedFactId);
       if (!mappedFact) {
         sentenceAudits.push({
           sentenceIndex: i,
           sentenceText: sentence,
           candidateDeclaredType: declared.declaredClaimType,
           independentlyClassifiedType: independentType,
-          detectedEntities: hasEntityMention ? [entityName] : [],
+          detectedEntities,
           passed: false,
           failureReason: "EVIDENCE_SUBSTRING_NOT_FOUND",
         });
@@ -229,24 +500,33 @@ export function authorizePhase4(
         });
       }
 
-      const substringExists = lockedState.lockedPhase1Record.rawText.includes(mappedFact.evidenceReference);
+      const { start, end } = mappedFact.evidenceSpan;
+      const substringExists = lockedState.lockedPhase1Record.rawText.slice(start, end) === mappedFact.evidenceReference;
       if (!substringExists) {
         sentenceAudits.push({
           sentenceIndex: i,
           sentenceText: sentence,
           candidateDeclaredType: declared.declaredClaimType,
           independentlyClassifiedType: independentType,
-          detectedEntities: hasEntityMention ? [entityName] : [],
+          detectedEntities,
           passed: false,
           failureReason: "EVIDENCE_SUBSTRING_NOT_FOUND",
         });
         return buildDecision(decisionId, timestamp, "REJECTED", bindingVerification, sentenceAudits, {
           primaryReasonCode: "EVIDENCE_SUBSTRING_NOT_FOUND",
           failingSentenceIndex: i,
-          detailedDescription: `Evidence substring '${mappedFact.evidenceReference}' not found verbatim in Phase 1 raw text.`,
+          detailedDescription: `Evidence substring '${mappedFact.evidenceReference}' not found verbatim at its recorded span in Phase 1 raw text.`,
         });
       }
 
+      const unsupportedFactClaim = findUnsupportedClaim(sentence, mappedFact.evidenceReference);
+      if (unsupportedFactClaim) {
+        return rejectSentence(
+          unsupportedFactClaim.reasonCode,
+          `Sentence ${i} claims '${unsupportedFactClaim.claim}', which the evidence span of '${mappedFact.factId}' does not contain.`
+        );
+      }
+
       const nliResult = lockedState.nliEvaluator(mappedFact.evidenceReference, sentence);
       if (!nliResult.success) {
         sentenceAudits.push({
@@ -254,7 +534,7 @@ export function authorizePhase4(
           sentenceText: sentence,
           candidateDeclaredType: declared.declaredClaimType,
           independentlyClassifiedType: independentType,
-          detectedEntities: hasEntityMention ? [entityName] : [],
+          detectedEntities,
           passed: false,
           failureReason: "NLI_SERVICE_FAILURE",
         });
@@ -272,7 +552,7 @@ export function authorizePhase4(
           sentenceText: sentence,
           candidateDeclaredType: declared.declaredClaimType,
           independentlyClassifiedType: independentType,
-          detectedEntities: hasEntityMention ? [entityName] : [],
+          detectedEntities,
           passed: false,
           failureReason: "ENTAILMENT_FAILURE_PROSPECT_FACT",
         });
@@ -339,7 +619,7 @@ export function authorizePhase4(
       sentenceText: sentence,
       candidateDeclaredType: declared.declaredClaimType,
       independentlyClassifiedType: independentType,
-      detectedEntities: hasEntityMention ? [entityName] : [],
+      detectedEntities,
       passed: true,
     });
   }
@@ -347,6 +627,99 @@ export function authorizePhase4(
   return buildDecision(decisionId, timestamp, "AUTHORIZED", bindingVerification, sentenceAudits);
 }
 
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|org|io|co|us|biz|info|ly)\b/i;
+
+// Symbols a caller cannot read aloud naturally, plus emoji.
+const UNSPEAKABLE_PATTERN = /[@#*_~<>[\]{}|\\^]|\p{Extended_Pictographic}/u;
+
+// Approximation of the GSM-7 basic set; anything else forces a UCS-2 SMS.
+const NON_GSM_PATTERN = /[^\n\r\x20-\x7E£¥èéùìòÇØøÅåΔΦΓΛΩΠΨΣΘΞÆæßÉÄÖÑÜ§¿äöñüà€]/;
+
+/**
+ * Check a structurally valid draft against its channel's limits and
+ * claim-type rules. Sentences and traceability entries are already aligned.
+ */
+function findChannelViolation(
+  draft: CandidateDraft,
+  sentences: string[],
+  constraints: ChannelConstraints
+): AuthorizationDecision["rejectionSummary"] | null {
+  const hasSubjectLine = Boolean(draft.subjectLine?.trim());
+  if (hasSubjectLine !== (constraints.subjectLine === "required")) {
+    return {
+      primaryReasonCode: "CHANNEL_SUBJECT_LINE_VIOLATION",
+      detailedDescription: `Channel '${draft.channel}' ${constraints.subjectLine === "required" ? "requires" : "forbids"} a subject line.`,
+    };
+  }
+
+  const maxCharacters =
+    constraints.maxCharactersNonGsm !== undefined && NON_GSM_PATTERN.test(draft.bodyText)
+      ? constraints.maxCharactersNonGsm
+      : constraints.maxCharacters;
+  if (draft.bodyText.length > maxCharacters) {
+    return {
+      primaryReasonCode: "CHANNEL_CHARACTER_LIMIT_EXCEEDED",
+      detailedDescription: `Body is ${draft.bodyText.length} characters; channel '${draft.channel}' allows ${maxCharacters}.`,
+    };
+  }
+
+  if (sentences.length > constraints.maxSentences) {
+    return {
+      primaryReasonCode: "CHANNEL_SENTENCE_LIMIT_EXCEEDED",
+      detailedDescription: `Body has ${sentences.length} sentences; channel '${draft.channel}' allows ${constraints.maxSentences}.`,
+    };
+  }
+
+  let offerClaims = 0;
+
+  for (let i = 0; i < sentences.length; i++) {
+    const sentence = sentences[i]!;
+    const claimType = draft.traceabilityMap[i]!.declaredClaimType;
+
+    if (!constraints.allowLinks && LINK_PATTERN.test(sentence)) {
+      return {
+        primaryReasonCode: "CHANNEL_LINK_FORBIDDEN",
+        failingSentenceIndex: i,
+        detailedDescription: `Sentence ${i} contains a link, which channel '${draft.channel}' forbids.`,
+      };
+    }
+
+    if (constraints.spoken && UNSPEAKABLE_PATTERN.test(sentence)) {
+      return {
+        primaryReasonCode: "CHANNEL_UNSPEAKABLE_CONTENT",
+        failingSentenceIndex: i,
+        detailedDescription: `Sentence ${i} contains symbols that cannot be spoken on channel '${draft.channel}'.`,
+      };
+    }
+
+    if (!constraints.permittedClaimTypes.includes(claimType)) {
+      return {
+        primaryReasonCode: "CHANNEL_CLAIM_TYPE_FORBIDDEN",
+        failingSentenceIndex: i,
+        detailedDescription: `Sentence ${i} is declared ${claimType}, which channel '${draft.channel}' does not permit.`,
+      };
+    }
+
+    if (claimType === "OFFER_CLAIM" && ++offerClaims > constraints.maxOfferClaims) {
+      return {
+        primaryReasonCode: "CHANNEL_OFFER_CLAIM_LIMIT_EXCEEDED",
+        failingSentenceIndex: i,
+        detailedDescription: `Channel '${draft.channel}' allows at most ${constraints.maxOfferClaims} offer claims.`,
+      };
+    }
+  }
+
+  if (constraints.endsWithQuestion && !sentences[sentences.length - 1]?.endsWith("?")) {
+    return {
+      primaryReasonCode: "CHANNEL_CLOSING_QUESTION_MISSING",
+      failingSentenceIndex: sentences.length - 1,
+      detailedDescription: `Channel '${draft.channel}' must end with a question to the prospect.`,
+    };
+  }
+
+  return null;
+}
+
 function buildDecision(
   decisionId: string,
   timestamp: string,
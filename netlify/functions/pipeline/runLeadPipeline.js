@@ -1,11 +1,22 @@
-const { SunbizProvider } =
-  require("../providers/SunbizProvider");
+const { createDefaultProviderRegistry } =
+  require("../providers/ProviderRegistry");
 
-const { EvidenceLedgerAdapter } =
-  require("../ledger/EvidenceLedgerAdapter");
+const { RegistryFanOutService } =
+  require("../acquisition/RegistryFanOutService");
 
-const { enrichProspect } =
-  require("../enrichment/enrichProspect");
+const { RegistryEntityMerger } =
+  require("../merge/RegistryEntityMerger");
+
+const { createEvidenceLedger } =
+  require("../ledger/createEvidenceLedger");
+
+const { WebsiteDiscoveryService } =
+  require("../discovery/WebsiteDiscoveryService");
+
+const {
+  EnrichmentEngine,
+  createDefaultEnrichmentEngine
+} = require("../enrichment/EnrichmentEngine");
 
 const { QualificationEngine } =
   require("../qualification/QualificationEngine");
@@ -13,6 +24,14 @@ const { QualificationEngine } =
 const { IntentParser } =
   require("../intent/IntentParser");
 
+const { getDefaultScoringProfileRegistry } =
+  require("../qualification/ScoringProfiles");
+
+const {
+  collapseResolvedRecords,
+  getDefaultEntityResolver
+} = require("../merge/EntityResolver");
+
 /**
  * Core Lead Pipeline Execution Engine
  *
@@ -24,17 +43,25 @@ const { IntentParser } =
  *        ↓
  *    Intent Parsing / Validation
  *        ↓
- *    Registry Search
+ *    Provider Selection
+ *        ↓
+ *    Registry Search (fan-out across covering providers)
  *        ↓
  *    Normalization
  *        ↓
+ *    Cross-Source Entity Merge
+ *        ↓
  *    Evidence Ledger
  *        ↓
+ *    Website Discovery
+ *        ↓
  *    Enrichment
  *        ↓
  *    Qualification
  *        ↓
  *    Structured Lead Output
+ *        ↓
+ *    Entity Resolution (canonical lead ids)
  *
  * IMPORTANT:
  *
@@ -43,109 +70,119 @@ const { IntentParser } =
  * The deterministic pipeline must remain operational even if an optional
  * downstream AI module is unavailable.
  *
+ * Provider selection:
+ *
+ * Registry providers are chosen from the resolved
+ * searchIntent.geography.state using the geography each provider
+ * declares in getCapabilityProfile(). Every covering provider is
+ * queried and their records are merged by registrationId, so a
+ * rate-limited provider falls back to the remaining sources.
+ *
+ * A request may name a provider explicitly; the override is honored
+ * only when that provider covers the resolved state, and then only
+ * that provider is queried.
+ *
  * @param {Object} params
  * @param {Object} [params.geoContext]
  * @param {Object} [params.filters]
+ * @param {Array<string>} [params.registrationIds]
+ * Look these registration numbers up instead of searching; the
+ * providers covering geoContext.states[0] (default FL) are asked.
+ * @param {string} [params.provider]
+ * Explicit provider override, e.g. "OfficialFloridaProvider".
+ * @param {Object} [params.providerRegistry]
+ * ProviderRegistry instance. Defaults to createDefaultProviderRegistry().
+ * @param {Object} [params.evidenceLedger]
+ * Ledger implementing recordObservation(). Defaults to
+ * createEvidenceLedger(), which is persistent when
+ * EVIDENCE_LEDGER_DB_PATH is set.
+ * @param {Object} [params.discoveryService]
+ * Service implementing discoverWebsite(entity). Defaults to
+ * WebsiteDiscoveryService over GoogleDiscoveryProvider.
+ * @param {Object} [params.enrichmentEngine]
+ * Engine implementing enrich(entity, candidateInfo). Defaults to
+ * createDefaultEnrichmentEngine(); provider budgets apply per run.
+ * @param {string} [params.scoringProfile]
+ * Scoring profile name, e.g. "web-design-agency". Falls back to
+ * filters.scoringProfile, then to the registry default.
+ * @param {Object} [params.scoringProfiles]
+ * ScoringProfileRegistry instance. Defaults to the built-in profiles.
+ * @param {Object} [params.entityResolver]
+ * EntityResolver instance. Defaults to getDefaultEntityResolver().
+ * Canonical lead ids are stable across runs with or without a
+ * persistent index (LEAD_ENTITY_INDEX_DB_PATH); the index keeps merged
+ * provenance.
  * @returns {Promise<Object>}
  */
-async function runLeadPipeline({
-  geoContext,
-  filters = {}
-} = {}) {
-
-  const provider =
-    new SunbizProvider();
-
-  const ledger =
-    new EvidenceLedgerAdapter();
-
-  const intentParser =
-    new IntentParser();
-
-  // ==========================================================================
-  // 0. RAW SEARCH INPUT
-  // ==========================================================================
+async function runLeadPipeline(
+  params = {}
+) {
 
-  const queryInput =
-    String(
-      filters.industry ||
-      filters.query ||
-      ""
-    )
-      .trim();
+  const prepared =
+    await prepareLeadCandidates(
+      params
+    );
 
-  const searchGeo =
-    geoContext || {
-      states: ["FL"]
-    };
+  if (prepared.result) {
 
-  // ==========================================================================
-  // 1. SEARCH INTENT PARSING
-  // ==========================================================================
+    return prepared.result;
+  }
 
-  let searchIntent;
+  const {
+    candidates,
+    context
+  } = prepared;
 
-  try {
+  const {
+    queryInput,
+    searchIntent,
+    resolvedGeoContext,
+    providerSelection,
+    registryAcquisition,
+    profile
+  } = context;
 
-    if (!queryInput) {
+  const processedLeads = [];
 
-      throw new Error(
-        "A search query is required."
-      );
-    }
+  // SEQUENTIAL CANDIDATE PROCESSING
 
-   const intentQuery =
-  searchGeo?.city &&
-  searchGeo?.states?.[0]
-    ? `${queryInput} in ${searchGeo.city}, ${searchGeo.states[0]}`
-    : searchGeo?.states?.[0]
-      ? `${queryInput} in ${searchGeo.states[0]}`
-      : queryInput;
-
-searchIntent =
-  intentParser.parse(
-    intentQuery,
-    {
-      limit:
-        filters.limit || 10
-    }
-  );
+  for (
+    const candidate of candidates
+  ) {
 
-    console.log(
-      "[PIPELINE SEARCH INTENT]",
-      JSON.stringify(
-        searchIntent,
-        null,
-        2
+    processedLeads.push(
+      await processLeadCandidate(
+        candidate,
+        context
       )
     );
+  }
 
-  } catch (intentError) {
-
-    console.error(
-      "[PIPELINE INTENT PARSE FAILURE]",
-      {
-        message:
-          intentError.message,
+  // ENTITY RESOLUTION
 
-        query:
-          queryInput
-      }
+  const leads =
+    resolveLeads(
+      processedLeads,
+      params.entityResolver
     );
 
+  // ==========================================================================
+  // 10. SAFETY CHECK
+  // ==========================================================================
+
+  if (
+    leads.length ===
+    0
+  ) {
+
     return {
 
       status:
-        "invalid_intent",
-
-      providerStatus:
-        "not_attempted",
+        "empty",
 
-      errorType:
-        "INTENT_PARSE_ERROR",
+      providerSelection,
 
-      httpStatus:
-        null,
+      registryAcquisition,
 
       count:
         0,
@@ -154,19 +191,27 @@ searchIntent =
         [],
 
       prospectName:
-        `Unable to interpret search "${queryInput}"`,
+        `No valid lead records could be constructed for "${queryInput}"`,
 
       location: {
         state:
-          searchGeo?.states?.[0] ||
-          "FL"
+          resolvedGeoContext?.states?.[0] ||
+          "FL",
+
+        city:
+          resolvedGeoContext?.city ||
+          null,
+
+        county:
+          resolvedGeoContext?.county ||
+          null
       },
 
       locationDisplay:
-        searchGeo?.city
-          ? `${searchGeo.city}, ${searchGeo?.states?.[0] || "FL"}`
+        resolvedGeoContext?.city
+          ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
           : (
-              searchGeo?.states?.[0] ||
+              resolvedGeoContext?.states?.[0] ||
               "FL"
             ),
 
@@ -177,7 +222,7 @@ searchIntent =
         "UNQUALIFIED",
 
       evidenceSummary: [
-        intentError.message
+        "Provider returned records, but none passed pipeline integrity checks."
       ],
 
       qualificationReasons: [],
@@ -185,7 +230,7 @@ searchIntent =
       salesSignals: [],
 
       recommendedAction:
-        "Use a supported industry and Florida geographic location.",
+        null,
 
       enrichment:
         null,
@@ -196,246 +241,906 @@ searchIntent =
   }
 
   // ==========================================================================
-  // 1A. RESOLVE SEARCH GEOGRAPHY
+  // 11. PRIMARY LEAD / LEGACY ROOT BINDINGS
   // ==========================================================================
 
-  const parsedGeography =
-    searchIntent?.geography || null;
-
-  const resolvedGeoContext = {
-
-  ...searchGeo,
+  const primaryLead =
+    leads[0];
 
-  ...(parsedGeography?.state
-    ? {
-        state:
-          parsedGeography.state,
+  return {
 
-        states: [
-          parsedGeography.state
-        ]
-      }
-    : {}),
+    status:
+      "success",
 
-  ...(parsedGeography?.city
-    ? {
-        city:
-          parsedGeography.city
-      }
-    : {}),
+    providerSelection,
 
-  ...(parsedGeography?.county
-    ? {
-        county:
-          parsedGeography.county
-      }
-    : {}),
+    registryAcquisition,
 
-  ...(parsedGeography?.zip
-    ? {
-        zip:
-          parsedGeography.zip
-      }
-    : {}),
+    // Ranked industry interpretations of the query, chosen match first.
+    industryMatches:
+      searchIntent?.industryMatches ||
+      [],
 
-  states:
-    parsedGeography?.state
-      ? [
-          parsedGeography.state
-        ]
-      : (
-          Array.isArray(
-            searchGeo?.states
-          ) &&
-          searchGeo.states.length > 0
-            ? searchGeo.states
-            : ["FL"]
-        )
-};
+    scoringProfile: {
+      name:
+        profile.name,
 
-  // ==========================================================================
-  // 1B. BUILD PROVIDER FILTERS
-  // ==========================================================================
+      version:
+        profile.version,
 
+      contentHash:
+        profile.contentHash
+    },
 
-  const providerFilters = {
+    count:
+      leads.length,
 
-    ...filters,
+    leads:
+      leads,
 
-    query:
-      queryInput,
+    // Legacy / single-card compatibility
 
-    industry:
-      queryInput,
+    prospectName:
+      primaryLead.prospectName,
 
-    limit:
-      searchIntent?.limit ||
-      filters.limit ||
-      10,
+    location:
+      primaryLead.location,
 
-    classifications:
-      searchIntent?.industry?.classifications ||
-      [],
+    locationDisplay:
+      primaryLead.locationDisplay,
 
-    canonicalIndustry:
-      searchIntent?.industry?.canonical ||
-      null
-  };
+    score:
+      primaryLead.score,
 
-  console.log(
-    "[PIPELINE PROVIDER REQUEST]",
-    {
-      provider:
-        provider.name,
+    priority:
+      primaryLead.priority,
 
-      query:
-        providerFilters.query,
+    recommendedAction:
+      primaryLead.recommendedAction,
 
-      canonicalIndustry:
-        providerFilters.canonicalIndustry,
+    evidenceSummary:
+      primaryLead.evidenceSummary,
 
-      classifications:
-        providerFilters.classifications,
+    qualificationReasons:
+      primaryLead.qualificationReasons,
 
-      geography:
-        resolvedGeoContext,
+    salesSignals:
+      primaryLead.salesSignals,
 
-      limit:
-        providerFilters.limit
-    }
-  );
+    enrichment:
+      primaryLead.enrichment,
 
-  // ==========================================================================
-  // 2. REGISTRY SEARCH
-  // ==========================================================================
+    evidenceLedger:
+      primaryLead.evidenceLedger
+  };
+}
 
-  let searchResult;
+/**
+ * Tag leads with canonical lead ids so the same business keeps one id
+ * across runs and lead sources.
+ *
+ * Resolution is an annotation: when the entity index fails, the leads
+ * are returned unresolved rather than failing the run.
+ *
+ * @param {Array<Object>} leads
+ * @param {Object} [entityResolver]
+ * @returns {Array<Object>}
+ */
+function resolveLeads(
+  leads,
+  entityResolver = null
+) {
 
   try {
 
-    searchResult =
-      await provider.search(
-        resolvedGeoContext,
-        providerFilters
-      );
+    const resolver =
+      entityResolver ||
+      getDefaultEntityResolver();
 
-  } catch (searchError) {
+    return collapseResolvedRecords(
+      leads,
+      resolver.resolve(
+        leads,
+        {
+          source:
+            "runLeadPipeline"
+        }
+      )
+    );
+
+  } catch (error) {
 
     console.error(
-      `[PIPELINE SEARCH FAILURE] ${provider.name || "SunbizProvider"}:`,
-      searchError.message
+      "[PIPELINE ENTITY RESOLUTION FAILURE]",
+      error.message
     );
 
-    searchResult = {
+    return leads;
+  }
+}
 
-      providerStatus:
-        "unavailable",
+/**
+ * Pipeline steps 0-4C: resolve the scoring profile, parse the search
+ * (or take registration numbers), select providers, acquire and
+ * normalize registry records, and merge them into candidates.
+ *
+ * Accepts the runLeadPipeline() parameters.
+ *
+ * @param {Object} params
+ * @returns {Promise<Object>}
+ * { result } when the run ends before any candidate (invalid input,
+ * provider unavailable, no records); otherwise { candidates, context }
+ * for processLeadCandidate().
+ */
+async function prepareLeadCandidates({
+  geoContext,
+  registrationIds = null,
+  filters = {},
+  provider: requestedProvider = null,
+  providerRegistry = null,
+  evidenceLedger = null,
+  discoveryService = null,
+  enrichmentEngine = null,
+  scoringProfile: requestedScoringProfile = null,
+  scoringProfiles = null
+} = {}) {
 
-      provider:
-        provider.name ||
-        "SunbizProvider",
+  const registry =
+    providerRegistry ||
+    createDefaultProviderRegistry();
 
-      httpStatus:
-        null,
+  const ledger =
+    evidenceLedger ||
+    createEvidenceLedger();
 
-      records:
-        [],
+  const websiteDiscovery =
+    discoveryService ||
+    new WebsiteDiscoveryService();
 
-      errorType:
-        searchError?.name ||
-        "PIPELINE_SEARCH_EXCEPTION"
-    };
-  }
+  const enrichment =
+    enrichmentEngine ||
+    createDefaultEnrichmentEngine();
 
-  // 2A. PROVIDER UNAVAILABLE CONTRACT GUARD
+  const intentParser =
+    new IntentParser();
 
-  if (
-  [
-    "unavailable",
-    "blocked",
-    "rate_limited"
-  ].includes(
-    searchResult?.providerStatus
-  )
-) {
+  // ==========================================================================
+  // 0. RAW SEARCH INPUT
+  // ==========================================================================
+
+  const requestedRegistrationIds =
+    [
+      ...new Set(
+        (
+          Array.isArray(registrationIds)
+            ? registrationIds
+            : []
+        )
+          .map(
+            registrationId =>
+              String(
+                registrationId ?? ""
+              ).trim()
+          )
+          .filter(Boolean)
+      )
+    ];
+
+  const registrationLookup =
+    requestedRegistrationIds.length > 0;
+
+  const queryInput =
+    registrationLookup
+      ? `registration ${requestedRegistrationIds.join(", ")}`
+      : String(
+          filters.industry ||
+          filters.query ||
+          ""
+        )
+          .trim();
+
+  const searchGeo =
+    geoContext || {
+      states: ["FL"]
+    };
+
+  // ==========================================================================
+  // 0A. SCORING PROFILE
+  // ==========================================================================
+
+  const profileRegistry =
+    scoringProfiles ||
+    getDefaultScoringProfileRegistry();
+
+  let profile;
+
+  try {
+
+    profile =
+      profileRegistry.get(
+        requestedScoringProfile ||
+        filters.scoringProfile ||
+        null
+      );
+
+  } catch (profileError) {
+
+    if (profileError.code !== "UNKNOWN_SCORING_PROFILE") {
+      throw profileError;
+    }
+
+    return {
+      result: {
+
+        status:
+          "invalid_scoring_profile",
+
+        providerStatus:
+          "not_attempted",
+
+        errorType:
+          profileError.code,
+
+        httpStatus:
+          null,
+
+        count:
+          0,
+
+        leads:
+          [],
+
+        prospectName:
+          "Unknown scoring profile",
+
+        location: {
+          state:
+            searchGeo?.states?.[0] ||
+            "FL"
+        },
+
+        locationDisplay:
+          searchGeo?.city
+            ? `${searchGeo.city}, ${searchGeo?.states?.[0] || "FL"}`
+            : (
+                searchGeo?.states?.[0] ||
+                "FL"
+              ),
+
+        score:
+          null,
+
+        priority:
+          "UNQUALIFIED",
+
+        evidenceSummary: [
+          profileError.message
+        ],
+
+        qualificationReasons: [],
+
+        salesSignals: [],
+
+        recommendedAction:
+          `Use one of the available scoring profiles: ${profileRegistry.listNames().join(", ")}.`,
+
+        enrichment:
+          null,
+
+        evidenceLedger:
+          null
+      }
+    };
+  }
+
+  // ==========================================================================
+  // 1. SEARCH INTENT PARSING
+  // ==========================================================================
+
+  // A registration-number lookup names its entities directly; there
+  // is no search to interpret.
+  let searchIntent =
+    null;
+
+  if (!registrationLookup) {
+
+    try {
+
+      if (!queryInput) {
+
+        throw new Error(
+          "A search query is required."
+        );
+      }
+
+     const intentQuery =
+    searchGeo?.city &&
+    searchGeo?.states?.[0]
+      ? `${queryInput} in ${searchGeo.city}, ${searchGeo.states[0]}`
+      : searchGeo?.states?.[0]
+        ? `${queryInput} in ${searchGeo.states[0]}`
+        : queryInput;
+
+  searchIntent =
+    intentParser.parse(
+      intentQuery,
+      {
+        limit:
+          filters.limit || 10
+      }
+    );
+
+      console.log(
+        "[PIPELINE SEARCH INTENT]",
+        JSON.stringify(
+          searchIntent,
+          null,
+          2
+        )
+      );
+
+    } catch (intentError) {
+
+      console.error(
+        "[PIPELINE INTENT PARSE FAILURE]",
+        {
+          message:
+            intentError.message,
+
+          query:
+            queryInput
+        }
+      );
+
+      return {
+        result: {
+
+          status:
+            "invalid_intent",
+
+          providerStatus:
+            "not_attempted",
+
+          errorType:
+            "INTENT_PARSE_ERROR",
+
+          httpStatus:
+            null,
+
+          count:
+            0,
+
+          leads:
+            [],
+
+          prospectName:
+            `Unable to interpret search "${queryInput}"`,
+
+          location: {
+            state:
+              searchGeo?.states?.[0] ||
+              "FL"
+          },
+
+          locationDisplay:
+            searchGeo?.city
+              ? `${searchGeo.city}, ${searchGeo?.states?.[0] || "FL"}`
+              : (
+                  searchGeo?.states?.[0] ||
+                  "FL"
+                ),
+
+          score:
+            null,
+
+          priority:
+            "UNQUALIFIED",
+
+          evidenceSummary: [
+            intentError.message
+          ],
+
+          qualificationReasons: [],
+
+          salesSignals: [],
+
+          recommendedAction:
+            "Use a supported industry and a Florida or Texas location.",
+
+          enrichment:
+            null,
+
+          evidenceLedger:
+            null
+        }
+      };
+    }
+  }
+
+  // ==========================================================================
+  // 1A. RESOLVE SEARCH GEOGRAPHY
+  // ==========================================================================
+
+  const parsedGeography =
+    searchIntent?.geography || null;
+
+  const resolvedGeoContext = {
+
+  ...searchGeo,
+
+  ...(parsedGeography?.state
+    ? {
+        state:
+          parsedGeography.state,
+
+        states: [
+          parsedGeography.state
+        ]
+      }
+    : {}),
+
+  ...(parsedGeography?.city
+    ? {
+        city:
+          parsedGeography.city
+      }
+    : {}),
+
+  ...(parsedGeography?.county
+    ? {
+        county:
+          parsedGeography.county
+      }
+    : {}),
+
+  ...(parsedGeography?.zip
+    ? {
+        zip:
+          parsedGeography.zip
+      }
+    : {}),
+
+  ...(parsedGeography?.radiusMiles
+    ? {
+        radiusMiles:
+          parsedGeography.radiusMiles,
+
+        centroid:
+          parsedGeography.centroid,
+
+        center:
+          parsedGeography.center
+      }
+    : {}),
+
+  states:
+    parsedGeography?.state
+      ? [
+          parsedGeography.state
+        ]
+      : (
+          Array.isArray(
+            searchGeo?.states
+          ) &&
+          searchGeo.states.length > 0
+            ? searchGeo.states
+            : ["FL"]
+        )
+};
+
+  // ==========================================================================
+  // 1B. PROVIDER SELECTION
+  // ==========================================================================
+
+  const selection =
+    registry.resolve({
+      state:
+        resolvedGeoContext.states[0],
+
+      providerName:
+        requestedProvider ||
+        filters.provider ||
+        null
+    });
+
+  const providerSelection = {
+
+    mode:
+      selection.selectionMode,
+
+    state:
+      selection.state,
+
+    requested:
+      requestedProvider ||
+      filters.provider ||
+      null,
+
+    provider:
+      selection.provider?.name ||
+      null,
+
+    providers:
+      selection.providers.map(
+        candidate =>
+          candidate.name
+      )
+  };
+
+  if (
+    !selection.provider
+  ) {
 
     console.warn(
-      `[PIPELINE] Provider ${provider.name} is currently unavailable. ErrorType: ${searchResult.errorType}`
+      "[PIPELINE PROVIDER SELECTION FAILURE]",
+      {
+        ...providerSelection,
+
+        errorType:
+          selection.errorType
+      }
     );
 
     return {
+      result: {
 
-      status:
-        "unavailable",
+        status:
+          "unavailable",
+
+        providerStatus:
+          "unsupported",
+
+        errorType:
+          selection.errorType,
+
+        httpStatus:
+          null,
+
+        providerSelection,
+
+        count:
+          0,
+
+        leads:
+          [],
+
+        prospectName:
+          `No registry provider is available for "${queryInput}"`,
+
+        location: {
+          state:
+            resolvedGeoContext?.states?.[0] ||
+            "FL",
+
+          city:
+            resolvedGeoContext?.city ||
+            null,
+
+          county:
+            resolvedGeoContext?.county ||
+            null
+        },
+
+        locationDisplay:
+          resolvedGeoContext?.city
+            ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
+            : (
+                resolvedGeoContext?.states?.[0] ||
+                "FL"
+              ),
+
+        score:
+          null,
+
+        priority:
+          "UNQUALIFIED",
+
+        evidenceSummary: [
+          selection.errorMessage
+        ],
+
+        qualificationReasons: [],
+
+        salesSignals: [],
+
+        recommendedAction:
+          `Choose one of the registered providers: ${registry.listNames().join(", ")}.`,
+
+        enrichment:
+          null,
+
+        evidenceLedger:
+          null
+      }
+    };
+  }
+
+  const provider =
+    selection.provider;
+
+  const acquisition =
+    new RegistryFanOutService(
+      selection.providers
+    );
+
+  // ==========================================================================
+  // 1C. BUILD PROVIDER FILTERS
+  // ==========================================================================
+
+
+  const providerFilters = {
+
+    ...filters,
+
+    query:
+      queryInput,
+
+    industry:
+      queryInput,
+
+    limit:
+      searchIntent?.limit ||
+      filters.limit ||
+      10,
+
+    classifications:
+      searchIntent?.industry?.classifications ||
+      [],
+
+    canonicalIndustry:
+      searchIntent?.industry?.canonical ||
+      null
+  };
+
+  console.log(
+    "[PIPELINE PROVIDER REQUEST]",
+    {
+      provider:
+        provider.name,
+
+      providers:
+        providerSelection.providers,
+
+      selectionMode:
+        providerSelection.mode,
+
+      query:
+        providerFilters.query,
+
+      canonicalIndustry:
+        providerFilters.canonicalIndustry,
+
+      classifications:
+        providerFilters.classifications,
+
+      geography:
+        resolvedGeoContext,
+
+      limit:
+        providerFilters.limit
+    }
+  );
+
+  // ==========================================================================
+  // 2. REGISTRY SEARCH
+  // ==========================================================================
+
+  let searchResult;
+
+  try {
+
+    searchResult =
+      registrationLookup
+        ? await acquisition.lookupRegistrations(
+            requestedRegistrationIds
+          )
+        : await acquisition.search(
+        searchIntent,
+        {
+          geoContext:
+            resolvedGeoContext,
+
+          filters:
+            providerFilters,
+
+          /*
+           * Reproduce registry facts as of a past moment, e.g. the
+           * day a lead was qualified.
+           */
+          asOf:
+            filters.asOf ||
+            null
+        }
+      );
+
+  } catch (searchError) {
+
+    console.error(
+      `[PIPELINE SEARCH FAILURE] ${provider.name}:`,
+      searchError.message
+    );
+
+    searchResult = {
 
       providerStatus:
         "unavailable",
 
-      errorType:
-        searchResult.errorType ||
-        "HTTP_ERROR",
+      provider:
+        provider.name,
 
       httpStatus:
-        searchResult.httpStatus ||
         null,
 
-      count:
-        0,
-
-      leads:
+      records:
         [],
 
-      prospectName:
-        `State registry search is temporarily unavailable for "${queryInput}"`,
+      errorType:
+        searchError?.name ||
+        "PIPELINE_SEARCH_EXCEPTION"
+    };
+  }
 
-      location: {
-        state:
-          resolvedGeoContext?.states?.[0] ||
-          "FL",
+  // 2A. PROVIDER OUTCOME SUMMARY
 
-        city:
-          resolvedGeoContext?.city ||
+  const registryAcquisition = {
+
+    asOf:
+      filters.asOf ||
+      null,
+
+    fallbackApplied:
+      Boolean(
+        searchResult?.fallbackApplied
+      ),
+
+    providers:
+      (
+        Array.isArray(
+          searchResult?.providerResults
+        )
+          ? searchResult.providerResults
+          : []
+      ).map(
+        result => ({
+
+          provider:
+            result.provider,
+
+          providerStatus:
+            result.providerStatus,
+
+          errorType:
+            result.errorType ||
+            null,
+
+          recordCount:
+            Array.isArray(
+              result.records
+            )
+              ? result.records.length
+              : 0,
+
+          // Registration lookups only: numbers the provider lacks.
+          ...(
+            Array.isArray(
+              result.missing
+            )
+              ? {
+                  missing:
+                    result.missing
+                }
+              : {}
+          )
+        })
+      )
+  };
+
+  if (
+    registryAcquisition.fallbackApplied
+  ) {
+
+    console.warn(
+      "[PIPELINE PROVIDER FALLBACK]",
+      searchResult.degradedProviders
+    );
+  }
+
+  // 2B. PROVIDER UNAVAILABLE CONTRACT GUARD
+
+  if (
+  [
+    "unavailable",
+    "blocked",
+    "rate_limited",
+    "unsupported"
+  ].includes(
+    searchResult?.providerStatus
+  )
+) {
+
+    console.warn(
+      `[PIPELINE] Provider ${provider.name} is currently unavailable. ErrorType: ${searchResult.errorType}`
+    );
+
+    return {
+      result: {
+
+        status:
+          "unavailable",
+
+        providerStatus:
+          "unavailable",
+
+        errorType:
+          searchResult.errorType ||
+          "HTTP_ERROR",
+
+        httpStatus:
+          searchResult.httpStatus ||
           null,
 
-        county:
-          resolvedGeoContext?.county ||
-          null
-      },
+        providerSelection,
+
+        registryAcquisition,
+
+        count:
+          0,
+
+        leads:
+          [],
+
+        prospectName:
+          `State registry search is temporarily unavailable for "${queryInput}"`,
+
+        location: {
+          state:
+            resolvedGeoContext?.states?.[0] ||
+            "FL",
 
-      locationDisplay:
-        resolvedGeoContext?.city
-          ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
-          : (
-              resolvedGeoContext?.states?.[0] ||
-              "FL"
-            ),
+          city:
+            resolvedGeoContext?.city ||
+            null,
 
-      score:
-        null,
+          county:
+            resolvedGeoContext?.county ||
+            null
+        },
 
-      priority:
-        "UNQUALIFIED",
+        locationDisplay:
+          resolvedGeoContext?.city
+            ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
+            : (
+                resolvedGeoContext?.states?.[0] ||
+                "FL"
+              ),
 
-      evidenceSummary: [
-        `State registry provider (${provider.name}) returned status: unavailable (${searchResult.errorType || "HTTP_ERROR"}).`
-      ],
+        score:
+          null,
 
-      qualificationReasons: [],
+        priority:
+          "UNQUALIFIED",
 
-      salesSignals: [],
+        evidenceSummary: [
+          `State registry provider (${provider.name}) returned status: unavailable (${searchResult.errorType || "HTTP_ERROR"}).`
+        ],
 
-      recommendedAction:
-        "Retry search after registry service recovers.",
+        qualificationReasons: [],
 
-      enrichment:
-        null,
+        salesSignals: [],
 
-      evidenceLedger:
-        null
+        recommendedAction:
+          "Retry search after registry service recovers.",
+
+        enrichment:
+          null,
+
+        evidenceLedger:
+          null
+      }
     };
   }
 
-  // 2B. NORMALIZE PROVIDER RESPONSE
+  // 2C. NORMALIZE PROVIDER RESPONSE
 
   const rawRecords =
     Array.isArray(
@@ -456,149 +1161,290 @@ searchIntent =
   ) {
 
     return {
+      result: {
 
-      status:
-        "empty",
+        status:
+          "empty",
 
-      providerStatus:
-        searchResult?.providerStatus ||
-        "success",
+        providerStatus:
+          searchResult?.providerStatus ||
+          "success",
 
-      count:
-        0,
+        providerSelection,
 
-      leads:
-        [],
+        registryAcquisition,
 
-      prospectName:
-        `No live registry records found for "${queryInput}"`,
+        count:
+          0,
 
-      location: {
-        state:
-          resolvedGeoContext?.states?.[0] ||
-          "FL",
+        leads:
+          [],
 
-        city:
-          resolvedGeoContext?.city ||
-          null,
+        prospectName:
+          `No live registry records found for "${queryInput}"`,
 
-        county:
-          resolvedGeoContext?.county ||
-          null
-      },
+        location: {
+          state:
+            resolvedGeoContext?.states?.[0] ||
+            "FL",
 
-      locationDisplay:
-        resolvedGeoContext?.city
-          ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
-          : (
-              resolvedGeoContext?.states?.[0] ||
-              "FL"
-            ),
+          city:
+            resolvedGeoContext?.city ||
+            null,
 
-      score:
-        null,
+          county:
+            resolvedGeoContext?.county ||
+            null
+        },
 
-      priority:
-        "UNQUALIFIED",
+        locationDisplay:
+          resolvedGeoContext?.city
+            ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
+            : (
+                resolvedGeoContext?.states?.[0] ||
+                "FL"
+              ),
 
-      evidenceSummary: [
-        "Provider query yielded 0 candidate records."
-      ],
+        score:
+          null,
 
-      qualificationReasons: [],
+        priority:
+          "UNQUALIFIED",
 
-      salesSignals: [],
+        evidenceSummary: [
+          "Provider query yielded 0 candidate records."
+        ],
 
-      recommendedAction:
-        null,
+        qualificationReasons: [],
 
-      enrichment:
-        null,
+        salesSignals: [],
 
-      evidenceLedger:
-        null
+        recommendedAction:
+          null,
+
+        enrichment:
+          null,
+
+        evidenceLedger:
+          null
+      }
     };
   }
 
-  const leads = [];
+  // ==========================================================================
+  // 4. NORMALIZE REGISTRY OBSERVATIONS
+  // ==========================================================================
+  //
+  // Each record is normalized by the provider that returned it, so
+  // provenance survives the cross-source merge.
+  // ==========================================================================
+
+  const providersByName =
+    new Map(
+      acquisition
+        .getProviders()
+        .map(
+          candidate => [
+            candidate.name,
+            candidate
+          ]
+        )
+    );
+
+  const providerRecordSets =
+    Array.isArray(
+      searchResult?.providerResults
+    )
+      ? searchResult.providerResults
+      : [
+          {
+            provider:
+              provider.name,
+
+            records:
+              rawRecords
+          }
+        ];
 
-  // 4. SEQUENTIAL CANDIDATE PROCESSING
+  const observations = [];
 
   for (
-    const raw of rawRecords
+    const recordSet of providerRecordSets
   ) {
 
-    // 4A. NORMALIZE REGISTRY RECORD
+    const sourceProvider =
+      providersByName.get(
+        recordSet.provider
+      ) ||
+      provider;
 
-    let normalized;
+    for (
+      const raw of recordSet.records || []
+    ) {
 
-    try {
+      // 4A. NORMALIZE REGISTRY RECORD
 
-      normalized =
-        typeof provider.normalize ===
-        "function"
-          ? provider.normalize(
-              raw
-            )
-          : raw;
+      let normalized;
 
-    } catch (
-      normalizeError
-    ) {
+      try {
 
-      console.error(
-        `[NORMALIZATION FAILURE] ${normalizeError.message}`
-      );
+        normalized =
+          typeof sourceProvider.normalize ===
+          "function"
+            ? sourceProvider.normalize(
+                raw
+              )
+            : raw;
 
-      continue;
-    }
+      } catch (
+        normalizeError
+      ) {
 
-    if (
-      !normalized ||
-      !normalized.companyName
-    ) {
+        console.error(
+          `[NORMALIZATION FAILURE] ${sourceProvider.name}: ${normalizeError.message}`
+        );
 
-      console.warn(
-        "[PIPELINE] Skipping candidate with no canonical company name."
-      );
+        continue;
+      }
 
-      continue;
-    }
+      if (
+        !normalized ||
+        !normalized.companyName
+      ) {
 
-    // ------------------------------------------------------------------------
-    // 4B. RESOLVE AUTHORITATIVE SOURCE URL
-    // ------------------------------------------------------------------------
+        console.warn(
+          "[PIPELINE] Skipping candidate with no canonical company name."
+        );
 
-    let sourceUrl =
-      "https://search.sunbiz.org/";
+        continue;
+      }
 
-    try {
+      // ----------------------------------------------------------------------
+      // 4B. RESOLVE AUTHORITATIVE SOURCE URL
+      // ----------------------------------------------------------------------
 
-      if (
-        typeof provider.getSourceReference ===
-        "function"
+      let sourceUrl =
+        null;
+
+      try {
+
+        if (
+          typeof sourceProvider.getSourceReference ===
+          "function"
+        ) {
+
+          sourceUrl =
+            sourceProvider.getSourceReference(
+              raw,
+              normalized
+            );
+        }
+
+      } catch (
+        sourceError
       ) {
 
-        sourceUrl =
-          provider.getSourceReference(
-            raw,
-            normalized
-          );
+        console.warn(
+          `[SOURCE REFERENCE WARNING] ${normalized.companyName}:`,
+          sourceError.message
+        );
       }
 
-    } catch (
-      sourceError
-    ) {
+      observations.push({
+
+        provider:
+          sourceProvider.name,
+
+        raw,
+
+        normalized,
+
+        sourceUrl
+      });
+    }
+  }
+
+  // ==========================================================================
+  // 4C. CROSS-SOURCE ENTITY MERGE
+  // ==========================================================================
 
-      console.warn(
-        `[SOURCE REFERENCE WARNING] ${normalized.companyName}:`,
-        sourceError.message
+  const mergedCandidates =
+    new RegistryEntityMerger()
+      .merge(
+        observations
       );
+
+  return {
+
+    candidates:
+      mergedCandidates,
+
+    context: {
+
+      queryInput,
+
+      searchIntent,
+
+      resolvedGeoContext,
+
+      providerSelection,
+
+      registryAcquisition,
+
+      profile,
+
+      ledger,
+
+      websiteDiscovery,
+
+      enrichment
     }
+  };
+}
+
+/**
+ * Turn one merged registry candidate into a lead: record its evidence,
+ * discover and enrich its website, and qualify it.
+ *
+ * Ledger failures throw; discovery, enrichment and qualification
+ * failures are recorded on the lead.
+ *
+ * @param {Object} candidate
+ * RegistryEntityMerger output: { mergeKey, entity, observations }.
+ * @param {Object} context
+ * prepareLeadCandidates() context: ledger, websiteDiscovery,
+ * enrichment and profile.
+ * @param {Object} [context.domainThrottle]
+ * Optional DomainThrottle; website enrichment for the candidate's
+ * domain runs through schedule(domain, task).
+ * @returns {Promise<Object>}
+ */
+async function processLeadCandidate(
+  candidate,
+  {
+    ledger,
+    websiteDiscovery,
+    enrichment,
+    profile,
+    domainThrottle = null
+  }
+) {
 
-    // ------------------------------------------------------------------------
-    // 4C. RECORD EVIDENCE
-    // ------------------------------------------------------------------------
+  const normalized =
+    candidate.entity;
+
+  // ------------------------------------------------------------------------
+  // 4D. RECORD EVIDENCE
+  //
+  // Every source observation is recorded separately. The preferred
+  // provider's entry becomes the lead's primary ledger binding.
+  // ------------------------------------------------------------------------
+
+  const evidenceEntries = [];
+
+  for (
+    const observation of candidate.observations
+  ) {
 
     let evidenceEntry;
 
@@ -608,17 +1454,16 @@ searchIntent =
         ledger.recordObservation({
 
           providerName:
-            provider.name ||
-            "SunbizProvider",
+            observation.provider,
 
           rawPayload:
-            raw,
+            observation.raw,
 
           normalizedEntity:
-            normalized,
+            observation.normalized,
 
           sourceUrl:
-            sourceUrl,
+            observation.sourceUrl,
 
           retrievedAt:
             new Date().toISOString()
@@ -638,9 +1483,7 @@ searchIntent =
       );
     }
 
-    // ------------------------------------------------------------------------
-    // 4D. STRICT LEDGER IDENTITY REQUIREMENT
-    // ------------------------------------------------------------------------
+    // STRICT LEDGER IDENTITY REQUIREMENT
 
     if (
       !evidenceEntry ||
@@ -652,618 +1495,610 @@ searchIntent =
       );
     }
 
-    // ------------------------------------------------------------------------
-    // 4E. CONSTRUCT LEDGER BINDING
-    // ------------------------------------------------------------------------
-
-    const ledgerBinding = {
-
-      inputSignalId:
-        evidenceEntry.inputSignalId,
-
-      sourceContentHash:
-        evidenceEntry.sourceContentHash ||
-        evidenceEntry.contentHash ||
-        null,
-
-      canonicalEntityHash:
-        evidenceEntry.canonicalEntityHash ||
-        null,
-
-      signalRecordHash:
-        evidenceEntry.signalRecordHash ||
-        null,
-
+    evidenceEntries.push({
+      evidenceEntry,
       sourceUrl:
-        sourceUrl
-    };
-
-    // ==========================================================================
-    // 5. ENRICHMENT
-    // ==========================================================================
-
-    let enrichmentResult = {
-
-      data: {
-
-        website:
-          null,
-
-        businessPhone:
-          null,
-
-        emails:
-          [],
-
-        phones:
-          [],
-
-        digitalSignals:
-          [],
-
-        contacts:
-          [],
-
-        status:
-          "unavailable",
-
-        errors:
-          []
-      },
-
-      status:
-        "unattempted",
-
-      errors:
-        []
-    };
-
-    try {
-
-      const enrichmentData =
-        await enrichProspect(
-          normalized
-        );
-
-      const websiteData =
-        enrichmentData?.website ||
-        null;
-
-      const contactData =
-        enrichmentData?.contacts ||
-        null;
-
-      const websiteEmails =
-        Array.isArray(
-          websiteData?.emails
-        )
-          ? websiteData.emails
-          : [];
-
-      const websitePhones =
-        Array.isArray(
-          websiteData?.phones
-        )
-          ? websiteData.phones
-          : [];
-
-      const websiteSignals =
-        Array.isArray(
-          websiteData?.digitalSignals
-        )
-          ? websiteData.digitalSignals
-          : [];
-
-      const contactEmails =
-        Array.isArray(
-          contactData?.emails
-        )
-          ? contactData.emails
-          : Array.isArray(
-              contactData?.publicEmails
-            )
-              ? contactData.publicEmails.map(
-                  value => ({
-                    value,
-                    source:
-                      "contact_search",
-                    confidence:
-                      "low",
-                    verified:
-                      false
-                  })
-                )
-              : [];
-
-      const contactPhones =
-        Array.isArray(
-          contactData?.phones
-        )
-          ? contactData.phones
-          : contactData?.primaryPhone
-            ? [
-                {
-                  value:
-                    contactData.primaryPhone,
-
-                  source:
-                    "contact_search",
-
-                  confidence:
-                    contactData.sourceConfidence ||
-                    "low"
-                }
-              ]
-            : [];
-
-      const normalizedEnrichmentData = {
-
-        website:
-          websiteData,
-
-        contacts:
-          contactData,
-
-        emails: [
-          ...websiteEmails,
-          ...contactEmails
-        ],
-
-        phones: [
-          ...websitePhones,
-          ...contactPhones
-        ],
-
-        digitalSignals:
-          websiteSignals,
-
-        observations: [
-
-          ...(websiteData
-            ? [
-                {
-                  provider:
-                    "WebsiteReconProvider",
-
-                  observedAt:
-                    websiteData.observedAt ||
-                    new Date().toISOString(),
-
-                  observationType:
-                    "website_reconnaissance"
-                }
-              ]
-            : []),
-
-          ...(contactData
-            ? [
-                {
-                  provider:
-                    "ContactSearch",
-
-                  observedAt:
-                    contactData.searchedAt ||
-                    new Date().toISOString(),
-
-                  observationType:
-                    "contact_enrichment"
-                }
-              ]
-            : [])
-        ]
-      };
-
-      const hasWebsiteData =
-        Boolean(
-          websiteData &&
-          websiteData.status ===
-            "success"
-        );
-
-      const hasContactData =
-        Boolean(
-          contactData &&
-          (
-            contactData.primaryPhone ||
-            contactData.publicEmails?.length ||
-            contactData.emails?.length ||
-            contactData.phones?.length
-          )
-        );
+        observation.sourceUrl
+    });
+  }
 
-      const hasFlattenedObservations =
-        normalizedEnrichmentData.emails.length >
-          0 ||
-        normalizedEnrichmentData.phones.length >
-          0 ||
-        normalizedEnrichmentData.digitalSignals.length >
-          0;
+  const [primaryEvidence] =
+    evidenceEntries;
+
+  const evidenceEntry =
+    primaryEvidence.evidenceEntry;
+
+  const sourceUrl =
+    primaryEvidence.sourceUrl;
+
+  // ------------------------------------------------------------------------
+  // 4E. CONSTRUCT LEDGER BINDING
+  // ------------------------------------------------------------------------
+
+  const ledgerBinding = {
+
+    inputSignalId:
+      evidenceEntry.inputSignalId,
+
+    sourceContentHash:
+      evidenceEntry.sourceContentHash ||
+      evidenceEntry.contentHash ||
+      null,
+
+    canonicalEntityHash:
+      evidenceEntry.canonicalEntityHash ||
+      null,
+
+    signalRecordHash:
+      evidenceEntry.signalRecordHash ||
+      null,
+
+    /*
+     * Set only by the persistent, hash-chained ledger.
+     */
+    previousRecordHash:
+      evidenceEntry.previousRecordHash ??
+      null,
+
+    /*
+     * Present when this exact source content was already in the
+     * ledger; the inputSignalId is the one from the first sighting.
+     */
+    reobservation:
+      evidenceEntry.reobservation ||
+      null,
+
+    sourceUrl:
+      sourceUrl,
+
+    /*
+     * Ledger entries for the other sources merged into this entity.
+     */
+    corroboratingSignals:
+      evidenceEntries
+        .slice(1)
+        .map(
+          ({ evidenceEntry: entry, sourceUrl: entryUrl }) => ({
+
+            inputSignalId:
+              entry.inputSignalId,
+
+            providerName:
+              entry.providerName ||
+              null,
+
+            signalRecordHash:
+              entry.signalRecordHash ||
+              null,
+
+            sourceUrl:
+              entryUrl
+          })
+        )
+  };
 
-      enrichmentResult = {
+  // ==========================================================================
+  // 4F. WEBSITE DISCOVERY
+  //
+  // Registry records rarely carry a website. Search for one, score each
+  // result's name/domain match, and pass only a candidate at or above
+  // the threshold to enrichment. The query and scores are recorded in
+  // the ledger; an unrecorded candidate is not used.
+  // ==========================================================================
 
-        data:
-          normalizedEnrichmentData,
+  let discovery =
+    null;
 
-        status:
-          hasWebsiteData ||
-          hasContactData ||
-          hasFlattenedObservations
-            ? "complete"
-            : "empty",
-
-        errors:
-          []
-      };
+  let candidateInfo =
+    null;
 
-    } catch (
-      enrichError
-    ) {
+  try {
 
-      console.error(
-        `[ENRICHMENT ERROR BOUNDARY] ${normalized.companyName}:`,
-        enrichError.message
+    discovery =
+      await websiteDiscovery.discoverWebsite(
+        normalized
       );
 
-      enrichmentResult = {
+  } catch (
+    discoveryError
+  ) {
 
-        data: {
+    console.error(
+      `[WEBSITE DISCOVERY FAILURE] ${normalized.companyName}:`,
+      discoveryError.message
+    );
 
-          website:
-            null,
+    discovery = {
+      status:
+        "error",
 
-          businessPhone:
-            null,
+      query:
+        null,
 
-          emails:
-            [],
+      candidates:
+        [],
 
-          phones:
-            [],
+      selected:
+        null,
 
-          digitalSignals:
-            [],
+      error:
+        discoveryError.message
+    };
+  }
 
-          contacts:
-            [],
+  if (discovery?.query) {
 
-          status:
-            "failed",
+    try {
 
-          errors: [
-            {
-              stage:
-                "enrichProspect",
+      const discoveryEntry =
+        ledger.recordObservation({
 
-              message:
-                enrichError.message
-            }
-          ]
-        },
+          providerName:
+            discovery.provider ||
+            "WebsiteDiscoveryService",
 
-        status:
-          "failed",
+          rawPayload: {
 
-        errors: [
-          {
-            stage:
-              "enrichProspect",
+            query:
+              discovery.query,
 
-            message:
-              enrichError.message
-          }
-        ]
-      };
-    }
+            candidates:
+              discovery.candidates.map(
+                candidate => ({
+                  candidateName:
+                    candidate.candidateName,
 
-    // ==========================================================================
-    // 6. DETERMINISTIC QUALIFICATION
-    // ==========================================================================
+                  candidateDomain:
+                    candidate.candidateDomain,
 
-    let qualification;
+                  formattedUrl:
+                    candidate.formattedUrl,
 
-    try {
+                  snippet:
+                    candidate.snippet,
 
-      qualification =
-        QualificationEngine.evaluate(
+                  resultType:
+                    candidate.resultType
+                })
+              )
+          },
 
-          normalized,
+          normalizedEntity: {
 
-          enrichmentResult.data ||
-            {},
+            registrationId:
+              normalized.registrationId ||
+              null,
 
-          ledgerBinding
-        );
+            companyName:
+              normalized.companyName,
 
-    } catch (
-      qualificationError
-    ) {
+            query:
+              discovery.query,
 
-      console.error(
-        `[QUALIFICATION FAILURE] ${normalized.companyName}:`,
-        qualificationError.message
-      );
+            status:
+              discovery.status,
 
-      qualification = {
+            threshold:
+              discovery.threshold,
 
-        qualificationScore:
-          null,
+            selectedDomain:
+              discovery.selected?.candidateDomain ||
+              null,
 
-        priority:
-          "UNQUALIFIED",
+            matchScore:
+              discovery.selected?.match?.score ??
+              discovery.candidates[0]?.match?.score ??
+              null,
 
-        qualificationReasons: [
-          "Qualification engine failed; manual review required."
-        ],
+            candidateScores:
+              discovery.candidates.map(
+                candidate => ({
+                  candidateDomain:
+                    candidate.candidateDomain,
 
-        salesSignals: [
-          {
-            code:
-              "QUALIFICATION_ENGINE_ERROR",
+                  ...candidate.match
+                })
+              )
+          },
 
-            message:
-              qualificationError.message
-          }
-        ],
+          sourceUrl:
+            discovery.selected?.formattedUrl ||
+            null,
 
-        recommendedAction:
-          "Perform manual qualification review.",
+          retrievedAt:
+            discovery.discoveredAt
+        });
 
-        evaluatedAt:
-          new Date().toISOString()
-      };
-    }
+      discovery.evidence = {
 
-    // ==========================================================================
-    // 7. LOCATION NORMALIZATION
-    // ==========================================================================
+        inputSignalId:
+          discoveryEntry.inputSignalId,
 
-    const location =
-      normalized.location ||
-      {};
+        signalRecordHash:
+          discoveryEntry.signalRecordHash ||
+          null
+      };
 
-    let locationDisplay =
-      "Florida";
+      candidateInfo =
+        discovery.selected;
 
-    if (
-      typeof location ===
-      "string"
+    } catch (
+      ledgerError
     ) {
 
-      locationDisplay =
-        location;
-
-    } else if (
-      location &&
-      typeof location ===
-      "object"
-    ) {
+      console.error(
+        `[LEDGER FAILURE] Website discovery for ${normalized.companyName}:`,
+        ledgerError.message
+      );
 
-      locationDisplay =
-        [
-          location.city,
-          location.state,
-          location.zip
-        ]
-          .filter(Boolean)
-          .join(", ") ||
-        "Florida";
+      discovery.ledgerError =
+        ledgerError.message;
     }
+  }
 
-    // ==========================================================================
-    // 8. EVIDENCE SUMMARY
-    // ==========================================================================
+  // ==========================================================================
+  // 5. ENRICHMENT
+  // ==========================================================================
 
-    const evidenceSummary = [
+  /*
+   * EnrichmentEngine isolates provider failures itself; this boundary
+   * only covers the engine as a whole.
+   */
+  let enrichmentResult;
 
-      "Verified registry observation processed through the active provider.",
+  try {
 
-      "Canonical observation ledger entry generated and hash-bound."
-    ];
+    const enrich =
+      () =>
+        enrichment.enrich(
+          normalized,
+          candidateInfo
+        );
 
-    if (
-      sourceUrl
-    ) {
+    enrichmentResult =
+      domainThrottle &&
+      candidateInfo?.candidateDomain
+        ? await domainThrottle.schedule(
+            candidateInfo.candidateDomain,
+            enrich
+          )
+        : await enrich();
 
-      evidenceSummary.push(
-        `Authoritative source: ${sourceUrl}`
-      );
-    }
+  } catch (
+    enrichError
+  ) {
 
-    if (
-      enrichmentResult.status ===
-      "complete"
-    ) {
+    console.error(
+      `[ENRICHMENT ERROR BOUNDARY] ${normalized.companyName}:`,
+      enrichError.message
+    );
 
-      evidenceSummary.push(
-        "Secondary public enrichment observations collected."
+    enrichmentResult =
+      EnrichmentEngine.failedResult(
+        enrichError
       );
-    }
-
-    // ==========================================================================
-    // 9. STRUCTURED LEAD OBJECT
-    // ==========================================================================
-
-    leads.push({
+  }
 
-      prospectId:
-        `prospect_${evidenceEntry.inputSignalId}`,
+  // ==========================================================================
+  // 6. DETERMINISTIC QUALIFICATION
+  // ==========================================================================
 
-      prospectName:
-        normalized.companyName ||
-        normalized.name ||
-        "Active Prospect",
+  let qualification;
 
-      location:
-        location,
+  try {
 
-      locationDisplay:
-        locationDisplay,
+    qualification =
+      QualificationEngine.evaluate(
 
-      entity:
         normalized,
 
-      enrichment:
         enrichmentResult,
 
-      score:
-        qualification.qualificationScore ??
+        ledgerBinding,
+
+        {
+          profile
+        }
+      );
+
+  } catch (
+    qualificationError
+  ) {
+
+    console.error(
+      `[QUALIFICATION FAILURE] ${normalized.companyName}:`,
+      qualificationError.message
+    );
+
+    qualification = {
+
+      qualificationScore:
         null,
 
       priority:
-        qualification.priority ||
         "UNQUALIFIED",
 
-      qualificationReasons:
-        Array.isArray(
-          qualification.qualificationReasons
-        )
-          ? qualification.qualificationReasons
-          : [],
+      qualificationReasons: [
+        "Qualification engine failed; manual review required."
+      ],
 
-      salesSignals:
-        Array.isArray(
-          qualification.salesSignals
-        )
-          ? qualification.salesSignals
-          : [],
+      salesSignals: [
+        {
+          code:
+            "QUALIFICATION_ENGINE_ERROR",
 
-      recommendedAction:
-        qualification.recommendedAction ||
-        null,
+          message:
+            qualificationError.message
+        }
+      ],
 
-      evidenceSummary:
-        evidenceSummary,
+      recommendedAction:
+        "Perform manual qualification review.",
 
-      evidenceLedger:
-        ledgerBinding
-    });
+      evaluatedAt:
+        new Date().toISOString()
+    };
   }
 
   // ==========================================================================
-  // 10. SAFETY CHECK
+  // 7. LOCATION NORMALIZATION
   // ==========================================================================
 
+  const location =
+    normalized.location ||
+    {};
+
+  let locationDisplay =
+    "Florida";
+
   if (
-    leads.length ===
-    0
+    typeof location ===
+    "string"
   ) {
 
-    return {
+    locationDisplay =
+      location;
 
-      status:
-        "empty",
+  } else if (
+    location &&
+    typeof location ===
+    "object"
+  ) {
 
-      count:
-        0,
+    locationDisplay =
+      [
+        location.city,
+        location.state,
+        location.zip
+      ]
+        .filter(Boolean)
+        .join(", ") ||
+      "Florida";
+  }
 
-      leads:
-        [],
+  // ==========================================================================
+  // 8. EVIDENCE SUMMARY
+  // ==========================================================================
 
-      prospectName:
-        `No valid lead records could be constructed for "${queryInput}"`,
+  const evidenceSummary = [
 
-      location: {
-        state:
-          resolvedGeoContext?.states?.[0] ||
-          "FL",
+    "Verified registry observation processed through the active provider.",
 
-        city:
-          resolvedGeoContext?.city ||
-          null,
+    "Canonical observation ledger entry generated and hash-bound."
+  ];
 
-        county:
-          resolvedGeoContext?.county ||
-          null
-      },
+  if (
+    sourceUrl
+  ) {
 
-      locationDisplay:
-        resolvedGeoContext?.city
-          ? `${resolvedGeoContext.city}, ${resolvedGeoContext?.states?.[0] || "FL"}`
-          : (
-              resolvedGeoContext?.states?.[0] ||
-              "FL"
-            ),
+    evidenceSummary.push(
+      `Authoritative source: ${sourceUrl}`
+    );
+  }
 
-      score:
-        null,
+  if (
+    Array.isArray(
+      normalized.sources
+    ) &&
+    normalized.sources.length > 1
+  ) {
 
-      priority:
-        "UNQUALIFIED",
+    evidenceSummary.push(
+      `Registry record corroborated across sources: ${normalized.sources.join(", ")}.`
+    );
+  }
 
-      evidenceSummary: [
-        "Provider returned records, but none passed pipeline integrity checks."
-      ],
+  for (
+    const conflict of normalized.conflicts || []
+  ) {
 
-      qualificationReasons: [],
+    evidenceSummary.push(
+      `Registry sources disagree on ${conflict.field}: ` +
+      conflict.values
+        .map(
+          ({ provider: sourceName, value }) =>
+            `${sourceName}=${
+              value &&
+              typeof value === "object"
+                ? [
+                    value.line1,
+                    value.city,
+                    value.zip
+                  ]
+                    .filter(Boolean)
+                    .join(", ")
+                : value
+            }`
+        )
+        .join("; ") +
+      "."
+    );
+  }
 
-      salesSignals: [],
+  if (
+    enrichmentResult.status ===
+    "complete"
+  ) {
 
-      recommendedAction:
-        null,
+    evidenceSummary.push(
+      "Secondary public enrichment observations collected."
+    );
+  }
 
-      enrichment:
-        null,
+  if (
+    candidateInfo
+  ) {
 
-      evidenceLedger:
-        null
-    };
+    evidenceSummary.push(
+      `Website discovered: ${candidateInfo.candidateDomain} (name/domain match ${candidateInfo.match.score}).`
+    );
   }
 
   // ==========================================================================
-  // 11. PRIMARY LEAD / LEGACY ROOT BINDINGS
+  // 9. STRUCTURED LEAD OBJECT
   // ==========================================================================
 
-  const primaryLead =
-    leads[0];
-
   return {
 
-    status:
-      "success",
-
-    count:
-      leads.length,
-
-    leads:
-      leads,
-
-    // Legacy / single-card compatibility
+    prospectId:
+      `prospect_${evidenceEntry.inputSignalId}`,
 
     prospectName:
-      primaryLead.prospectName,
+      normalized.companyName ||
+      normalized.name ||
+      "Active Prospect",
 
     location:
-      primaryLead.location,
+      location,
 
     locationDisplay:
-      primaryLead.locationDisplay,
+      locationDisplay,
+
+    entity:
+      normalized,
+
+    enrichment:
+      enrichmentResult,
 
     score:
-      primaryLead.score,
+      qualification.qualificationScore ??
+      null,
 
     priority:
-      primaryLead.priority,
+      qualification.priority ||
+      "UNQUALIFIED",
+
+    qualificationReasons:
+      Array.isArray(
+        qualification.qualificationReasons
+      )
+        ? qualification.qualificationReasons
+        : [],
+
+    salesSignals:
+      Array.isArray(
+        qualification.salesSignals
+      )
+        ? qualification.salesSignals
+        : [],
 
     recommendedAction:
-      primaryLead.recommendedAction,
+      qualification.recommendedAction ||
+      null,
 
-    evidenceSummary:
-      primaryLead.evidenceSummary,
+    nameMatch:
+      qualification.nameMatch ||
+      null,
 
-    qualificationReasons:
-      primaryLead.qualificationReasons,
+    scoring:
+      qualification.scoring ||
+      null,
 
-    salesSignals:
-      primaryLead.salesSignals,
+    discovery:
+      summarizeDiscovery(
+        discovery
+      ),
 
-    enrichment:
-      primaryLead.enrichment,
+    evidenceSummary:
+      evidenceSummary,
 
     evidenceLedger:
-      primaryLead.evidenceLedger
+      ledgerBinding
+  };
+}
+
+/**
+ * Lead-level view of a website discovery result.
+ *
+ * @param {Object|null} discovery
+ * @returns {Object|null}
+ */
+function summarizeDiscovery(
+  discovery
+) {
+
+  if (!discovery) {
+    return null;
+  }
+
+  return {
+
+    status:
+      discovery.status,
+
+    query:
+      discovery.query ||
+      null,
+
+    threshold:
+      discovery.threshold ??
+      null,
+
+    selected:
+      discovery.selected &&
+      discovery.evidence
+        ? {
+            domain:
+              discovery.selected.candidateDomain,
+
+            url:
+              discovery.selected.formattedUrl,
+
+            matchScore:
+              discovery.selected.match.score
+          }
+        : null,
+
+    candidates:
+      (discovery.candidates || [])
+        .map(
+          candidate => ({
+            domain:
+              candidate.candidateDomain,
+
+            resultType:
+              candidate.resultType,
+
+            matchScore:
+              candidate.match?.score ??
+              null
+          })
+        ),
+
+    evidence:
+      discovery.evidence ||
+      null,
+
+    error:
+      discovery.error ||
+      discovery.ledgerError ||
+      null
   };
 }
 
 module.exports = {
+  prepareLeadCandidates,
+  processLeadCandidate,
+  resolveLeads,
   runLeadPipeline
 };
@@ -30,6 +30,13 @@ class BaseProvider {
    * Describe provider capabilities.
    *
    * Every concrete provider should override this.
+   *
+   * searchInterface declares how search() expects to be called:
+   * - "search_intent": search(searchIntent)
+   * - "geo_context": search(geoContext, filters)
+   *
+   * pointInTimeQueries declares whether search() honors an `asOf`
+   * option returning records as they were at that moment.
    */
   getCapabilityProfile() {
 
@@ -40,6 +47,12 @@ class BaseProvider {
       geography:
         this.supportedGeos,
 
+      searchInterface:
+        "search_intent",
+
+      pointInTimeQueries:
+        false,
+
       sourceType:
         "unknown",
 
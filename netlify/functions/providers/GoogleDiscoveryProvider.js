@@ -30,14 +30,7 @@ class GoogleDiscoveryProvider {
    * @returns {Promise<Array>}
    */
   async discoverCandidates(query, geoContext = {}, options = {}) {
-    const apiKey =
-      process.env.RYGUY_SEARCH_API_KEY ||
-      process.env.LEAD_QUALIFIER_API_KEY;
-
-    const cseId =
-      process.env.CORP_COMP_CSE_ID ||
-      process.env.DIR_INFO_CSE_ID ||
-      process.env.RYGUY_SEARCH_ENGINE_ID;
+    const { apiKey, cseId } = this.getCredentials();
 
     const limit = Math.min(
       Math.max(Number(options.limit) || 10, 1),
@@ -126,6 +119,31 @@ class GoogleDiscoveryProvider {
     }
   }
 
+  /**
+   * Google Custom Search credentials from the environment.
+   */
+  getCredentials() {
+    return {
+      apiKey:
+        process.env.RYGUY_SEARCH_API_KEY ||
+        process.env.LEAD_QUALIFIER_API_KEY,
+
+      cseId:
+        process.env.CORP_COMP_CSE_ID ||
+        process.env.DIR_INFO_CSE_ID ||
+        process.env.RYGUY_SEARCH_ENGINE_ID
+    };
+  }
+
+  /**
+   * Whether discovery can query Google at all.
+   */
+  hasCredentials() {
+    const { apiKey, cseId } = this.getCredentials();
+
+    return Boolean(apiKey && cseId);
+  }
+
   /**
    * Build a geography-aware discovery query.
    */
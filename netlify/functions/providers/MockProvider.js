@@ -10,6 +10,17 @@ class MockProvider extends BaseProvider {
     super("MockProvider", ["FL", "TX", "CA"]);
   }
 
+  getCapabilityProfile() {
+    return {
+      provider: this.name,
+      geography: this.supportedGeos,
+      searchInterface: "geo_context",
+      sourceType: "mock",
+      capabilities: ["legalName", "registrationId", "status", "filingDate", "principalAddress", "registeredAgent"],
+      limitations: ["mock_data_only"]
+    };
+  }
+
   async search(geoContext, filters) {
     const city = geoContext?.city || "Tampa";
     const state = geoContext?.state || "FL";
@@ -1,8 +1,12 @@
 // /providers/OfficialFloridaProvider.js
 
 const {
-  BaseProvider
-} = require("./BaseProvider.js");
+  StateRegistryProvider
+} = require("./StateRegistryProvider.js");
+
+const {
+  FLORIDA
+} = require("../source/StateJurisdictions.js");
 
 /**
  * OfficialFloridaProvider
@@ -13,32 +17,15 @@ const {
  * - Locally ingested Florida Department of State
  *   Division of Corporations public datasets.
  *
- * ARCHITECTURAL ROLE:
- *
- *     SearchIntent
- *          ↓
- * OfficialFloridaProvider
- *          ↓
- *    Local Database
- *          ↓
- *   Registry Observations
- *
- * RESPONSIBILITY:
- * - Query the locally ingested Florida registry dataset.
- * - Enforce Florida jurisdiction support.
- * - Return structured acquisition results.
- * - Preserve dataset provenance metadata when available.
+ * Search, jurisdiction enforcement and normalization live in
+ * StateRegistryProvider. This class binds it to Florida and links
+ * records to their Sunbiz detail pages.
  *
  * DOES NOT:
- * - Parse natural-language searches.
- * - Perform enrichment.
- * - Score or qualify prospects.
- * - Perform geographic qualification.
- * - Write to the Evidence Ledger.
  * - Query search.sunbiz.org interactively.
  */
 class OfficialFloridaProvider
-  extends BaseProvider {
+  extends StateRegistryProvider {
 
   /**
    * @param {Object} options
@@ -47,259 +34,56 @@ class OfficialFloridaProvider
    */
   constructor({ database } = {}) {
 
-    super(
-      "OfficialFloridaProvider",
-      ["FL"]
-    );
-
-    if (
-      !database ||
-      typeof database.search !== "function"
-    ) {
-
-      throw new Error(
-        "OfficialFloridaProvider requires a database client implementing search()."
-      );
-    }
-
-    this.database =
-      database;
-  }
-
-  /**
-   * Return capability profile metadata.
-   */
-  getCapabilityProfile() {
-
-    return {
+    super({
 
-      provider:
-        this.name,
+      jurisdiction:
+        FLORIDA,
 
-      geography:
-        this.supportedGeos,
+      database,
 
-      authority:
-        "Florida Department of State Division of Corporations",
-
-      sourceType:
-        "official_state_dataset",
-
-      acquisitionMode:
-        "local_database",
-
-      requiresInteractiveWebAccess:
-        false,
-
-      capabilities: [
-        "legalName",
-        "registrationId",
-        "status",
-        "entityType",
-        "filingDate",
-        "principalAddress",
-        "mailingAddress",
-        "registeredAgent"
-      ],
-
-      limitations: [
-        "dataset_dependent",
-        "no_direct_email",
-        "no_direct_phone",
-        "no_revenue",
-        "no_employee_count",
-        "no_sales_intent"
-      ]
-    };
+      name:
+        "OfficialFloridaProvider"
+    });
   }
 
   /**
-   * Search the locally ingested Florida corporate dataset.
+   * Return the authoritative public reference for a dataset record.
    *
-   * @param {Object} searchIntent
-   * @returns {Promise<Object>}
+   * The ingested dataset has no per-record URL, so the public
+   * Division of Corporations detail page for the same document
+   * number is referenced instead.
+   *
+   * @param {Object} rawRecord
+   * @param {Object} normalizedRecord
+   * @returns {string}
    */
-  async search(
-    searchIntent
+  getSourceReference(
+    rawRecord,
+    normalizedRecord
   ) {
 
-    // ------------------------------------------------------------------------
-    // SEARCH INTENT VALIDATION
-    // ------------------------------------------------------------------------
+    const registrationId =
+      normalizedRecord?.registrationId ||
+      rawRecord?.registrationId;
 
     if (
-      !searchIntent ||
-      typeof searchIntent !== "object" ||
-      Array.isArray(searchIntent)
+      !registrationId
     ) {
-
-      throw new Error(
-        "OfficialFloridaProvider requires a valid SearchIntent object."
-      );
-    }
-
-    // ------------------------------------------------------------------------
-    // JURISDICTION VALIDATION
-    // ------------------------------------------------------------------------
-
-    const state =
-      searchIntent
-        ?.geography
-        ?.state;
-
-    if (
-      typeof state !== "string" ||
-      state.toUpperCase() !== "FL"
-    ) {
-
-      return {
-
-        providerStatus:
-          "unsupported",
-
-        provider:
-          this.name,
-
-        records:
-          [],
-
-        errorType:
-          "UNSUPPORTED_GEOGRAPHY",
-
-        errorMessage:
-          "OfficialFloridaProvider only supports Florida (FL)."
-      };
+      return "https://search.sunbiz.org/Inquiry/CorporationSearch/ByName";
     }
 
-    // ------------------------------------------------------------------------
-    // DATABASE ACQUISITION
-    // ------------------------------------------------------------------------
-
-    try {
-
-      const result =
-        await this.database.search(
-          searchIntent
-        );
-
-      /*
-       * The database abstraction may eventually return either:
-       *
-       * 1. An array of records
-       *
-       * OR
-       *
-       * 2. A structured database response:
-       *
-       * {
-       *   records: [],
-       *   snapshotDate: "...",
-       *   datasetVersion: "..."
-       * }
-       *
-       * Support both without forcing the database implementation
-       * to be rewritten immediately.
-       */
-
-      const records =
-        Array.isArray(result)
-          ? result
-          : Array.isArray(result?.records)
-            ? result.records
-            : [];
-
-      const snapshotDate =
-        Array.isArray(result)
-          ? null
-          : result?.snapshotDate ||
-            null;
-
-      const datasetVersion =
-        Array.isArray(result)
-          ? null
-          : result?.datasetVersion ||
-            null;
-
-      // ----------------------------------------------------------------------
-      // SUCCESS / EMPTY RESULT
-      // ----------------------------------------------------------------------
-
-      return {
-
-        providerStatus:
-          records.length > 0
-            ? "success"
-            : "empty",
-
-        provider:
-          this.name,
-
-        sourceType:
-          "official_state_dataset",
-
-        authority:
-          "Florida Department of State Division of Corporations",
-
-        records,
-
-        dataset: {
-
-          jurisdiction:
-            "FL",
-
-          snapshotDate,
-
-          datasetVersion
-        },
-
-        errorType:
-          null
-      };
-
-    } catch (error) {
-
-      // ----------------------------------------------------------------------
-      // DATABASE AVAILABILITY FAILURE
-      // ----------------------------------------------------------------------
-
-      console.error(
-        `[${this.name}] DATABASE SEARCH FAILURE`,
-        {
-          message:
-            error?.message ||
-            "Unknown database error",
-
-          searchMode:
-            searchIntent.searchMode ||
-            null
-        }
-      );
-
-      return {
-
-        providerStatus:
-          "unavailable",
-
-        provider:
-          this.name,
-
-        sourceType:
-          "official_state_dataset",
-
-        records:
-          [],
-
-        dataset:
-          null,
-
-        errorType:
-          "DATABASE_QUERY_ERROR",
-
-        errorMessage:
-          error?.message ||
-          "Unknown database error"
-      };
-    }
+    const companyName =
+      normalizedRecord?.companyName ||
+      rawRecord?.companyName ||
+      "";
+
+    return (
+      "https://search.sunbiz.org" +
+      "/Inquiry/CorporationSearch/SearchResultDetail" +
+      "?inquiryType=EntityName" +
+      `&searchNameOrder=${encodeURIComponent(companyName)}` +
+      `&aggregateId=${encodeURIComponent(registrationId)}`
+    );
   }
 }
 
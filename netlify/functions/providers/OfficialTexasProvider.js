@@ -0,0 +1,106 @@
+// /providers/OfficialTexasProvider.js
+
+const {
+  StateRegistryProvider
+} = require("./StateRegistryProvider.js");
+
+const {
+  TEXAS
+} = require("../source/StateJurisdictions.js");
+
+/**
+ * OfficialTexasProvider
+ *
+ * Authoritative Texas corporate-registry acquisition provider.
+ *
+ * DATA SOURCE:
+ * - Locally ingested Texas Comptroller of Public Accounts
+ *   Active Franchise Tax Permit Holders dataset.
+ *
+ * Search, jurisdiction enforcement and normalization live in
+ * StateRegistryProvider. This class binds it to Texas and links
+ * records to the Comptroller's franchise tax account status page.
+ *
+ * DOES NOT:
+ * - Query the Comptroller or Secretary of State (SOSDirect)
+ *   interactively.
+ * - Cover entities without a franchise tax permit, such as most sole
+ *   proprietorships and general partnerships.
+ */
+class OfficialTexasProvider
+  extends StateRegistryProvider {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.database
+   * Database service implementing search(searchIntent).
+   */
+  constructor({ database } = {}) {
+
+    super({
+
+      jurisdiction:
+        TEXAS,
+
+      database,
+
+      name:
+        "OfficialTexasProvider"
+    });
+  }
+
+  /**
+   * The permit holder file carries one address and no registered
+   * agent.
+   */
+  getCapabilityProfile() {
+
+    return {
+
+      ...super.getCapabilityProfile(),
+
+      capabilities: [
+        "legalName",
+        "registrationId",
+        "status",
+        "entityType",
+        "filingDate",
+        "principalAddress"
+      ]
+    };
+  }
+
+  /**
+   * Return the Comptroller's public franchise tax account status page
+   * for the record's taxpayer number.
+   *
+   * @param {Object} rawRecord
+   * @param {Object} normalizedRecord
+   * @returns {string}
+   */
+  getSourceReference(
+    rawRecord,
+    normalizedRecord
+  ) {
+
+    const registrationId =
+      normalizedRecord?.registrationId ||
+      rawRecord?.registrationId;
+
+    if (
+      !registrationId
+    ) {
+      return "https://comptroller.texas.gov/taxes/franchise/account-status/search";
+    }
+
+    return (
+      "https://comptroller.texas.gov" +
+      "/taxes/franchise/account-status/search/" +
+      encodeURIComponent(registrationId)
+    );
+  }
+}
+
+module.exports = {
+  OfficialTexasProvider
+};
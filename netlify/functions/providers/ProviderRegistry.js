@@ -0,0 +1,526 @@
+// /providers/ProviderRegistry.js
+
+const {
+  SunbizProvider
+} = require("./SunbizProvider.js");
+
+const {
+  MockProvider
+} = require("./MockProvider.js");
+
+/**
+ * ProviderRegistry
+ *
+ * Catalog of registry providers available to the lead pipeline.
+ *
+ * RESPONSIBILITY:
+ * - Hold registered provider instances in preference order.
+ * - Resolve providers from the geography each one declares in
+ *   getCapabilityProfile().
+ * - Return every provider covering a jurisdiction so the pipeline can
+ *   fan out and merge across sources.
+ * - Honor an explicit provider override when the requested provider
+ *   covers the resolved jurisdiction.
+ *
+ * DOES NOT:
+ * - Execute registry searches.
+ * - Parse raw user language.
+ * - Normalize registry entities.
+ * - Write to the Evidence Ledger.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *     SearchIntent.geography.state
+ *          ↓
+ *    ProviderRegistry
+ *          ↓
+ * RegistryAcquisitionService
+ *          ↓
+ *      Provider
+ */
+class ProviderRegistry {
+
+  /**
+   * @param {Array<Object>} [providers]
+   * Provider instances, in preference order.
+   */
+  constructor(providers = []) {
+
+    this.providers =
+      [];
+
+    for (
+      const provider of providers
+    ) {
+
+      this.register(
+        provider
+      );
+    }
+  }
+
+  /**
+   * Register a provider instance.
+   *
+   * Registration order is preference order: when several providers
+   * cover the same jurisdiction, the earliest registered one is
+   * selected.
+   *
+   * @param {Object} provider
+   * @returns {ProviderRegistry}
+   */
+  register(provider) {
+
+    if (
+      !provider ||
+      typeof provider !== "object"
+    ) {
+
+      throw new Error(
+        "ProviderRegistry requires a provider instance."
+      );
+    }
+
+    if (
+      typeof provider.search !==
+      "function"
+    ) {
+
+      throw new Error(
+        `Registry provider ${
+          provider.name || "UNKNOWN"
+        } does not implement search().`
+      );
+    }
+
+    if (
+      typeof provider.getCapabilityProfile !==
+      "function"
+    ) {
+
+      throw new Error(
+        `Registry provider ${
+          provider.name || "UNKNOWN"
+        } does not implement getCapabilityProfile().`
+      );
+    }
+
+    if (
+      this.get(
+        provider.name
+      )
+    ) {
+
+      throw new Error(
+        `Registry provider ${provider.name} is already registered.`
+      );
+    }
+
+    this.providers.push(
+      provider
+    );
+
+    return this;
+  }
+
+  /**
+   * Return a registered provider by name.
+   *
+   * Matching is case-insensitive so request payloads may use
+   * "sunbizprovider" or "SunbizProvider".
+   *
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  get(name) {
+
+    const normalizedName =
+      String(
+        name || ""
+      )
+        .trim()
+        .toLowerCase();
+
+    if (!normalizedName) {
+      return null;
+    }
+
+    return (
+      this.providers.find(
+        provider =>
+          String(
+            provider.name || ""
+          ).toLowerCase() ===
+          normalizedName
+      ) ||
+      null
+    );
+  }
+
+  /**
+   * Return the geography declared by a provider's capability profile.
+   *
+   * @param {Object} provider
+   * @returns {Array<string>}
+   */
+  getDeclaredGeography(provider) {
+
+    const profile =
+      provider.getCapabilityProfile() ||
+      {};
+
+    return Array.isArray(
+      profile.geography
+    )
+      ? profile.geography
+          .map(
+            value =>
+              String(value)
+                .trim()
+                .toUpperCase()
+          )
+          .filter(Boolean)
+      : [];
+  }
+
+  /**
+   * Return every registered provider covering a jurisdiction.
+   *
+   * @param {string} state
+   * @returns {Array<Object>}
+   */
+  getProvidersForState(state) {
+
+    const normalizedState =
+      String(
+        state || ""
+      )
+        .trim()
+        .toUpperCase();
+
+    if (!normalizedState) {
+      return [];
+    }
+
+    return this.providers.filter(
+      provider =>
+        this.getDeclaredGeography(
+          provider
+        ).includes(
+          normalizedState
+        )
+    );
+  }
+
+  /**
+   * Select the providers for a pipeline request.
+   *
+   * Without an override, every provider covering the state is
+   * returned in preference order; `provider` is the preferred one.
+   * An explicit override selects exactly one provider.
+   *
+   * Returns a selection result rather than throwing so the pipeline
+   * can surface an unsupported geography through its normal output
+   * contract.
+   *
+   * @param {Object} params
+   * @param {string} params.state
+   * @param {string} [params.providerName]
+   * Explicit provider override from the request.
+   * @returns {Object}
+   */
+  resolve({
+    state,
+    providerName = null
+  } = {}) {
+
+    const normalizedState =
+      String(
+        state || ""
+      )
+        .trim()
+        .toUpperCase();
+
+    // ------------------------------------------------------------------------
+    // EXPLICIT OVERRIDE
+    // ------------------------------------------------------------------------
+
+    if (providerName) {
+
+      const provider =
+        this.get(
+          providerName
+        );
+
+      if (!provider) {
+
+        return {
+          provider:
+            null,
+
+          providers:
+            [],
+
+          selectionMode:
+            "explicit",
+
+          state:
+            normalizedState,
+
+          errorType:
+            "UNKNOWN_PROVIDER",
+
+          errorMessage:
+            `Registry provider "${providerName}" is not registered. ` +
+            `Available providers: ${this.listNames().join(", ") || "none"}.`
+        };
+      }
+
+      if (
+        !this.getDeclaredGeography(
+          provider
+        ).includes(
+          normalizedState
+        )
+      ) {
+
+        return {
+          provider:
+            null,
+
+          providers:
+            [],
+
+          selectionMode:
+            "explicit",
+
+          state:
+            normalizedState,
+
+          errorType:
+            "PROVIDER_GEOGRAPHY_MISMATCH",
+
+          errorMessage:
+            `Registry provider ${provider.name} does not cover ${normalizedState || "the requested geography"}.`
+        };
+      }
+
+      return {
+        provider,
+
+        providers: [
+          provider
+        ],
+
+        selectionMode:
+          "explicit",
+
+        state:
+          normalizedState,
+
+        errorType:
+          null
+      };
+    }
+
+    // ------------------------------------------------------------------------
+    // GEOGRAPHY-BASED SELECTION
+    // ------------------------------------------------------------------------
+
+    const providers =
+      this.getProvidersForState(
+        normalizedState
+      );
+
+    const [provider] =
+      providers;
+
+    if (!provider) {
+
+      return {
+        provider:
+          null,
+
+        providers:
+          [],
+
+        selectionMode:
+          "geography",
+
+        state:
+          normalizedState,
+
+        errorType:
+          "NO_PROVIDER_FOR_GEOGRAPHY",
+
+        errorMessage:
+          `No registered registry provider covers ${normalizedState || "the requested geography"}.`
+      };
+    }
+
+    return {
+      provider,
+
+      providers,
+
+      selectionMode:
+        "geography",
+
+      state:
+        normalizedState,
+
+      errorType:
+        null
+    };
+  }
+
+  /**
+   * Return registered provider names in preference order.
+   *
+   * @returns {Array<string>}
+   */
+  listNames() {
+
+    return this.providers.map(
+      provider =>
+        provider.name
+    );
+  }
+
+  /**
+   * Return capability profiles for every registered provider.
+   *
+   * @returns {Array<Object>}
+   */
+  listCapabilityProfiles() {
+
+    return this.providers.map(
+      provider =>
+        provider.getCapabilityProfile()
+    );
+  }
+}
+
+/*
+ * Local state registry providers, registered when their database path
+ * is configured. Modules are required lazily because the databases
+ * depend on better-sqlite3, which is not present in every runtime.
+ */
+const STATE_REGISTRY_PROVIDERS = [
+  {
+    databasePathEnv:
+      "FLORIDA_REGISTRY_DB_PATH",
+
+    loadDatabase:
+      () =>
+        require("../database/FloridaRegistryDatabase.js")
+          .FloridaRegistryDatabase,
+
+    loadProvider:
+      () =>
+        require("./OfficialFloridaProvider.js")
+          .OfficialFloridaProvider,
+
+    providerName:
+      "OfficialFloridaProvider"
+  },
+  {
+    databasePathEnv:
+      "TEXAS_REGISTRY_DB_PATH",
+
+    loadDatabase:
+      () =>
+        require("../database/TexasRegistryDatabase.js")
+          .TexasRegistryDatabase,
+
+    loadProvider:
+      () =>
+        require("./OfficialTexasProvider.js")
+          .OfficialTexasProvider,
+
+    providerName:
+      "OfficialTexasProvider"
+  }
+];
+
+/**
+ * Build the registry used by runLeadPipeline when none is injected.
+ *
+ * - MockProvider is registered first, and only when
+ *   MOCK_PROVIDER=true.
+ * - SunbizProvider is always registered.
+ * - OfficialFloridaProvider and OfficialTexasProvider are registered
+ *   when a local registry database is configured through
+ *   FLORIDA_REGISTRY_DB_PATH / TEXAS_REGISTRY_DB_PATH.
+ *
+ * @param {Object} [env]
+ * @returns {ProviderRegistry}
+ */
+function createDefaultProviderRegistry(
+  env = process.env
+) {
+
+  const registry =
+    new ProviderRegistry();
+
+  if (
+    env.MOCK_PROVIDER === "true"
+  ) {
+
+    registry.register(
+      new MockProvider()
+    );
+  }
+
+  registry.register(
+    new SunbizProvider()
+  );
+
+  for (
+    const definition of STATE_REGISTRY_PROVIDERS
+  ) {
+
+    const databasePath =
+      env[definition.databasePathEnv];
+
+    if (!databasePath) {
+      continue;
+    }
+
+    try {
+
+      const Database =
+        definition.loadDatabase();
+
+      const Provider =
+        definition.loadProvider();
+
+      registry.register(
+        new Provider({
+          database:
+            new Database({
+              databasePath
+            })
+        })
+      );
+
+    } catch (error) {
+
+      console.error(
+        `[ProviderRegistry] ${definition.providerName} unavailable`,
+        {
+          message:
+            error?.message ||
+            "Unknown database error"
+        }
+      );
+    }
+  }
+
+  return registry;
+}
+
+module.exports = {
+  ProviderRegistry,
+  createDefaultProviderRegistry
+};
@@ -0,0 +1,630 @@
+// /providers/StateRegistryProvider.js
+
+const {
+  BaseProvider
+} = require("./BaseProvider.js");
+
+const {
+  normalizeRegistryStatus
+} = require("../source/StateJurisdictions.js");
+
+/**
+ * StateRegistryProvider
+ *
+ * Authoritative corporate-registry acquisition provider for one
+ * state's locally ingested bulk dataset.
+ *
+ * DATA SOURCE:
+ * - A StateRegistryDatabase populated from the jurisdiction's official
+ *   public data files.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ *     SearchIntent
+ *          ↓
+ * StateRegistryProvider (OfficialFloridaProvider, OfficialTexasProvider)
+ *          ↓
+ *    Local Database
+ *          ↓
+ *   Registry Observations
+ *
+ * RESPONSIBILITY:
+ * - Query the locally ingested registry dataset.
+ * - Enforce jurisdiction support.
+ * - Map registry status codes to canonical statuses.
+ * - Return structured acquisition results.
+ * - Preserve dataset provenance metadata when available.
+ *
+ * DOES NOT:
+ * - Parse natural-language searches.
+ * - Perform enrichment.
+ * - Score or qualify prospects.
+ * - Perform geographic qualification.
+ * - Write to the Evidence Ledger.
+ * - Query state registry websites interactively.
+ *
+ * Subclasses provide getSourceReference() for the state's public
+ * record lookup.
+ */
+class StateRegistryProvider
+  extends BaseProvider {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.jurisdiction
+   * Entry from source/StateJurisdictions.js.
+   * @param {Object} options.database
+   * Database service implementing search(searchIntent).
+   * @param {string} [options.name]
+   */
+  constructor({
+    jurisdiction,
+    database,
+    name
+  } = {}) {
+
+    if (!jurisdiction?.code) {
+
+      throw new Error(
+        "StateRegistryProvider requires a jurisdiction."
+      );
+    }
+
+    super(
+      name ||
+        `Official${jurisdiction.name.replace(/\s+/g, "")}Provider`,
+      [jurisdiction.code]
+    );
+
+    if (
+      !database ||
+      typeof database.search !== "function"
+    ) {
+
+      throw new Error(
+        `${this.name} requires a database client implementing search().`
+      );
+    }
+
+    this.jurisdiction =
+      jurisdiction;
+
+    this.database =
+      database;
+  }
+
+  /**
+   * Return capability profile metadata.
+   */
+  getCapabilityProfile() {
+
+    return {
+
+      provider:
+        this.name,
+
+      geography:
+        this.supportedGeos,
+
+      searchInterface:
+        "search_intent",
+
+      pointInTimeQueries:
+        true,
+
+      authority:
+        this.jurisdiction.authority,
+
+      sourceType:
+        "official_state_dataset",
+
+      acquisitionMode:
+        "local_database",
+
+      requiresInteractiveWebAccess:
+        false,
+
+      capabilities: [
+        "legalName",
+        "registrationId",
+        "status",
+        "entityType",
+        "filingDate",
+        "principalAddress",
+        "mailingAddress",
+        "registeredAgent",
+        "registrationLookup"
+      ],
+
+      limitations: [
+        "dataset_dependent",
+        "no_direct_email",
+        "no_direct_phone",
+        "no_revenue",
+        "no_employee_count",
+        "no_sales_intent"
+      ]
+    };
+  }
+
+  /**
+   * Search the locally ingested corporate dataset.
+   *
+   * @param {Object} searchIntent
+   * @param {Object} [options]
+   * @param {string} [options.asOf]
+   * Return entity versions valid at this ISO-8601 timestamp.
+   * @returns {Promise<Object>}
+   */
+  async search(
+    searchIntent,
+    {
+      asOf = null
+    } = {}
+  ) {
+
+    // ------------------------------------------------------------------------
+    // SEARCH INTENT VALIDATION
+    // ------------------------------------------------------------------------
+
+    if (
+      !searchIntent ||
+      typeof searchIntent !== "object" ||
+      Array.isArray(searchIntent)
+    ) {
+
+      throw new Error(
+        `${this.name} requires a valid SearchIntent object.`
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // JURISDICTION VALIDATION
+    // ------------------------------------------------------------------------
+
+    const state =
+      searchIntent
+        ?.geography
+        ?.state;
+
+    if (
+      typeof state !== "string" ||
+      state.toUpperCase() !==
+        this.jurisdiction.code
+    ) {
+
+      return {
+
+        providerStatus:
+          "unsupported",
+
+        provider:
+          this.name,
+
+        records:
+          [],
+
+        errorType:
+          "UNSUPPORTED_GEOGRAPHY",
+
+        errorMessage:
+          `${this.name} only supports ${this.jurisdiction.name} (${this.jurisdiction.code}).`
+      };
+    }
+
+    // ------------------------------------------------------------------------
+    // DATABASE ACQUISITION
+    // ------------------------------------------------------------------------
+
+    try {
+
+      const result =
+        await this.database.search(
+          searchIntent,
+          {
+            asOf
+          }
+        );
+
+      /*
+       * The database abstraction may eventually return either:
+       *
+       * 1. An array of records
+       *
+       * OR
+       *
+       * 2. A structured database response:
+       *
+       * {
+       *   records: [],
+       *   snapshotDate: "...",
+       *   datasetVersion: "..."
+       * }
+       *
+       * Support both without forcing the database implementation
+       * to be rewritten immediately.
+       */
+
+      const records =
+        Array.isArray(result)
+          ? result
+          : Array.isArray(result?.records)
+            ? result.records
+            : [];
+
+      const snapshotDate =
+        Array.isArray(result)
+          ? null
+          : result?.snapshotDate ||
+            null;
+
+      const datasetVersion =
+        Array.isArray(result)
+          ? null
+          : result?.datasetVersion ||
+            null;
+
+      // ----------------------------------------------------------------------
+      // SUCCESS / EMPTY RESULT
+      // ----------------------------------------------------------------------
+
+      return {
+
+        providerStatus:
+          records.length > 0
+            ? "success"
+            : "empty",
+
+        provider:
+          this.name,
+
+        sourceType:
+          "official_state_dataset",
+
+        authority:
+          this.jurisdiction.authority,
+
+        records,
+
+        dataset: {
+
+          jurisdiction:
+            this.jurisdiction.code,
+
+          snapshotDate,
+
+          datasetVersion,
+
+          asOf
+        },
+
+        errorType:
+          null
+      };
+
+    } catch (error) {
+
+      // ----------------------------------------------------------------------
+      // DATABASE AVAILABILITY FAILURE
+      // ----------------------------------------------------------------------
+
+      console.error(
+        `[${this.name}] DATABASE SEARCH FAILURE`,
+        {
+          message:
+            error?.message ||
+            "Unknown database error",
+
+          searchMode:
+            searchIntent.searchMode ||
+            null
+        }
+      );
+
+      return {
+
+        providerStatus:
+          "unavailable",
+
+        provider:
+          this.name,
+
+        sourceType:
+          "official_state_dataset",
+
+        records:
+          [],
+
+        dataset:
+          null,
+
+        errorType:
+          "DATABASE_QUERY_ERROR",
+
+        errorMessage:
+          error?.message ||
+          "Unknown database error"
+      };
+    }
+  }
+
+  /**
+   * Look up registry records by registration (document) number.
+   *
+   * Same result contract as search(). Numbers the dataset does not
+   * contain are listed in `missing` rather than failing the lookup.
+   *
+   * @param {Array<string>} registrationIds
+   * @returns {Promise<Object>}
+   */
+  async lookupRegistrations(
+    registrationIds = []
+  ) {
+
+    if (
+      typeof this.database.getEntity !==
+      "function"
+    ) {
+
+      return {
+
+        providerStatus:
+          "unsupported",
+
+        provider:
+          this.name,
+
+        records:
+          [],
+
+        errorType:
+          "REGISTRATION_LOOKUP_UNSUPPORTED",
+
+        errorMessage:
+          `${this.name} database does not support lookup by registration number.`
+      };
+    }
+
+    try {
+
+      const records = [];
+
+      const missing = [];
+
+      for (
+        const registrationId of registrationIds
+      ) {
+
+        const record =
+          await this.database.getEntity(
+            registrationId
+          );
+
+        if (record) {
+
+          records.push(
+            record
+          );
+
+        } else {
+
+          missing.push(
+            registrationId
+          );
+        }
+      }
+
+      return {
+
+        providerStatus:
+          records.length > 0
+            ? "success"
+            : "empty",
+
+        provider:
+          this.name,
+
+        sourceType:
+          "official_state_dataset",
+
+        authority:
+          this.jurisdiction.authority,
+
+        records,
+
+        missing,
+
+        errorType:
+          null
+      };
+
+    } catch (error) {
+
+      console.error(
+        `[${this.name}] DATABASE LOOKUP FAILURE`,
+        {
+          message:
+            error?.message ||
+            "Unknown database error"
+        }
+      );
+
+      return {
+
+        providerStatus:
+          "unavailable",
+
+        provider:
+          this.name,
+
+        sourceType:
+          "official_state_dataset",
+
+        records:
+          [],
+
+        errorType:
+          "DATABASE_QUERY_ERROR",
+
+        errorMessage:
+          error?.message ||
+          "Unknown database error"
+      };
+    }
+  }
+
+  /**
+   * Convert a database registry record into the canonical
+   * provider entity used by the lead pipeline.
+   *
+   * The principal address establishes the entity location.
+   * The mailing address is only used when no principal address
+   * was recorded.
+   *
+   * @param {Object} rawRecord
+   * @returns {Object}
+   */
+  normalize(
+    rawRecord = {}
+  ) {
+
+    const principalAddress =
+      rawRecord.principalAddress ||
+      {};
+
+    const mailingAddress =
+      rawRecord.mailingAddress ||
+      {};
+
+    const locationSource =
+      principalAddress.city ||
+      principalAddress.zip
+        ? principalAddress
+        : mailingAddress;
+
+    const location = {
+
+      city:
+        locationSource.city ||
+        null,
+
+      state:
+        locationSource.state ||
+        this.jurisdiction.code,
+
+      zip:
+        locationSource.zip ||
+        null
+    };
+
+    return {
+
+      companyName:
+        rawRecord.companyName ||
+        null,
+
+      jurisdiction:
+        this.jurisdiction.code,
+
+      entityType:
+        rawRecord.entityType ||
+        null,
+
+      status:
+        normalizeRegistryStatus(
+          this.jurisdiction,
+          rawRecord.status
+        ),
+
+      /*
+       * Status exactly as published in the source file.
+       */
+      registryStatus:
+        rawRecord.status ||
+        null,
+
+      formationDate:
+        rawRecord.formationDate ||
+        null,
+
+      location,
+
+      locationDisplay:
+        [
+          location.city,
+          location.state,
+          location.zip
+        ]
+          .filter(Boolean)
+          .join(", ") ||
+        `${this.jurisdiction.name}, USA`,
+
+      principalAddress:
+        rawRecord.principalAddress ||
+        null,
+
+      mailingAddress:
+        rawRecord.mailingAddress ||
+        null,
+
+      registeredAgent:
+        rawRecord.registeredAgent ||
+        null,
+
+      registrationId:
+        rawRecord.registrationId ||
+        null,
+
+      sourceUrl:
+        null,
+
+      sourceType:
+        rawRecord.source?.sourceType ||
+        "official_state_dataset",
+
+      sourceFile:
+        rawRecord.source?.file ||
+        null,
+
+      provider:
+        this.name,
+
+      /*
+       * Ranked company-name match from the registry full-text index.
+       * Describes how the record was found, not what it is.
+       */
+      nameMatch:
+        rawRecord.nameMatch ||
+        null,
+
+      /*
+       * ZIP-centroid distance for radius searches.
+       */
+      geoMatch:
+        rawRecord.geoMatch ||
+        null,
+
+      retrievedAt:
+        rawRecord.source?.retrievedAt ||
+        null
+    };
+  }
+
+  /**
+   * Return the authoritative public reference for a dataset record.
+   *
+   * The ingested dataset has no per-record URL. Subclasses point at
+   * the state's public lookup page; without one there is no
+   * reference.
+   *
+   * @returns {string|null}
+   */
+  getSourceReference() {
+
+    return null;
+  }
+}
+
+module.exports = {
+  StateRegistryProvider
+};
@@ -43,6 +43,8 @@ class SunbizProvider extends BaseProvider {
 
       geography: this.supportedGeos,
 
+      searchInterface: "geo_context",
+
       authority:
         "Florida Department of State Division of Corporations",
 
@@ -1,3 +1,72 @@
+const {
+  parsePhoneNumber,
+  checkPhoneGeography
+} = require("../source/PhoneNumberNormalizer.js");
+
+const {
+  getStateJurisdiction
+} = require("../source/StateJurisdictions.js");
+
+const {
+  getDefaultScoringProfileRegistry
+} = require("./ScoringProfiles.js");
+
+const {
+  calculateContentHash
+} = require("../source/SignalIdentity.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/*
+ * The weighted checks in evaluate(), keyed by profile weight. A check
+ * fired when its evidence codes were recorded; otherwise one of its
+ * gap signals explains what is missing, and the counterfactual says
+ * what observing it would add.
+ */
+const WEIGHTED_RULES = [
+  {
+    rule: "activeRegistration",
+    evidenceCodes: ["ACTIVE_REGISTRATION"],
+    gapSignals: ["REGISTRATION_NOT_ACTIVE"],
+    enrichmentGap: "registry_status",
+    missing: "No active registration on record",
+    ifObserved: "the registry shows the entity ACTIVE"
+  },
+  {
+    rule: "verifiedLocation",
+    evidenceCodes: ["VERIFIED_LOCATION"],
+    gapSignals: ["LOCATION_INCOMPLETE"],
+    enrichmentGap: "registry_address",
+    missing: "No verified principal city",
+    ifObserved: "a principal address with a city is confirmed"
+  },
+  {
+    rule: "reachableWebsite",
+    evidenceCodes: ["WEBSITE_DISCOVERED", "WEBSITE_RECON_SUCCESS"],
+    requiredEvidenceCode: "WEBSITE_RECON_SUCCESS",
+    gapSignals: ["NO_PUBLIC_WEBSITE_IDENTIFIED", "WEBSITE_NOT_CONFIRMED_REACHABLE"],
+    enrichmentGap: "website_discovery",
+    missing: "No reachable website observed",
+    ifObserved: "a website is found and crawled"
+  },
+  {
+    rule: "businessPhone",
+    evidenceCodes: ["PHONE_DISCOVERED"],
+    gapSignals: ["NO_PUBLIC_PHONE_FOUND"],
+    enrichmentGap: "phone_search",
+    missing: "No public phone observed",
+    ifObserved: "found"
+  },
+  {
+    rule: "businessEmail",
+    evidenceCodes: ["EMAIL_DISCOVERED"],
+    gapSignals: ["NO_PUBLIC_EMAIL_FOUND"],
+    enrichmentGap: "email_search",
+    missing: "No public email observed",
+    ifObserved: "found"
+  }
+];
+
 class QualificationEngine {
 
   /**
@@ -10,13 +79,21 @@ class QualificationEngine {
    *
    * @param {Object} entity
    * @param {Object} enrichmentData
+   * EnrichmentEngine result (ENRICHMENT_SCHEMA_VERSION).
    * @param {Object} evidenceLedger
+   * @param {Object} [options]
+   * @param {Object|string} [options.profile]
+   * Scoring profile (from ScoringProfileRegistry) or profile name.
+   * Defaults to the "default" profile.
    * @returns {Object}
    */
   static evaluate(
     entity = {},
     enrichmentData = {},
-    evidenceLedger = null
+    evidenceLedger = null,
+    {
+      profile: requestedProfile = null
+    } = {}
   ) {
 
     const reasons = [];
@@ -28,28 +105,28 @@ class QualificationEngine {
      * DETERMINISTIC SCORING CONFIGURATION
      * ------------------------------------------------------------------------
      *
-     * Base score = 50
-     *
-     * Maximum possible:
-     * 50 + 20 + 10 + 10 + 10 + 10 = 110
-     *
-     * Final score is intentionally capped at 100.
+     * Base score, weights, adjustments, disqualifiers and priority
+     * thresholds come from the scoring profile (qualification/profiles).
+     * The default profile scores 50 + 20 + 10 + 10 + 10 + 10, capped at
+     * its maxScore of 100.
      *
      * These weights represent qualification signals only.
      * They do NOT represent business value, revenue, or likelihood of purchase.
      */
 
-    const weights = {
-      activeRegistration: 20,
-      verifiedLocation: 10,
-      reachableWebsite: 10,
-      businessPhone: 10,
-      businessEmail: 10
-    };
+    const profile =
+      requestedProfile && typeof requestedProfile === "object"
+        ? requestedProfile
+        : getDefaultScoringProfileRegistry().get(requestedProfile);
 
-    const configVersion = "qualification-v1.1";
+    const weights =
+      profile.weights;
 
-    const baseScore = 50;
+    const configVersion =
+      profile.version;
+
+    const baseScore =
+      profile.baseScore;
 
     let score = baseScore;
 
@@ -139,35 +216,71 @@ class QualificationEngine {
 
     /*
      * ------------------------------------------------------------------------
-     * 3. ENRICHMENT DATA NORMALIZATION
+     * 2B. REGISTRY NAME MATCH
      * ------------------------------------------------------------------------
      *
-     * Supports both:
-     *
-     * enrichmentData.website = "https://example.com"
-     *
-     * and:
-     *
-     * enrichmentData.website = {
-     *   url: "https://example.com"
-     * }
+     * How well the registry name matched the searched industry terms.
+     * A name match is an observation about retrieval, not evidence of
+     * industry classification, so it does not change the score.
      */
 
-    const websiteObj =
-      (
-        enrichmentData &&
-        typeof enrichmentData.website === "object" &&
-        enrichmentData.website !== null
-      )
-        ? enrichmentData.website
-        : {};
+    const nameMatch =
+      entity.nameMatch &&
+      typeof entity.nameMatch === "object"
+        ? entity.nameMatch
+        : null;
+
+    if (
+      nameMatch &&
+      Number.isFinite(nameMatch.score)
+    ) {
+
+      const matchedTerms =
+        Array.isArray(nameMatch.matchedTerms)
+          ? nameMatch.matchedTerms
+          : [];
+
+      evidence.push({
+        code: "REGISTRY_NAME_MATCH",
+
+        message:
+          `Registry name matched ${
+            matchedTerms.length > 0
+              ? matchedTerms.map(term => `"${term}"`).join(", ")
+              : "the searched terms"
+          } (match score ${nameMatch.score}` +
+          (
+            Number.isFinite(nameMatch.relativeScore)
+              ? `, ${Math.round(nameMatch.relativeScore * 100)}% of best match).`
+              : ")."
+          ),
+
+        source: "registry",
+
+        matchScore:
+          nameMatch.score,
+
+        relativeMatchScore:
+          Number.isFinite(nameMatch.relativeScore)
+            ? nameMatch.relativeScore
+            : null
+      });
+    }
+
+
+    /*
+     * ------------------------------------------------------------------------
+     * 3. ENRICHMENT DATA
+     * ------------------------------------------------------------------------
+     *
+     * enrichmentData.website is the URL string the engine settled on;
+     * reachability is reported per provider in providerResults.
+     */
 
     const websiteUrl =
-      typeof enrichmentData.website === "string"
+      typeof enrichmentData?.website === "string"
         ? enrichmentData.website.trim()
-        : typeof websiteObj.url === "string"
-          ? websiteObj.url.trim()
-          : null;
+        : null;
 
 
     /*
@@ -191,10 +304,7 @@ class QualificationEngine {
       websiteUrl.length > 0;
 
     const websiteReconSuccess =
-      enrichmentData?.enrichmentStatus === "complete" ||
-      enrichmentData?.providerResults?.websiteRecon?.status === "success" ||
-      websiteObj?.reconStatus === "success" ||
-      websiteObj?.status === "success";
+      enrichmentData?.providerResults?.websiteRecon?.status === "success";
 
     if (websiteExists) {
 
@@ -226,6 +336,45 @@ class QualificationEngine {
           source: "website_recon"
         });
 
+        /*
+         * Structured data the site publishes about itself, checked
+         * against the registry. Corroboration only; no score.
+         */
+
+        const crossCheck =
+          enrichmentData?.websiteObservation?.registryCrossCheck;
+
+        const checkSummary =
+          check =>
+            `${check.field} ${check.status.replace(/_/g, " ")} (${check.basis})`;
+
+        if (
+          crossCheck?.tie === "strong" ||
+          crossCheck?.tie === "partial"
+        ) {
+          evidence.push({
+            code: "WEBSITE_TIED_TO_REGISTRY",
+            message:
+              `Website structured data ${crossCheck.tie === "strong" ? "matches" : "partially matches"} the registry record: ` +
+              crossCheck.checks.map(checkSummary).join("; ") +
+              ".",
+            source: "website_structured_data",
+            checks: crossCheck.checks
+          });
+        } else if (crossCheck?.tie === "conflict") {
+          signals.push({
+            code: "WEBSITE_REGISTRY_CONFLICT",
+            message:
+              "Website structured data disagrees with the registry record: " +
+              crossCheck.checks
+                .filter(check => check.status === "disagrees")
+                .map(checkSummary)
+                .join("; ") +
+              ".",
+            evidence: crossCheck.checks
+          });
+        }
+
       } else {
 
         signals.push({
@@ -261,9 +410,7 @@ const rawPhones =
     ? enrichmentData.phones
     : enrichmentData.businessPhone
       ? [enrichmentData.businessPhone]
-      : Array.isArray(websiteObj.phones)
-        ? websiteObj.phones
-        : [];
+      : [];
 
     const validPhones =
       rawPhones.filter(phone => {
@@ -275,7 +422,7 @@ const rawPhones =
 
         return (
           typeof value === "string" &&
-          value.trim().length > 0
+          parsePhoneNumber(value).valid
         );
       });
 
@@ -301,11 +448,15 @@ const rawPhones =
             )
           : "public_web_observation";
 
+      const parsedPhone =
+        parsePhoneNumber(phoneValue);
+
       const reason = {
         code: "PHONE_DISCOVERED",
 
         message:
-          `Publicly observed business phone number: ${phoneValue}`,
+          `Publicly observed business phone number: ${parsedPhone.display || phoneValue}` +
+          (parsedPhone.lineType === "toll_free" ? " (toll-free)" : ""),
 
         source:
           phoneSource
@@ -314,6 +465,63 @@ const rawPhones =
       reasons.push(reason.message);
       evidence.push(reason);
 
+      /*
+       * Area code against the registry county. Numbers port and move,
+       * so a mismatch is a signal, never a score change.
+       */
+      const registryZip =
+        entity.location?.zip ||
+        entity.principalAddress?.zip ||
+        null;
+
+      const registryCounty =
+        String(
+          entity.location?.county ||
+          (
+            registryZip
+              ? getStateJurisdiction(entity.jurisdiction)
+                  ?.getGazetteer?.()
+                  ?.findZip(registryZip)
+                  ?.county
+              : null
+          ) ||
+          ""
+        )
+          .replace(/\s+county$/i, "") ||
+        null;
+
+      const phoneGeography =
+        checkPhoneGeography(
+          parsedPhone,
+          {
+            state:
+              entity.jurisdiction ||
+              entity.location?.state,
+            county:
+              registryCounty
+          }
+        );
+
+      if (phoneGeography.status === "consistent") {
+        evidence.push({
+          code: "PHONE_AREA_CODE_MATCHES_REGISTRY",
+          message:
+            `Area code ${parsedPhone.areaCode} serves ${phoneGeography.region}, which includes ${registryCounty} County.`,
+          source: "phone_number_plan"
+        });
+      } else if (
+        phoneGeography.status === "different_region" ||
+        phoneGeography.status === "out_of_state"
+      ) {
+        signals.push({
+          code: "PHONE_AREA_CODE_OUTSIDE_REGISTRY_REGION",
+          message:
+            phoneGeography.status === "out_of_state"
+              ? `Area code ${parsedPhone.areaCode} is not a Florida area code.`
+              : `Area code ${parsedPhone.areaCode} serves ${phoneGeography.region}, not ${registryCounty} County.`
+        });
+      }
+
     } else {
 
       signals.push({
@@ -336,9 +544,14 @@ const rawPhones =
     const rawEmails =
   Array.isArray(enrichmentData.emails)
     ? enrichmentData.emails
-    : Array.isArray(websiteObj.emails)
-      ? websiteObj.emails
-      : [];
+    : [];
+
+    /*
+     * Classified emails (EmailClassifier) carry role, free-mail,
+     * website alignment and MX deliverability. No-reply senders and
+     * domains that accept no mail are not contact points.
+     */
+    const undeliverableEmails = [];
 
     const validEmails =
       rawEmails.filter(email => {
@@ -348,19 +561,68 @@ const rawPhones =
             ? email
             : email?.value;
 
+        if (
+          email?.classification?.noReply ||
+          email?.classification?.deliverable === false
+        ) {
+          undeliverableEmails.push(value);
+          return false;
+        }
+
         return (
           typeof value === "string" &&
           value.trim().length > 0
         );
       });
 
+    /*
+     * Prefer a mailbox on the website's domain, then any non-free-mail
+     * address, then a free-mail address. Individual mailboxes rank
+     * ahead of role accounts at each step.
+     */
+    const emailRank =
+      email => {
+        const classification =
+          email?.classification;
+
+        if (!classification) {
+          return 4;
+        }
+
+        const domainRank =
+          classification.domainAlignment === "aligned"
+            ? 0
+            : classification.freeMail
+              ? 2
+              : 1;
+
+        return domainRank * 2 + (classification.role ? 1 : 0);
+      };
+
+    const rankedEmails =
+      validEmails
+        .map((email, index) => ({ email, index }))
+        .sort((a, b) =>
+          emailRank(a.email) - emailRank(b.email) ||
+          a.index - b.index
+        )
+        .map(({ email }) => email);
+
+    if (undeliverableEmails.length > 0) {
+      signals.push({
+        code: "EMAIL_NOT_DELIVERABLE",
+
+        message:
+          `Observed email addresses that cannot receive mail (no-reply, or a domain without mail service): ${undeliverableEmails.join(", ")}.`
+      });
+    }
 
     if (validEmails.length > 0) {
 
       score += weights.businessEmail;
 
       const email =
-        validEmails[0];
+        rankedEmails[0];
 
       const emailValue =
         typeof email === "string"
@@ -376,19 +638,47 @@ const rawPhones =
             )
           : "public_web_observation";
 
+      const classification =
+        email?.classification || null;
+
+      const emailTags =
+        classification
+          ? [
+              classification.role && "role account",
+              classification.freeMail && "free-mail provider",
+              classification.domainAlignment === "aligned" && "matches website domain",
+              classification.domainAlignment === "unaligned" && !classification.freeMail && "does not match website domain",
+              classification.deliverable === true && "domain accepts mail"
+            ].filter(Boolean)
+          : [];
+
       const reason = {
         code: "EMAIL_DISCOVERED",
 
         message:
-          `Publicly observed business email address: ${emailValue}`,
+          `Publicly observed ${classification?.freeMail ? "" : "business "}email address: ${emailValue}` +
+          (emailTags.length > 0 ? ` (${emailTags.join(", ")})` : ""),
 
         source:
-          emailSource
+          emailSource,
+
+        ...(classification ? { classification } : {})
       };
 
       reasons.push(reason.message);
       evidence.push(reason);
 
+      if (
+        rankedEmails.every(candidate => candidate?.classification?.freeMail)
+      ) {
+        signals.push({
+          code: "FREE_MAIL_ONLY",
+
+          message:
+            "Only free-mail or ISP email addresses were observed; no address on a business domain."
+        });
+      }
+
     } else {
 
       signals.push({
@@ -407,14 +697,15 @@ const rawPhones =
      *
      * Digital signals are observations.
      * They do not independently increase the qualification score.
+     *
+     * Coded signals (NO_ONLINE_BOOKING, OUTDATED_CMS, ...) keep their
+     * code and the page evidence that supports them.
      */
 
     const rawSignals =
       Array.isArray(enrichmentData.digitalSignals)
         ? enrichmentData.digitalSignals
-        : Array.isArray(websiteObj.digitalSignals)
-          ? websiteObj.digitalSignals
-          : [];
+        : [];
 
     if (Array.isArray(rawSignals)) {
 
@@ -423,7 +714,14 @@ const rawPhones =
         .forEach(signal => {
 
           signals.push({
-            code: "DIGITAL_SIGNAL",
+            code:
+              typeof signal === "object" && signal.code
+                ? signal.code
+                : "DIGITAL_SIGNAL",
+
+            ...(Array.isArray(signal.evidence)
+              ? { evidence: signal.evidence }
+              : {}),
 
             message:
               typeof signal === "object"
@@ -440,41 +738,249 @@ const rawPhones =
 
     /*
      * ------------------------------------------------------------------------
-     * 8. FINAL SCORE
+     * 8. PROFILE ADJUSTMENTS AND DISQUALIFIERS
      * ------------------------------------------------------------------------
+     *
+     * Profile rules test the evidence and signals gathered above, so
+     * every adjustment traces back to an observation.
      */
 
-    const finalScore =
-      Math.min(
-        Math.max(
-          score,
-          0
-        ),
-        100
+    [...evidence, ...signals].forEach(assignEvidenceId);
+
+    const ruleContext = {
+      entity,
+      items:
+        [...evidence, ...signals],
+      signalCodes:
+        new Set(signals.map(signal => signal.code)),
+      evidenceCodes:
+        new Set(evidence.map(item => item.code)),
+      now:
+        Date.now()
+    };
+
+    const adjustmentResults =
+      (profile.adjustments || []).map(adjustment => ({
+        adjustment,
+        fired:
+          conditionHolds(adjustment.when, ruleContext)
+      }));
+
+    const appliedAdjustments = [];
+
+    for (const { adjustment, fired } of adjustmentResults) {
+
+      if (!fired) {
+        continue;
+      }
+
+      score += adjustment.points;
+
+      appliedAdjustments.push({
+        id: adjustment.id,
+        points: adjustment.points,
+        message: adjustment.message
+      });
+
+      reasons.push(
+        `${adjustment.message} (${adjustment.points > 0 ? "+" : ""}${adjustment.points}, ${profile.name} profile)`
       );
+    }
+
+    const disqualifierResults =
+      (profile.disqualifiers || []).map(disqualifier => ({
+        disqualifier,
+        fired:
+          conditionHolds(disqualifier.when, ruleContext)
+      }));
+
+    const disqualifiedBy =
+      disqualifierResults
+        .filter(({ fired }) => fired)
+        .map(({ disqualifier }) => ({
+          id: disqualifier.id,
+          message: disqualifier.message
+        }));
+
+    disqualifiedBy.forEach(disqualifier => {
+      signals.push(
+        assignEvidenceId({
+          code: "PROFILE_DISQUALIFIER",
+          message:
+            `Disqualified under the ${profile.name} profile: ${disqualifier.message}`,
+          disqualifier: disqualifier.id
+        })
+      );
+    });
 
 
     /*
      * ------------------------------------------------------------------------
-     * 9. PRIORITY
+     * 9. FINAL SCORE AND PRIORITY
      * ------------------------------------------------------------------------
      */
 
+    const finalScore =
+      disqualifiedBy.length > 0
+        ? 0
+        : Math.min(
+            Math.max(
+              score,
+              0
+            ),
+            profile.maxScore ?? 100
+          );
+
     let priority =
       "STANDARD";
 
-    if (finalScore >= 85) {
+    if (disqualifiedBy.length > 0) {
 
       priority =
-        "HIGH PRIORITY";
+        "DISQUALIFIED";
 
-    } else if (finalScore >= 70) {
+    } else {
 
-      priority =
-        "MEDIUM PRIORITY";
+      const threshold =
+        profile.priorityThresholds.find(
+          candidate => finalScore >= candidate.minScore
+        );
+
+      if (threshold) {
+        priority =
+          threshold.priority;
+      }
     }
 
 
+    /*
+     * ------------------------------------------------------------------------
+     * 9B. SCORE BREAKDOWN AND COUNTERFACTUALS
+     * ------------------------------------------------------------------------
+     *
+     * Every rule evaluated, fired or not, with the evidence and signal
+     * ids it read. Counterfactuals price each unobserved check against
+     * this score: the weight it would add, less any profile adjustment
+     * its gap signal currently triggers, within the profile's cap.
+     */
+
+    const idsForCodes =
+      codes =>
+        ruleContext.items
+          .filter(item => codes.includes(item.code))
+          .map(item => item.id);
+
+    const cappedScore =
+      value =>
+        Math.min(Math.max(value, 0), profile.maxScore ?? 100);
+
+    const breakdown = [
+
+      ...WEIGHTED_RULES.map(rule => {
+        const fired =
+          ruleContext.evidenceCodes.has(
+            rule.requiredEvidenceCode || rule.evidenceCodes[0]
+          );
+
+        return {
+          rule: rule.rule,
+          kind: "weight",
+          weight: weights[rule.rule],
+          fired,
+          points: fired ? weights[rule.rule] : 0,
+          evidenceIds:
+            idsForCodes(fired ? rule.evidenceCodes : rule.gapSignals)
+        };
+      }),
+
+      ...adjustmentResults.map(({ adjustment, fired }) => ({
+        rule: adjustment.id,
+        kind: "adjustment",
+        weight: adjustment.points,
+        fired,
+        points: fired ? adjustment.points : 0,
+        evidenceIds: fired ? conditionEvidenceIds(adjustment.when, ruleContext) : [],
+        basis: conditionBasis(adjustment.when, ruleContext)
+      })),
+
+      ...disqualifierResults.map(({ disqualifier, fired }) => ({
+        rule: disqualifier.id,
+        kind: "disqualifier",
+        weight: null,
+        fired,
+        points: 0,
+        evidenceIds: fired ? conditionEvidenceIds(disqualifier.when, ruleContext) : [],
+        basis: conditionBasis(disqualifier.when, ruleContext)
+      }))
+    ];
+
+    const counterfactuals =
+      disqualifiedBy.length > 0
+        ? []
+        : [
+
+            ...WEIGHTED_RULES
+              .filter(rule =>
+                !breakdown.find(entry => entry.rule === rule.rule).fired
+              )
+              .map(rule => {
+                const clearedAdjustments =
+                  adjustmentResults.filter(({ adjustment, fired }) =>
+                    fired &&
+                    Object.keys(adjustment.when).join() === "signal" &&
+                    [].concat(adjustment.when.signal)
+                      .every(code => rule.gapSignals.includes(code))
+                  );
+
+                const points =
+                  cappedScore(
+                    score +
+                    weights[rule.rule] -
+                    clearedAdjustments.reduce(
+                      (total, { adjustment }) => total + adjustment.points,
+                      0
+                    )
+                  ) - finalScore;
+
+                return {
+                  rule: rule.rule,
+                  enrichmentGap: rule.enrichmentGap,
+                  points,
+                  message:
+                    `${rule.missing}: +${points} if ${rule.ifObserved}.`,
+                  clearsAdjustments:
+                    clearedAdjustments.map(({ adjustment }) => adjustment.id),
+                  evidenceIds:
+                    idsForCodes(rule.gapSignals)
+                };
+              }),
+
+            // Profile bonuses that turn on evidence rather than absence.
+            ...adjustmentResults
+              .filter(({ adjustment, fired }) =>
+                !fired &&
+                adjustment.points > 0 &&
+                Object.keys(adjustment.when).join() === "evidence"
+              )
+              .map(({ adjustment }) => {
+                const points =
+                  cappedScore(score + adjustment.points) - finalScore;
+
+                return {
+                  rule: adjustment.id,
+                  enrichmentGap: null,
+                  points,
+                  message:
+                    `${adjustment.message}: +${points} if observed.`,
+                  clearsAdjustments: [],
+                  evidenceIds: []
+                };
+              })
+          ]
+            .filter(counterfactual => counterfactual.points > 0)
+            .sort((a, b) => b.points - a.points);
+
+
     /*
      * ------------------------------------------------------------------------
      * 10. RECOMMENDED ACTION
@@ -487,7 +993,13 @@ const rawPhones =
     let recommendedAction =
       "Review available evidence and initiate the most appropriate outreach channel.";
 
-    if (
+    if (disqualifiedBy.length > 0) {
+
+      recommendedAction =
+        `Do not pursue under the ${profile.name} profile: ` +
+        disqualifiedBy.map(disqualifier => disqualifier.message).join(" ");
+
+    } else if (
       validEmails.length > 0 &&
       rawSignals.length > 0
     ) {
@@ -546,16 +1058,38 @@ const rawPhones =
 
       recommendedAction,
 
+      nameMatch,
+
       scoring: {
 
+        profile:
+          profile.name,
+
         configVersion,
 
+        profileHash:
+          profile.contentHash || null,
+
         baseScore,
 
         appliedWeights:
           weights,
 
-        finalScore
+        adjustments:
+          appliedAdjustments,
+
+        disqualifiedBy,
+
+        scoreBeforeDisqualification:
+          disqualifiedBy.length > 0
+            ? cappedScore(score)
+            : null,
+
+        finalScore,
+
+        breakdown,
+
+        counterfactuals
       },
 
       evidenceReference:
@@ -584,6 +1118,93 @@ const rawPhones =
   }
 }
 
+/**
+ * Whether every test in a profile condition holds (see
+ * scoring-profile.schema.json).
+ */
+function conditionHolds(condition, context) {
+  const anyOf =
+    (codes, present) =>
+      [].concat(codes).some(code => present(code));
+
+  const formedAt =
+    Date.parse(context.entity?.formationDate || "");
+
+  const ageDays =
+    Number.isFinite(formedAt)
+      ? (context.now - formedAt) / DAY_MS
+      : null;
+
+  return Object.entries(condition).every(([test, value]) => {
+    switch (test) {
+      case "signal":
+        return anyOf(value, code => context.signalCodes.has(code));
+
+      case "evidence":
+        return anyOf(value, code => context.evidenceCodes.has(code));
+
+      case "status":
+        return anyOf(value, code => context.entity?.status === code);
+
+      case "formedWithinDays":
+        return ageDays !== null && ageDays >= 0 && ageDays <= value;
+
+      case "formedMoreThanDaysAgo":
+        return ageDays !== null && ageDays > value;
+
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Ids of the evidence and signals a profile condition matched on.
+ */
+function conditionEvidenceIds(condition, context) {
+  const codes =
+    [
+      ...[].concat(condition.signal || []),
+      ...[].concat(condition.evidence || [])
+    ];
+
+  return context.items
+    .filter(item => codes.includes(item.code))
+    .map(item => item.id);
+}
+
+/**
+ * Registry fields a profile condition read, as "field=value".
+ */
+function conditionBasis(condition, context) {
+  const basis = [];
+
+  if ("status" in condition) {
+    basis.push(`status=${context.entity?.status ?? "unknown"}`);
+  }
+
+  if (
+    "formedWithinDays" in condition ||
+    "formedMoreThanDaysAgo" in condition
+  ) {
+    basis.push(`formationDate=${context.entity?.formationDate || "unknown"}`);
+  }
+
+  return basis;
+}
+
+/**
+ * Stable id for an evidence item or signal, from its content.
+ */
+function assignEvidenceId(item) {
+  if (!item.id) {
+    item.id =
+      "ev_" + calculateContentHash(item).slice(0, 16);
+  }
+
+  return item;
+}
+
 module.exports = {
   QualificationEngine
 };
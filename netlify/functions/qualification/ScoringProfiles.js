@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const Ajv = require("ajv");
+
+const {
+  toCanonicalString
+} = require("../source/CanonicalSerializer.js");
+
+/**
+ * ScoringProfileRegistry
+ *
+ * Named, versioned scoring profiles for QualificationEngine.
+ *
+ * RESPONSIBILITY:
+ * - Validate profiles against scoring-profile.schema.json (ajv).
+ * - Record a content hash per profile, so every qualification result
+ *   names the exact configuration that scored it.
+ * - Resolve a profile by name for a pipeline request.
+ *
+ * DOES NOT:
+ * - Score anything (QualificationEngine applies profiles).
+ * - Load profiles from arbitrary paths. Built-in profiles are required
+ *   explicitly so bundlers include them; callers register others.
+ *
+ * PROFILE CONTENT (see the schema):
+ * - baseScore, maxScore and weights for the built-in evidence checks.
+ * - priorityThresholds, highest first.
+ * - adjustments: points (positive or negative) when a condition holds.
+ * - disqualifiers: conditions that end qualification outright.
+ */
+
+const DEFAULT_PROFILE_NAME = "default";
+
+const BUILT_IN_PROFILES = [
+  require("./profiles/default.json"),
+  require("./profiles/web-design-agency.json"),
+  require("./profiles/staffing-firm.json")
+];
+
+const ajv =
+  new Ajv({
+    allErrors: true,
+    useDefaults: true
+  });
+
+const validateProfile =
+  ajv.compile(
+    require("./scoring-profile.schema.json")
+  );
+
+class ScoringProfileRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.profiles]
+   * Profile definitions. Defaults to the built-in profiles.
+   * @param {string} [options.defaultProfile]
+   */
+  constructor({
+    profiles = BUILT_IN_PROFILES,
+    defaultProfile = DEFAULT_PROFILE_NAME
+  } = {}) {
+    this.profiles = new Map();
+
+    profiles.forEach(profile => this.register(profile));
+
+    if (!this.profiles.has(defaultProfile)) {
+      throw profileError(
+        `Default scoring profile is not registered: ${defaultProfile}`,
+        "UNKNOWN_SCORING_PROFILE"
+      );
+    }
+
+    this.defaultProfile = defaultProfile;
+  }
+
+  /**
+   * Validate and register a profile definition.
+   *
+   * @param {Object} definition
+   * @returns {Object}
+   * The registered, frozen profile with its contentHash.
+   */
+  register(definition) {
+    // Validate a copy: ajv fills defaults in place.
+    const profile = JSON.parse(JSON.stringify(definition));
+
+    if (!validateProfile(profile)) {
+      throw profileError(
+        `Invalid scoring profile ${definition?.name || "(unnamed)"}: ` +
+        ajv.errorsText(validateProfile.errors),
+        "INVALID_SCORING_PROFILE",
+        validateProfile.errors
+      );
+    }
+
+    const ids =
+      [...profile.adjustments, ...profile.disqualifiers].map(rule => rule.id);
+
+    const duplicate =
+      ids.find((id, index) => ids.indexOf(id) !== index);
+
+    if (duplicate) {
+      throw profileError(
+        `Invalid scoring profile ${profile.name}: rule id "${duplicate}" is used twice.`,
+        "INVALID_SCORING_PROFILE"
+      );
+    }
+
+    if (this.profiles.has(profile.name)) {
+      throw profileError(
+        `Scoring profile already registered: ${profile.name}`,
+        "DUPLICATE_SCORING_PROFILE"
+      );
+    }
+
+    profile.priorityThresholds.sort((a, b) => b.minScore - a.minScore);
+
+    // Hash the profile as scored: defaults filled, thresholds sorted.
+    // Two definitions that differ only in omitted defaults score
+    // alike and share a hash.
+    profile.contentHash =
+      "sha256:" +
+      crypto
+        .createHash("sha256")
+        .update(toCanonicalString(profile))
+        .digest("hex");
+
+    this.profiles.set(profile.name, deepFreeze(profile));
+
+    return profile;
+  }
+
+  /**
+   * @param {string|null} [name]
+   * Profile name; the default profile when omitted.
+   * @returns {Object}
+   * @throws {Error} code UNKNOWN_SCORING_PROFILE
+   */
+  get(name = null) {
+    const profileName =
+      typeof name === "string" && name.trim()
+        ? name.trim()
+        : this.defaultProfile;
+
+    const profile = this.profiles.get(profileName);
+
+    if (!profile) {
+      throw profileError(
+        `Unknown scoring profile "${profileName}". Available: ${this.listNames().join(", ")}.`,
+        "UNKNOWN_SCORING_PROFILE"
+      );
+    }
+
+    return profile;
+  }
+
+  has(name) {
+    return this.profiles.has(name);
+  }
+
+  listNames() {
+    return [...this.profiles.keys()];
+  }
+
+  list() {
+    return [...this.profiles.values()].map(profile => ({
+      name: profile.name,
+      version: profile.version,
+      description: profile.description,
+      contentHash: profile.contentHash,
+      isDefault: profile.name === this.defaultProfile
+    }));
+  }
+}
+
+function profileError(message, code, details = []) {
+  const error = new Error(message);
+
+  error.code = code;
+  error.details = details;
+
+  return error;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+
+  return value;
+}
+
+let defaultRegistry = null;
+
+/**
+ * Shared registry of the built-in profiles.
+ *
+ * @returns {ScoringProfileRegistry}
+ */
+function getDefaultScoringProfileRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ScoringProfileRegistry();
+  }
+
+  return defaultRegistry;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  ScoringProfileRegistry,
+  getDefaultScoringProfileRegistry
+};
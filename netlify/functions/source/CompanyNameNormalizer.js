@@ -0,0 +1,149 @@
+/**
+ * Company-name normalization shared by registry indexing and registry
+ * name search.
+ *
+ * Both sides of a match pass through the same steps, so
+ * "Solar Contractors Inc" and "Solar Contracting, LLC" both reduce to
+ * "solar contract".
+ *
+ * Steps:
+ * 1. Lowercase, fold diacritics, drop punctuation.
+ * 2. Remove trailing legal-form suffixes (LLC, INC, CORP, ...).
+ * 3. Reduce each token with a light suffix stemmer.
+ */
+
+// Legal-form designators, compared after punctuation is removed
+// ("L.L.C." -> "llc"). Multi-word forms are listed as token arrays.
+const LEGAL_SUFFIXES = [
+  ["limited", "liability", "company"],
+  ["limited", "liability", "partnership"],
+  ["professional", "association"],
+  ["limited", "partnership"],
+  ["llc"],
+  ["lc"],
+  ["pllc"],
+  ["llp"],
+  ["lllp"],
+  ["lp"],
+  ["inc"],
+  ["incorporated"],
+  ["corp"],
+  ["corporation"],
+  ["co"],
+  ["company"],
+  ["ltd"],
+  ["limited"],
+  ["pa"],
+  ["pc"]
+];
+
+// Ordered longest first. A rule applies only when at least
+// MIN_STEM_LENGTH characters remain.
+const STEM_SUFFIXES = ["ations", "ation", "ings", "ians", "ing", "ers", "ors", "ian", "al", "er", "or", "s"];
+
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * Lowercase, fold diacritics and split into alphanumeric tokens.
+ *
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function tokenize(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[.'’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Remove trailing legal-form suffixes, repeatedly
+ * ("Acme Holdings Co, Inc" -> "acme holdings").
+ *
+ * The name's first token is never removed.
+ *
+ * @param {Array<string>} tokens
+ * @returns {Array<string>}
+ */
+function stripLegalSuffixes(tokens) {
+  const remaining = [...tokens];
+
+  let stripped = true;
+
+  while (stripped) {
+    stripped = false;
+
+    for (const suffix of LEGAL_SUFFIXES) {
+      if (remaining.length <= suffix.length) {
+        continue;
+      }
+
+      const tail = remaining.slice(-suffix.length);
+
+      if (tail.every((token, index) => token === suffix[index])) {
+        remaining.splice(-suffix.length);
+        stripped = true;
+        break;
+      }
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Light, deterministic suffix stemmer for business-name tokens.
+ *
+ * Not a linguistic stemmer: it only needs to map contractor /
+ * contractors / contracting to one form, consistently.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function stemToken(token) {
+  if (/\d/.test(token)) {
+    return token;
+  }
+
+  for (const suffix of STEM_SUFFIXES) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= MIN_STEM_LENGTH) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+
+  return token;
+}
+
+/**
+ * Normalize a company name into stemmed tokens.
+ *
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+function normalizeCompanyNameTokens(name) {
+  return stripLegalSuffixes(tokenize(name)).map(stemToken);
+}
+
+/**
+ * Normalize a company name into the space-joined form stored in
+ * florida_entities.normalized_name.
+ *
+ * @param {string} name
+ * @returns {string|null}
+ */
+function normalizeCompanyName(name) {
+  const normalized = normalizeCompanyNameTokens(name).join(" ");
+  return normalized || null;
+}
+
+module.exports = {
+  LEGAL_SUFFIXES,
+  normalizeCompanyName,
+  normalizeCompanyNameTokens,
+  stemToken,
+  tokenize
+};
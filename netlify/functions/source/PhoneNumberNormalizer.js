@@ -0,0 +1,407 @@
+/**
+ * North American phone-number parsing shared by every path that
+ * collects phone numbers (website recon, contact search, AI lead
+ * generation).
+ *
+ * Every observed format of one number ("(813) 555-0142",
+ * "813.555.0142", "+1 813 555 0142") reduces to the same E.164 value,
+ * so numbers deduplicate across pages and providers.
+ *
+ * Steps:
+ * 1. Split off an extension ("ext. 12", "x12", "#12").
+ * 2. Read ten NANP digits, with an optional leading country code 1.
+ * 3. Reject what cannot be a working number: invalid area codes or
+ *    exchanges, fictional 555 numbers, repeated or sequential digits.
+ * 4. Classify the line type and, for Florida area codes, the region.
+ *
+ * Line type is what the number plan says about the area code
+ * (geographic, toll-free, premium). Mobile and landline share
+ * geographic area codes and cannot be told apart offline.
+ */
+
+const TOLL_FREE_AREA_CODES = new Set([
+  "800", "833", "844", "855", "866", "877", "888"
+]);
+
+const PREMIUM_AREA_CODES = new Set([
+  "900"
+]);
+
+// Personal communications service codes (5XX with matching digits).
+const PERSONAL_AREA_CODES = new Set([
+  "500", "521", "522", "523", "524", "525", "526", "527", "528", "529",
+  "533", "544", "566", "577", "588"
+]);
+
+// Florida numbering plan areas and the counties they serve. Plan areas
+// follow rate-center lines, not county lines, so border counties
+// appear under both neighbours. Overlays share their parent's
+// counties.
+const FLORIDA_AREA_CODE_REGIONS = [
+  {
+    region: "Miami-Dade and the Keys",
+    areaCodes: ["305", "786", "645"],
+    counties: ["Miami-Dade", "Monroe"]
+  },
+  {
+    region: "Broward",
+    areaCodes: ["954", "754"],
+    counties: ["Broward"]
+  },
+  {
+    region: "Palm Beach",
+    areaCodes: ["561", "728"],
+    counties: ["Palm Beach"]
+  },
+  {
+    region: "Treasure Coast",
+    areaCodes: ["772"],
+    counties: ["St. Lucie", "Martin", "Indian River", "Okeechobee"]
+  },
+  {
+    region: "Southwest Florida",
+    areaCodes: ["239"],
+    counties: ["Lee", "Collier", "Hendry", "Monroe"]
+  },
+  {
+    region: "Sarasota and Manatee",
+    areaCodes: ["941"],
+    counties: ["Sarasota", "Manatee", "Charlotte"]
+  },
+  {
+    region: "Tampa",
+    areaCodes: ["813", "656"],
+    counties: ["Hillsborough", "Pasco", "Polk"]
+  },
+  {
+    region: "Pinellas",
+    areaCodes: ["727"],
+    counties: ["Pinellas", "Pasco"]
+  },
+  {
+    region: "Central Florida Heartland",
+    areaCodes: ["863"],
+    counties: ["Polk", "Highlands", "Hardee", "DeSoto", "Glades", "Hendry", "Okeechobee"]
+  },
+  {
+    region: "Orlando",
+    areaCodes: ["407", "689", "321"],
+    counties: ["Orange", "Osceola", "Seminole", "Lake", "Volusia"]
+  },
+  {
+    region: "Space Coast",
+    areaCodes: ["321"],
+    counties: ["Brevard"]
+  },
+  {
+    region: "North Central Florida",
+    areaCodes: ["352"],
+    counties: ["Alachua", "Citrus", "Hernando", "Lake", "Levy", "Marion", "Sumter", "Gilchrist", "Bradford", "Putnam", "Pasco"]
+  },
+  {
+    region: "Northeast Florida (Daytona and Suwannee Valley)",
+    areaCodes: ["386"],
+    counties: ["Volusia", "Flagler", "Columbia", "Suwannee", "Hamilton", "Lafayette", "Union", "Dixie", "Gilchrist", "Putnam", "Bradford"]
+  },
+  {
+    region: "Jacksonville",
+    areaCodes: ["904", "324"],
+    counties: ["Duval", "Clay", "Nassau", "St. Johns", "Baker"]
+  },
+  {
+    region: "Panhandle",
+    areaCodes: ["850", "448"],
+    counties: [
+      "Escambia", "Santa Rosa", "Okaloosa", "Walton", "Holmes",
+      "Washington", "Bay", "Jackson", "Calhoun", "Gulf", "Liberty",
+      "Franklin", "Gadsden", "Leon", "Wakulla", "Jefferson", "Madison",
+      "Taylor"
+    ]
+  }
+];
+
+const EXTENSION_PATTERN =
+  /\s*(?:,|;)?\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})\s*$/i;
+
+// Candidate numbers in free text: optional +1, then 3-3-4 digits with
+// common separators, then an optional extension. Digits on either
+// side mean the match is a slice of a longer run (a timestamp or an
+// ID), not a phone number.
+const PHONE_IN_TEXT_PATTERN =
+  /(?<!\d)(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}(?:\s*(?:,|;)?\s*(?:ext\.?|extension|x|#)\s*\d{1,6})?(?!\d)/gi;
+
+/**
+ * Parse one phone number.
+ *
+ * @param {string} input
+ * @returns {Object}
+ * { input, valid, rejectedReason, e164, extension, areaCode, exchange,
+ *   lineNumber, display, lineType, region }
+ */
+function parsePhoneNumber(input) {
+  const text = String(input ?? "").trim().replace(/^tel:\s*/i, "");
+
+  const rejected = rejectedReason => ({
+    input: text,
+    valid: false,
+    rejectedReason,
+    e164: null,
+    extension: null,
+    areaCode: null,
+    exchange: null,
+    lineNumber: null,
+    display: null,
+    lineType: null,
+    region: null
+  });
+
+  if (!text) {
+    return rejected("empty");
+  }
+
+  const extensionMatch = EXTENSION_PATTERN.exec(text);
+  const extension = extensionMatch ? extensionMatch[1] : null;
+  const body = extensionMatch ? text.slice(0, extensionMatch.index) : text;
+
+  if (/[a-z]/i.test(body)) {
+    return rejected("not_a_number");
+  }
+
+  let digits = body.replace(/\D/g, "");
+
+  if (body.trim().startsWith("+") && !digits.startsWith("1")) {
+    return rejected("not_north_american");
+  }
+
+  if (digits.length === 11 && digits.startsWith("1")) {
+    digits = digits.slice(1);
+  }
+
+  if (digits.length !== 10) {
+    return rejected("wrong_length");
+  }
+
+  const areaCode = digits.slice(0, 3);
+  const exchange = digits.slice(3, 6);
+  const lineNumber = digits.slice(6);
+
+  // NANP: area code and exchange are NXX (N = 2-9) and not N11.
+  if (!/^[2-9]\d\d$/.test(areaCode) || areaCode.slice(1) === "11") {
+    return rejected("invalid_area_code");
+  }
+
+  if (!/^[2-9]\d\d$/.test(exchange) || exchange.slice(1) === "11") {
+    return rejected("invalid_exchange");
+  }
+
+  if (exchange === "555" && lineNumber.startsWith("01")) {
+    return rejected("fictional_555");
+  }
+
+  if (/^(\d)\1+$/.test(digits) || /^(\d)\1+$/.test(exchange + lineNumber)) {
+    return rejected("repeated_digits");
+  }
+
+  if (isSequential(digits)) {
+    return rejected("sequential_digits");
+  }
+
+  return {
+    input: text,
+    valid: true,
+    rejectedReason: null,
+    e164: `+1${digits}`,
+    extension,
+    areaCode,
+    exchange,
+    lineNumber,
+    display:
+      `(${areaCode}) ${exchange}-${lineNumber}` +
+      (extension ? ` ext. ${extension}` : ""),
+    lineType: lineTypeFor(areaCode),
+    region: floridaRegionFor(areaCode)
+  };
+}
+
+/**
+ * Valid phone numbers in free text (HTML, snippets), deduplicated by
+ * phoneKey in order of first appearance.
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function extractPhoneNumbers(text) {
+  const numbers = new Map();
+
+  for (const match of String(text || "").match(PHONE_IN_TEXT_PATTERN) || []) {
+    const parsed = parsePhoneNumber(match);
+
+    if (parsed.valid && !numbers.has(phoneKey(parsed))) {
+      numbers.set(phoneKey(parsed), parsed);
+    }
+  }
+
+  return [...numbers.values()];
+}
+
+/**
+ * Deduplication key: E.164, plus ";ext=" when an extension is present
+ * (RFC 3966). Unparseable input keys on its digits.
+ *
+ * @param {Object|string} phone
+ * A parsePhoneNumber result, a phone observation ({ value, extension })
+ * or raw text.
+ * @returns {string}
+ */
+function phoneKey(phone) {
+  let parsed;
+
+  if (typeof phone === "object" && phone !== null && "e164" in phone) {
+    parsed = phone;
+  } else if (typeof phone === "object" && phone !== null) {
+    parsed = parsePhoneNumber(phone.value);
+
+    if (parsed.valid && phone.extension && !parsed.extension) {
+      parsed = { ...parsed, extension: String(phone.extension) };
+    }
+  } else {
+    parsed = parsePhoneNumber(phone);
+  }
+
+  if (!parsed.valid) {
+    return String(parsed.input || "").replace(/\D/g, "");
+  }
+
+  return parsed.e164 + (parsed.extension ? `;ext=${parsed.extension}` : "");
+}
+
+/**
+ * Fields a phone observation carries: value is E.164, so observations
+ * of one number from different sources compare equal.
+ *
+ * @param {Object} parsed
+ * Valid parsePhoneNumber result.
+ * @returns {Object}
+ */
+function phoneObservationFields(parsed) {
+  return {
+    value: parsed.e164,
+    extension: parsed.extension,
+    display: parsed.display,
+    areaCode: parsed.areaCode,
+    lineType: parsed.lineType,
+    region: parsed.region
+  };
+}
+
+/**
+ * Whether a phone's area code fits a Florida registry location.
+ *
+ * @param {Object} parsed
+ * parsePhoneNumber result.
+ * @param {Object} location
+ * { state, county } (county without the "County" suffix).
+ * @returns {Object}
+ * { status: "consistent" | "different_region" | "out_of_state" |
+ *   "not_geographic" | "unknown", region, county }
+ */
+function checkPhoneGeography(parsed, { state = null, county = null } = {}) {
+  const result = status => ({
+    status,
+    region: parsed?.region?.region || null,
+    county: county || null
+  });
+
+  if (!parsed?.valid) {
+    return result("unknown");
+  }
+
+  if (parsed.lineType !== "geographic") {
+    return result("not_geographic");
+  }
+
+  if (String(state || "").toUpperCase() !== "FL") {
+    return result("unknown");
+  }
+
+  if (!parsed.region) {
+    return result("out_of_state");
+  }
+
+  if (!county) {
+    return result("unknown");
+  }
+
+  const normalizedCounty =
+    String(county).replace(/\s+county$/i, "").trim().toLowerCase();
+
+  return result(
+    parsed.region.counties.some(name => name.toLowerCase() === normalizedCounty)
+      ? "consistent"
+      : "different_region"
+  );
+}
+
+/**
+ * Whether each digit is one more, or each one less, than the digit
+ * before it, wrapping 9 -> 0 ("2345678901", "8765432109").
+ */
+function isSequential(digits) {
+  const step = (digits.charCodeAt(1) - digits.charCodeAt(0) + 10) % 10;
+
+  if (step !== 1 && step !== 9) {
+    return false;
+  }
+
+  for (let index = 2; index < digits.length; index++) {
+    if ((digits.charCodeAt(index) - digits.charCodeAt(index - 1) + 10) % 10 !== step) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function lineTypeFor(areaCode) {
+  if (TOLL_FREE_AREA_CODES.has(areaCode)) {
+    return "toll_free";
+  }
+
+  if (PREMIUM_AREA_CODES.has(areaCode)) {
+    return "premium";
+  }
+
+  if (PERSONAL_AREA_CODES.has(areaCode)) {
+    return "personal_communications";
+  }
+
+  return "geographic";
+}
+
+/**
+ * Florida region for an area code, merging every plan area that uses
+ * it (321 serves both Orlando and the Space Coast).
+ */
+function floridaRegionFor(areaCode) {
+  const regions =
+    FLORIDA_AREA_CODE_REGIONS.filter(entry => entry.areaCodes.includes(areaCode));
+
+  if (regions.length === 0) {
+    return null;
+  }
+
+  return {
+    state: "FL",
+    region: regions.map(entry => entry.region).join(" / "),
+    counties: [...new Set(regions.flatMap(entry => entry.counties))]
+  };
+}
+
+module.exports = {
+  FLORIDA_AREA_CODE_REGIONS,
+  checkPhoneGeography,
+  extractPhoneNumbers,
+  parsePhoneNumber,
+  phoneKey,
+  phoneObservationFields
+};
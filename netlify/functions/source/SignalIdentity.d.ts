@@ -0,0 +1,10 @@
+// Type declarations for SignalIdentity.js, used by the TypeScript phase
+// pipeline (pipeline-implementation.ts).
+
+export const VOLATILE_OBSERVATION_KEYS: string[];
+
+export function stripVolatileFields<T>(value: T): T;
+
+export function calculateContentHash(data: unknown): string;
+
+export function deriveInputSignalId(params: { providerName: string; sourceContentHash: string }): string;
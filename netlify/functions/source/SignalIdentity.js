@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { toCanonicalString } = require("./CanonicalSerializer.js");
+
+/**
+ * Signal identity scheme shared by the registry pipeline
+ * (EvidenceLedgerAdapter, SqliteEvidenceLedger) and the TypeScript
+ * phase pipeline (validatePhase1Signal).
+ *
+ * inputSignalId = "sig_" + first 24 hex characters of
+ *                 sha256(providerName + "|" + sourceContentHash)
+ *
+ * The same provider observing the same source content always yields
+ * the same inputSignalId, so repeated observations collapse onto one
+ * ledger entry.
+ */
+
+// Keys describing when a record was fetched rather than what it says.
+// Excluded from content hashes so re-fetching unchanged content does
+// not produce a new signal.
+const VOLATILE_OBSERVATION_KEYS = ["retrievedAt", "retrieved_at"];
+
+const INPUT_SIGNAL_ID_HEX_LENGTH = 24;
+
+/**
+ * Remove volatile observation keys at any depth.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function stripVolatileFields(value) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(stripVolatileFields);
+  }
+
+  const stripped = {};
+
+  for (const [key, childValue] of Object.entries(value)) {
+    if (!VOLATILE_OBSERVATION_KEYS.includes(key)) {
+      stripped[key] = stripVolatileFields(childValue);
+    }
+  }
+
+  return stripped;
+}
+
+/**
+ * Hash a payload by its canonical, non-volatile content.
+ *
+ * Strings are hashed as supplied.
+ *
+ * @param {*} data
+ * @returns {string} Lowercase hex sha256 digest.
+ */
+function calculateContentHash(data) {
+  const canonicalStr =
+    typeof data === "string"
+      ? data
+      : toCanonicalString(stripVolatileFields(data));
+
+  return crypto.createHash("sha256").update(canonicalStr).digest("hex");
+}
+
+/**
+ * Derive the deterministic inputSignalId for an observation.
+ *
+ * Accepts bare hex digests and "sha256_"-prefixed digests so both
+ * pipelines map the same content hash to the same id.
+ *
+ * @param {Object} params
+ * @param {string} params.providerName
+ * @param {string} params.sourceContentHash
+ * @returns {string}
+ */
+function deriveInputSignalId({ providerName, sourceContentHash }) {
+  if (!providerName || !sourceContentHash) {
+    throw new Error("deriveInputSignalId requires providerName and sourceContentHash.");
+  }
+
+  const bareHash = String(sourceContentHash).replace(/^sha256_/, "").toLowerCase();
+
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${providerName}|${bareHash}`)
+    .digest("hex");
+
+  return "sig_" + digest.substring(0, INPUT_SIGNAL_ID_HEX_LENGTH);
+}
+
+module.exports = {
+  VOLATILE_OBSERVATION_KEYS,
+  stripVolatileFields,
+  calculateContentHash,
+  deriveInputSignalId
+};
@@ -0,0 +1,113 @@
+/**
+ * State registry jurisdictions supported by the local bulk-file
+ * pipeline (StateRegistryDatabase, StateRegistryIngestionService,
+ * StateRegistryProvider).
+ *
+ * Each definition carries what differs between states:
+ *
+ * - code / name / authority / sourceName: identity and provenance.
+ * - tablePrefix: SQLite table prefix (<prefix>_entities, ...).
+ * - databasePathEnv / defaultDatabaseFile: where the database lives.
+ * - statusMap: registry status codes -> canonical statuses
+ *   (ACTIVE, INACTIVE, DISSOLVED, FORFEITED, ...). Unmapped values
+ *   pass through upper-cased.
+ * - dissolvedStatusPattern: raw or canonical statuses that end an
+ *   entity's active life, for the change log.
+ * - zipPattern: ZIP codes assigned to the state, for intent parsing.
+ * - getGazetteer: optional county / ZIP-radius gazetteer.
+ */
+
+const FLORIDA = Object.freeze({
+  code: "FL",
+  name: "Florida",
+  authority: "Florida Department of State Division of Corporations",
+  sourceName: "Florida Division of Corporations",
+  tablePrefix: "florida",
+  databasePathEnv: "FLORIDA_REGISTRY_DB_PATH",
+  defaultDatabaseFile: "florida-registry.db",
+
+  // Data files use single-letter codes; interactive Sunbiz records spell
+  // statuses out.
+  statusMap: Object.freeze({
+    A: "ACTIVE",
+    ACTIVE: "ACTIVE",
+    I: "INACTIVE",
+    INACT: "INACTIVE",
+    INACTIVE: "INACTIVE"
+  }),
+
+  dissolvedStatusPattern: /^(I|INACT.*|.*DISSOLV.*|REVOKED|CANCELL?ED|WITHDRAWN|MERGED)$/,
+
+  zipPattern: /\b(3[2-4]\d{3})(?:-\d{4})?\b/,
+
+  getGazetteer() {
+    return require("../geography/FloridaGazetteer.js").getFloridaGazetteer();
+  }
+});
+
+const TEXAS = Object.freeze({
+  code: "TX",
+  name: "Texas",
+  authority: "Texas Comptroller of Public Accounts",
+  sourceName: "Texas Comptroller Active Franchise Tax Permit Holders",
+  tablePrefix: "texas",
+  databasePathEnv: "TEXAS_REGISTRY_DB_PATH",
+  defaultDatabaseFile: "texas-registry.db",
+
+  // Right to Transact Business codes published with the franchise tax
+  // permit holder file.
+  statusMap: Object.freeze({
+    A: "ACTIVE",
+    ACTIVE: "ACTIVE",
+    D: "FORFEITED",
+    FORFEITED: "FORFEITED",
+    I: "INACTIVE",
+    INACTIVE: "INACTIVE",
+    N: "NOT_ESTABLISHED",
+    U: "INACTIVE"
+  }),
+
+  dissolvedStatusPattern: /^(D|FORFEIT.*|.*DISSOLV.*|TERMINATED|REVOKED|CANCELL?ED|WITHDRAWN|MERGED)$/,
+
+  zipPattern: /\b(7[5-9]\d{3}|885\d{2})(?:-\d{4})?\b/,
+
+  getGazetteer: null
+});
+
+const STATE_JURISDICTIONS = Object.freeze({
+  FL: FLORIDA,
+  TX: TEXAS
+});
+
+/**
+ * @param {string} code Two-letter state code.
+ * @returns {Object|null}
+ */
+function getStateJurisdiction(code) {
+  return STATE_JURISDICTIONS[String(code || "").trim().toUpperCase()] || null;
+}
+
+/**
+ * Map a registry status to its canonical value.
+ *
+ * @param {Object} jurisdiction
+ * @param {string} rawStatus
+ * @returns {string}
+ */
+function normalizeRegistryStatus(jurisdiction, rawStatus) {
+  const status = String(rawStatus || "").replace(/\s+/g, " ").trim().toUpperCase();
+
+  if (!status) {
+    return "UNKNOWN";
+  }
+
+  return jurisdiction?.statusMap?.[status] || status;
+}
+
+module.exports = {
+  FLORIDA,
+  TEXAS,
+  STATE_JURISDICTIONS,
+  getStateJurisdiction,
+  normalizeRegistryStatus
+};
@@ -0,0 +1,828 @@
+// /taxonomy/IndustryTaxonomy.js
+
+const {
+  stemToken,
+  tokenize
+} = require("../source/CompanyNameNormalizer.js");
+
+/**
+ * IndustryTaxonomy
+ *
+ * Data-driven industry vocabulary for search parsing.
+ *
+ * Two bundled files:
+ *
+ * - data/naics-2017.json
+ *   The full NAICS 2- to 6-digit hierarchy (generated by
+ *   buildNaicsHierarchy.js).
+ *
+ * - data/industry-concepts.json
+ *   Versioned, curated search concepts. Each concept names NAICS codes
+ *   and carries synonyms and exclusion keywords.
+ *
+ * RESPONSIBILITY:
+ * - Match search text against concept synonyms, NAICS titles and NAICS
+ *   illustrative examples.
+ * - Drop concepts whose exclusion keywords appear in the search.
+ * - Roll NAICS codes up to their ancestors and down to their 6-digit
+ *   industries.
+ * - Rank matches with a deterministic confidence.
+ *
+ * DOES NOT:
+ * - Parse geography.
+ * - Establish a company's industry. Matches describe the search, not
+ *   any registry record.
+ *
+ * ARCHITECTURAL ROLE:
+ *
+ * IntentParser
+ *        ↓
+ * IndustryTaxonomy
+ *        ↓
+ * naics-2017.json + industry-concepts.json
+ *
+ * CONFIDENCE:
+ *
+ * concept synonym   0.55 + 0.15 per matched token, at most 0.95,
+ *                   less 0.05 per NAICS level above 6 digits
+ * NAICS full title  0.30 + 0.10 per matched token, at most 0.65
+ * NAICS example     0.25 + 0.08 per matched token, at most 0.55
+ * NAICS title part  0.20 + 0.10 per matched token, at most 0.50
+ *
+ * A curated 6-digit concept always outranks a title or example match.
+ * Broad concepts ("construction") give way to specific ones. Within a
+ * source, longer matched phrases rank higher. A code is dropped when a
+ * code beneath it matched at least as confidently.
+ */
+
+// Words that never identify an industry on their own.
+const STOP_TERMS = [
+  "a",
+  "all",
+  "an",
+  "and",
+  "e",
+  "eg",
+  "except",
+  "for",
+  "g",
+  "i",
+  "ie",
+  "in",
+  "of",
+  "on",
+  "only",
+  "or",
+  "other",
+  "the",
+  "to",
+  "us"
+];
+
+// Title words that qualify an industry but cannot select one alone.
+const GENERIC_TERMS = [
+  "activiti",
+  "company",
+  "contract",
+  "dealer",
+  "establishment",
+  "industri",
+  "install",
+  "manufactur",
+  "merchant",
+  "miscellaneou",
+  "office",
+  "product",
+  "relat",
+  "retail",
+  "servic",
+  "service",
+  "store",
+  "supply",
+  "support",
+  "wholesal",
+  "wholesaler"
+];
+
+const MAX_MATCHES =
+  5;
+
+// Digits per NAICS level, for the broad-concept penalty.
+const LEVEL_DEPTH = {
+  sector: 2,
+  subsector: 3,
+  industry_group: 4,
+  naics_industry: 5,
+  national_industry: 6
+};
+
+/**
+ * Stemmed search tokens, shared by indexing and matching.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function toTerms(text) {
+
+  return tokenize(text)
+    .map(stemToken);
+}
+
+function containsSequence(
+  haystack,
+  needle
+) {
+
+  if (
+    needle.length === 0 ||
+    needle.length > haystack.length
+  ) {
+    return false;
+  }
+
+  for (
+    let start = 0;
+    start <= haystack.length - needle.length;
+    start++
+  ) {
+
+    if (
+      needle.every(
+        (token, index) =>
+          haystack[start + index] === token
+      )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function stripParentheticals(text) {
+
+  return text
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function roundConfidence(value) {
+
+  return Number(
+    Math.min(
+      value,
+      1
+    ).toFixed(2)
+  );
+}
+
+class IndustryTaxonomy {
+
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.hierarchy] Parsed naics-2017.json.
+   * @param {Object} [options.concepts] Parsed industry-concepts.json.
+   */
+  constructor({
+    hierarchy = require("./data/naics-2017.json"),
+    concepts = require("./data/industry-concepts.json")
+  } = {}) {
+
+    this.name =
+      "IndustryTaxonomy";
+
+    this.version =
+      concepts.version;
+
+    this.naicsEdition =
+      hierarchy.edition;
+
+    if (
+      concepts.naicsEdition &&
+      concepts.naicsEdition !== hierarchy.edition
+    ) {
+
+      throw new Error(
+        `IndustryTaxonomy concepts target NAICS ${concepts.naicsEdition} but the bundled hierarchy is NAICS ${hierarchy.edition}.`
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // HIERARCHY
+    // ------------------------------------------------------------------------
+
+    this.codes =
+      new Map();
+
+    this.children =
+      new Map();
+
+    for (
+      const [code, entry] of
+        Object.entries(hierarchy.codes)
+    ) {
+
+      this.codes.set(
+        code,
+        {
+          code,
+          ...entry
+        }
+      );
+
+      if (entry.parent) {
+
+        if (!this.children.has(entry.parent)) {
+          this.children.set(entry.parent, []);
+        }
+
+        this.children
+          .get(entry.parent)
+          .push(code);
+      }
+    }
+
+    // ------------------------------------------------------------------------
+    // CONCEPTS
+    // ------------------------------------------------------------------------
+
+    this.concepts =
+      concepts.concepts.map(
+        concept => {
+
+          const unknownCode =
+            concept.naics.find(
+              code =>
+                !this.codes.has(code)
+            );
+
+          if (unknownCode) {
+
+            throw new Error(
+              `IndustryTaxonomy concept "${concept.id}" references unknown NAICS code ${unknownCode}.`
+            );
+          }
+
+          return {
+            ...concept,
+
+            synonymTerms:
+              [
+                concept.canonical,
+                ...concept.synonyms
+              ].map(
+                synonym => ({
+                  phrase:
+                    synonym,
+
+                  terms:
+                    toTerms(synonym)
+                })
+              ),
+
+            exclusionTerms:
+              (concept.exclusions || []).map(
+                exclusion => ({
+                  phrase:
+                    exclusion,
+
+                  terms:
+                    toTerms(exclusion)
+                })
+              )
+          };
+        }
+      );
+
+    // ------------------------------------------------------------------------
+    // NAICS TITLE / EXAMPLE PHRASES
+    //
+    // Whole titles match first. Titles are also split on commas and
+    // "and" so each part can match on its own, at lower confidence
+    // ("Plumbing, Heating, and Air-Conditioning Contractors").
+    // ------------------------------------------------------------------------
+
+    this.naicsPhrases = [];
+
+    for (
+      const entry of
+        this.codes.values()
+    ) {
+
+      const title =
+        stripParentheticals(
+          entry.title
+        );
+
+      this.addNaicsPhrase(
+        entry.code,
+        "naics_title",
+        title
+      );
+
+      const segments =
+        title
+          .split(/,|\band\b/i)
+          .map(
+            segment =>
+              segment.trim()
+          )
+          .filter(
+            segment =>
+              segment &&
+              segment !== title
+          );
+
+      for (
+        const segment of segments
+      ) {
+
+        this.addNaicsPhrase(
+          entry.code,
+          "naics_title_part",
+          segment
+        );
+      }
+
+      for (
+        const example of
+          entry.examples || []
+      ) {
+
+        this.addNaicsPhrase(
+          entry.code,
+          "naics_example",
+          stripParentheticals(
+            example
+          )
+        );
+      }
+    }
+  }
+
+  addNaicsPhrase(
+    code,
+    type,
+    phrase
+  ) {
+
+    const terms =
+      [
+        ...new Set(
+          toTerms(phrase)
+            .filter(
+              term =>
+                !STOP_TERMS.includes(term)
+            )
+        )
+      ];
+
+    const distinctive =
+      terms.filter(
+        term =>
+          !GENERIC_TERMS.includes(term)
+      );
+
+    if (distinctive.length === 0) {
+      return;
+    }
+
+    this.naicsPhrases.push({
+      code,
+      type,
+      phrase,
+      terms,
+      distinctive
+    });
+  }
+
+  // ==========================================================================
+  // HIERARCHY
+  // ==========================================================================
+
+  /**
+   * @param {string} code
+   * @returns {Object|null} { code, title, level, parent, examples? }
+   */
+  getCode(code) {
+
+    return this.codes.get(String(code)) || null;
+  }
+
+  /**
+   * Ancestors from the sector down to, and including, the code.
+   *
+   * @param {string} code
+   * @returns {Array<{code: string, title: string, level: string}>}
+   */
+  lineage(code) {
+
+    const chain = [];
+
+    let current =
+      this.getCode(code);
+
+    while (current) {
+
+      chain.unshift({
+        code:
+          current.code,
+
+        title:
+          current.title,
+
+        level:
+          current.level
+      });
+
+      current =
+        current.parent
+          ? this.getCode(current.parent)
+          : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * The 6-digit industries at or beneath a code.
+   *
+   * @param {string} code
+   * @returns {Array<string>}
+   */
+  rollup(code) {
+
+    const entry =
+      this.getCode(code);
+
+    if (!entry) {
+      return [];
+    }
+
+    if (entry.level === "national_industry") {
+      return [entry.code];
+    }
+
+    return (this.children.get(entry.code) || [])
+      .flatMap(
+        child =>
+          this.rollup(child)
+      );
+  }
+
+  // ==========================================================================
+  // MATCHING
+  // ==========================================================================
+
+  /**
+   * Rank industry matches for search text.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Array<Object>} Highest confidence first.
+   */
+  match(
+    text,
+    {
+      limit = MAX_MATCHES
+    } = {}
+  ) {
+
+    const queryTerms =
+      toTerms(text);
+
+    const candidates =
+      new Map();
+
+    const keep =
+      candidate => {
+
+        const existing =
+          candidates.get(candidate.id);
+
+        if (
+          !existing ||
+          candidate.confidence > existing.confidence
+        ) {
+          candidates.set(
+            candidate.id,
+            candidate
+          );
+        }
+      };
+
+    // ------------------------------------------------------------------------
+    // CURATED CONCEPTS
+    // ------------------------------------------------------------------------
+
+    for (
+      const concept of
+        this.concepts
+    ) {
+
+      const excludedBy =
+        concept.exclusionTerms.find(
+          exclusion =>
+            containsSequence(
+              queryTerms,
+              exclusion.terms
+            )
+        );
+
+      if (excludedBy) {
+        continue;
+      }
+
+      const matchedSynonym =
+        concept.synonymTerms
+          .filter(
+            synonym =>
+              containsSequence(
+                queryTerms,
+                synonym.terms
+              )
+          )
+          .sort(
+            (a, b) =>
+              b.terms.length - a.terms.length
+          )[0];
+
+      if (!matchedSynonym) {
+        continue;
+      }
+
+      keep(
+        this.describeConcept(
+          concept,
+          matchedSynonym
+        )
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // NAICS TITLES AND EXAMPLES
+    //
+    // Every distinctive term of the phrase must appear in the search.
+    // Codes already reached through a concept's primary code are not
+    // repeated.
+    // ------------------------------------------------------------------------
+
+    const conceptPrimaryCodes =
+      new Set(
+        [...candidates.values()].map(
+          candidate =>
+            candidate.naics.code
+        )
+      );
+
+    for (
+      const phrase of
+        this.naicsPhrases
+    ) {
+
+      if (
+        conceptPrimaryCodes.has(phrase.code) ||
+        !phrase.distinctive.every(
+          term =>
+            queryTerms.includes(term)
+        )
+      ) {
+        continue;
+      }
+
+      keep(
+        this.describeNaicsPhrase(
+          phrase,
+          phrase.terms.filter(
+            term =>
+              queryTerms.includes(term)
+          ).length
+        )
+      );
+    }
+
+    // ------------------------------------------------------------------------
+    // ROLLUP
+    //
+    // Keep the most specific code: drop a candidate when one beneath it
+    // (or at the same code) matched at least as confidently.
+    // ------------------------------------------------------------------------
+
+    const ranked =
+      [...candidates.values()];
+
+    const isCovered =
+      candidate =>
+        ranked.some(
+          other =>
+            other !== candidate &&
+            other.confidence >= candidate.confidence &&
+            other.naics.code !== candidate.naics.code &&
+            other.lineage.some(
+              ancestor =>
+                ancestor.code === candidate.naics.code
+            )
+        );
+
+    return ranked
+      .filter(
+        candidate =>
+          !isCovered(candidate)
+      )
+      .sort(
+        (a, b) =>
+          b.confidence - a.confidence ||
+          (a.matchedBy.type === "concept_synonym" ? -1 : 0) -
+            (b.matchedBy.type === "concept_synonym" ? -1 : 0) ||
+          a.id.localeCompare(b.id)
+      )
+      .slice(
+        0,
+        limit
+      );
+  }
+
+  describeConcept(
+    concept,
+    matchedSynonym
+  ) {
+
+    const primaryCode =
+      concept.naics[0];
+
+    return {
+
+      id:
+        concept.id,
+
+      canonical:
+        concept.canonical,
+
+      confidence:
+        roundConfidence(
+          Math.min(
+            0.55 + 0.15 * matchedSynonym.terms.length,
+            0.95
+          ) -
+          0.05 * (
+            LEVEL_DEPTH.national_industry -
+            LEVEL_DEPTH[this.getCode(primaryCode).level]
+          )
+        ),
+
+      matchedBy: {
+        type:
+          "concept_synonym",
+
+        phrase:
+          matchedSynonym.phrase
+      },
+
+      keywords:
+        [
+          concept.canonical,
+          ...concept.synonyms
+        ],
+
+      naics:
+        this.describeCode(
+          primaryCode
+        ),
+
+      lineage:
+        this.lineage(
+          primaryCode
+        ),
+
+      classifications:
+        [
+          ...new Set(
+            concept.naics.flatMap(
+              code =>
+                this.rollup(code)
+            )
+          )
+        ]
+    };
+  }
+
+  describeNaicsPhrase(
+    phrase,
+    matchedTermCount
+  ) {
+
+    const confidenceRules = {
+      naics_title:
+        [0.3, 0.1, 0.65],
+
+      naics_example:
+        [0.25, 0.08, 0.55],
+
+      naics_title_part:
+        [0.2, 0.1, 0.5]
+    };
+
+    const [base, perTerm, cap] =
+      confidenceRules[phrase.type];
+
+    const entry =
+      this.getCode(phrase.code);
+
+    return {
+
+      id:
+        `naics:${phrase.code}`,
+
+      canonical:
+        entry.title.toLowerCase(),
+
+      confidence:
+        roundConfidence(
+          Math.min(
+            base + perTerm * matchedTermCount,
+            cap
+          )
+        ),
+
+      matchedBy: {
+        type:
+          phrase.type,
+
+        phrase:
+          phrase.phrase
+      },
+
+      // Name-search terms: the matched phrase and each distinctive word
+      // of it, as written in the NAICS title.
+      keywords:
+        [
+          phrase.phrase.toLowerCase(),
+
+          ...tokenize(phrase.phrase).filter(
+            word =>
+              phrase.distinctive.includes(
+                stemToken(word)
+              )
+          )
+        ],
+
+      naics:
+        this.describeCode(
+          phrase.code
+        ),
+
+      lineage:
+        this.lineage(
+          phrase.code
+        ),
+
+      classifications:
+        this.rollup(
+          phrase.code
+        )
+    };
+  }
+
+  describeCode(code) {
+
+    const entry =
+      this.getCode(code);
+
+    return {
+      code:
+        entry.code,
+
+      title:
+        entry.title,
+
+      level:
+        entry.level
+    };
+  }
+}
+
+let sharedTaxonomy =
+  null;
+
+/**
+ * Shared instance over the bundled taxonomy, loaded on first use.
+ *
+ * @returns {IndustryTaxonomy}
+ */
+function getIndustryTaxonomy() {
+
+  if (!sharedTaxonomy) {
+
+    sharedTaxonomy =
+      new IndustryTaxonomy();
+  }
+
+  return sharedTaxonomy;
+}
+
+module.exports = {
+  IndustryTaxonomy,
+  getIndustryTaxonomy
+};
@@ -0,0 +1,256 @@
+// /taxonomy/buildNaicsHierarchy.js
+
+/**
+ * Builds taxonomy/data/naics-2017.json from the Census Bureau's 2017
+ * NAICS descriptions.
+ *
+ * Usage:
+ *
+ *   node taxonomy/buildNaicsHierarchy.js <path-to-2017_NAICS_Descriptions.json>
+ *
+ * The input is the 2017_NAICS_Descriptions.xlsx workbook converted to a
+ * { code: { Title, Description } } object (the conversion shipped in
+ * the MIT-licensed "naics" npm package works as-is). NAICS itself is a
+ * U.S. Government work in the public domain.
+ *
+ * RESPONSIBILITY:
+ * - Record every 2- to 6-digit code with its cleaned title, level and
+ *   parent code.
+ * - Keep the "Illustrative Examples" listed for 6-digit industries.
+ *
+ * DOES NOT:
+ * - Define search concepts, synonyms or exclusions. Those are curated
+ *   in taxonomy/data/industry-concepts.json.
+ * - Run at request time. The generated JSON is bundled.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const OUTPUT_PATH =
+  path.join(
+    __dirname,
+    "data",
+    "naics-2017.json"
+  );
+
+const LEVELS = {
+  2: "sector",
+  3: "subsector",
+  4: "industry_group",
+  5: "naics_industry",
+  6: "national_industry"
+};
+
+/*
+ * The descriptions workbook marks titles with a trailing "T" when the
+ * title is shared by Canada, Mexico and the United States.
+ */
+function cleanTitle(title) {
+
+  return String(
+    title || ""
+  )
+    .replace(/T\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function extractExamples(description) {
+
+  const match =
+    String(
+      description || ""
+    ).match(
+      /Illustrative Examples:\s*([\s\S]*?)(?:\r?\n\s*\r?\n\s*\r?\n|Cross-References|$)/
+    );
+
+  if (!match) {
+    return [];
+  }
+
+  return match[1]
+    .split(/\r?\n/)
+    .map(
+      line =>
+        line
+          .replace(/\s+/g, " ")
+          .trim()
+    )
+    .filter(Boolean);
+}
+
+/*
+ * Sector codes may be ranges ("31-33"). Subsector parents resolve
+ * through the range that contains their first two digits.
+ */
+function resolveParent(
+  code,
+  sectorRanges
+) {
+
+  if (code.length === 3) {
+
+    const prefix =
+      Number(
+        code.slice(0, 2)
+      );
+
+    const sector =
+      sectorRanges.find(
+        range =>
+          prefix >= range.from &&
+          prefix <= range.to
+      );
+
+    return sector
+      ? sector.code
+      : null;
+  }
+
+  return code.slice(0, -1);
+}
+
+function build(sourcePath) {
+
+  const source =
+    JSON.parse(
+      fs.readFileSync(
+        sourcePath,
+        "utf8"
+      )
+    );
+
+  const sectorRanges =
+    Object.keys(source)
+      .filter(
+        code =>
+          /^\d{2}(-\d{2})?$/.test(code)
+      )
+      .map(
+        code => {
+
+          const [from, to = from] =
+            code
+              .split("-")
+              .map(Number);
+
+          return {
+            code,
+            from,
+            to
+          };
+        }
+      );
+
+  const codes = {};
+
+  const sortedCodes =
+    Object.keys(source)
+      .sort(
+        (a, b) =>
+          a.localeCompare(b)
+      );
+
+  for (
+    const code of sortedCodes
+  ) {
+
+    const digits =
+      code.includes("-")
+        ? 2
+        : code.length;
+
+    if (!LEVELS[digits]) {
+      continue;
+    }
+
+    const entry = {
+
+      title:
+        cleanTitle(
+          source[code].Title
+        ),
+
+      level:
+        LEVELS[digits],
+
+      parent:
+        digits === 2
+          ? null
+          : resolveParent(
+              code,
+              sectorRanges
+            )
+    };
+
+    if (digits === 6) {
+
+      const examples =
+        extractExamples(
+          source[code].Description
+        );
+
+      if (examples.length > 0) {
+        entry.examples = examples;
+      }
+    }
+
+    codes[code] =
+      entry;
+  }
+
+  return {
+
+    edition:
+      "2017",
+
+    source: {
+
+      name:
+        "North American Industry Classification System, 2017 descriptions",
+
+      publisher:
+        "U.S. Census Bureau",
+
+      url:
+        "https://www.census.gov/naics/",
+
+      license:
+        "Public domain (U.S. Government work)"
+    },
+
+    codes
+  };
+}
+
+if (require.main === module) {
+
+  const [sourcePath] =
+    process.argv.slice(2);
+
+  if (!sourcePath) {
+
+    console.error(
+      "Usage: node taxonomy/buildNaicsHierarchy.js <path-to-2017_NAICS_Descriptions.json>"
+    );
+
+    process.exit(1);
+  }
+
+  const hierarchy =
+    build(sourcePath);
+
+  fs.writeFileSync(
+    OUTPUT_PATH,
+    JSON.stringify(hierarchy) + "\n"
+  );
+
+  console.log(
+    `[buildNaicsHierarchy] ${Object.keys(hierarchy.codes).length} NAICS codes written to ${OUTPUT_PATH}`
+  );
+}
+
+module.exports = {
+  build
+};
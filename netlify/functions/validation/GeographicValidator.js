@@ -1,16 +1,35 @@
 // /validation/GeographicValidator.js
 
+const {
+  FloridaGazetteer,
+  getFloridaGazetteer
+} = require("../geography/FloridaGazetteer.js");
+
 /**
  * GeographicValidator
  *
  * Evaluates target search geography against observed registry addresses.
  * Preserves the raw registry observation while providing deterministic validation.
+ *
+ * Every constraint present on the target (state, city, county, zip,
+ * radiusMiles + centroid) must hold for the same address. County is
+ * only checked when the target names no city or ZIP, matching
+ * FloridaRegistryDatabase.search. County and distance are resolved
+ * from the address ZIP through the Florida gazetteer.
+ *
+ * Match basis names the address and its most specific satisfied
+ * constraint:
+ *
+ *   principal_distance / mailing_distance
+ *   principal_zip      / mailing_zip
+ *   principal_county   / mailing_county
+ *   principal_address  / mailing_address   (state and city only)
  */
 class GeographicValidator {
   /**
    * Validate target geography against observed registry record.
    *
-   * @param {Object} targetGeography - { state, city, county, zip }
+   * @param {Object} targetGeography - { state, city, county, zip, radiusMiles, centroid }
    * @param {Object} observedAddresses - { principalAddress, mailingAddress }
    * @returns {Object} Validation result with match basis
    */
@@ -23,34 +42,33 @@ class GeographicValidator {
       };
     }
 
-    const targetState = targetGeography.state.toUpperCase();
-    const targetCity = targetGeography.city ? targetGeography.city.toLowerCase() : null;
-
     const principal = observedAddresses.principalAddress || {};
     const mailing = observedAddresses.mailingAddress || {};
 
     // 1. Verify Principal Address Match
-    if (principal.state && principal.state.toUpperCase() === targetState) {
-      if (!targetCity || (principal.city && principal.city.toLowerCase() === targetCity)) {
-        return {
-          matched: true,
-          basis: "principal_address",
-          target: targetGeography,
-          observed: principal
-        };
-      }
+    const principalMatch = GeographicValidator.matchAddress(targetGeography, principal);
+
+    if (principalMatch) {
+      return {
+        matched: true,
+        basis: `principal_${principalMatch.dimension}`,
+        ...(principalMatch.distanceMiles !== undefined ? { distanceMiles: principalMatch.distanceMiles } : {}),
+        target: targetGeography,
+        observed: principal
+      };
     }
 
     // 2. Verify Mailing Address Match
-    if (mailing.state && mailing.state.toUpperCase() === targetState) {
-      if (!targetCity || (mailing.city && mailing.city.toLowerCase() === targetCity)) {
-        return {
-          matched: true,
-          basis: "mailing_address",
-          target: targetGeography,
-          observed: mailing
-        };
-      }
+    const mailingMatch = GeographicValidator.matchAddress(targetGeography, mailing);
+
+    if (mailingMatch) {
+      return {
+        matched: true,
+        basis: `mailing_${mailingMatch.dimension}`,
+        ...(mailingMatch.distanceMiles !== undefined ? { distanceMiles: mailingMatch.distanceMiles } : {}),
+        target: targetGeography,
+        observed: mailing
+      };
     }
 
     return {
@@ -61,6 +79,65 @@ class GeographicValidator {
       observed: { principal, mailing }
     };
   }
+
+  /**
+   * Check one address against every target constraint.
+   *
+   * @param {Object} target
+   * @param {Object} address - { city, state, zip, county? }
+   * @returns {Object|null} { dimension, distanceMiles? } or null on mismatch
+   */
+  static matchAddress(target, address) {
+    if (!address.state || address.state.toUpperCase() !== target.state.toUpperCase()) {
+      return null;
+    }
+
+    if (target.city && !FloridaGazetteer.samePlace(address.city, target.city)) {
+      return null;
+    }
+
+    const gazetteer = getFloridaGazetteer();
+    const observedZip = address.zip ? String(address.zip).trim().split("-")[0] : null;
+    const zipEntry = observedZip ? gazetteer.findZip(observedZip) : null;
+
+    let dimension = "address";
+
+    if (target.county && !target.city && !target.zip) {
+      const observedCounty = address.county || zipEntry?.county || null;
+
+      if (!FloridaGazetteer.samePlace(
+        String(observedCounty || "").replace(/\s+county$/i, ""),
+        String(target.county).replace(/\s+county$/i, "")
+      )) {
+        return null;
+      }
+
+      dimension = "county";
+    }
+
+    if (target.zip) {
+      if (observedZip !== String(target.zip).trim().split("-")[0]) {
+        return null;
+      }
+
+      dimension = "zip";
+    }
+
+    if (target.radiusMiles && target.centroid) {
+      const distanceMiles = zipEntry ? gazetteer.distanceToZip(target.centroid, observedZip) : null;
+
+      if (distanceMiles === null || distanceMiles > Number(target.radiusMiles)) {
+        return null;
+      }
+
+      return {
+        dimension: "distance",
+        distanceMiles: Number(distanceMiles.toFixed(2))
+      };
+    }
+
+    return { dimension };
+  }
 }
 
 module.exports = {
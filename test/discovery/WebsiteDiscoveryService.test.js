@@ -0,0 +1,132 @@
+const {
+  WebsiteDiscoveryService,
+  DEFAULT_MATCH_THRESHOLD
+} = require("../../netlify/functions/discovery/WebsiteDiscoveryService.js");
+
+function candidate(candidateDomain, candidateName, overrides = {}) {
+
+  return {
+    candidateDomain,
+    candidateName,
+    candidateUrl: `https://${candidateDomain}/`,
+    ...overrides
+  };
+}
+
+/*
+ * Discovery provider returning canned search results.
+ */
+function createStubProvider(results) {
+
+  return {
+    name: "stub",
+    buildSearchQuery: (companyName, { city, state }) =>
+      `"${companyName}" ${city} ${state}`,
+    discoverCandidates: async () =>
+      results
+  };
+}
+
+describe("WebsiteDiscoveryService.scoreCandidate", () => {
+
+  const service =
+    new WebsiteDiscoveryService({ provider: createStubProvider([]) });
+
+  test("a domain that is exactly the name matches on its own", () => {
+
+    expect(
+      service.scoreCandidate("Roofing Pros LLC", candidate("roofingpros.com", "Home"))
+    ).toMatchObject({
+      domainScore: 1,
+      score: DEFAULT_MATCH_THRESHOLD
+    });
+  });
+
+  test("unstemmed words in the domain count as the name", () => {
+
+    expect(
+      service.scoreCandidate(
+        "Alamo Plumbing Services, LLC",
+        candidate("www.alamo-plumbing-services.com", "Home")
+      ).domainScore
+    ).toBe(1);
+  });
+
+  test.each([
+    ["Roofing Pros LLC", "roofingpros-nyc.com"],
+    ["ABC Roofing", "abcroofingsupply.com"]
+  ])("%s is not matched by %s without the title", (companyName, domain) => {
+
+    const match =
+      service.scoreCandidate(companyName, candidate(domain, "Home"));
+
+    expect(match.domainScore).toBeLessThan(1);
+    expect(match.score).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+  });
+
+  test("a domain with extra words matches when the title names the business", () => {
+
+    expect(
+      service.scoreCandidate(
+        "Acme Roofing LLC",
+        candidate("acmeroofingtampa.com", "Acme Roofing | Tampa Roofer")
+      ).score
+    ).toBeGreaterThanOrEqual(DEFAULT_MATCH_THRESHOLD);
+  });
+
+  test("a generic industry domain stays below the threshold", () => {
+
+    expect(
+      service.scoreCandidate("Acme Roofing LLC", candidate("roofing.com", "Roofing")).score
+    ).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+  });
+
+  test("directory listings score 0", () => {
+
+    expect(
+      service.scoreCandidate(
+        "Acme Roofing LLC",
+        candidate("yelp.com", "Acme Roofing LLC - Tampa", { resultType: "directory" })
+      )
+    ).toMatchObject({
+      score: 0,
+      basis: "directory_listing"
+    });
+  });
+});
+
+describe("WebsiteDiscoveryService.discoverWebsite", () => {
+
+  const entity = {
+    companyName: "Roofing Pros LLC",
+    location: { city: "Tampa", state: "FL" }
+  };
+
+  test("leaves an unrelated site that only contains the name unmatched", async () => {
+
+    const result =
+      await new WebsiteDiscoveryService({
+        provider: createStubProvider([
+          candidate("roofingpros-nyc.com", "Brooklyn Home Repair | Free Estimates")
+        ])
+      }).discoverWebsite(entity);
+
+    expect(result.status).toBe("below_threshold");
+    expect(result.selected).toBeNull();
+  });
+
+  test("selects the best-scoring candidate", async () => {
+
+    const result =
+      await new WebsiteDiscoveryService({
+        provider: createStubProvider([
+          candidate("roofingpros-nyc.com", "Brooklyn Roofers", { discoveryIndex: 0 }),
+          candidate("roofingpros.com", "Roofing Pros | Tampa Roof Repair", { discoveryIndex: 1 })
+        ])
+      }).discoverWebsite(entity);
+
+    expect(result.status).toBe("matched");
+    expect(result.selected.candidateDomain).toBe("roofingpros.com");
+    expect(result.query).toBe("\"Roofing Pros LLC\" Tampa FL");
+  });
+});
@@ -0,0 +1,310 @@
+const {
+  EmailClassifier
+} = require("../../netlify/functions/enrichment/EmailClassifier.js");
+
+/*
+ * In-memory MX resolver (see RESOLVER INTERFACE in EmailClassifier.js).
+ * Unknown domains fail the way dns.promises.Resolver does.
+ */
+function createStubResolver(records) {
+
+  const lookups = [];
+
+  return {
+
+    lookups,
+
+    async resolveMx(domain) {
+
+      lookups.push(domain);
+
+      if (!(domain in records)) {
+
+        const error =
+          new Error(`queryMx ENOTFOUND ${domain}`);
+
+        error.code = "ENOTFOUND";
+
+        throw error;
+      }
+
+      if (records[domain] instanceof Error) {
+        throw records[domain];
+      }
+
+      return records[domain];
+    }
+  };
+}
+
+function dnsError(code) {
+
+  const error =
+    new Error(`queryMx ${code}`);
+
+  error.code = code;
+
+  return error;
+}
+
+describe("EmailClassifier.rejectionReason", () => {
+
+  test.each([
+    ["logo@2x.png", "asset_filename"],
+    ["your@email.com", "placeholder"],
+    ["firstname.lastname@acme.com", "placeholder"],
+    ["info@example.com", "placeholder"],
+    ["jane.doe@example.org", "placeholder"],
+    ["john.doe@acme.test", "placeholder"],
+    ["user@test.com", "placeholder"],
+    ["abc123@sentry.wixpress.com", "system_address"]
+  ])("%s is rejected as %s", (address, reason) => {
+
+    expect(
+      EmailClassifier.rejectionReason(address)
+    ).toBe(reason);
+  });
+
+  test.each([
+    "jane.doe@gmail.com",
+    "john.doe@acmeroofing.com",
+    "name@acmeroofing.com",
+    "email@acmeroofing.com",
+    "user@acmeroofing.com"
+  ])("%s is kept", address => {
+
+    expect(
+      EmailClassifier.rejectionReason(address)
+    ).toBeNull();
+  });
+});
+
+describe("EmailClassifier.classify", () => {
+
+  const classifier =
+    new EmailClassifier({ resolver: null });
+
+  test("tags a sample name on a free-mail domain as free-mail instead of rejecting it", () => {
+
+    expect(
+      classifier.classify("Jane.Doe@Gmail.com")
+    ).toMatchObject({
+      address: "jane.doe@gmail.com",
+      rejected: false,
+      freeMail: true,
+      role: false
+    });
+  });
+
+  test("tags role and no-reply accounts", () => {
+
+    expect(
+      classifier.classify("info@acmeroofing.com").role
+    ).toBe(true);
+
+    expect(
+      classifier.classify("no-reply@acmeroofing.com")
+    ).toMatchObject({
+      role: true,
+      noReply: true
+    });
+  });
+
+  test("compares the address domain with the website", () => {
+
+    const website =
+      "https://www.acmeroofing.com/contact";
+
+    expect(
+      classifier.classify("owner@acmeroofing.com", { website }).domainAlignment
+    ).toBe("aligned");
+
+    expect(
+      classifier.classify("owner@mail.acmeroofing.com", { website }).domainAlignment
+    ).toBe("aligned");
+
+    expect(
+      classifier.classify("owner@gmail.com", { website }).domainAlignment
+    ).toBe("unaligned");
+
+    expect(
+      classifier.classify("owner@gmail.com").domainAlignment
+    ).toBe("unknown");
+  });
+
+  test("reports invalid syntax", () => {
+
+    expect(
+      classifier.classify("not an address")
+    ).toMatchObject({
+      address: null,
+      rejected: true,
+      rejectedReason: "invalid_syntax"
+    });
+  });
+});
+
+describe("EmailClassifier.classifyAll", () => {
+
+  test("drops rejected addresses and records MX deliverability per domain", async () => {
+
+    const resolver =
+      createStubResolver({
+        "acmeroofing.com": [
+          { exchange: "mx2.acmeroofing.com.", priority: 20 },
+          { exchange: "mx1.acmeroofing.com.", priority: 10 }
+        ],
+        "gmail.com": [
+          { exchange: "gmail-smtp-in.l.google.com", priority: 5 }
+        ],
+        "nomail.com": [
+          { exchange: "", priority: 0 }
+        ],
+        "nomx.com": dnsError("ENODATA"),
+        "flaky.com": dnsError("ESERVFAIL")
+      });
+
+    const classifier =
+      new EmailClassifier({ resolver });
+
+    const emails =
+      await classifier.classifyAll(
+        [
+          { value: "mailto:Owner@AcmeRoofing.com.", source: "website" },
+          "sales@acmeroofing.com",
+          "jane.doe@gmail.com",
+          "your@email.com",
+          "logo@2x.png",
+          "info@nomail.com",
+          "info@nomx.com",
+          "info@flaky.com",
+          "info@gone.com"
+        ],
+        { website: "acmeroofing.com" }
+      );
+
+    const byAddress =
+      Object.fromEntries(
+        emails.map(email => [email.value, email])
+      );
+
+    expect(
+      Object.keys(byAddress)
+    ).toEqual([
+      "owner@acmeroofing.com",
+      "sales@acmeroofing.com",
+      "jane.doe@gmail.com",
+      "info@nomail.com",
+      "info@nomx.com",
+      "info@flaky.com",
+      "info@gone.com"
+    ]);
+
+    expect(
+      byAddress["owner@acmeroofing.com"]
+    ).toMatchObject({
+      source: "website",
+      classification: {
+        domainAlignment: "aligned",
+        mx: {
+          status: "mx_found",
+          hosts: ["mx1.acmeroofing.com", "mx2.acmeroofing.com"]
+        },
+        deliverable: true
+      }
+    });
+
+    expect(
+      byAddress["jane.doe@gmail.com"].classification
+    ).toMatchObject({
+      freeMail: true,
+      domainAlignment: "unaligned",
+      deliverable: true
+    });
+
+    expect(
+      byAddress["info@nomail.com"].classification.mx.status
+    ).toBe("null_mx");
+
+    expect(
+      byAddress["info@nomail.com"].classification.deliverable
+    ).toBe(false);
+
+    expect(
+      byAddress["info@nomx.com"].classification
+    ).toMatchObject({
+      mx: { status: "no_mx" },
+      deliverable: null
+    });
+
+    expect(
+      byAddress["info@flaky.com"].classification
+    ).toMatchObject({
+      mx: { status: "lookup_failed", error: "ESERVFAIL" },
+      deliverable: null
+    });
+
+    expect(
+      byAddress["info@gone.com"].classification
+    ).toMatchObject({
+      mx: { status: "no_domain" },
+      deliverable: false
+    });
+
+    // One lookup per domain.
+    expect(
+      resolver.lookups.filter(domain => domain === "acmeroofing.com")
+    ).toHaveLength(1);
+  });
+
+  test("reports not_checked without a resolver or past the deadline", async () => {
+
+    const resolver =
+      createStubResolver({
+        "acmeroofing.com": [
+          { exchange: "mx1.acmeroofing.com", priority: 10 }
+        ]
+      });
+
+    const [withoutResolver] =
+      await new EmailClassifier({ resolver: null })
+        .classifyAll(["owner@acmeroofing.com"]);
+
+    const [pastDeadline] =
+      await new EmailClassifier({ resolver })
+        .classifyAll(["owner@acmeroofing.com"], { deadlineAt: Date.now() - 1 });
+
+    expect(
+      withoutResolver.classification.mx.status
+    ).toBe("not_checked");
+
+    expect(
+      pastDeadline.classification.mx.status
+    ).toBe("not_checked");
+
+    expect(
+      resolver.lookups
+    ).toHaveLength(0);
+  });
+
+  test("times out a lookup that does not settle", async () => {
+
+    const classifier =
+      new EmailClassifier({
+        resolver: {
+          resolveMx: () => new Promise(() => {})
+        },
+        mxTimeoutMs: 20
+      });
+
+    const [email] =
+      await classifier.classifyAll(["owner@acmeroofing.com"]);
+
+    expect(
+      email.classification
+    ).toMatchObject({
+      mx: { status: "timeout" },
+      deliverable: null
+    });
+  });
+});
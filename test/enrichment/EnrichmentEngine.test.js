@@ -0,0 +1,104 @@
+const {
+  EnrichmentEngine
+} = require("../../netlify/functions/enrichment/EnrichmentEngine.js");
+
+const ENTITY = {
+  companyName: "Acme Roofing LLC",
+  website: "https://acme.example/"
+};
+
+/*
+ * Provider whose enrich() never resolves. Records the signal it was
+ * handed so tests can check it was aborted.
+ */
+function createHangingProvider(key, overrides = {}) {
+
+  const provider = {
+    name: key,
+    key,
+    signals: [],
+    enrich: ({ signal }) => {
+
+      provider.signals.push(signal);
+
+      return new Promise(() => {});
+    },
+    ...overrides
+  };
+
+  return provider;
+}
+
+function createProvider(key, outcome) {
+
+  return {
+    name: key,
+    key,
+    enrich: async () => outcome
+  };
+}
+
+describe("EnrichmentEngine provider timeouts", () => {
+
+  test("fails a provider that outlives its timeout and aborts its signal", async () => {
+
+    const hanging =
+      createHangingProvider("slow");
+
+    const engine =
+      new EnrichmentEngine()
+        .register(hanging, { timeoutMs: 20 })
+        .register(createProvider("fast", { status: "success", emails: [] }));
+
+    const result =
+      await engine.enrich(ENTITY);
+
+    expect(result.providerResults.slow).toMatchObject({
+      status: "failed",
+      code: "ENRICHMENT_TIMEOUT"
+    });
+    expect(result.providerResults.fast.status).toBe("success");
+    expect(result.errors).toEqual([
+      expect.objectContaining({ stage: "slow", code: "ENRICHMENT_TIMEOUT" })
+    ]);
+    expect(hanging.signals[0].aborted).toBe(true);
+  });
+
+  test("skips providers left with no time before the shared deadline", async () => {
+
+    const engine =
+      new EnrichmentEngine({ deadlineMs: 30 })
+        .register(createHangingProvider("supplier", { providesWebsite: true }))
+        .register(createProvider("recon", { status: "success" }));
+
+    const startedAt = Date.now();
+
+    const result =
+      await engine.enrich({ companyName: "Acme Roofing LLC" });
+
+    expect(result.providerResults.supplier.code).toBe("ENRICHMENT_TIMEOUT");
+    expect(result.providerResults.recon).toMatchObject({
+      status: "skipped",
+      code: "DEADLINE_EXCEEDED"
+    });
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+
+  test("skips a provider whose call budget is spent", async () => {
+
+    const engine =
+      new EnrichmentEngine()
+        .register(createProvider("paid", { status: "no_data" }), { maxCalls: 1 });
+
+    await engine.enrich(ENTITY);
+
+    const second =
+      await engine.enrich(ENTITY);
+
+    expect(second.providerResults.paid).toMatchObject({
+      status: "skipped",
+      code: "BUDGET_EXHAUSTED"
+    });
+    expect(second.errors).toEqual([]);
+  });
+});
@@ -0,0 +1,199 @@
+const {
+  WebsiteCrawler
+} = require("../../netlify/functions/enrichment/WebsiteCrawler.js");
+
+const {
+  WebsiteReconProvider
+} = require("../../netlify/functions/enrichment/websiterecon.js");
+
+const HOME_PAGE =
+  "<html><head><title>Acme Roofing</title></head><body><a href=\"/contact\">Contact us</a></body></html>";
+
+/*
+ * Never settles on its own; rejects the way fetch() does once the
+ * request's signal aborts.
+ */
+function hang(signal) {
+
+  return new Promise((_, reject) => {
+
+    signal?.addEventListener("abort", () => {
+
+      const error =
+        new Error("This operation was aborted");
+
+      error.name = "AbortError";
+
+      reject(error);
+    });
+  });
+}
+
+/*
+ * Serves `routes` by path. A route set to "hang" never answers.
+ */
+function stubFetch(routes) {
+
+  const requested = [];
+
+  jest.spyOn(global, "fetch").mockImplementation(async (url, { signal } = {}) => {
+
+    const { pathname } = new URL(url);
+
+    requested.push(pathname);
+
+    const route = routes[pathname];
+
+    if (route === "hang") {
+      return hang(signal);
+    }
+
+    if (route === undefined) {
+      return new Response("not found", { status: 404 });
+    }
+
+    return new Response(route, {
+      status: 200,
+      headers: { "content-type": "text/html; charset=utf-8" }
+    });
+  });
+
+  return requested;
+}
+
+afterEach(() => {
+
+  jest.restoreAllMocks();
+});
+
+describe("WebsiteCrawler aborts and deadlines", () => {
+
+  test("rejects with an AbortError when aborted while the start page loads", async () => {
+
+    stubFetch({ "/": "hang" });
+
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(
+      new WebsiteCrawler().crawl("https://acme.example/", { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  test("returns the pages fetched so far when aborted after the start page", async () => {
+
+    stubFetch({ "/": HOME_PAGE, "/contact": "hang" });
+
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 20);
+
+    const crawl =
+      await new WebsiteCrawler().crawl("https://acme.example/", { signal: controller.signal });
+
+    expect(crawl.status).toBe("success");
+    expect(crawl.pages.map(page => page.finalUrl)).toEqual(["https://acme.example/"]);
+    expect(crawl.skipped).toContainEqual({ url: "https://acme.example", reason: "time_budget" });
+  });
+
+  test("starts no request after the start page once the deadline has passed", async () => {
+
+    const requested =
+      stubFetch({ "/": HOME_PAGE, "/contact": HOME_PAGE });
+
+    const crawl =
+      await new WebsiteCrawler().crawl("https://acme.example/", { deadlineAt: Date.now() });
+
+    expect(requested).toEqual(["/robots.txt", "/"]);
+    expect(crawl.status).toBe("success");
+    expect(crawl.pages).toHaveLength(1);
+    expect(crawl.skipped).toContainEqual({ url: "https://acme.example", reason: "time_budget" });
+  });
+});
+
+describe("WebsiteReconProvider timeouts", () => {
+
+  /*
+   * Crawler that only ends when its signal aborts.
+   */
+  const hangingCrawler = {
+    crawl: (url, { signal }) => hang(signal)
+  };
+
+  test("fails with RECON_FAILED once its own timeout aborts the crawl", async () => {
+
+    const provider =
+      new WebsiteReconProvider({ crawler: hangingCrawler });
+
+    const outcome =
+      await provider.enrich({ website: "https://acme.example/", timeoutMs: 20 });
+
+    expect(outcome).toMatchObject({
+      status: "failed",
+      error: {
+        code: "RECON_FAILED",
+        message: "Website reconnaissance timed out"
+      }
+    });
+  });
+
+  test("stops when the caller's signal aborts", async () => {
+
+    const provider =
+      new WebsiteReconProvider({ crawler: hangingCrawler, timeoutMs: 60000 });
+
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 20);
+
+    const startedAt = Date.now();
+
+    const outcome =
+      await provider.enrich({ website: "https://acme.example/", signal: controller.signal });
+
+    expect(outcome.error.message).toBe("Website reconnaissance timed out");
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+
+  test("keeps what the crawl fetched before its deadline", async () => {
+
+    stubFetch({ "/": HOME_PAGE, "/contact": "hang" });
+
+    const outcome =
+      await new WebsiteReconProvider().enrich({ website: "https://acme.example/", timeoutMs: 100 });
+
+    expect(outcome.status).toBe("success");
+    expect(outcome.websiteObservation.metaTitle).toBe("Acme Roofing");
+    expect(outcome.websiteObservation.skippedPages).toContainEqual({
+      url: "https://acme.example",
+      reason: "time_budget"
+    });
+  });
+});
+
+describe("WebsiteReconProvider phone extraction", () => {
+
+  const provider =
+    new WebsiteReconProvider();
+
+  test("ignores digit runs in scripts and styles", () => {
+
+    expect(
+      provider._extractPhones(
+        "<script>var t=1718236123456;var id=\"98234567812345\"</script>" +
+        "<style>.a{width:8132740142px}</style>" +
+        "<p>Call (727) 632-0199</p>"
+      ).map(phone => phone.e164)
+    ).toEqual(["+17276320199"]);
+  });
+
+  test("reads the telephone published in JSON-LD", () => {
+
+    expect(
+      provider._extractPhones(
+        "<script type=\"application/ld+json\">{\"@type\":\"RoofingContractor\",\"telephone\":\"+1-813-274-0142\"}</script>"
+      ).map(phone => phone.e164)
+    ).toEqual(["+18132740142"]);
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock("@google/genai", () => ({
+  GoogleGenAI: jest.fn(),
+  Type: {
+    OBJECT: "OBJECT",
+    ARRAY: "ARRAY",
+    STRING: "STRING",
+    NUMBER: "NUMBER",
+    INTEGER: "INTEGER",
+    BOOLEAN: "BOOLEAN"
+  }
+}));
+
+process.env.LEAD_QUALIFIER_API_KEY = "test-key";
+
+const { GoogleGenAI } = require("@google/genai");
+const { handler } = require("../netlify/functions/generate-leads.js");
+
+const PROSPECTS = [
+  ["Harbor Point Dental", "https://harborpointdental.example/news/expansion"],
+  ["Lakeside Builders", "https://lakesidebuilders.example/blog/new-office"],
+  ["Summit Logistics", "https://summitlogistics.example/careers/benefits"]
+];
+
+/*
+ * Gemini stand-in answering each request after a fixed latency:
+ * grounded research, then synthesis, then Phase 3 drafts.
+ */
+function createModel({ researchMs, synthesisMs, draftMs }) {
+
+  const calls = [];
+
+  const respond = (ms, response) =>
+    new Promise(resolve => setTimeout(() => resolve(response), ms));
+
+  const generateContent = jest.fn(request => {
+
+    if (request.config?.tools) {
+
+      calls.push("research");
+
+      return respond(researchMs, {
+        text: JSON.stringify({
+          candidates: PROSPECTS.map(([companyName, signalSourceUrl]) => ({
+            companyName,
+            signalSourceUrl,
+            signalQuote: `${companyName} is reviewing employee benefits and life insurance options for its staff.`
+          }))
+        }),
+        candidates: [{
+          groundingMetadata: {
+            groundingChunks: PROSPECTS.map(([, uri]) => ({ web: { uri } }))
+          }
+        }]
+      });
+    }
+
+    if (request.config?.responseMimeType === "application/json") {
+
+      calls.push("draft");
+
+      return respond(draftMs, {
+        text: JSON.stringify({
+          subjectLine: "Benefits review",
+          sentences: [
+            { text: "We offer life insurance quotes for growing teams.", claimType: "OFFER_CLAIM", factId: null }
+          ]
+        })
+      });
+    }
+
+    calls.push("synthesis");
+
+    return respond(synthesisMs, { text: JSON.stringify({ synthesizedLeads: [] }) });
+  });
+
+  GoogleGenAI.mockImplementation(() => ({ models: { generateContent } }));
+
+  return calls;
+}
+
+function request() {
+
+  return {
+    httpMethod: "POST",
+    body: JSON.stringify({
+      industry: "Life Insurance",
+      searchQuery: "companies reviewing employee benefits",
+      maxLeads: 3,
+      qualityLevel: "low"
+    })
+  };
+}
+
+async function run() {
+
+  const response = handler(request(), {});
+
+  await jest.advanceTimersByTimeAsync(10000);
+
+  const { statusCode, body } = await response;
+
+  return { statusCode, leads: JSON.parse(body).leads };
+}
+
+beforeEach(() => {
+
+  jest.useFakeTimers();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("generate-leads draft budget", () => {
+
+  test("drafts every lead under a normal timing profile", async () => {
+
+    const calls =
+      createModel({ researchMs: 3000, synthesisMs: 1000, draftMs: 1000 });
+
+    const { statusCode, leads } = await run();
+
+    expect(statusCode).toBe(200);
+    expect(leads).toHaveLength(3);
+    expect(calls.filter(call => call === "draft")).toHaveLength(3);
+    expect(leads.map(lead => lead.unverifiedReason)).not.toContain("DRAFT_BUDGET_EXHAUSTED");
+  });
+
+  test("stops research at the draft reserve so drafting still runs", async () => {
+
+    const calls =
+      createModel({ researchMs: 3000, synthesisMs: 5000, draftMs: 1000 });
+
+    const { leads } = await run();
+
+    // Synthesis overran the research window and was abandoned.
+    expect(calls).toContain("synthesis");
+    expect(calls.filter(call => call === "draft")).toHaveLength(3);
+    expect(leads.map(lead => lead.unverifiedReason)).not.toContain("DRAFT_BUDGET_EXHAUSTED");
+  });
+
+  test("leaves leads it has no time to draft unverified", async () => {
+
+    createModel({ researchMs: 3000, synthesisMs: 1000, draftMs: 3000 });
+
+    const { leads } = await run();
+
+    expect(leads.map(lead => lead.unverifiedReason)).toEqual([
+      "NLI_UNAVAILABLE",
+      "NLI_UNAVAILABLE",
+      "DRAFT_BUDGET_EXHAUSTED"
+    ]);
+  });
+});
+
+describe("generate-leads entailment", () => {
+
+  test("authorizes no draft without an NLI evaluator", async () => {
+
+    createModel({ researchMs: 3000, synthesisMs: 1000, draftMs: 1000 });
+
+    const { leads } = await run();
+
+    for (const lead of leads) {
+
+      expect(lead).toMatchObject({
+        verificationStatus: "UNVERIFIED",
+        unverifiedReason: "NLI_UNAVAILABLE",
+        outreachDraft: null
+      });
+    }
+  });
+});
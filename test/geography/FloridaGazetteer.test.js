@@ -0,0 +1,108 @@
+const {
+  FloridaGazetteer
+} = require("../../netlify/functions/geography/FloridaGazetteer.js");
+
+const {
+  findInconsistentZips
+} = require("../../netlify/functions/geography/buildFloridaGazetteer.js");
+
+const {
+  IntentParser
+} = require("../../netlify/functions/intent/IntentParser.js");
+
+describe("bundled Florida gazetteer", () => {
+
+  const gazetteer =
+    new FloridaGazetteer();
+
+  test.each([
+    ["Miami", "Miami-Dade"],
+    ["Orlando", "Orange"],
+    ["Jacksonville", "Duval"],
+    ["Tampa", "Hillsborough"],
+    ["St. Petersburg", "Pinellas"],
+    ["Tallahassee", "Leon"],
+    ["Fort Lauderdale", "Broward"],
+    ["Fort Myers", "Lee"],
+    ["Sarasota", "Sarasota"],
+    ["Gainesville", "Alachua"]
+  ])("%s is in %s alone", (city, county) => {
+
+    expect(
+      gazetteer.findCity(city)
+    ).toMatchObject({
+      counties: [county],
+      county
+    });
+  });
+
+  test("drops ZIP rows GeoNames assigns to the wrong county", () => {
+
+    expect(gazetteer.findZip("33112")).toBeNull();
+    expect(gazetteer.findZip("32815")).toBeNull();
+    expect(gazetteer.findZip("33101")).toMatchObject({ city: "Miami", county: "Miami-Dade" });
+  });
+
+  test("city centroids stay inside their county", () => {
+
+    const orlando = gazetteer.findCity("Orlando").centroid;
+
+    expect(orlando.lat).toBeCloseTo(28.53, 1);
+    expect(orlando.lon).toBeCloseTo(-81.33, 1);
+  });
+
+  test.each([
+    ["roofers in Orlando, FL", "Orange"],
+    ["plumbers in Jacksonville, FL", "Duval"]
+  ])("IntentParser resolves %s to %s County", (query, county) => {
+
+    expect(
+      new IntentParser().parse(query).geography.county
+    ).toBe(county);
+  });
+});
+
+describe("findInconsistentZips", () => {
+
+  function zip(city, county, lat, lon) {
+    return { city, county, lat, lon };
+  }
+
+  const orangeZips = {
+    "32801": zip("Orlando", "Orange", 28.54, -81.38),
+    "32803": zip("Orlando", "Orange", 28.56, -81.35),
+    "32806": zip("Orlando", "Orange", 28.51, -81.36),
+    "32789": zip("Winter Park", "Orange", 28.60, -81.35)
+  };
+
+  test("drops a ZIP in a minority county for its city", () => {
+
+    expect(
+      findInconsistentZips({
+        ...orangeZips,
+        "32815": zip("Orlando", "Brevard", 28.31, -80.69),
+        "32920": zip("Cape Canaveral", "Brevard", 28.39, -80.60)
+      })
+    ).toEqual(["32815"]);
+  });
+
+  test("drops a ZIP outside the extent of its county's other ZIPs", () => {
+
+    expect(
+      findInconsistentZips({
+        ...orangeZips,
+        "32827": zip("Orlando", "Orange", 25.80, -80.38)
+      })
+    ).toEqual(["32827"]);
+  });
+
+  test("keeps a city split evenly between counties", () => {
+
+    expect(
+      findInconsistentZips({
+        "32465": zip("Wewahitchka", "Gulf", 30.11, -85.20),
+        "32424": zip("Wewahitchka", "Calhoun", 30.21, -85.10)
+      })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,345 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  StateRegistryIngestionService
+} = require("../../netlify/functions/ingestion/StateRegistryIngestionService.js");
+
+const {
+  TexasIngestionService
+} = require("../../netlify/functions/ingestion/TexasIngestionService.js");
+
+const {
+  TexasRegistryDatabase
+} = require("../../netlify/functions/database/TexasRegistryDatabase.js");
+
+const {
+  FloridaIngestionService,
+  FLORIDA_FIXED_WIDTH_SCHEMA
+} = require("../../netlify/functions/ingestion/FloridaIngestionService.js");
+
+const {
+  FloridaRegistryDatabase
+} = require("../../netlify/functions/database/FloridaRegistryDatabase.js");
+
+const HEADER =
+  "Taxpayer Number,Taxpayer Name,Taxpayer Address,Taxpayer City,Taxpayer State,Taxpayer Zip Code,Taxpayer Organizational Type,SOS Charter Date,Right to Transact Business Code";
+
+let directory;
+let database;
+
+function writeCsv(name, rows) {
+
+  const filePath =
+    path.join(directory, name);
+
+  fs.writeFileSync(filePath, [HEADER, ...rows].join("\n") + "\n");
+
+  return filePath;
+}
+
+function permitRow(taxpayerNumber, taxpayerName) {
+
+  return `${taxpayerNumber},${taxpayerName},100 MAIN ST,AUSTIN,tx,78701,CL,20200115,A`;
+}
+
+/*
+ * Fails the nth ingestBatch() call, as a process killed mid-file
+ * would: earlier batches and their checkpoints stay committed.
+ */
+function crashOnBatch(n) {
+
+  const ingestBatch =
+    database.ingestBatch.bind(database);
+
+  let calls = 0;
+
+  database.ingestBatch = (...args) => {
+
+    calls++;
+
+    if (calls === n) {
+      throw new Error("simulated crash");
+    }
+
+    return ingestBatch(...args);
+  };
+}
+
+function recordBatches() {
+
+  const ingestBatch =
+    database.ingestBatch.bind(database);
+
+  const batches = [];
+
+  database.ingestBatch = (records, checkpoint) => {
+
+    batches.push(records.map(record => record.registrationId));
+
+    return ingestBatch(records, checkpoint);
+  };
+
+  return batches;
+}
+
+beforeEach(() => {
+
+  directory =
+    fs.mkdtempSync(path.join(os.tmpdir(), "registry-ingestion-"));
+
+  database =
+    new TexasRegistryDatabase({
+      databasePath: path.join(directory, "texas.db")
+    });
+});
+
+afterEach(() => {
+
+  database.close();
+
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("StateRegistryIngestionService checkpoints", () => {
+
+  const rows = [
+    permitRow("32000000001", "ALPHA ROOFING LLC"),
+    permitRow("32000000002", "BRAVO PLUMBING LLC"),
+    "32000000003,,1 ELM ST,DALLAS,TX,75201,CL,20200115,A",
+    permitRow("32000000004", "DELTA HVAC INC"),
+    permitRow("32000000005", "ECHO ELECTRIC LLC")
+  ];
+
+  test("resumes an interrupted file after the last committed line", async () => {
+
+    const filePath =
+      writeCsv("permits.csv", rows);
+
+    crashOnBatch(2);
+
+    await expect(
+      new TexasIngestionService({ database }).processFile(filePath, { batchSize: 2 })
+    ).rejects.toThrow("simulated crash");
+
+    delete database.ingestBatch;
+
+    expect(database.getEntity("32000000001")).not.toBeNull();
+    expect(database.getEntity("32000000004")).toBeNull();
+
+    const batches =
+      recordBatches();
+
+    const manifest =
+      await new TexasIngestionService({ database }).processFile(filePath, { batchSize: 2 });
+
+    // Header plus the two rows of the first batch.
+    expect(manifest.resumedFromLine).toBe(3);
+    expect(batches.flat()).toEqual(["32000000004", "32000000005"]);
+
+    // Counters describe the whole file, not only the resumed part.
+    expect(manifest).toMatchObject({
+      status: "success",
+      linesRead: 5,
+      validRecords: 4,
+      rejectedRecords: 1,
+      recordsIngested: 4
+    });
+
+    for (const id of ["32000000001", "32000000002", "32000000004", "32000000005"]) {
+      expect(database.getEntity(id)).not.toBeNull();
+    }
+
+    expect(database.getIngestionCheckpoint(manifest.sourceFileSha256)).toMatchObject({
+      status: "completed",
+      lastCommittedLine: 6
+    });
+  });
+
+  test("returns the checkpoint of a completed file without re-ingesting", async () => {
+
+    const filePath =
+      writeCsv("permits.csv", rows);
+
+    const service =
+      new TexasIngestionService({ database });
+
+    await service.processFile(filePath, { batchSize: 2 });
+
+    const batches =
+      recordBatches();
+
+    const again =
+      await service.processFile(filePath, { batchSize: 2 });
+
+    expect(batches).toEqual([]);
+    expect(again).toMatchObject({
+      status: "already_ingested",
+      linesRead: 5,
+      recordsIngested: 4
+    });
+  });
+
+  test("starts over at line 1 when resume is false", async () => {
+
+    const filePath =
+      writeCsv("permits.csv", rows);
+
+    crashOnBatch(2);
+
+    await expect(
+      new TexasIngestionService({ database }).processFile(filePath, { batchSize: 2 })
+    ).rejects.toThrow("simulated crash");
+
+    delete database.ingestBatch;
+
+    const batches =
+      recordBatches();
+
+    const manifest =
+      await new TexasIngestionService({ database }).processFile(filePath, { batchSize: 2, resume: false });
+
+    expect(manifest.resumedFromLine).toBe(0);
+    expect(manifest.linesRead).toBe(5);
+    expect(batches.flat()).toEqual(["32000000001", "32000000002", "32000000004", "32000000005"]);
+  });
+});
+
+describe("full-snapshot deactivation", () => {
+
+  let floridaDatabase;
+
+  function corporationLine(documentNumber, entityName) {
+
+    const fields = {
+      documentNumber,
+      entityName,
+      status: "A",
+      filingDate: "01152020",
+      principalAddress: "100 MAIN ST",
+      principalCity: "TAMPA",
+      principalState: "FL",
+      principalZip: "33602"
+    };
+
+    let line = "".padEnd(380);
+
+    for (
+      const [field, value] of Object.entries(fields)
+    ) {
+
+      const { start, end } =
+        FLORIDA_FIXED_WIDTH_SCHEMA[field];
+
+      line =
+        line.slice(0, start) + value.padEnd(end - start) + line.slice(end);
+    }
+
+    return line;
+  }
+
+  function writeFlorida(name, lines) {
+
+    const filePath =
+      path.join(directory, name);
+
+    fs.writeFileSync(filePath, lines.join("\n") + "\n");
+
+    return filePath;
+  }
+
+  beforeEach(() => {
+
+    floridaDatabase =
+      new FloridaRegistryDatabase({
+        databasePath: path.join(directory, "florida.db")
+      });
+  });
+
+  afterEach(() => {
+
+    floridaDatabase.close();
+  });
+
+  test("a Florida quarterly master deactivates entities it no longer lists; a daily delta does not", async () => {
+
+    const service =
+      new FloridaIngestionService({ database: floridaDatabase });
+
+    await service.processFile(
+      writeFlorida("master-q1.txt", [
+        corporationLine("L20000000001", "ALPHA ROOFING LLC"),
+        corporationLine("L20000000002", "BRAVO PLUMBING LLC"),
+        corporationLine("L20000000003", "CHARLIE HVAC LLC")
+      ]),
+      { acquisitionType: "quarterly_master" }
+    );
+
+    const delta =
+      await service.processFile(
+        writeFlorida("delta.txt", [
+          corporationLine("L20000000004", "DELTA ELECTRIC LLC")
+        ]),
+        { acquisitionType: "daily_delta" }
+      );
+
+    expect(delta.entitiesDeactivated).toBeNull();
+    expect(floridaDatabase.getEntity("L20000000001").status).toBe("A");
+
+    const master =
+      await service.processFile(
+        writeFlorida("master-q2.txt", [
+          corporationLine("L20000000001", "ALPHA ROOFING LLC"),
+          corporationLine("L20000000002", "BRAVO PLUMBING LLC"),
+          corporationLine("L20000000004", "DELTA ELECTRIC LLC")
+        ]),
+        { acquisitionType: "quarterly_master" }
+      );
+
+    expect(master.entitiesDeactivated).toBe(1);
+    expect(floridaDatabase.getEntity("L20000000003").status).toBe("INACTIVE");
+    expect(floridaDatabase.getEntity("L20000000004").status).toBe("A");
+
+    expect(
+      floridaDatabase.getEntityChanges("L20000000003").map(change => change.changeType)
+    ).toContain("absent_from_snapshot");
+  });
+
+  test("a Texas snapshot deactivates permit holders it no longer lists", async () => {
+
+    const service =
+      new TexasIngestionService({ database });
+
+    await service.processFile(
+      writeCsv("permits-1.csv", [
+        permitRow("32000000001", "ALPHA ROOFING LLC"),
+        permitRow("32000000002", "BRAVO PLUMBING LLC")
+      ])
+    );
+
+    const manifest =
+      await service.processFile(
+        writeCsv("permits-2.csv", [
+          permitRow("32000000001", "ALPHA ROOFING LLC")
+        ])
+      );
+
+    expect(manifest.entitiesDeactivated).toBe(1);
+    expect(database.getEntity("32000000002").status).toBe("INACTIVE");
+  });
+
+  test("rejects a full snapshot type that is not an acquisition type", () => {
+
+    expect(() =>
+      new StateRegistryIngestionService({
+        database,
+        jurisdiction: { code: "TX" },
+        format: { parse: () => null },
+        identityFields: ["id"],
+        acquisitionTypes: ["daily_delta"],
+        fullSnapshotTypes: ["full_snapshot"]
+      })
+    ).toThrow("full snapshot type full_snapshot is not an acquisition type");
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock("../../netlify/functions/pipeline/runLeadPipeline.js", () => ({
+  prepareLeadCandidates: jest.fn(),
+  processLeadCandidate: jest.fn(),
+  resolveLeads: leads => leads
+}));
+
+const {
+  prepareLeadCandidates,
+  processLeadCandidate
+} = require("../../netlify/functions/pipeline/runLeadPipeline.js");
+
+const {
+  LeadJobService
+} = require("../../netlify/functions/jobs/LeadJobService.js");
+
+const {
+  InMemoryLeadJobStore
+} = require("../../netlify/functions/jobs/InMemoryLeadJobStore.js");
+
+const CANDIDATE_MS = 3000;
+
+let clock;
+let processed;
+
+function candidate(registrationId) {
+
+  return {
+    mergeKey: registrationId,
+    entity: {
+      registrationId,
+      companyName: `Company ${registrationId}`
+    }
+  };
+}
+
+/*
+ * Service on a manual clock. Each candidate takes CANDIDATE_MS of it.
+ */
+function createService(options = {}) {
+
+  return new LeadJobService({
+    store: new InMemoryLeadJobStore(),
+    providerRegistry: {},
+    evidenceLedger: {},
+    discoveryService: {},
+    createEnrichmentEngine: jest.fn(() => ({})),
+    domainThrottle: {},
+    timeBudgetMs: 10000,
+    candidateReserveMs: CANDIDATE_MS,
+    now: () => clock,
+    ...options
+  });
+}
+
+function submit(service, count) {
+
+  prepareLeadCandidates.mockResolvedValue({
+    candidates:
+      Array.from({ length: count }, (_, index) => candidate(`L${index + 1}`)),
+    context: {
+      providerSelection: null,
+      registryAcquisition: null
+    }
+  });
+
+  return service.submitJob({
+    items: [{ geoContext: { states: ["FL"] }, filters: { industry: "roofing" } }],
+    concurrency: 1
+  });
+}
+
+beforeEach(() => {
+
+  clock = 0;
+  processed = [];
+
+  processLeadCandidate.mockReset();
+
+  processLeadCandidate.mockImplementation(async row => {
+
+    processed.push(row.entity.registrationId);
+
+    clock += CANDIDATE_MS;
+
+    return { companyName: row.entity.companyName };
+  });
+});
+
+describe("LeadJobService time budget", () => {
+
+  test("starts no candidate with less than the reserve left", async () => {
+
+    const service =
+      createService();
+
+    const job =
+      submit(service, 5);
+
+    const snapshot =
+      await service.runJob(job.jobId);
+
+    // Starts at 0, 3000 and 6000; at 9000 only 1000 ms remain.
+    expect(processed).toEqual(["L1", "L2", "L3"]);
+    expect(clock).toBe(9000);
+    expect(snapshot.status).toBe("running");
+    expect(snapshot.progress.candidates).toMatchObject({ completed: 3, pending: 2 });
+  });
+
+  test("resumes with the remaining candidates on the next run", async () => {
+
+    const service =
+      createService();
+
+    const job =
+      submit(service, 5);
+
+    await service.runJob(job.jobId);
+
+    const snapshot =
+      await service.runJob(job.jobId);
+
+    expect(processed).toEqual(["L1", "L2", "L3", "L4", "L5"]);
+    expect(snapshot.status).toBe("completed");
+    expect(snapshot.progress.candidates).toMatchObject({ completed: 5, pending: 0 });
+  });
+
+  test("holds enrichment to the per-candidate reserve", async () => {
+
+    const service =
+      createService();
+
+    await service.runJob(submit(service, 1).jobId);
+
+    expect(service.createEnrichmentEngine).toHaveBeenCalledWith({ deadlineMs: CANDIDATE_MS });
+  });
+
+  test("a budget below the reserve resolves items but starts no candidate", async () => {
+
+    const service =
+      createService();
+
+    const job =
+      submit(service, 2);
+
+    const snapshot =
+      await service.runJob(job.jobId, { timeBudgetMs: CANDIDATE_MS - 1 });
+
+    expect(processed).toEqual([]);
+    expect(snapshot.items[0].status).toBe("resolved");
+    expect(snapshot.progress.candidates).toMatchObject({ pending: 2 });
+  });
+
+  test("a runner cut off mid-candidate blocks the job for one reserve past its budget", async () => {
+
+    const service =
+      createService();
+
+    const job =
+      submit(service, 2);
+
+    // The first run never returns, as when its function is stopped.
+    processLeadCandidate.mockImplementationOnce(() => new Promise(() => {}));
+
+    service.runJob(job.jobId);
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    clock = 10000 + CANDIDATE_MS - 1;
+
+    await service.runJob(job.jobId);
+
+    expect(processed).toEqual([]);
+
+    clock = 10000 + CANDIDATE_MS;
+
+    const snapshot =
+      await service.runJob(job.jobId);
+
+    expect(processed).toEqual(["L1", "L2"]);
+    expect(snapshot.status).toBe("completed");
+  });
+});
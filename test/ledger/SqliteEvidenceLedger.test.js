@@ -0,0 +1,190 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  SqliteEvidenceLedger
+} = require("../../netlify/functions/ledger/SqliteEvidenceLedger.js");
+
+let directory;
+let ledger;
+
+function observation(registrationId, overrides = {}) {
+
+  return {
+    providerName: "florida-sunbiz",
+    rawPayload: {
+      documentNumber: registrationId,
+      name: `Entity ${registrationId}`,
+      status: "A"
+    },
+    normalizedEntity: {
+      registrationId,
+      companyName: `ENTITY ${registrationId}`
+    },
+    sourceUrl: `https://search.sunbiz.org/${registrationId}`,
+    retrievedAt: "2026-10-01T12:00:00.000Z",
+    ...overrides
+  };
+}
+
+/*
+ * Tampering needs the append-only triggers out of the way, as it
+ * would for anyone editing the database file directly.
+ */
+function tamper(sql, ...params) {
+
+  ledger.db.exec(`
+    DROP TRIGGER evidence_ledger_no_update;
+    DROP TRIGGER evidence_ledger_no_delete;
+  `);
+
+  ledger.db.prepare(sql).run(...params);
+}
+
+beforeEach(() => {
+
+  directory =
+    fs.mkdtempSync(path.join(os.tmpdir(), "evidence-ledger-"));
+
+  ledger =
+    new SqliteEvidenceLedger({
+      databasePath: path.join(directory, "ledger.db")
+    });
+});
+
+afterEach(() => {
+
+  ledger.close();
+
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("SqliteEvidenceLedger chain", () => {
+
+  test("links each entry to the previous entry's hash", () => {
+
+    const first = ledger.recordObservation(observation("L1"));
+    const second = ledger.recordObservation(observation("L2"));
+
+    expect(first.previousRecordHash).toBeNull();
+    expect(second.previousRecordHash).toBe(first.signalRecordHash);
+
+    expect(ledger.verifyChain()).toEqual({
+      valid: true,
+      recordsChecked: 2,
+      headHash: second.signalRecordHash,
+      failure: null
+    });
+  });
+
+  test("records identical content again as a sighting, not a new entry", () => {
+
+    const first = ledger.recordObservation(observation("L1"));
+
+    const again =
+      ledger.recordObservation(
+        observation("L1", { retrievedAt: "2026-10-02T12:00:00.000Z" })
+      );
+
+    expect(again.sequence).toBe(first.sequence);
+    expect(again.reobservation).toMatchObject({
+      seenAt: "2026-10-02T12:00:00.000Z",
+      firstSeenAt: "2026-10-01T12:00:00.000Z",
+      sightingCount: 2
+    });
+
+    expect(ledger.verifyChain().recordsChecked).toBe(1);
+  });
+
+  test("refuses updates and deletes", () => {
+
+    ledger.recordObservation(observation("L1"));
+
+    expect(() =>
+      ledger.db.prepare("UPDATE evidence_ledger SET provider_name = 'x'").run()
+    ).toThrow("append-only");
+
+    expect(() =>
+      ledger.db.prepare("DELETE FROM evidence_ledger").run()
+    ).toThrow("append-only");
+  });
+
+  test("continues the chain after reopening the database", () => {
+
+    const first = ledger.recordObservation(observation("L1"));
+
+    ledger.close();
+
+    ledger =
+      new SqliteEvidenceLedger({
+        databasePath: path.join(directory, "ledger.db")
+      });
+
+    const second = ledger.recordObservation(observation("L2"));
+
+    expect(second.previousRecordHash).toBe(first.signalRecordHash);
+    expect(ledger.verifyChain().valid).toBe(true);
+  });
+});
+
+describe("SqliteEvidenceLedger.verifyChain tamper detection", () => {
+
+  beforeEach(() => {
+
+    ledger.recordObservation(observation("L1"));
+    ledger.recordObservation(observation("L2"));
+    ledger.recordObservation(observation("L3"));
+  });
+
+  test("a modified raw payload", () => {
+
+    tamper(
+      "UPDATE evidence_ledger SET raw_source_reference = ? WHERE sequence = 2",
+      JSON.stringify({ documentNumber: "L2", name: "Entity L2", status: "INACTIVE" })
+    );
+
+    expect(ledger.verifyChain()).toMatchObject({
+      valid: false,
+      recordsChecked: 1,
+      failure: { sequence: 2, reason: "SOURCE_CONTENT_HASH_MISMATCH" }
+    });
+  });
+
+  test("a modified normalized entity", () => {
+
+    tamper(
+      "UPDATE evidence_ledger SET normalized_entity = ? WHERE sequence = 3",
+      JSON.stringify({ registrationId: "L3", companyName: "SOMEONE ELSE" })
+    );
+
+    expect(ledger.verifyChain().failure).toMatchObject({
+      sequence: 3,
+      reason: "CANONICAL_ENTITY_HASH_MISMATCH"
+    });
+  });
+
+  test("modified entry metadata", () => {
+
+    tamper(
+      "UPDATE evidence_ledger SET retrieved_at = ? WHERE sequence = 1",
+      "2020-01-01T00:00:00.000Z"
+    );
+
+    expect(ledger.verifyChain().failure).toMatchObject({
+      sequence: 1,
+      reason: "SIGNAL_RECORD_HASH_MISMATCH"
+    });
+  });
+
+  test("a removed entry", () => {
+
+    tamper("DELETE FROM evidence_ledger WHERE sequence = 2");
+
+    expect(ledger.verifyChain()).toMatchObject({
+      valid: false,
+      recordsChecked: 1,
+      failure: { sequence: 3, reason: "CHAIN_LINK_MISMATCH" }
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  EntityResolver
+} = require("../../netlify/functions/merge/EntityResolver.js");
+
+const {
+  InMemoryEntityIndex
+} = require("../../netlify/functions/merge/InMemoryEntityIndex.js");
+
+/*
+ * Each call resolves against a fresh in-memory index, as a cold
+ * function instance without LEAD_ENTITY_INDEX_DB_PATH would.
+ */
+function coldCanonicalLeadId(record) {
+
+  return new EntityResolver({ index: new InMemoryEntityIndex() })
+    .resolve([record])
+    .records[0]
+    .canonicalLeadId;
+}
+
+describe("EntityResolver canonical lead ids without a persistent index", () => {
+
+  test("an unregistered business keeps its id whichever contact keys a run found", () => {
+
+    const ids = [
+      coldCanonicalLeadId({ companyName: "ABC Roofing LLC" }),
+      coldCanonicalLeadId({ companyName: "ABC Roofing LLC", phone: "(813) 555-0100" }),
+      coldCanonicalLeadId({ companyName: "A.B.C. Roofing", website: "https://abcroofing.com" })
+    ];
+
+    expect(new Set(ids).size).toBe(1);
+    expect(ids[0]).toMatch(/^lead_[0-9a-f]{16}$/);
+  });
+
+  test("the state is part of an unregistered id", () => {
+
+    expect(
+      coldCanonicalLeadId({ companyName: "ABC Roofing LLC", location: { state: "FL" } })
+    ).not.toBe(
+      coldCanonicalLeadId({ companyName: "ABC Roofing LLC", location: { state: "TX" } })
+    );
+  });
+
+  test("a registered business keeps its id when its name is respelled", () => {
+
+    expect(
+      coldCanonicalLeadId({ companyName: "ABC Roofing LLC", registrationId: "L19000012345", location: { state: "FL" } })
+    ).toBe(
+      coldCanonicalLeadId({ companyName: "A.B.C. ROOFING, L.L.C.", registrationId: "l19000012345", location: { state: "FL" } })
+    );
+  });
+
+  test("a nameless record is keyed by its contact details", () => {
+
+    expect(
+      coldCanonicalLeadId({ website: "https://abcroofing.com" })
+    ).toBe(
+      coldCanonicalLeadId({ website: "abcroofing.com/contact" })
+    );
+  });
+});
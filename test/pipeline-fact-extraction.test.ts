@@ -0,0 +1,65 @@
+import { entityNameAliases, extractFacts, mentionsEntity } from "../netlify/functions/pipeline-fact-extraction.js";
+
+const ENTITY = "Acme Roofing, LLC";
+
+function directness(rawText: string): Record<string, boolean> {
+  return Object.fromEntries(extractFacts(rawText, ENTITY).map((fact) => [fact.roleOrEvent, fact.isDirectFact]));
+}
+
+describe("entityNameAliases", () => {
+  test("keeps the distinctive leading words as a short form", () => {
+    expect(entityNameAliases("Acme Roofing, LLC")).toEqual(["acme roofing", "acme"]);
+    expect(entityNameAliases("The Blue Heron Home Services Group Inc.")).toEqual(["blue heron home services group", "blue heron"]);
+  });
+
+  test("drops a short form made only of common words", () => {
+    expect(entityNameAliases("First American Roofing Co.")).toEqual(["first american roofing"]);
+  });
+
+  test("has no short form when the name starts with an industry word", () => {
+    expect(entityNameAliases("Roofing Pros LLC")).toEqual(["roofing pros"]);
+  });
+});
+
+describe("mentionsEntity", () => {
+  test.each([
+    "Acme grew revenue 20% last year.",
+    "ACME ROOFING opened a second office.",
+    "Acme's crews finished the job.",
+  ])("%s names the entity", (text) => {
+    expect(mentionsEntity(text, ENTITY)).toBe(true);
+  });
+
+  test.each(["Acmes are a classic cartoon prop.", "Pinnacle Roofing opened a second office."])("%s does not", (text) => {
+    expect(mentionsEntity(text, ENTITY)).toBe(false);
+  });
+});
+
+describe("extractFacts directness", () => {
+  test("a sentence naming the entity by its short name is direct", () => {
+    expect(directness("Acme grew revenue 20% in 2025.")).toEqual({ "20% (grew)": true });
+  });
+
+  test("a sentence-initial It or They refers to the subject", () => {
+    expect(directness("Acme Roofing serves Tampa. It adopted Salesforce CRM in March.")).toMatchObject({
+      "adopted Salesforce CRM": true,
+    });
+
+    expect(directness("They hired 12 new employees this spring.")).toMatchObject({
+      "12 new employees": true,
+    });
+  });
+
+  test("planned events and unrelated subjects stay indirect", () => {
+    expect(directness("Acme plans to adopt HubSpot next year.")).toMatchObject({ "adopt HubSpot": false });
+    expect(directness("Competitors deployed Procore across the region.")).toMatchObject({ "deployed Procore": false });
+  });
+
+  test("evidence spans locate each fact's sentence in the raw text", () => {
+    const rawText = "Acme Roofing serves Tampa. It adopted Salesforce CRM in March.";
+
+    for (const fact of extractFacts(rawText, ENTITY)) {
+      expect(rawText.slice(fact.evidenceSpan.start, fact.evidenceSpan.end)).toBe(fact.evidenceReference);
+    }
+  });
+});
@@ -0,0 +1,294 @@
+import { authorizePhase4, generateAuthorizedDraft, generatePhase3, scorePhase2, validatePhase1Signal } from "../netlify/functions/pipeline-implementation.js";
+import type { AuthorizationContext, CandidateDraftEnvelope, ClaimType, DraftGenerationInput, DraftModelClient, DraftModelRequest, OutreachChannel } from "../netlify/functions/pipeline-contract.js";
+
+const ENTITY = "Acme Roofing LLC";
+const RAW_TEXT = "Acme Roofing LLC filed Form LA-2026 with the state.";
+const NOW = new Date().toISOString();
+
+function draftFixture(): { context: DraftGenerationInput; lockedState: AuthorizationContext } {
+  const p1 = validatePhase1Signal({ sourceUrl: "https://example.com/filing", publishedAt: NOW, rawText: RAW_TEXT, entityName: ENTITY });
+  const record = p1.record!;
+  const p2 = scorePhase2(record, NOW, { configVersion: "v1", ageDecayLambda: 0.01, maxAgeHours: 72, typeMultipliers: {} });
+  const permittedCapabilities = ["assists automation"];
+
+  return {
+    context: {
+      binding: {
+        inputSignalId: record.inputSignalId,
+        inputContentHash: record.contentHash,
+        inputSignalRecordHash: record.signalRecordHash,
+        scoringModelVersion: p2.scoringModelVersion,
+        scoringConfigHash: p2.scoringConfigHash,
+      },
+      lead: { leadId: p2.leadId, qualificationTier: p2.qualificationTier },
+      evidence: { normalizedEntity: record.normalizedEntity, relevantExcerpt: RAW_TEXT, extractedFacts: record.extractedFacts },
+      offerProfile: { offerId: "offer_test", productName: "Automation", valueProposition: "Fewer manual steps", permittedCapabilities },
+      generationPolicy: { permittedClaimTypes: ["PROSPECT_FACT", "OFFER_CLAIM"], maxSentenceCount: 3, channel: "email" },
+    },
+    lockedState: {
+      lockedPhase1Record: record,
+      lockedPhase2Lead: p2,
+      lockedOfferCapabilities: permittedCapabilities,
+      lockedChannel: "email",
+      // Offer sentences that promise a guarantee are not entailed by any capability.
+      nliEvaluator: (_premise, hypothesis) => ({ success: true, score: /guarantee/i.test(hypothesis) ? 0.1 : 0.95 }),
+    },
+  };
+}
+
+/** Replays canned model responses in order and records each request. */
+function stubModelClient(responses: Array<string | Error>): DraftModelClient & { requests: DraftModelRequest[] } {
+  const requests: DraftModelRequest[] = [];
+  return {
+    modelId: "stub-model",
+    requests,
+    generate: async (request) => {
+      requests.push(request);
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return response ?? "";
+    },
+  };
+}
+
+function emailDraft(offerText: string): string {
+  return JSON.stringify({
+    subjectLine: "Your LA-2026 filing",
+    sentences: [
+      { text: "Congrats on Acme Roofing LLC filing Form LA-2026.", claimType: "PROSPECT_FACT", factId: "fact_01" },
+      { text: offerText, claimType: "OFFER_CLAIM", factId: null },
+    ],
+  });
+}
+
+describe("generateAuthorizedDraft", () => {
+  test("authorizes the first draft that passes Phase 4", async () => {
+    const { context, lockedState } = draftFixture();
+    const modelClient = stubModelClient([emailDraft("We offer assists automation for roofers.")]);
+
+    const result = await generateAuthorizedDraft(context, lockedState, { modelClient });
+
+    expect(result.decision?.status).toBe("AUTHORIZED");
+    expect(result.attempts).toBe(1);
+    expect(result.feedback).toEqual([]);
+    expect(result.envelope?.draft).toMatchObject({ channel: "email", subjectLine: "Your LA-2026 filing" });
+    expect(result.envelope?.draft.generatorMetadata.modelId).toBe("stub-model");
+  });
+
+  test("redrafts after a Phase 4 rejection with the rejection in the prompt", async () => {
+    const { context, lockedState } = draftFixture();
+    const modelClient = stubModelClient([
+      emailDraft("We guarantee more renewals."),
+      emailDraft("We offer assists automation for roofers."),
+    ]);
+
+    const result = await generateAuthorizedDraft(context, lockedState, { modelClient });
+
+    expect(result.decision?.status).toBe("AUTHORIZED");
+    expect(result.attempts).toBe(2);
+    expect(result.feedback).toEqual([
+      expect.objectContaining({ attempt: 1, primaryReasonCode: "OFFER_CAPABILITY_UNAUTHORIZED", failingSentenceIndex: 1 }),
+    ]);
+    expect(modelClient.requests).toHaveLength(2);
+    expect(modelClient.requests[0].prompt).not.toContain("OFFER_CAPABILITY_UNAUTHORIZED");
+    expect(modelClient.requests[1].prompt).toContain("OFFER_CAPABILITY_UNAUTHORIZED");
+  });
+
+  test("returns the last rejection once the attempts run out", async () => {
+    const { context, lockedState } = draftFixture();
+    const modelClient = stubModelClient([
+      emailDraft("We guarantee more renewals."),
+      emailDraft("We guarantee zero missed calls."),
+    ]);
+
+    const result = await generateAuthorizedDraft(context, lockedState, { modelClient, maxAttempts: 2 });
+
+    expect(result.decision?.status).toBe("REJECTED");
+    expect(result.envelope?.draft.bodyText).toContain("zero missed calls");
+    expect(result.feedback.map((entry) => entry.primaryReasonCode)).toEqual([
+      "OFFER_CAPABILITY_UNAUTHORIZED",
+      "OFFER_CAPABILITY_UNAUTHORIZED",
+    ]);
+  });
+
+  test("has no decision when no attempt produced a valid draft", async () => {
+    const { context, lockedState } = draftFixture();
+    const modelClient = stubModelClient(["not json", JSON.stringify({ sentences: [] })]);
+
+    const result = await generateAuthorizedDraft(context, lockedState, { modelClient, maxAttempts: 2 });
+
+    expect(result).toMatchObject({ envelope: null, decision: null, attempts: 2 });
+    expect(result.feedback.map((entry) => entry.primaryReasonCode)).toEqual(["DRAFT_MODEL_OUTPUT_INVALID", "DRAFT_MODEL_OUTPUT_INVALID"]);
+  });
+
+  test("model client errors propagate", async () => {
+    const { context, lockedState } = draftFixture();
+    const modelClient = stubModelClient([new Error("timed out")]);
+
+    await expect(generateAuthorizedDraft(context, lockedState, { modelClient })).rejects.toThrow("timed out");
+  });
+});
+
+describe("authorizePhase4 general context", () => {
+  test.each([
+    "Acme is the largest roofer in Florida.",
+    "We are the #1 agency in Tampa.",
+    "Acme grew to 500 employees in 2025.",
+  ])("rejects '%s' declared as GENERAL_CONTEXT", async (text) => {
+    const { context, lockedState } = draftFixture();
+    context.generationPolicy.permittedClaimTypes.push("GENERAL_CONTEXT");
+    const modelClient = stubModelClient([
+      JSON.stringify({ subjectLine: "Hello", sentences: [{ text, claimType: "GENERAL_CONTEXT", factId: null }] }),
+    ]);
+
+    const envelope = await generatePhase3(context, { modelClient });
+    const decision = authorizePhase4(envelope, lockedState);
+
+    expect(decision.status).toBe("REJECTED");
+    expect(decision.rejectionSummary?.failingSentenceIndex).toBe(0);
+  });
+});
+
+const FACT_SENTENCE = { text: "Congrats on Acme Roofing LLC filing Form LA-2026.", claimType: "PROSPECT_FACT", factId: "fact_01" };
+
+function offerSentence(text = "We offer assists automation for roofers."): { text: string; claimType: string; factId: null } {
+  return { text, claimType: "OFFER_CLAIM", factId: null };
+}
+
+/** Phase 3 envelope for a channel, with the fixture's locked state switched to that channel. */
+async function channelDraft(
+  channel: OutreachChannel,
+  sentences: Array<{ text: string; claimType: string; factId: string | null }>,
+  subjectLine?: string
+): Promise<{ envelope: CandidateDraftEnvelope; lockedState: AuthorizationContext }> {
+  const { context, lockedState } = draftFixture();
+  context.generationPolicy = { permittedClaimTypes: ["PROSPECT_FACT", "OFFER_CLAIM", "GENERAL_CONTEXT"], maxSentenceCount: 5, channel };
+  lockedState.lockedChannel = channel;
+  const envelope = await generatePhase3(context, { modelClient: stubModelClient([JSON.stringify({ subjectLine, sentences })]) });
+  return { envelope, lockedState };
+}
+
+/** Appends a sentence Phase 3 would have refused, keeping the traceability map aligned. */
+function appendSentence(envelope: CandidateDraftEnvelope, text: string, declaredClaimType: ClaimType = "GENERAL_CONTEXT"): void {
+  const { draft } = envelope;
+  draft.traceabilityMap.push({ sentenceIndex: draft.traceabilityMap.length, sentence: text, declaredClaimType, declaredMappedFactId: null, declaredEvidenceReference: null });
+  draft.bodyText = `${draft.bodyText} ${text}`;
+}
+
+describe("authorizePhase4 channel constraints", () => {
+  test.each<[OutreachChannel, Array<{ text: string; claimType: string; factId: string | null }>]>([
+    ["linkedin_connection_note", [FACT_SENTENCE]],
+    ["sms", [FACT_SENTENCE, offerSentence()]],
+    ["voicemail", [FACT_SENTENCE, offerSentence()]],
+    ["call_opener", [FACT_SENTENCE, offerSentence("Could assists automation help your crews?")]],
+  ])("authorizes a %s draft within its limits", async (channel, sentences) => {
+    const { envelope, lockedState } = await channelDraft(channel, sentences);
+
+    expect(envelope.draft.subjectLine).toBeUndefined();
+    expect(authorizePhase4(envelope, lockedState).status).toBe("AUTHORIZED");
+  });
+
+  describe("SMS length", () => {
+    // With the fact sentence the body is 136 characters: over one UCS-2 segment, under one GSM-7 segment.
+    const gsmOffer = "We offer assists automation for roofers, so quotes and follow-ups go out the same day.";
+
+    test("allows 160 characters when every character is GSM-7", async () => {
+      const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE, offerSentence(gsmOffer)]);
+
+      expect(envelope.draft.bodyText.length).toBeGreaterThan(70);
+      expect(authorizePhase4(envelope, lockedState).status).toBe("AUTHORIZED");
+    });
+
+    test("allows 70 characters once any character is outside GSM-7", async () => {
+      const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE, offerSentence(gsmOffer.replace("same day", "same day ✓"))]);
+
+      expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+        primaryReasonCode: "CHANNEL_CHARACTER_LIMIT_EXCEEDED",
+        detailedDescription: expect.stringContaining("allows 70"),
+      });
+    });
+
+    test("rejects a GSM-7 body over 160 characters", async () => {
+      const { envelope, lockedState } = await channelDraft("sms", [
+        FACT_SENTENCE,
+        offerSentence(`${gsmOffer.slice(0, -1)}, with every estimate, invoice and reminder handled for your crews.`),
+      ]);
+
+      expect(envelope.draft.bodyText.length).toBeGreaterThan(160);
+      expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+        primaryReasonCode: "CHANNEL_CHARACTER_LIMIT_EXCEEDED",
+        detailedDescription: expect.stringContaining("allows 160"),
+      });
+    });
+  });
+
+  test("CHANNEL_MISMATCH: a draft for another channel", async () => {
+    const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE]);
+    lockedState.lockedChannel = "voicemail";
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary?.primaryReasonCode).toBe("CHANNEL_MISMATCH");
+  });
+
+  test("CHANNEL_SUBJECT_LINE_VIOLATION: a subject line on an SMS", async () => {
+    const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE]);
+    envelope.draft.subjectLine = "Your LA-2026 filing";
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary?.primaryReasonCode).toBe("CHANNEL_SUBJECT_LINE_VIOLATION");
+  });
+
+  test("CHANNEL_SENTENCE_LIMIT_EXCEEDED: a third SMS sentence", async () => {
+    const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE, offerSentence()]);
+    appendSentence(envelope, "Talk soon.");
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary?.primaryReasonCode).toBe("CHANNEL_SENTENCE_LIMIT_EXCEEDED");
+  });
+
+  test("CHANNEL_LINK_FORBIDDEN: a domain in an SMS", async () => {
+    const { envelope, lockedState } = await channelDraft("sms", [FACT_SENTENCE, offerSentence("We offer assists automation at acme.io today.")]);
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+      primaryReasonCode: "CHANNEL_LINK_FORBIDDEN",
+      failingSentenceIndex: 1,
+    });
+  });
+
+  test("CHANNEL_UNSPEAKABLE_CONTENT: a symbol in a voicemail", async () => {
+    const { envelope, lockedState } = await channelDraft("voicemail", [FACT_SENTENCE, offerSentence("We offer #1 assists automation for roofers.")]);
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+      primaryReasonCode: "CHANNEL_UNSPEAKABLE_CONTENT",
+      failingSentenceIndex: 1,
+    });
+  });
+
+  test("CHANNEL_CLAIM_TYPE_FORBIDDEN: an offer claim in a LinkedIn note", async () => {
+    const { envelope, lockedState } = await channelDraft("linkedin_connection_note", [FACT_SENTENCE]);
+    appendSentence(envelope, "We offer assists automation for roofers.", "OFFER_CLAIM");
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+      primaryReasonCode: "CHANNEL_CLAIM_TYPE_FORBIDDEN",
+      failingSentenceIndex: 1,
+    });
+  });
+
+  test("CHANNEL_OFFER_CLAIM_LIMIT_EXCEEDED: a second offer claim in a call opener", async () => {
+    const { envelope, lockedState } = await channelDraft("call_opener", [
+      offerSentence(),
+      offerSentence("Could assists automation help your crews?"),
+    ]);
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+      primaryReasonCode: "CHANNEL_OFFER_CLAIM_LIMIT_EXCEEDED",
+      failingSentenceIndex: 1,
+    });
+  });
+
+  test("CHANNEL_CLOSING_QUESTION_MISSING: a call opener that does not ask", async () => {
+    const { envelope, lockedState } = await channelDraft("call_opener", [FACT_SENTENCE, offerSentence()]);
+
+    expect(authorizePhase4(envelope, lockedState).rejectionSummary).toMatchObject({
+      primaryReasonCode: "CHANNEL_CLOSING_QUESTION_MISSING",
+      failingSentenceIndex: 1,
+    });
+  });
+});
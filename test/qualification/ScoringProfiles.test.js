@@ -0,0 +1,64 @@
+const {
+  ScoringProfileRegistry
+} = require("../../netlify/functions/qualification/ScoringProfiles.js");
+
+const defaultProfile =
+  require("../../netlify/functions/qualification/profiles/default.json");
+
+function definition(overrides = {}) {
+
+  return {
+    ...JSON.parse(JSON.stringify(defaultProfile)),
+    name: "custom",
+    ...overrides
+  };
+}
+
+function register(profile) {
+
+  return new ScoringProfileRegistry().register(profile);
+}
+
+describe("ScoringProfileRegistry content hash", () => {
+
+  test("omitted defaults hash like the defaults written out", () => {
+
+    const explicit =
+      definition();
+
+    const { maxScore, adjustments, disqualifiers, ...omitted } =
+      explicit;
+
+    expect(register(omitted).contentHash).toBe(register(explicit).contentHash);
+  });
+
+  test("threshold order does not change the hash", () => {
+
+    const reversed =
+      definition();
+
+    reversed.priorityThresholds.reverse();
+
+    expect(register(reversed).contentHash).toBe(register(definition()).contentHash);
+  });
+
+  test("a changed weight changes the hash", () => {
+
+    const changed =
+      definition();
+
+    changed.weights.businessEmail = 15;
+
+    expect(register(changed).contentHash).not.toBe(register(definition()).contentHash);
+  });
+
+  test("does not modify the definition it was given", () => {
+
+    const { maxScore, ...omitted } =
+      definition();
+
+    register(omitted);
+
+    expect(omitted).not.toHaveProperty("maxScore");
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  extractPhoneNumbers,
+  parsePhoneNumber
+} = require("../../netlify/functions/source/PhoneNumberNormalizer.js");
+
+describe("parsePhoneNumber", () => {
+
+  test.each([
+    ["(813) 274-0142", "+18132740142"],
+    ["813.274.0142", "+18132740142"],
+    ["+1 813 274 0142", "+18132740142"],
+    ["tel:+18132740142", "+18132740142"]
+  ])("reads %s as %s", (input, e164) => {
+
+    expect(parsePhoneNumber(input)).toMatchObject({ valid: true, e164 });
+  });
+
+  test("splits off an extension", () => {
+
+    expect(parsePhoneNumber("813-274-0142 ext. 12")).toMatchObject({
+      e164: "+18132740142",
+      extension: "12",
+      display: "(813) 274-0142 ext. 12"
+    });
+  });
+
+  test.each([
+    ["234-567-8901"],
+    ["345-678-9012"],
+    ["876-543-2109"],
+    ["987-654-3210"],
+    ["210-987-6543"]
+  ])("rejects the sequential run %s", input => {
+
+    expect(parsePhoneNumber(input).rejectedReason).toBe("sequential_digits");
+  });
+
+  test.each([
+    ["234-567-8911"],
+    ["234-567-8902"]
+  ])("accepts %s, which only starts sequentially", input => {
+
+    expect(parsePhoneNumber(input).valid).toBe(true);
+  });
+
+  test.each([
+    ["555-555-5555", "repeated_digits"],
+    ["813-555-0100", "fictional_555"],
+    ["123-456-7890", "invalid_area_code"],
+    ["813-911-0142", "invalid_exchange"],
+    ["813-555-014", "wrong_length"]
+  ])("rejects %s as %s", (input, reason) => {
+
+    expect(parsePhoneNumber(input).rejectedReason).toBe(reason);
+  });
+});
+
+describe("extractPhoneNumbers", () => {
+
+  test("finds numbers in free text, deduplicated by E.164 and extension", () => {
+
+    expect(
+      extractPhoneNumbers(
+        "Call (813) 274-0142 or 813.274.0142, billing at 813-274-0142 x7. Fax: +1 727 632 0199."
+      ).map(phone => [phone.e164, phone.extension])
+    ).toEqual([
+      ["+18132740142", null],
+      ["+18132740142", "7"],
+      ["+17276320199", null]
+    ]);
+  });
+
+  test.each([
+    ["a millisecond timestamp", "1718236123456"],
+    ["a long ID", "98234567812345"],
+    ["a number with a digit in front", "48132740142"],
+    ["a number with a digit after", "81327401429"]
+  ])("ignores %s", (label, digits) => {
+
+    expect(extractPhoneNumbers(`ref ${digits} end`)).toEqual([]);
+  });
+
+  test("keeps numbers next to other punctuation", () => {
+
+    expect(
+      extractPhoneNumbers("Phone:8132740142;Fax:(727)632-0199").map(phone => phone.e164)
+    ).toEqual(["+18132740142", "+17276320199"]);
+  });
+});